@@ -5,8 +5,8 @@
 const express = require('express');
 const cors = require('cors');
 const schedule = require('node-schedule');
-const update = require('./helpers/updates');
-const moment = require('moment');
+const Job = require('./models/job');
+const scheduler = require('./helpers/scheduler');
 
 const { NotFoundError } = require('./expressError');
 
@@ -16,87 +16,52 @@ const teamRoutes = require('./routes/teams');
 const userRoutes = require('./routes/users');
 const playerRoutes = require('./routes/players');
 const gameRoutes = require('./routes/games');
+const seasonRoutes = require('./routes/seasons');
 const updateRoutes = require('./routes/updates');
+const leaderboardRoutes = require('./routes/leaderboards');
+const leagueRoutes = require('./routes/leagues');
+const challengeRoutes = require('./routes/challenges');
+const achievementRoutes = require('./routes/achievements');
+const webhookRoutes = require('./routes/webhooks');
+const jobRoutes = require('./routes/jobs');
 
 const morgan = require('morgan');
 
 const app = express();
 
-// Schedule updates to run
+// Schedule updates to run, every run is recorded by the job registry (models/job.js)
 
-// Game details (score, clock, quarter), player game stats and teamstats will update every 15 minutes starting at 7pm each day and ending at 2 am
-const frequentUpdateJob = schedule.scheduleJob('0,15,30,45 0-6 * * *', async function (fireTime) {
-	try {
-		console.log(`
-		***** REGULAR UPDATES STARTED AT: ${fireTime} *****
-		`);
-		const result = await update.frequent();
-		if (result)
-			console.log(`
-		***** REGULAR UPDATES COMPLETED AT: ${moment().subtract(5, 'hours').format('LTS')}*****
-		`);
-	} catch (err) {
-		console.error(err);
-	}
-});
+// Game details (score, clock, quarter), player and team game stats are polled around each day's
+// tip-offs and picks are settled as games go final, see helpers/scheduler.js
+if (process.env.NODE_ENV !== 'test') scheduler.start();
 
-// PLayer and team picks will update every hour to determine win/loss and update users win/loss total
-const hourlyUpdateJob = schedule.scheduleJob('0 0-6 * * *', async function (fireTime) {
+// Team season stats, player season stats and standings will update once a day at 2:30 am
+const dailyStatsUpdateJob = schedule.scheduleJob('30 7 * * *', async function () {
 	try {
-		console.log(`
-		***** HOURLY UPDATES STARTED AT: ${fireTime} *****
-		`);
-		const result = await update.hourly();
-		if (result) {
-			console.log(`
-		***** HOURLY UPDATES COMPLETED AT: ${moment().subtract(5, 'hours').format('LTS')}*****
-		`);
-		}
+		await Job.run('dailyStats');
 	} catch (err) {
 		console.error(err);
 	}
 });
 
-// Team season stats, player season stats and standings will update once a day at 2:30 am
-const dailyStatsUpdateJob = schedule.scheduleJob('30 7 * * *', async function (fireTime) {
+// Prop lines for the next couple of days' games are generated once a day at 3am, after season stats
+const propLinesJob = schedule.scheduleJob('0 8 * * *', async function () {
 	try {
-		console.log(
-			`
-		***** DAILY UPDATES STARTED AT: ${fireTime} *****
-		`,
-			fireTime
-		);
-		const result = await update.dailyStats();
-		if (result)
-			console.log(`
-		***** DAILY UPDATES COMPLETED AT: ${moment().subtract(5, 'hours').format('LTS')} *****
-		`);
+		await Job.run('propLines');
 	} catch (err) {
 		console.error(err);
 	}
 });
 
 // Player info will update once a day at 8am (this is mostly to account for trades)
-const dailyPlayerUpdateJob = schedule.scheduleJob('0 13 * * *', async function (fireTime) {
+const dailyPlayerUpdateJob = schedule.scheduleJob('0 13 * * *', async function () {
 	try {
-		console.log(
-			`
-		***** PLAYER UPDATES STARTED AT: ${fireTime} *****
-		`,
-			fireTime
-		);
-		const result = await update.dailyPlayers();
-		if (result)
-			console.log(`
-		***** PLAYER UPDATES COMPLETED AT: ${moment().subtract(5, 'hours').format('LTS')} *****
-		`);
+		await Job.run('dailyPlayers');
 	} catch (err) {
 		console.error(err);
 	}
 });
 
-
-
 app.use(cors());
 app.use(express.json());
 app.use(morgan('tiny'));
@@ -107,7 +72,14 @@ app.use('/teams', teamRoutes);
 app.use('/users', userRoutes);
 app.use('/players', playerRoutes);
 app.use('/games', gameRoutes);
+app.use('/seasons', seasonRoutes);
 app.use('/update', updateRoutes);
+app.use('/leaderboards', leaderboardRoutes);
+app.use('/leagues', leagueRoutes);
+app.use('/challenges', challengeRoutes);
+app.use('/achievements', achievementRoutes);
+app.use('/webhooks', webhookRoutes);
+app.use('/jobs', jobRoutes);
 
 /** Handle 404 errors -- this matches everything */
 app.use(function (req, res, next) {
@@ -4,6 +4,7 @@
 
 require('dotenv').config();
 require('colors');
+const path = require('path');
 
 const SECRET_KEY = process.env.SECRET_KEY || 'secret-dev';
 
@@ -19,16 +20,71 @@ function getDatabaseUri() {
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === 'test' ? 1 : 12;
 
+// Where stats come from: "api-sports" (live) or "fixture" (recorded JSON on disk).
+// Tests always replay fixtures so they never touch the network.
+const STATS_PROVIDER = process.env.STATS_PROVIDER || (process.env.NODE_ENV === 'test' ? 'fixture' : 'api-sports');
+
+const STATS_FIXTURE_DIR = process.env.STATS_FIXTURE_DIR || path.join(__dirname, 'fixtures', 'api-sports');
+
+// When set, every live api-sports response is saved here for later replay
+const STATS_RECORD_DIR = process.env.STATS_RECORD_DIR || null;
+
+// Budget for requests to the stats provider's API (providers/httpClient.js), the
+// defaults match the api-sports Pro plan. Rate limited (429) and failed (5xx)
+// requests are retried up to API_MAX_RETRIES times with exponential backoff
+const API_REQUESTS_PER_MINUTE = Number(process.env.API_REQUESTS_PER_MINUTE) || 300;
+const API_REQUESTS_PER_DAY = Number(process.env.API_REQUESTS_PER_DAY) || 7500;
+const API_MAX_RETRIES = Number(process.env.API_MAX_RETRIES) || 4;
+
+// Hours after a game is final before player picks without stats (DNP) are voided,
+// gives the stats provider time to catch up on late box scores
+const PICK_VOID_WINDOW_HOURS = Number(process.env.PICK_VOID_WINDOW_HOURS) || 12;
+
+// Minutes after a game's scheduled tip-off that picks can still be placed, changed
+// or removed, covers tip-offs running late before the provider marks the game live
+const PICK_LOCK_GRACE_MINUTES = Number(process.env.PICK_LOCK_GRACE_MINUTES) || 0;
+
+// Minutes before tip-off that users are notified a followed team's game is starting
+const GAME_START_NOTICE_MINUTES = Number(process.env.GAME_START_NOTICE_MINUTES) || 60;
+
+// Webhook hosts (comma separated) that may resolve to private or loopback
+// addresses, every other webhook must point to a public host. Tests post to a
+// local receiver
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || (process.env.NODE_ENV === 'test' ? '127.0.0.1' : ''))
+	.split(',')
+	.filter(Boolean);
+
+// Update scheduling (helpers/scheduler.js): games start being polled this many
+// minutes before the first tip-off, every POLL_PREGAME_MINUTES until a game is in
+// play, then every POLL_LIVE_MINUTES while any game is
+const POLL_LEAD_MINUTES = Number(process.env.POLL_LEAD_MINUTES) || 60;
+const POLL_PREGAME_MINUTES = Number(process.env.POLL_PREGAME_MINUTES) || 10;
+const POLL_LIVE_MINUTES = Number(process.env.POLL_LIVE_MINUTES) || 2;
+
 console.log('OnlyLocks Config:'.green);
 console.log('SECRET_KEY:'.yellow, SECRET_KEY);
 console.log('PORT:'.yellow, API_PORT.toString());
 console.log('BCRYPT_WORK_FACTOR'.yellow, BCRYPT_WORK_FACTOR);
 console.log('Database:'.yellow, getDatabaseUri());
+console.log('STATS_PROVIDER:'.yellow, STATS_PROVIDER);
 console.log('---');
 
 module.exports = {
 	SECRET_KEY,
 	API_PORT,
 	BCRYPT_WORK_FACTOR,
+	STATS_PROVIDER,
+	STATS_FIXTURE_DIR,
+	STATS_RECORD_DIR,
+	API_REQUESTS_PER_MINUTE,
+	API_REQUESTS_PER_DAY,
+	API_MAX_RETRIES,
+	PICK_VOID_WINDOW_HOURS,
+	PICK_LOCK_GRACE_MINUTES,
+	GAME_START_NOTICE_MINUTES,
+	WEBHOOK_ALLOWED_HOSTS,
+	POLL_LEAD_MINUTES,
+	POLL_PREGAME_MINUTES,
+	POLL_LIVE_MINUTES,
 	getDatabaseUri,
 };
@@ -1,10 +1,17 @@
 'use strict';
-/** Database setup for Only Locks */
-const { Client } = require('pg');
+/** Database setup for Only Locks
+ *
+ * 	Queries run on a pool of clients. A query made inside a transaction
+ * 	(helpers/transaction) runs on that transaction's client instead, so
+ * 	requests and jobs running at the same time can't end up in each other's
+ * 	transactions.
+ **/
+const { Pool } = require('pg');
+const { AsyncLocalStorage } = require('async_hooks');
 const dotenv = require('dotenv');
 const { getDatabaseUri } = require('./config');
 dotenv.config();
-let db;
+let pool;
 
 let ssl = null;
 
@@ -16,13 +23,13 @@ if (process.env.NODE_ENV === 'production') {
 
 if (process.env.CONNECTION_STRING) {
 	console.log(process.env.CONNECTION_STRING);
-	db = new Client({
+	pool = new Pool({
 		connectionString: process.env.CONNECTION_STRING,
 	});
 } else {
 	const { USER, HOST, PASSWORD, PORT } = process.env;
 
-	db = new Client({
+	pool = new Pool({
 		user: USER,
 		host: HOST,
 		database: getDatabaseUri(),
@@ -32,6 +39,29 @@ if (process.env.CONNECTION_STRING) {
 	});
 }
 
-db.connect();
+const db = {
+	pool,
+
+	// The transaction the current call is running in, { client, depth }
+	transactions: new AsyncLocalStorage(),
+
+	// Set by tests so every query runs in the test's transaction, see helpers/transaction
+	pinned: null,
+
+	/** Run a query on the current transaction's client, or on an idle client
+	 * 	from the pool if there's no transaction
+	 **/
+
+	query(text, params) {
+		const tx = db.transactions.getStore() || db.pinned;
+		return (tx ? tx.client : pool).query(text, params);
+	},
+
+	/** Close every client in the pool */
+
+	end() {
+		return pool.end();
+	},
+};
 
 module.exports = db;
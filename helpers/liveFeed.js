@@ -0,0 +1,80 @@
+'use strict';
+
+/** In-process feed of live game changes and the Server-Sent Events streams
+ * 	that push them to clients.
+ *
+ * 	The update jobs run in the same process as the API (see app.js), so the
+ * 	models publish what they write and every open stream hears about it.
+ * 	Events published:
+ * 		game: { gameId, ...changed } any of status, score, clock, quarter
+ * 		boxScore: { gameId, playerId, stats } changed game_stats columns
+ * 		teamBoxScore: { gameId, teamId, stats } changed team_game_stats columns
+ **/
+
+const { EventEmitter } = require('events');
+
+// Comment line sent this often so proxies don't close idle streams
+const HEARTBEAT_MS = 25000;
+
+const feed = new EventEmitter();
+// One listener per open stream
+feed.setMaxListeners(0);
+
+/** Publish an event to every open stream */
+
+function publish(event, data) {
+	feed.emit('change', { event, data });
+}
+
+/** Call listener with { event, data } for everything published
+ *
+ * 	Returns a function that stops listening
+ **/
+
+function subscribe(listener) {
+	feed.on('change', listener);
+	return () => feed.off('change', listener);
+}
+
+/** Given a row before and after a write (prev is {} for new rows), return
+ * 	the columns that changed, camelCased (ex: { totalReb: 10 }), leaving out
+ * 	the columns in ignore
+ *
+ * 	Returns null if nothing changed
+ **/
+
+function changes(prev, next, ignore = []) {
+	const changed = {};
+	for (let [column, value] of Object.entries(next)) {
+		if (ignore.includes(column) || prev[column] === value) continue;
+		changed[column.replace(/_(\w)/g, (m, c) => c.toUpperCase())] = value;
+	}
+
+	return Object.keys(changed).length ? changed : null;
+}
+
+/** Start a Server-Sent Events response, calling onClose once the client
+ * 	goes away. Open it before awaiting anything, a client can leave while a
+ * 	route is still loading what it sends first
+ *
+ * 	Returns send(event, data) to push an event down the stream
+ **/
+
+function openStream(req, res, onClose) {
+	res.writeHead(200, {
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		Connection: 'keep-alive',
+	});
+	res.write('retry: 5000\n\n');
+
+	const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+	req.on('close', () => {
+		clearInterval(heartbeat);
+		onClose();
+	});
+
+	return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = { publish, subscribe, changes, openStream };
@@ -0,0 +1,21 @@
+'use strict';
+
+/** Points a pick pays, from the chance it wins.
+ *
+ * 	A coin flip pays BASE_POINTS, a pick half as likely pays twice as much.
+ **/
+
+const BASE_POINTS = 100;
+
+// Keeps long shots and sure things from paying out silly amounts
+const MIN_PROBABILITY = 0.1;
+const MAX_PROBABILITY = 0.9;
+
+/** Given the probability (0 - 1) a pick wins, return its point value */
+
+function pointValue(probability) {
+	const p = Math.min(Math.max(probability, MIN_PROBABILITY), MAX_PROBABILITY);
+	return Math.round((BASE_POINTS * 0.5) / p);
+}
+
+module.exports = { pointValue, BASE_POINTS };
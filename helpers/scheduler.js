@@ -0,0 +1,104 @@
+'use strict';
+
+/** Schedules the game and settlement updates around the day's games.
+ *
+ * 	Instead of fixed cron windows every run looks at the games' tip-offs and
+ * 	statuses to decide when to run next:
+ * 		live: a game is in play, poll every POLL_LIVE_MINUTES
+ * 		pregame: a game tips off within POLL_LEAD_MINUTES (or is late to
+ * 			start), poll every POLL_PREGAME_MINUTES
+ * 		idle: nothing close, check again POLL_LEAD_MINUTES before the next
+ * 			tip-off but no more than IDLE_MINUTES away. Idle checks make no
+ * 			stats provider calls.
+ *
+ * 	Picks are settled as soon as a poll sees a game go final, and on every
+ * 	idle check. Both run through the job registry (models/job.js) so they're
+ * 	recorded, locked and can be paused.
+ **/
+
+const schedule = require('node-schedule');
+const moment = require('moment');
+const Game = require('../models/game');
+const Job = require('../models/job');
+const { POLL_LEAD_MINUTES, POLL_PREGAME_MINUTES, POLL_LIVE_MINUTES } = require('../config');
+
+// Longest wait between checks when no game is close
+const IDLE_MINUTES = 60;
+
+let job = null;
+let running = false;
+
+// When the latest game picks were settled after went final
+let settledThrough = null;
+
+/** Given Game.pollState(), return { mode, minutes } where mode is "live",
+ * 	"pregame" or "idle" and minutes how long to wait before the next run
+ **/
+
+function plan({ inPlay, minutesToTip }) {
+	if (inPlay) return { mode: 'live', minutes: POLL_LIVE_MINUTES };
+	if (minutesToTip === null) return { mode: 'idle', minutes: IDLE_MINUTES };
+
+	const untilLead = minutesToTip - POLL_LEAD_MINUTES;
+	if (untilLead <= 0) return { mode: 'pregame', minutes: POLL_PREGAME_MINUTES };
+	return { mode: 'idle', minutes: Math.min(untilLead, IDLE_MINUTES) };
+}
+
+/** Poll the stats provider if games are close or in play, then settle picks
+ * 	if a game has gone final since the last settlement (or on idle checks)
+ *
+ * 	Returns the plan for the next run, { mode, minutes }
+ **/
+
+async function run() {
+	let state = await Game.pollState();
+	const { mode } = plan(state);
+
+	if (mode !== 'idle') {
+		await Job.run('frequent');
+		state = await Game.pollState();
+	}
+
+	const newFinal = state.lastFinishedAt && (!settledThrough || state.lastFinishedAt > settledThrough);
+	if (mode === 'idle' || newFinal) {
+		const settle = await Job.run('settle');
+		if (settle.status === 'succeeded') settledThrough = state.lastFinishedAt;
+	}
+
+	return plan(state);
+}
+
+/** Run, then schedule the next run from its plan */
+
+async function tick() {
+	// Checks back as if idle when a run fails
+	let next = { mode: 'idle', minutes: IDLE_MINUTES };
+	try {
+		next = await run();
+	} catch (err) {
+		console.error(err);
+	}
+	if (!running) return;
+
+	const runAt = new Date(Date.now() + next.minutes * 60 * 1000);
+	job = schedule.scheduleJob(runAt, tick);
+	console.log(`Next ${next.mode} update @ ${moment(runAt).subtract(5, 'hours').format('LLL')}`);
+}
+
+/** Start scheduling updates, the first run is right away */
+
+function start() {
+	if (running) return;
+	running = true;
+	tick();
+}
+
+/** Stop scheduling updates */
+
+function stop() {
+	running = false;
+	if (job) job.cancel();
+	job = null;
+}
+
+module.exports = { plan, run, start, stop };
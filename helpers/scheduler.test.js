@@ -0,0 +1,44 @@
+const db = require('../db.js');
+const { plan, run } = require('./scheduler');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Plan */
+
+describe('plan', function () {
+	test('polls fast while games are in play', function () {
+		expect(plan({ inPlay: 2, minutesToTip: 30 })).toEqual({ mode: 'live', minutes: 2 });
+	});
+
+	test('polls before the first tip-off and for late starts', function () {
+		expect(plan({ inPlay: 0, minutesToTip: 45 })).toEqual({ mode: 'pregame', minutes: 10 });
+		expect(plan({ inPlay: 0, minutesToTip: -20 })).toEqual({ mode: 'pregame', minutes: 10 });
+	});
+
+	test('waits for the lead time before the next tip-off', function () {
+		expect(plan({ inPlay: 0, minutesToTip: 90 })).toEqual({ mode: 'idle', minutes: 30 });
+		expect(plan({ inPlay: 0, minutesToTip: 600 })).toEqual({ mode: 'idle', minutes: 60 });
+		expect(plan({ inPlay: 0, minutesToTip: null })).toEqual({ mode: 'idle', minutes: 60 });
+	});
+});
+
+/** Run */
+
+describe('run', function () {
+	test('settles picks on idle checks', async function () {
+		// Tatum scored 76 in game 1
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value)
+			VALUES ('User', 1, 1, 'points', 'OVER', 50.5, 100)`
+		);
+
+		expect(await run()).toEqual({ mode: 'idle', minutes: 60 });
+
+		const pickRes = await db.query(`SELECT result FROM player_picks WHERE username = 'User'`);
+		expect(pickRes.rows).toEqual([{ result: 'win' }]);
+	});
+});
@@ -0,0 +1,435 @@
+'use strict';
+
+/** Standings engine.
+ *
+ * 	Records, ranks and games behind are worked out from a season's finished
+ * 	games instead of being copied from the stats provider. Teams with the same
+ * 	winning percentage are ordered with the NBA's tiebreakers, and every
+ * 	tiebreak applied is explained on the teams it separated.
+ **/
+
+// Results counted in a team's last N record
+const LAST_N = 10;
+
+// Seeds 1 - 6 in each conference go straight to the playoffs
+const PLAYOFF_SEEDS = 6;
+
+// Seeds 7 - 10 go to the play-in, and the whole top 10 count as playoff teams for tiebreakers
+const PLAY_IN_SEEDS = 10;
+
+/** Given wins and losses, return the winning percentage (0 before any games) */
+
+function winPct(wins, losses) {
+	const games = wins + losses;
+	return games ? wins / games : 0;
+}
+
+/** Given { wins, losses }, return "wins - losses" */
+
+function formatRecord({ wins, losses }) {
+	return `${wins} - ${losses}`;
+}
+
+/** Given a game's score ("home - away"), return the home margin or 0 if it
+ * 	can't be read
+ **/
+
+function homeMargin(score) {
+	const [home, away] = (score || '').split('-').map((s) => Number(s.trim()));
+	return Number.isInteger(home) && Number.isInteger(away) ? home - away : 0;
+}
+
+/** Given teams [ { id, name, code, conference, division } ] and finished
+ * 	games [ { homeId, awayId, winner, score } ] in the order they were played,
+ * 	return a Map of team id => record
+ *
+ * 	Games against teams not in teams, or without a winner, are left out.
+ **/
+
+function buildRecords(teams, games) {
+	const records = new Map(
+		teams.map((team) => [
+			team.id,
+			{ ...team, wins: 0, losses: 0, home: [0, 0], away: [0, 0], results: [], pointDiff: 0, vs: new Map() },
+		])
+	);
+
+	for (let game of games) {
+		const home = records.get(game.homeId);
+		const away = records.get(game.awayId);
+		if (!home || !away || !game.winner) continue;
+
+		const margin = homeMargin(game.score);
+		for (let [team, opponent, venue, diff] of [
+			[home, away, 'home', margin],
+			[away, home, 'away', -margin],
+		]) {
+			const won = game.winner === team.id;
+			const vs = team.vs.get(opponent.id) || [0, 0];
+			vs[won ? 0 : 1]++;
+			team.vs.set(opponent.id, vs);
+			team[venue][won ? 0 : 1]++;
+			team[won ? 'wins' : 'losses']++;
+			team.results.push(won ? 'W' : 'L');
+			team.pointDiff += diff;
+		}
+	}
+
+	return records;
+}
+
+/** Given a record and a filter (opponent, team, tied, context) => boolean,
+ * 	return { wins, losses } against the teams matching it
+ **/
+
+function recordAgainst(team, filter, tied, context) {
+	const record = { wins: 0, losses: 0 };
+	for (let [id, [wins, losses]] of team.vs) {
+		if (!filter(context.all.get(id), team, tied, context)) continue;
+		record.wins += wins;
+		record.losses += losses;
+	}
+	return record;
+}
+
+/** Given a rule, when it applies and which opponents count, return a
+ * 	tiebreaker comparing records against those opponents
+ **/
+
+function recordTiebreaker(rule, applies, filter) {
+	return {
+		rule,
+		applies,
+		value: (team, tied, context) => {
+			const { wins, losses } = recordAgainst(team, filter, tied, context);
+			return winPct(wins, losses);
+		},
+		describe: (team, tied, context) => formatRecord(recordAgainst(team, filter, tied, context)),
+	};
+}
+
+const sameDivision = (tied) => new Set(tied.map((t) => t.division)).size === 1;
+const sameConference = (tied) => new Set(tied.map((t) => t.conference)).size === 1;
+
+/** Tiebreakers, each has applies(tied) (whether it can separate those teams),
+ * 	value(team, tied, context) (higher is better) and describe(team, tied,
+ * 	context) (what the value was, ex: "2 - 1")
+ **/
+
+const HEAD_TO_HEAD = recordTiebreaker(
+	'head-to-head record',
+	() => true,
+	(opponent, team, tied) => tied.includes(opponent)
+);
+
+const DIVISION_LEADER = {
+	rule: 'division leader',
+	applies: (tied) => !sameDivision(tied),
+	value: (team, tied, { divisionLeaders }) => (divisionLeaders.has(team.id) ? 1 : 0),
+	describe: (team, tied, { divisionLeaders }) =>
+		divisionLeaders.has(team.id) ? `leads the ${team.division}` : `doesn't lead the ${team.division}`,
+};
+
+const DIVISION_RECORD = recordTiebreaker(
+	'division record',
+	sameDivision,
+	(opponent, team) => opponent.division === team.division
+);
+
+const CONFERENCE_RECORD = recordTiebreaker(
+	'conference record',
+	sameConference,
+	(opponent, team) => opponent.conference === team.conference
+);
+
+const PLAYOFF_TEAMS_OWN = recordTiebreaker(
+	'record against playoff teams in its conference',
+	sameConference,
+	(opponent, team, tied, { playoffTeams }) =>
+		opponent.conference === team.conference && playoffTeams.has(opponent.id)
+);
+
+const PLAYOFF_TEAMS_OTHER = recordTiebreaker(
+	'record against playoff teams in the other conference',
+	sameConference,
+	(opponent, team, tied, { playoffTeams }) =>
+		opponent.conference !== team.conference && playoffTeams.has(opponent.id)
+);
+
+const POINT_DIFFERENTIAL = {
+	rule: 'point differential',
+	applies: () => true,
+	value: (team) => team.pointDiff,
+	describe: (team) => (team.pointDiff > 0 ? `+${team.pointDiff}` : `${team.pointDiff}`),
+};
+
+const TWO_TEAM_TIEBREAKERS = [
+	HEAD_TO_HEAD,
+	DIVISION_LEADER,
+	DIVISION_RECORD,
+	CONFERENCE_RECORD,
+	PLAYOFF_TEAMS_OWN,
+	PLAYOFF_TEAMS_OTHER,
+	POINT_DIFFERENTIAL,
+];
+
+// With three or more tied, division leaders are separated out before head-to-head
+const MULTI_TEAM_TIEBREAKERS = [
+	DIVISION_LEADER,
+	HEAD_TO_HEAD,
+	DIVISION_RECORD,
+	CONFERENCE_RECORD,
+	PLAYOFF_TEAMS_OWN,
+	PLAYOFF_TEAMS_OTHER,
+	POINT_DIFFERENTIAL,
+];
+
+/** Given items and a function returning a number for each, return the items
+ * 	split into groups of equal value, best first
+ **/
+
+function tiers(items, valueOf) {
+	const values = new Map(items.map((item) => [item, valueOf(item)]));
+	const sorted = [...items].sort((a, b) => values.get(b) - values.get(a));
+
+	const groups = [];
+	for (let item of sorted) {
+		const last = groups[groups.length - 1];
+		if (last && values.get(last[0]) === values.get(item)) last.push(item);
+		else groups.push([item]);
+	}
+	return groups;
+}
+
+/** Given teams tied on winning percentage, return them in order
+ *
+ * 	The first tiebreaker that separates them splits them into smaller groups,
+ * 	and each group still tied goes back to the start of the list (the two team
+ * 	list once only two are left). Each tiebreak applied is added to notes
+ * 	(team id => [ { rule, tiedWith, value, aheadOf, behind, explanation } ]).
+ * 	Teams tied on everything are ordered by name, the NBA would draw lots.
+ **/
+
+function breakTie(tied, context, notes) {
+	if (tied.length < 2) return tied;
+
+	const tiebreakers = tied.length === 2 ? TWO_TEAM_TIEBREAKERS : MULTI_TEAM_TIEBREAKERS;
+	for (let tiebreaker of tiebreakers) {
+		if (!tiebreaker.applies(tied)) continue;
+
+		const groups = tiers(tied, (team) => tiebreaker.value(team, tied, context));
+		if (groups.length === 1) continue;
+
+		groups.forEach((group, i) => {
+			const behind = groups.slice(0, i).flat();
+			const aheadOf = groups.slice(i + 1).flat();
+			for (let team of group) {
+				const value = tiebreaker.describe(team, tied, context);
+				notes.get(team.id).push({
+					rule: tiebreaker.rule,
+					tiedWith: tied.filter((t) => t !== team).map((t) => t.code),
+					value,
+					aheadOf: aheadOf.map((t) => t.code),
+					behind: behind.map((t) => t.code),
+					explanation: explain(tiebreaker.rule, value, aheadOf, behind),
+				});
+			}
+		});
+
+		return groups.flatMap((group) => breakTie(group, context, notes));
+	}
+
+	const drawn = [...tied].sort((a, b) => a.name.localeCompare(b.name));
+	for (let team of drawn) {
+		notes.get(team.id).push({
+			rule: 'drawing of lots',
+			tiedWith: tied.filter((t) => t !== team).map((t) => t.code),
+			value: null,
+			aheadOf: [],
+			behind: [],
+			explanation: `Tied with ${codes(tied.filter((t) => t !== team))} on every tiebreaker, listed by name`,
+		});
+	}
+	return drawn;
+}
+
+/** Given teams, return their codes as a list (ex: "BOS, NYK") */
+
+function codes(teams) {
+	return teams.map((t) => t.code).join(', ');
+}
+
+/** Given a rule, the team's value for it and the tied teams it finished
+ * 	ahead of and behind, return a sentence explaining the tiebreak
+ **/
+
+function explain(rule, value, aheadOf, behind) {
+	const places = [];
+	if (aheadOf.length) places.push(`ahead of ${codes(aheadOf)}`);
+	if (behind.length) places.push(`behind ${codes(behind)}`);
+	const sentence = `${places.join(' and ')} on ${rule} (${value})`;
+	return sentence[0].toUpperCase() + sentence.slice(1);
+}
+
+/** Given records, return them ranked: by winning percentage, then tiebreakers
+ *
+ * 	Returns [ { id, name, code, conference, division, rank, wins, losses,
+ * 		record, pct, gamesBehind, home, away, conferenceRecord, divisionRecord,
+ * 		lastTen, streak, pointDiff, tiebreaks }, ... ]
+ * 		Where gamesBehind is counted from the first team
+ **/
+
+function rank(teams, context) {
+	const notes = new Map(teams.map((t) => [t.id, []]));
+	const ordered = tiers(teams, (t) => winPct(t.wins, t.losses)).flatMap((tied) => breakTie(tied, context, notes));
+	const leader = ordered[0];
+
+	return ordered.map((team, i) => {
+		const lastTen = team.results.slice(-LAST_N);
+		const last = team.results[team.results.length - 1];
+		let streak = 0;
+		while (streak < team.results.length && team.results[team.results.length - 1 - streak] === last) streak++;
+
+		return {
+			id: team.id,
+			name: team.name,
+			code: team.code,
+			conference: team.conference,
+			division: team.division,
+			rank: i + 1,
+			wins: team.wins,
+			losses: team.losses,
+			record: formatRecord(team),
+			pct: Number(winPct(team.wins, team.losses).toFixed(3)),
+			gamesBehind: (leader.wins - team.wins + team.losses - leader.losses) / 2,
+			home: formatRecord({ wins: team.home[0], losses: team.home[1] }),
+			away: formatRecord({ wins: team.away[0], losses: team.away[1] }),
+			conferenceRecord: CONFERENCE_RECORD.describe(team, [team], context),
+			divisionRecord: DIVISION_RECORD.describe(team, [team], context),
+			lastTen: formatRecord({
+				wins: lastTen.filter((r) => r === 'W').length,
+				losses: lastTen.filter((r) => r === 'L').length,
+			}),
+			streak: last ? `${last}${streak}` : null,
+			pointDiff: team.pointDiff,
+			tiebreaks: notes.get(team.id),
+		};
+	});
+}
+
+/** Given records, return them grouped by key (ex: "conference") */
+
+function groupBy(records, key) {
+	const groups = {};
+	for (let record of records) (groups[record[key]] = groups[record[key]] || []).push(record);
+	return groups;
+}
+
+/** Given teams [ { id, name, code, conference, division } ] and a season's
+ * 	finished games [ { homeId, awayId, winner, score } ] in the order they were
+ * 	played, return the standings three ways
+ *
+ * 	Division leaders are settled first (the division leader tiebreaker needs
+ * 	them), playoff teams for tiebreakers are every team at or above the 10th
+ * 	best winning percentage in its conference.
+ *
+ * 	Returns { league: [ team, ... ],
+ * 		conferences: { east: [ team, ... ], ... },
+ * 		divisions: { atlantic: [ team, ... ], ... } }
+ * 		Where team is as returned by rank
+ **/
+
+function computeStandings(teams, games) {
+	const all = buildRecords(teams, games);
+	const records = [...all.values()];
+
+	const playoffTeams = new Set();
+	for (let conference of Object.values(groupBy(records, 'conference'))) {
+		const pcts = conference.map((t) => winPct(t.wins, t.losses)).sort((a, b) => b - a);
+		const cutoff = pcts[Math.min(PLAY_IN_SEEDS, pcts.length) - 1];
+		for (let team of conference) if (winPct(team.wins, team.losses) >= cutoff) playoffTeams.add(team.id);
+	}
+
+	const context = { all, playoffTeams, divisionLeaders: new Set() };
+
+	const divisions = {};
+	for (let [name, division] of Object.entries(groupBy(records, 'division'))) {
+		divisions[name] = rank(division, context);
+		context.divisionLeaders.add(divisions[name][0].id);
+	}
+
+	const conferences = {};
+	for (let [name, conference] of Object.entries(groupBy(records, 'conference'))) {
+		conferences[name] = rank(conference, context);
+	}
+
+	return { league: rank(records, context), conferences, divisions };
+}
+
+/** Given a team and its conference rivals ({ wins, gamesLeft } each), return
+ * 	the magic number to finish in the top seeds: the team's wins plus rival
+ * 	losses that guarantee enough rivals finish below it (0 once clinched)
+ **/
+
+function magicNumber(team, rivals, seeds) {
+	const needed = rivals.length - (seeds - 1);
+	if (needed <= 0) return 0;
+
+	const numbers = rivals.map((r) => Math.max(r.wins + r.gamesLeft - team.wins + 1, 0)).sort((a, b) => a - b);
+	return numbers[needed - 1];
+}
+
+/** Given a team and its conference rivals, return its elimination number
+ * 	from the top seeds: the team's losses plus rival wins until enough rivals
+ * 	are sure to finish above it (0 once eliminated, null if it can't be)
+ **/
+
+function eliminationNumber(team, rivals, seeds) {
+	if (rivals.length < seeds) return null;
+
+	const numbers = rivals.map((r) => Math.max(team.wins + team.gamesLeft - r.wins + 1, 0)).sort((a, b) => a - b);
+	return numbers[seeds - 1];
+}
+
+/** Given a conference's standings (as returned by rank) and a Map of team id
+ * 	=> games left on its schedule, project the playoff picture
+ *
+ * 	Teams are seeded by their current rank: 1 - 6 make the playoffs, 7 - 10 the
+ * 	play-in and the rest are out. Magic and elimination numbers assume every
+ * 	team plays the same number of games in all and ignore tiebreakers, so a
+ * 	team only clinches once no rival can catch it and is only eliminated once
+ * 	it can't catch enough of them.
+ *
+ * 	Returns [ { id, name, code, seed, wins, losses, record, gamesBehind, gamesLeft,
+ * 		magicNumbers: { playoffs, playIn },
+ * 		eliminationNumbers: { playoffs, playIn } }, ... ] in seed order
+ **/
+
+function projectPlayoffs(conference, gamesLeft) {
+	const teams = conference.map((team) => ({ ...team, gamesLeft: gamesLeft.get(team.id) || 0 }));
+
+	return teams.map((team) => {
+		const rivals = teams.filter((t) => t !== team);
+		return {
+			id: team.id,
+			name: team.name,
+			code: team.code,
+			seed: team.rank,
+			wins: team.wins,
+			losses: team.losses,
+			record: team.record,
+			gamesBehind: team.gamesBehind,
+			gamesLeft: team.gamesLeft,
+			magicNumbers: {
+				playoffs: magicNumber(team, rivals, PLAYOFF_SEEDS),
+				playIn: magicNumber(team, rivals, PLAY_IN_SEEDS),
+			},
+			eliminationNumbers: {
+				playoffs: eliminationNumber(team, rivals, PLAYOFF_SEEDS),
+				playIn: eliminationNumber(team, rivals, PLAY_IN_SEEDS),
+			},
+		};
+	});
+}
+
+module.exports = { computeStandings, projectPlayoffs, PLAYOFF_SEEDS, PLAY_IN_SEEDS };
@@ -0,0 +1,145 @@
+const { computeStandings, projectPlayoffs } = require('./standings.js');
+
+const TEAMS = [
+	{ id: 1, name: 'Boston Celtics', code: 'BOS', conference: 'east', division: 'atlantic' },
+	{ id: 2, name: 'New York Knicks', code: 'NYK', conference: 'east', division: 'atlantic' },
+	{ id: 3, name: 'Chicago Bulls', code: 'CHI', conference: 'east', division: 'central' },
+	{ id: 4, name: 'Denver Nuggets', code: 'DEN', conference: 'west', division: 'northwest' },
+];
+
+/** Given home and away team ids and the winner, return a finished game */
+
+function game(homeId, awayId, winner) {
+	return { homeId, awayId, winner, score: winner === homeId ? '110 - 100' : '100 - 110' };
+}
+
+/** Records */
+
+describe('records', function () {
+	test('works', function () {
+		const games = [...Array(11)].map(() => game(1, 4, 1)).concat([game(4, 1, 4)]);
+		const { league } = computeStandings(TEAMS, games);
+		expect(league[0]).toEqual(
+			expect.objectContaining({
+				code: 'BOS',
+				record: '11 - 1',
+				pct: 0.917,
+				home: '11 - 0',
+				away: '0 - 1',
+				conferenceRecord: '0 - 0',
+				lastTen: '9 - 1',
+				streak: 'L1',
+				pointDiff: 100,
+			})
+		);
+		expect(league.find((t) => t.code === 'DEN').gamesBehind).toEqual(10);
+		expect(league.find((t) => t.code === 'CHI').streak).toBeNull();
+	});
+
+	test('leaves out games without a winner', function () {
+		const { league } = computeStandings(TEAMS, [{ homeId: 1, awayId: 2, winner: null, score: 'TBD' }]);
+		expect(league.every((t) => t.wins + t.losses === 0)).toBeTruthy();
+	});
+});
+
+/** Tiebreakers */
+
+describe('tiebreakers', function () {
+	test('two teams go to head-to-head first', function () {
+		const games = [game(1, 2, 1), game(4, 1, 4), game(2, 4, 2)];
+		const { east } = computeStandings(TEAMS, games).conferences;
+		expect(east.map((t) => t.code)).toEqual(['BOS', 'NYK', 'CHI']);
+		expect(east[0].tiebreaks).toEqual([
+			{
+				rule: 'head-to-head record',
+				tiedWith: ['NYK'],
+				value: '1 - 0',
+				aheadOf: ['NYK'],
+				behind: [],
+				explanation: 'Ahead of NYK on head-to-head record (1 - 0)',
+			},
+		]);
+	});
+
+	test('more than two separate division leaders first', function () {
+		// BOS beats NYK (and leads the atlantic), NYK beats CHI, CHI beats BOS
+		const games = [game(1, 2, 1), game(2, 3, 2), game(3, 1, 3)];
+		const { east } = computeStandings(TEAMS, games).conferences;
+		expect(east.map((t) => t.code)).toEqual(['CHI', 'BOS', 'NYK']);
+		expect(east[2].tiebreaks.map((t) => t.explanation)).toEqual([
+			"Behind BOS, CHI on division leader (doesn't lead the atlantic)",
+		]);
+		expect(east[0].tiebreaks.map((t) => t.explanation)).toEqual([
+			'Ahead of NYK on division leader (leads the central)',
+			'Ahead of BOS on head-to-head record (1 - 0)',
+		]);
+	});
+
+	test('conference record once head-to-head and division record are even', function () {
+		const games = [game(1, 2, 1), game(2, 1, 2), game(1, 3, 3), game(2, 4, 4)];
+		const { atlantic } = computeStandings(TEAMS, games).divisions;
+		expect(atlantic.map((t) => t.code)).toEqual(['NYK', 'BOS']);
+		expect(atlantic[0].tiebreaks.map((t) => t.explanation)).toEqual(['Ahead of BOS on conference record (1 - 1)']);
+	});
+
+	test('draws lots once every tiebreaker is even', function () {
+		const { atlantic } = computeStandings(TEAMS, []).divisions;
+		expect(atlantic.map((t) => t.code)).toEqual(['BOS', 'NYK']);
+		expect(atlantic[1].tiebreaks[0]).toEqual(
+			expect.objectContaining({ rule: 'drawing of lots', tiedWith: ['BOS'] })
+		);
+	});
+});
+
+/** Playoff picture */
+
+describe('project playoffs', function () {
+	// 12 teams with 12 games left each, from 60 wins down to 20
+	const WINS = [60, 55, 50, 48, 46, 44, 42, 40, 38, 36, 30, 20];
+	const conference = WINS.map((wins, i) => ({
+		id: i + 1,
+		name: `Team ${i + 1}`,
+		code: `T${i + 1}`,
+		rank: i + 1,
+		wins,
+		losses: 70 - wins,
+		record: `${wins} - ${70 - wins}`,
+		gamesBehind: 60 - wins,
+	}));
+	const gamesLeft = new Map(conference.map((t) => [t.id, 12]));
+
+	test('works', function () {
+		const teams = projectPlayoffs(conference, gamesLeft);
+		expect(teams.map((t) => t.seed)).toEqual(WINS.map((w, i) => i + 1));
+		expect(teams[6]).toEqual({
+			id: 7,
+			name: 'Team 7',
+			code: 'T7',
+			seed: 7,
+			wins: 42,
+			losses: 28,
+			record: '42 - 28',
+			gamesBehind: 18,
+			gamesLeft: 12,
+			magicNumbers: { playoffs: 15, playIn: 1 },
+			eliminationNumbers: { playoffs: 11, playIn: 25 },
+		});
+	});
+
+	test('clinches once no rival can catch up', function () {
+		const [first] = projectPlayoffs(conference, gamesLeft);
+		expect(first.magicNumbers).toEqual({ playoffs: 0, playIn: 0 });
+	});
+
+	test('eliminates once enough rivals are out of reach', function () {
+		const teams = projectPlayoffs(conference, gamesLeft);
+		expect(teams[10].magicNumbers.playIn).toEqual(19);
+		expect(teams[10].eliminationNumbers).toEqual({ playoffs: 0, playIn: 7 });
+		expect(teams[11].eliminationNumbers).toEqual({ playoffs: 0, playIn: 0 });
+	});
+
+	test("can't eliminate anyone in a small conference", function () {
+		const teams = projectPlayoffs(conference.slice(0, 5), gamesLeft);
+		expect(teams.every((t) => t.magicNumbers.playoffs === 0 && t.eliminationNumbers.playoffs === null)).toBeTruthy();
+	});
+});
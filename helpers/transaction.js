@@ -0,0 +1,79 @@
+'use strict';
+
+/** Transactions on a client of their own.
+ *
+ * 	Each transaction checks a client out of the pool and every query made
+ * 	while it runs (db.query anywhere down the call stack) goes to that client.
+ * 	A transaction started inside another one becomes a savepoint on the same
+ * 	client, so it only commits when the outermost one does.
+ **/
+
+const db = require('../db');
+
+/** Run fn inside a transaction, committing if it resolves and rolling back
+ * 	(then rethrowing) if it throws
+ *
+ * 	Returns whatever fn returns
+ **/
+
+async function transaction(fn) {
+	const outer = db.transactions.getStore() || db.pinned;
+	if (outer) return savepoint(outer, fn);
+
+	const client = await db.pool.connect();
+	try {
+		await client.query('BEGIN');
+		const result = await db.transactions.run({ client, depth: 1 }, fn);
+		await client.query('COMMIT');
+		return result;
+	} catch (err) {
+		await client.query('ROLLBACK');
+		throw err;
+	} finally {
+		client.release();
+	}
+}
+
+/** Given the open transaction ({ client, depth }), run fn inside a savepoint
+ * 	on its client, releasing it if fn resolves and rolling back to it (then
+ * 	rethrowing) if fn throws
+ **/
+
+async function savepoint(outer, fn) {
+	const name = `level_${outer.depth++}`;
+	try {
+		await outer.client.query(`SAVEPOINT ${name}`);
+		const result = await fn();
+		await outer.client.query(`RELEASE SAVEPOINT ${name}`);
+		return result;
+	} catch (err) {
+		await outer.client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+		throw err;
+	} finally {
+		outer.depth--;
+	}
+}
+
+/** Check out a client and start a transaction that every query runs in until
+ * 	rollback, tests wrap each test in one so nothing they write is kept
+ **/
+
+async function begin() {
+	const client = await db.pool.connect();
+	await client.query('BEGIN');
+	db.pinned = { client, depth: 1 };
+}
+
+/** Roll back the transaction started by begin and return its client to the pool */
+
+async function rollback() {
+	const { client } = db.pinned;
+	db.pinned = null;
+	try {
+		await client.query('ROLLBACK');
+	} finally {
+		client.release();
+	}
+}
+
+module.exports = { transaction, begin, rollback };
@@ -0,0 +1,73 @@
+const db = require('../db.js');
+const { transaction } = require('./transaction.js');
+
+// These run outside the usual per-test transaction to see what's committed
+afterEach(async function () {
+	await db.query('DELETE FROM seasons WHERE year IN (1901, 1902)');
+});
+
+afterAll(async function () {
+	await db.end();
+});
+
+/** Given a year, return whether a committed season row exists for it */
+
+async function committed(year) {
+	const res = await db.query('SELECT year FROM seasons WHERE year = $1', [year]);
+	return res.rows.length === 1;
+}
+
+const delay = (ms) => new Promise((res) => setTimeout(res, ms));
+
+/** Transaction */
+
+describe('transaction', function () {
+	test('commits', async function () {
+		const inserted = await transaction(async () => {
+			const insertRes = await db.query(`INSERT INTO seasons (year) VALUES (1901)`);
+			return insertRes.rowCount;
+		});
+		expect(inserted).toEqual(1);
+		expect(await committed(1901)).toBeTruthy();
+	});
+
+	test('rolls back and rethrows', async function () {
+		await expect(
+			transaction(async () => {
+				await db.query(`INSERT INTO seasons (year) VALUES (1901)`);
+				throw new Error('Nope');
+			})
+		).rejects.toThrow('Nope');
+		expect(await committed(1901)).toBeFalsy();
+	});
+
+	test('nested transactions are savepoints', async function () {
+		await transaction(async () => {
+			await db.query(`INSERT INTO seasons (year) VALUES (1901)`);
+			await transaction(async () => {
+				await db.query(`INSERT INTO seasons (year) VALUES (1902)`);
+				throw new Error('Nope');
+			}).catch(() => null);
+		});
+		expect(await committed(1901)).toBeTruthy();
+		expect(await committed(1902)).toBeFalsy();
+	});
+
+	test('concurrent transactions stay apart', async function () {
+		const failing = transaction(async () => {
+			await db.query(`INSERT INTO seasons (year) VALUES (1902)`);
+			await delay(20);
+			throw new Error('Nope');
+		});
+		const passing = transaction(async () => {
+			await delay(10);
+			await db.query(`INSERT INTO seasons (year) VALUES (1901)`);
+			await delay(20);
+		});
+
+		await expect(failing).rejects.toThrow('Nope');
+		await passing;
+		expect(await committed(1901)).toBeTruthy();
+		expect(await committed(1902)).toBeFalsy();
+	});
+});
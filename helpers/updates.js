@@ -1,29 +1,41 @@
 const Game = require('../models/game');
 const Team = require('../models/team');
 const Player = require('../models/player');
+const Parlay = require('../models/parlay');
+const Challenge = require('../models/challenge');
+const Achievement = require('../models/achievement');
+const Notification = require('../models/notification');
+const Leaderboard = require('../models/leaderboard');
+const Ledger = require('../models/ledger');
+const Webhook = require('../models/webhook');
+const PropLine = require('../models/propLine');
 const moment = require('moment');
 
 class Update {
 	/** Update game info, team game stats and player game stats
 	 *
-	 * Intended to run every 15 minutes for accurate up to date data
+	 * Run by the scheduler (helpers/scheduler.js) from shortly before the first
+	 * tip-off until the day's games are final
+	 *
+	 * Returns { games, teamGameStats, playerGameStats, notifications, webhooksSent }
+	 * 	Where teamGameStats and playerGameStats are { inserted, updated, unchanged } rows
 	 **/
 	static async frequent() {
 		console.log(`Updating games (${moment().format('LLL')}) ...`);
 
-		await Game.updateRecent();
+		const games = await Game.updateRecent();
 
 		console.log(`Finished updating games @ ${moment().format('LLL')}!`);
 
 		console.log(`Updating team game stats (${moment().format('LLL')}) ...`);
 
-		await Team.updateGameStats();
+		const teamGameStats = await Team.updateGameStats();
 
 		console.log(`Finished updating team game stats @ ${moment().format('LLL')}!`);
 
 		console.log(`Updating player game stats (${moment().format('LLL')}) ...`);
 
-		await Player.adminUpdateGameStats();
+		const playerGameStats = await Player.adminUpdateGameStats();
 
 		console.log(`Finished updating player game stats @ console.log${moment().format('LLL')}!`);
 
@@ -34,13 +46,33 @@ class Update {
 
 		console.log(`Finished updating games a second time @ ${moment().format('LLL')}!`);
 
-		return true;
+		console.log(`Sending game notifications (${moment().format('LLL')}) ...`);
+
+		const notifications = (await Notification.gamesStartingSoon()) + (await Notification.bigPerformances());
+
+		console.log(`Finished sending game notifications @ ${moment().format('LLL')}!`);
+
+		console.log(`Sending webhook deliveries (${moment().format('LLL')}) ...`);
+
+		const webhooksSent = (await Webhook.sendDue()).length;
+
+		console.log(`Finished sending webhook deliveries @ ${moment().format('LLL')}!`);
+
+		return { games, teamGameStats, playerGameStats, notifications, webhooksSent };
 	}
 
-	/** Runs every hour starting at 8pm going until 2am to update status of
-	 * picks
+	/** Settle picks, parlays and challenges, then award achievements and
+	 * rebuild leaderboards
+	 *
+	 * Run by the scheduler right after a game goes final and on every idle
+	 * check, which picks up late box scores and voids. Sends the pick.settled
+	 * webhooks it queued so they don't wait for games to be polled again
+	 *
+	 * Returns { picksSettled, achievements, webhooksSent }
 	 **/
-	static async hourly() {
+	static async settle() {
+		const settledBefore = await Ledger.count();
+
 		console.log(`Updating player picks (${moment().subtract(5, 'hours').format('LLL')}) ...`);
 
 		await Player.updatePicks();
@@ -53,49 +85,115 @@ class Update {
 
 		console.log(`Finished updating team picks @ ${moment().subtract(5, 'hours').format('LLL')}!`);
 
-		return true;
+		console.log(`Updating parlays (${moment().subtract(5, 'hours').format('LLL')}) ...`);
+
+		await Parlay.updateParlays();
+
+		console.log(`Finished updating parlays @ ${moment().subtract(5, 'hours').format('LLL')}!`);
+
+		console.log(`Updating challenges (${moment().subtract(5, 'hours').format('LLL')}) ...`);
+
+		await Challenge.updateChallenges();
+
+		console.log(`Finished updating challenges @ ${moment().subtract(5, 'hours').format('LLL')}!`);
+
+		console.log(`Evaluating achievements (${moment().subtract(5, 'hours').format('LLL')}) ...`);
+
+		const achievements = (await Achievement.evaluate()).length;
+
+		console.log(`Finished evaluating achievements @ ${moment().subtract(5, 'hours').format('LLL')}!`);
+
+		console.log(`Recomputing leaderboards (${moment().subtract(5, 'hours').format('LLL')}) ...`);
+
+		await Leaderboard.recompute();
+
+		console.log(`Finished recomputing leaderboards @ ${moment().subtract(5, 'hours').format('LLL')}!`);
+
+		const picksSettled = (await Ledger.count()) - settledBefore;
+
+		console.log(`Sending webhook deliveries (${moment().subtract(5, 'hours').format('LLL')}) ...`);
+
+		const webhooksSent = (await Webhook.sendDue()).length;
+
+		console.log(`Finished sending webhook deliveries @ ${moment().subtract(5, 'hours').format('LLL')}!`);
+
+		return { picksSettled, achievements, webhooksSent };
 	}
 
-	/** Update team season stats and player season stats
+	/** Rebuild team and player season stats from box scores, update
+	 * standings and recalculate the playoff picture from them
+	 *
+	 * Season stats also roll up as box scores are saved, this is a full
+	 * rebuild in case anything was missed
 	 *
 	 * Intended to run every day @ 2:30am after games have finished
+	 *
+	 * Returns { teamSeasonStats, playerSeasonStats, standings, playoffs }
 	 **/
 
 	static async dailyStats() {
 		console.log(`Updating team season stats (${moment().subtract(5, 'hours').format('LLL')}) ...`);
 
-		await Team.updateSeasonStats();
+		const teamSeasonStats = await Team.updateSeasonStats();
 
 		console.log(`Finished updating team season stats @ ${moment().subtract(5, 'hours').format('LLL')}!`);
 
 		console.log(`Updating player season stats (${moment().subtract(5, 'hours').format('LLL')}) ...`);
 
-		await Player.updateSeasonStats();
+		const playerSeasonStats = await Player.updateSeasonStats();
 
 		console.log(`Finished updating player season stats @ ${moment().subtract(5, 'hours').format('LLL')}!`);
 
 		console.log(`Updating conference and division standings (${moment().subtract(5, 'hours').format('LLL')}) ...`);
 
-		await Team.updateStandings();
+		const standings = (await Team.updateStandings()).teams;
 
 		console.log(
 			`Finished updating conference and division standings @ ${moment().subtract(5, 'hours').format('LLL')}!`
 		);
 
-		return true;
+		console.log(`Updating playoff picture (${moment().subtract(5, 'hours').format('LLL')}) ...`);
+
+		const playoffs = (await Team.updatePlayoffs()).teams;
+
+		console.log(`Finished updating playoff picture @ ${moment().subtract(5, 'hours').format('LLL')}!`);
+
+		return { teamSeasonStats, playerSeasonStats, standings, playoffs };
+	}
+
+	/** Generate player prop lines for the next couple of days' games
+	 *
+	 * Intended to run every day after dailyStats so lines use the latest box
+	 * scores. Pick data only reads stored lines, it never generates them.
+	 *
+	 * Returns { games, lines }
+	 **/
+
+	static async propLines() {
+		console.log(`Generating prop lines (${moment().subtract(5, 'hours').format('LLL')}) ...`);
+
+		const { games, lines } = await PropLine.generateUpcoming();
+
+		console.log(`Finished generating prop lines @ ${moment().subtract(5, 'hours').format('LLL')}!`);
+
+		return { games, lines };
 	}
 
 	/** Update player info for all players on each team
 	 *
 	 *  Intended to run every day at 8am to account for trades
+	 *
+	 *  Returns { players }
 	 */
 
 	static async dailyPlayers() {
 		console.log(`Updating player info (${moment().subtract(5, 'hours').format('LLL')}) ...`);
 
-		await Player.updateInfo();
+		const { players } = await Player.updateInfo();
 
 		console.log(`Finished updating player info @ ${moment().subtract(5, 'hours').format('LLL')}!`);
+
+		return { players };
 	}
 }
 
@@ -0,0 +1,74 @@
+'use strict';
+
+/** Bulk insert-or-update for ingested stats.
+ *
+ * 	A whole batch (ex: every box score line from a game) is written in one
+ * 	INSERT ... ON CONFLICT statement instead of a SELECT and a write per row.
+ * 	Rows that already match what's stored aren't written again, so rerunning
+ * 	an update over the same data changes nothing.
+ **/
+
+const db = require('../db');
+
+/** Given a table, the columns of its unique key (ex: ['player_id', 'game_id'])
+ * 	and rows as objects keyed by column name, insert the new rows and update
+ * 	the existing ones that changed
+ *
+ * 	If a key shows up more than once in rows the last one is written.
+ * 	table and columns come from our code, never from a request.
+ *
+ * 	Returns { inserted, updated, unchanged, written }
+ * 		Where written is [ { prev, next }, ... ] for each row inserted or
+ * 		updated, the row before (null if inserted) and after the write
+ **/
+
+async function upsert(table, keys, rows) {
+	const byKey = new Map();
+	for (let row of rows) byKey.set(keys.map((k) => row[k]).join('-'), row);
+	const batch = [...byKey.values()];
+
+	if (!batch.length) return { inserted: 0, updated: 0, unchanged: 0, written: [] };
+
+	const columns = Object.keys(batch[0]);
+	const updates = columns.filter((c) => !keys.includes(c));
+	const writtenRes = await db.query(
+		`WITH input AS (
+			SELECT ${columns.join(', ')} FROM jsonb_populate_recordset(NULL::${table}, $1)
+		), prev AS (
+			SELECT t.* FROM ${table} t JOIN input USING (${keys.join(', ')})
+		), written AS (
+			INSERT INTO ${table} AS t (${columns.join(', ')})
+			SELECT ${columns.join(', ')} FROM input
+			ON CONFLICT (${keys.join(', ')}) DO UPDATE
+			SET ${updates.map((c) => `${c} = EXCLUDED.${c}`).join(', ')}
+			WHERE (${updates.map((c) => `t.${c}`).join(', ')}) IS DISTINCT FROM (${updates
+				.map((c) => `EXCLUDED.${c}`)
+				.join(', ')})
+			RETURNING t.*
+		)
+		SELECT to_jsonb(prev) AS prev, to_jsonb(written) AS next
+		FROM written LEFT JOIN prev USING (${keys.join(', ')})`,
+		[JSON.stringify(batch)]
+	);
+
+	const written = writtenRes.rows;
+	const inserted = written.filter((w) => !w.prev).length;
+	return {
+		inserted,
+		updated: written.length - inserted,
+		unchanged: batch.length - written.length,
+		written,
+	};
+}
+
+/** Given { inserted, updated, unchanged } counts, add them together */
+
+function addCounts(total, counts) {
+	return {
+		inserted: total.inserted + counts.inserted,
+		updated: total.updated + counts.updated,
+		unchanged: total.unchanged + counts.unchanged,
+	};
+}
+
+module.exports = { upsert, addCounts };
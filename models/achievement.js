@@ -0,0 +1,141 @@
+const db = require('../db');
+const moment = require('moment');
+
+// Every settled (win, loss or push) player and team pick, voids left out
+// games.date is UTC, game_day is the Eastern date the game was played on
+const SETTLED = `WITH settled AS (
+	SELECT pp.username, 'player' AS pick_type, pp.id, pp.result, g.date, DATE((g.date AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York') AS game_day
+	FROM player_picks pp
+	JOIN games g ON pp.game_id = g.id
+	WHERE pp.result IN ('win', 'loss', 'push')
+	UNION ALL
+	SELECT tp.username, 'team', tp.id, tp.result, g.date, DATE((g.date AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York')
+	FROM team_picks tp
+	JOIN games g ON tp.game_id = g.id
+	WHERE tp.result IN ('win', 'loss', 'push')
+)`;
+
+/** Achievement rules
+ *
+ * 	Each rule is a badge ({ code, name, description }) and a query for the
+ * 	usernames that have earned it. Codes are stored in user_achievements so
+ * 	they must not change once released. New badges only need a rule here,
+ * 	they are picked up by the next Achievement.evaluate.
+ **/
+
+const ACHIEVEMENTS = [
+	{
+		code: 'win-streak-10',
+		name: 'On Fire',
+		description: 'Win 10 picks in a row',
+		// Runs of the same result share a run id (gaps and islands), pushes don't end a run
+		earnedBy: `${SETTLED},
+			decided AS (
+				SELECT username, result,
+					ROW_NUMBER() OVER (PARTITION BY username ORDER BY date, pick_type, id)
+					- ROW_NUMBER() OVER (PARTITION BY username, result ORDER BY date, pick_type, id) AS run
+				FROM settled
+				WHERE result IN ('win', 'loss')
+			)
+			SELECT DISTINCT username
+			FROM decided
+			WHERE result = 'win'
+			GROUP BY username, run
+			HAVING COUNT(*) >= 10`,
+	},
+	{
+		code: 'perfect-night',
+		name: 'Perfect Night',
+		description: 'Win every one of at least 3 picks on a game day',
+		earnedBy: `${SETTLED}
+			SELECT DISTINCT username
+			FROM settled
+			GROUP BY username, game_day
+			HAVING COUNT(*) >= 3 AND COUNT(*) FILTER (WHERE result = 'win') = COUNT(*)`,
+	},
+	{
+		code: 'first-parlay',
+		name: 'Cashed Slip',
+		description: 'Hit your first parlay',
+		earnedBy: `SELECT DISTINCT username FROM parlays WHERE result = 'win'`,
+	},
+	{
+		code: 'settled-100',
+		name: 'Regular',
+		description: 'Have 100 picks settled',
+		earnedBy: `${SETTLED}
+			SELECT username
+			FROM settled
+			GROUP BY username
+			HAVING COUNT(*) >= 100`,
+	},
+];
+
+/** Related functions for achievements (badges) */
+
+class Achievement {
+	/** Award every badge users have earned but don't have yet, run after
+	 * 	picks are settled. Badges are never taken away.
+	 *
+	 * 	Returns [ { username, code }, ... ] for the badges just awarded
+	 **/
+
+	static async evaluate() {
+		const awarded = [];
+
+		for (let { code, earnedBy } of ACHIEVEMENTS) {
+			const awardRes = await db.query(
+				`INSERT INTO user_achievements (username, code)
+				SELECT username, $1 FROM (${earnedBy}) earned
+				ON CONFLICT DO NOTHING
+				RETURNING username, code`,
+				[code]
+			);
+
+			for (let award of awardRes.rows) console.log(`${award.username} earned ${award.code}!`);
+			awarded.push(...awardRes.rows);
+		}
+
+		console.log(`Achievements evaluated @ ${moment().subtract(5, 'hours').format('LLL')}`);
+		return awarded;
+	}
+
+	/** Return every badge that can be earned and how many users have it
+	 *
+	 * 	Returns [ { code, name, description, earnedBy }, ... ]
+	 **/
+
+	static async catalog() {
+		const countsRes = await db.query(`SELECT code, COUNT(*)::INTEGER AS count FROM user_achievements GROUP BY code`);
+
+		return ACHIEVEMENTS.map(({ code, name, description }) => {
+			const earned = countsRes.rows.find((c) => c.code === code);
+			return { code, name, description, earnedBy: earned ? earned.count : 0 };
+		});
+	}
+
+	/** Given a username, return the badges they have earned, newest first
+	 *
+	 * 	Returns [ { code, name, description, earnedAt }, ... ]
+	 **/
+
+	static async forUser(username) {
+		const earnedRes = await db.query(
+			`SELECT code, earned_at AS "earnedAt"
+			FROM user_achievements
+			WHERE username = $1
+			ORDER BY earned_at DESC, code`,
+			[username]
+		);
+
+		// Badges whose rule has since been removed aren't shown
+		return earnedRes.rows
+			.map(({ code, earnedAt }) => {
+				const achievement = ACHIEVEMENTS.find((a) => a.code === code);
+				return achievement && { code, name: achievement.name, description: achievement.description, earnedAt };
+			})
+			.filter(Boolean);
+	}
+}
+
+module.exports = Achievement;
@@ -0,0 +1,112 @@
+const db = require('../db.js');
+const Achievement = require('./achievement.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Add settled player picks on game 1 for User with the given results in order */
+
+async function addPicks(results) {
+	for (let result of results) {
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value, result)
+			VALUES ('User', 1, 1, 'points', 'OVER', 30.5, 100, $1)`,
+			[result]
+		);
+	}
+}
+
+const wins = (n) => Array(n).fill('win');
+
+/** Evaluate */
+
+describe('evaluate', function () {
+	test('awards a win streak and perfect night', async function () {
+		await addPicks(wins(10));
+		expect(await Achievement.evaluate()).toEqual([
+			{ username: 'User', code: 'win-streak-10' },
+			{ username: 'User', code: 'perfect-night' },
+		]);
+	});
+
+	test('a perfect night is an Eastern game day', async function () {
+		// 1 AM UTC on the 3rd is still the night of the 2nd in New York
+		await db.query(
+			`INSERT INTO games (id, season, date, location, home_team, away_team, status, clock, quarter, score, winner)
+			VALUES (3, 2023, '2024-01-03 01:00:00', 'State Farm Arena (Atlanta)', 3, 1, 'finished', '', 0, '95 - 99', 1)`
+		);
+		await addPicks(wins(2));
+		await db.query(
+			`INSERT INTO team_picks (username, team_id, game_id, point_value, result) VALUES ('User', 1, 3, 100, 'win')`
+		);
+		expect(await Achievement.evaluate()).toEqual([{ username: 'User', code: 'perfect-night' }]);
+	});
+
+	test('a loss ends a streak, a push does not', async function () {
+		await addPicks([...wins(5), 'loss', ...wins(5)]);
+		expect(await Achievement.evaluate()).toEqual([]);
+
+		await db.query(`UPDATE player_picks SET result = 'push' WHERE result = 'loss'`);
+		expect(await Achievement.evaluate()).toEqual([{ username: 'User', code: 'win-streak-10' }]);
+	});
+
+	test('awards first parlay hit', async function () {
+		await db.query(`INSERT INTO parlays (username, point_value, result) VALUES ('Admin', 300, 'win')`);
+		expect(await Achievement.evaluate()).toEqual([{ username: 'Admin', code: 'first-parlay' }]);
+	});
+
+	test('awards 100 settled picks', async function () {
+		await addPicks(Array(100).fill('loss'));
+		expect(await Achievement.evaluate()).toEqual([{ username: 'User', code: 'settled-100' }]);
+	});
+
+	test('awards each badge once', async function () {
+		await addPicks(wins(10));
+		await Achievement.evaluate();
+		expect(await Achievement.evaluate()).toEqual([]);
+	});
+});
+
+/** Catalog */
+
+describe('catalog', function () {
+	test('works', async function () {
+		await addPicks(wins(3));
+		await Achievement.evaluate();
+
+		const catalog = await Achievement.catalog();
+		expect(catalog.map((a) => a.code)).toEqual(['win-streak-10', 'perfect-night', 'first-parlay', 'settled-100']);
+		expect(catalog[1]).toEqual({
+			code: 'perfect-night',
+			name: 'Perfect Night',
+			description: 'Win every one of at least 3 picks on a game day',
+			earnedBy: 1,
+		});
+		expect(catalog[0].earnedBy).toEqual(0);
+	});
+});
+
+/** For user */
+
+describe('forUser', function () {
+	test('works', async function () {
+		await addPicks(wins(3));
+		await Achievement.evaluate();
+		expect(await Achievement.forUser('User')).toEqual([
+			{
+				code: 'perfect-night',
+				name: 'Perfect Night',
+				description: 'Win every one of at least 3 picks on a game day',
+				earnedAt: expect.any(Date),
+			},
+		]);
+	});
+
+	test('leaves out badges without a rule', async function () {
+		await db.query(`INSERT INTO user_achievements (username, code) VALUES ('User', 'retired')`);
+		expect(await Achievement.forUser('User')).toEqual([]);
+	});
+});
@@ -0,0 +1,172 @@
+const db = require('../db');
+
+// Every settled (win, loss or push) pick of user $1 with what's needed to
+// break it down. distance is how far the final result landed from the
+// pick's line, win picks have no line.
+// games.date is UTC, game_day is the Eastern date the game was played on
+const SETTLED = `WITH settled AS (
+	SELECT 'player' AS pick_type, pp.id, pp.stat, pp.over_under, p.team_id, p.team_id = g.home_team AS is_home,
+		g.date, DATE((g.date AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York') AS game_day, pp.result, pp.point_value,
+		ABS(CASE pp.stat
+			WHEN 'points' THEN gs.points
+			WHEN 'tpm' THEN gs.tpm
+			WHEN 'rebounds' THEN gs.total_reb
+			WHEN 'assists' THEN gs.assists
+			WHEN 'steals' THEN gs.steals
+			WHEN 'blocks' THEN gs.blocks
+		END - pp.value) AS distance
+	FROM player_picks pp
+	JOIN games g ON pp.game_id = g.id
+	JOIN players p ON pp.player_id = p.id
+	LEFT JOIN game_stats gs ON gs.game_id = pp.game_id AND gs.player_id = pp.player_id
+	WHERE pp.username = $1
+	AND pp.result IN ('win', 'loss', 'push')
+	UNION ALL
+	SELECT 'team', tp.id, NULL, tp.over_under, tp.team_id, CASE WHEN tp.team_id IS NOT NULL THEN tp.team_id = g.home_team END,
+		g.date, DATE((g.date AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York'), tp.result, tp.point_value,
+		CASE tp.pick_type
+			WHEN 'total' THEN ABS(home.points + away.points - tp.line)
+			WHEN 'spread' THEN ABS(CASE WHEN tp.team_id = g.home_team THEN home.points - away.points ELSE away.points - home.points END + tp.line)
+		END
+	FROM team_picks tp
+	JOIN games g ON tp.game_id = g.id
+	LEFT JOIN team_game_stats home ON home.game_id = g.id AND home.team_id = g.home_team
+	LEFT JOIN team_game_stats away ON away.game_id = g.id AND away.team_id = g.away_team
+	WHERE tp.username = $1
+	AND tp.result IN ('win', 'loss', 'push')
+)`;
+
+// Record, hit rate and points won for a group of settled picks
+const TOTALS = `COUNT(*)::INTEGER AS picks,
+	COUNT(*) FILTER (WHERE result = 'win')::INTEGER AS wins,
+	COUNT(*) FILTER (WHERE result = 'loss')::INTEGER AS losses,
+	COUNT(*) FILTER (WHERE result = 'push')::INTEGER AS pushes,
+	ROUND(COUNT(*) FILTER (WHERE result = 'win')::NUMERIC / NULLIF(COUNT(*) FILTER (WHERE result IN ('win', 'loss')), 0), 3)::REAL AS "hitRate",
+	COALESCE(SUM(point_value) FILTER (WHERE result = 'win'), 0)::INTEGER AS points`;
+
+/** Related functions for pick analytics
+ *
+ * 	Breakdowns are aggregated in SQL from a user's settled player and team
+ * 	picks (voids left out). Hit rate is wins over wins and losses.
+ **/
+
+class Analytics {
+	/** Given a username, break down how their settled picks have done
+	 *
+	 * 	Returns { overall, byStat, byOverUnder, byTeam, byLocation, byDayOfWeek, streaks, avgLineDistance, pointsOverTime }
+	 * 		Where overall and each breakdown entry has { picks, wins, losses, pushes, hitRate, points }
+	 * 		Where byStat is [ { stat, avgLineDistance, ... }, ... ] for player picks
+	 * 		Where byOverUnder is [ { overUnder, ... }, ... ] for player and total picks
+	 * 		Where byTeam is [ { teamId, teamCode, ... }, ... ] for team picks
+	 * 		Where byLocation is [ { location, ... }, ... ] by whether the team or player's team was home or away
+	 * 		Where byDayOfWeek is [ { day, ... }, ... ] Monday first
+	 * 		Where streaks is { current, longest } in straight wins, pushes don't end a streak
+	 * 		Where pointsOverTime is [ { date, points, total }, ... ] by game day
+	 **/
+
+	static async forUser(username) {
+		const overallRes = await db.query(
+			`${SETTLED}
+			SELECT ${TOTALS}, ROUND(AVG(distance)::NUMERIC, 2)::REAL AS "avgLineDistance"
+			FROM settled`,
+			[username]
+		);
+		const { avgLineDistance, ...overall } = overallRes.rows[0];
+
+		const byStatRes = await db.query(
+			`${SETTLED}
+			SELECT stat, ${TOTALS}, ROUND(AVG(distance)::NUMERIC, 2)::REAL AS "avgLineDistance"
+			FROM settled
+			WHERE pick_type = 'player'
+			GROUP BY stat
+			ORDER BY stat`,
+			[username]
+		);
+
+		const byOverUnderRes = await db.query(
+			`${SETTLED}
+			SELECT over_under AS "overUnder", ${TOTALS}
+			FROM settled
+			WHERE over_under IS NOT NULL
+			GROUP BY over_under
+			ORDER BY over_under`,
+			[username]
+		);
+
+		const byTeamRes = await db.query(
+			`${SETTLED}
+			SELECT t.id AS "teamId", t.code AS "teamCode", ${TOTALS}
+			FROM settled s
+			JOIN teams t ON s.team_id = t.id
+			WHERE s.pick_type = 'team'
+			GROUP BY t.id
+			ORDER BY points DESC, t.code`,
+			[username]
+		);
+
+		const byLocationRes = await db.query(
+			`${SETTLED}
+			SELECT CASE WHEN is_home THEN 'home' ELSE 'away' END AS location, ${TOTALS}
+			FROM settled
+			WHERE is_home IS NOT NULL
+			GROUP BY is_home
+			ORDER BY is_home DESC`,
+			[username]
+		);
+
+		const byDayOfWeekRes = await db.query(
+			`${SETTLED}
+			SELECT TRIM(TO_CHAR(game_day, 'Day')) AS day, ${TOTALS}
+			FROM settled
+			GROUP BY TO_CHAR(game_day, 'Day'), EXTRACT(ISODOW FROM game_day)
+			ORDER BY EXTRACT(ISODOW FROM game_day)`,
+			[username]
+		);
+
+		// Runs of the same result share a run id (gaps and islands), the
+		// current streak is the run holding the latest pick if it's wins
+		const streaksRes = await db.query(
+			`${SETTLED},
+			decided AS (
+				SELECT result, ROW_NUMBER() OVER (ORDER BY date, pick_type, id) AS n,
+					ROW_NUMBER() OVER (ORDER BY date, pick_type, id) - ROW_NUMBER() OVER (PARTITION BY result ORDER BY date, pick_type, id) AS run
+				FROM settled
+				WHERE result IN ('win', 'loss')
+			),
+			runs AS (
+				SELECT result, COUNT(*) AS length, MAX(n) AS last
+				FROM decided
+				GROUP BY result, run
+			)
+			SELECT COALESCE(MAX(length) FILTER (WHERE result = 'win' AND last = (SELECT MAX(n) FROM decided)), 0)::INTEGER AS current,
+				COALESCE(MAX(length) FILTER (WHERE result = 'win'), 0)::INTEGER AS longest
+			FROM runs`,
+			[username]
+		);
+
+		const pointsOverTimeRes = await db.query(
+			`${SETTLED}
+			SELECT TO_CHAR(game_day, 'YYYY-MM-DD') AS date,
+				COALESCE(SUM(point_value) FILTER (WHERE result = 'win'), 0)::INTEGER AS points,
+				SUM(COALESCE(SUM(point_value) FILTER (WHERE result = 'win'), 0)) OVER (ORDER BY game_day)::INTEGER AS total
+			FROM settled
+			GROUP BY game_day
+			ORDER BY game_day`,
+			[username]
+		);
+
+		return {
+			overall,
+			byStat: byStatRes.rows,
+			byOverUnder: byOverUnderRes.rows,
+			byTeam: byTeamRes.rows,
+			byLocation: byLocationRes.rows,
+			byDayOfWeek: byDayOfWeekRes.rows,
+			streaks: streaksRes.rows[0],
+			avgLineDistance,
+			pointsOverTime: pointsOverTimeRes.rows,
+		};
+	}
+}
+
+module.exports = Analytics;
@@ -0,0 +1,111 @@
+const db = require('../db.js');
+const Analytics = require('./analytics.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Settled picks on game 1 (Tuesday, BOS 100 - 90 NYK at home), in the
+ * 	order W L L then W W P for streaks
+ **/
+
+beforeEach(async function () {
+	await db.query(
+		`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value, result)
+		VALUES ('User', 1, 1, 'points', 'OVER', 30.5, 150, 'win'),
+		('User', 2, 1, 'points', 'OVER', 30.5, 100, 'loss'),
+		('User', 2, 1, 'assists', 'UNDER', 10.5, 100, 'loss'),
+		('User', 2, 1, 'blocks', 'OVER', 10.5, 100, 'void')`
+	);
+	await db.query(
+		`INSERT INTO team_picks (username, team_id, game_id, pick_type, line, over_under, point_value, result)
+		VALUES ('User', 1, 1, 'win', NULL, NULL, 100, 'win'),
+		('User', NULL, 1, 'total', 180.5, 'OVER', 100, 'win'),
+		('User', 2, 1, 'spread', 10, NULL, 100, 'push')`
+	);
+});
+
+/** For user */
+
+describe('forUser', function () {
+	test('works', async function () {
+		const analytics = await Analytics.forUser('User');
+		expect(analytics).toEqual({
+			overall: { picks: 6, wins: 3, losses: 2, pushes: 1, hitRate: 0.6, points: 350 },
+			byStat: [
+				{ stat: 'assists', picks: 1, wins: 0, losses: 1, pushes: 0, hitRate: 0, points: 0, avgLineDistance: 23.5 },
+				{ stat: 'points', picks: 2, wins: 1, losses: 1, pushes: 0, hitRate: 0.5, points: 150, avgLineDistance: 26 },
+			],
+			byOverUnder: [
+				{ overUnder: 'OVER', picks: 3, wins: 2, losses: 1, pushes: 0, hitRate: 0.667, points: 250 },
+				{ overUnder: 'UNDER', picks: 1, wins: 0, losses: 1, pushes: 0, hitRate: 0, points: 0 },
+			],
+			byTeam: [
+				{ teamId: 1, teamCode: 'BOS', picks: 1, wins: 1, losses: 0, pushes: 0, hitRate: 1, points: 100 },
+				{ teamId: 2, teamCode: 'NYK', picks: 1, wins: 0, losses: 0, pushes: 1, hitRate: null, points: 0 },
+			],
+			byLocation: [
+				{ location: 'home', picks: 2, wins: 2, losses: 0, pushes: 0, hitRate: 1, points: 250 },
+				{ location: 'away', picks: 3, wins: 0, losses: 2, pushes: 1, hitRate: 0, points: 0 },
+			],
+			byDayOfWeek: [{ day: 'Tuesday', picks: 6, wins: 3, losses: 2, pushes: 1, hitRate: 0.6, points: 350 }],
+			streaks: { current: 2, longest: 2 },
+			avgLineDistance: 17,
+			pointsOverTime: [{ date: '2024-01-02', points: 350, total: 350 }],
+		});
+	});
+
+	test('current streak ends with a loss', async function () {
+		await db.query(`UPDATE team_picks SET result = 'loss' WHERE pick_type = 'total'`);
+		expect((await Analytics.forUser('User')).streaks).toEqual({ current: 0, longest: 1 });
+	});
+
+	test('points over time add up by game day', async function () {
+		await db.query(
+			`INSERT INTO games (id, season, date, location, home_team, away_team, status, clock, quarter, score, winner)
+			VALUES (3, 2023, '2024-01-04 19:30:00', 'State Farm Arena (Atlanta)', 3, 1, 'finished', '', 0, '95 - 99', 1)`
+		);
+		await db.query(
+			`INSERT INTO team_picks (username, team_id, game_id, point_value, result) VALUES ('User', 1, 3, 120, 'win')`
+		);
+
+		const analytics = await Analytics.forUser('User');
+		expect(analytics.pointsOverTime).toEqual([
+			{ date: '2024-01-02', points: 350, total: 350 },
+			{ date: '2024-01-04', points: 120, total: 470 },
+		]);
+		expect(analytics.streaks).toEqual({ current: 3, longest: 3 });
+		expect(analytics.byDayOfWeek.map((d) => d.day)).toEqual(['Tuesday', 'Thursday']);
+	});
+
+	test('game days are Eastern', async function () {
+		// 1 AM UTC on Wednesday the 3rd is still Tuesday night in New York
+		await db.query(
+			`INSERT INTO games (id, season, date, location, home_team, away_team, status, clock, quarter, score, winner)
+			VALUES (3, 2023, '2024-01-03 01:00:00', 'State Farm Arena (Atlanta)', 3, 1, 'finished', '', 0, '95 - 99', 1)`
+		);
+		await db.query(
+			`INSERT INTO team_picks (username, team_id, game_id, point_value, result) VALUES ('User', 1, 3, 120, 'win')`
+		);
+
+		const analytics = await Analytics.forUser('User');
+		expect(analytics.pointsOverTime).toEqual([{ date: '2024-01-02', points: 470, total: 470 }]);
+		expect(analytics.byDayOfWeek.map((d) => d.day)).toEqual(['Tuesday']);
+	});
+
+	test('empty for user without settled picks', async function () {
+		expect(await Analytics.forUser('Admin')).toEqual({
+			overall: { picks: 0, wins: 0, losses: 0, pushes: 0, hitRate: null, points: 0 },
+			byStat: [],
+			byOverUnder: [],
+			byTeam: [],
+			byLocation: [],
+			byDayOfWeek: [],
+			streaks: { current: 0, longest: 0 },
+			avgLineDistance: null,
+			pointsOverTime: [],
+		});
+	});
+});
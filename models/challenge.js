@@ -0,0 +1,269 @@
+const db = require('../db');
+const moment = require('moment');
+const { NotFoundError, BadRequestError, ForbiddenError } = require('../expressError');
+const { PICK_LOCK_GRACE_MINUTES } = require('../config');
+const Game = require('./game');
+
+const SELECT_CHALLENGE = `SELECT id, challenger, opponent, TO_CHAR(date, 'YYYY-MM-DD') AS date, picks_per_user AS "picksPerUser",
+	status, winner, challenger_points AS "challengerPoints", opponent_points AS "opponentPoints", created_at AS "createdAt"
+	FROM challenges`;
+
+// Games on a challenge's slate, the games played on its Eastern date (games.date is UTC)
+const SLATE_GAMES = `SELECT g.id, g.date, g.status FROM games g
+	WHERE DATE((g.date AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York') = c.date`;
+
+/** Related functions for head to head challenges
+ *
+ * 	A challenge is a duel on one date's games (its slate). Each user's first
+ * 	picks_per_user player and team picks on the slate count (voided picks
+ * 	don't use one up) and whoever wins more points from them wins the
+ * 	challenge. Challenges still pending when the slate locks expire.
+ **/
+
+class Challenge {
+	/** Given the challenger and { opponent, date, picksPerUser }, challenge
+	 * 	the opponent to a duel on that date's games
+	 *
+	 * 	Returns { id, challenger, opponent, date, picksPerUser, status, winner, createdAt, scores, games }
+	 *
+	 * 	Throws NotFoundError if either user not found
+	 * 	Throws BadRequestError if challenging yourself, there are no games on
+	 * 	the date or the slate has already locked
+	 **/
+
+	static async create(challenger, { opponent, date, picksPerUser = 3 }) {
+		const usersRes = await db.query(`SELECT username FROM users WHERE username = ANY($1)`, [[challenger, opponent]]);
+		for (let username of [challenger, opponent]) {
+			if (!usersRes.rows.some((u) => u.username === username)) throw new NotFoundError(`No user: ${username}`);
+		}
+
+		if (challenger === opponent) throw new BadRequestError('You can not challenge yourself!');
+
+		const games = await Game.filter(null, date);
+		if (!games.length) throw new BadRequestError(`No games on ${date}!`);
+
+		// The slate locks with its first game
+		await Game.checkUnlocked(games[0].id);
+
+		const challengeRes = await db.query(
+			`INSERT INTO challenges (challenger, opponent, date, picks_per_user) VALUES ($1, $2, $3, $4) RETURNING id`,
+			[challenger, opponent, date, picksPerUser]
+		);
+
+		return await this.get(challengeRes.rows[0].id, challenger);
+	}
+
+	/** Given a challenge id and the username asking, return the challenge with
+	 * 	its slate and each user's points so far
+	 *
+	 * 	Returns { id, challenger, opponent, date, picksPerUser, status, winner, createdAt, scores, games }
+	 * 		Where scores is { username: points, ... }
+	 * 		Where games is the slate from Game.filter
+	 *
+	 * 	Throws NotFoundError if challenge not found
+	 * 	Throws ForbiddenError if user is not in the challenge
+	 **/
+
+	static async get(id, username) {
+		const challenge = await checkParticipant(id, username);
+
+		challenge.scores = await scores(challenge);
+		challenge.games = await Game.filter(null, challenge.date);
+
+		return challenge;
+	}
+
+	/** Given a username, return the challenges they are in, newest slate first
+	 *
+	 * 	Returns [ { id, challenger, opponent, date, picksPerUser, status, winner, createdAt, scores }, ... ]
+	 **/
+
+	static async forUser(username) {
+		const challengesRes = await db.query(
+			`${SELECT_CHALLENGE}
+			WHERE challenger = $1 OR opponent = $1
+			ORDER BY date DESC, id DESC`,
+			[username]
+		);
+		const challenges = challengesRes.rows;
+
+		for (let challenge of challenges) challenge.scores = await scores(challenge);
+
+		return challenges;
+	}
+
+	/** Given a challenge id, the username asking and whether they accept,
+	 * 	accept or decline a pending challenge
+	 *
+	 * 	Returns { id, challenger, opponent, date, picksPerUser, status, winner, createdAt, scores, games }
+	 *
+	 * 	Throws NotFoundError if challenge not found
+	 * 	Throws ForbiddenError if user is not the opponent
+	 * 	Throws BadRequestError if the challenge isn't pending or has expired
+	 **/
+
+	static async respond(id, username, accept) {
+		const challenge = await checkParticipant(id, username);
+
+		if (challenge.opponent !== username) throw new ForbiddenError('Only the opponent can respond to a challenge');
+		if (challenge.status !== 'pending') throw new BadRequestError(`Challenge ${id} is already ${challenge.status}`);
+
+		const expiredRes = await db.query(
+			`UPDATE challenges c SET status = 'expired'
+			WHERE id = $1 AND EXISTS (${SLATE_GAMES} AND (g.status <> 'scheduled' OR g.date + make_interval(mins => $2) <= (NOW() AT TIME ZONE 'UTC')))
+			RETURNING id`,
+			[id, PICK_LOCK_GRACE_MINUTES]
+		);
+
+		if (expiredRes.rows[0]) throw new BadRequestError(`Challenge ${id} expired when its slate locked`);
+
+		await db.query(`UPDATE challenges SET status = $1 WHERE id = $2`, [accept ? 'accepted' : 'declined', id]);
+
+		return await this.get(id, username);
+	}
+
+	/** Given a username, return their record in finished challenges
+	 *
+	 * 	Returns { record, wins, losses, ties }
+	 **/
+
+	static async record(username) {
+		const recordRes = await db.query(
+			`SELECT COUNT(*) FILTER (WHERE winner = $1)::INTEGER AS wins,
+				COUNT(*) FILTER (WHERE winner <> $1)::INTEGER AS losses,
+				COUNT(*) FILTER (WHERE winner IS NULL)::INTEGER AS ties
+			FROM challenges
+			WHERE status = 'finished' AND (challenger = $1 OR opponent = $1)`,
+			[username]
+		);
+		const { wins, losses, ties } = recordRes.rows[0];
+
+		return { record: ties ? `${wins} - ${losses} - ${ties}` : `${wins} - ${losses}`, wins, losses, ties };
+	}
+
+	/** Expire pending challenges whose slate has locked, then finish accepted
+	 * 	challenges once their slate is over and every counted pick is graded
+	 **/
+
+	static async updateChallenges() {
+		await db.query(
+			`UPDATE challenges c SET status = 'expired'
+			WHERE status = 'pending'
+			AND EXISTS (${SLATE_GAMES} AND (g.status <> 'scheduled' OR g.date + make_interval(mins => $1) <= (NOW() AT TIME ZONE 'UTC')))`,
+			[PICK_LOCK_GRACE_MINUTES]
+		);
+
+		const challengesRes = await db.query(
+			`${SELECT_CHALLENGE} c
+			WHERE status = 'accepted'
+			AND NOT EXISTS (${SLATE_GAMES} AND g.status IN ('scheduled', 'in play'))`
+		);
+		const challenges = challengesRes.rows;
+
+		if (!challenges.length) return { updateChallenges: 'No challenges to finish yet' };
+
+		for (let challenge of challenges) {
+			const slate = await slatePicks(challenge);
+			if (slate.some((s) => s.pending)) continue;
+
+			const points = (username) => slate.find((s) => s.username === username)?.points || 0;
+			const challengerPoints = points(challenge.challenger);
+			const opponentPoints = points(challenge.opponent);
+
+			let winner = null;
+			if (challengerPoints > opponentPoints) winner = challenge.challenger;
+			else if (opponentPoints > challengerPoints) winner = challenge.opponent;
+
+			await db.query(
+				`UPDATE challenges SET status = 'finished', challenger_points = $1, opponent_points = $2, winner = $3 WHERE id = $4`,
+				[challengerPoints, opponentPoints, winner, challenge.id]
+			);
+			console.log(`Challenge ${challenge.id} finished, ${winner ? `${winner} won` : 'tied'}!`);
+		}
+		console.log(`All eligible challenges update finished @ ${moment().subtract(5, 'hours').format('LLL')}`);
+		return { updateChallenges: 'success' };
+	}
+}
+
+/** Given a challenge id and username, return the challenge if the user is
+ * 	the challenger or opponent
+ *
+ * 	Throws NotFoundError if challenge not found
+ * 	Throws ForbiddenError if user is not in the challenge
+ **/
+
+async function checkParticipant(id, username) {
+	const challengeRes = await db.query(`${SELECT_CHALLENGE} WHERE id = $1`, [id]);
+	const challenge = challengeRes.rows[0];
+
+	if (!challenge) throw new NotFoundError(`No challenge: ${id}`);
+	if (challenge.challenger !== username && challenge.opponent !== username)
+		throw new ForbiddenError(`${username} is not in challenge ${id}`);
+
+	return challenge;
+}
+
+/** Given a challenge, return each user's points, stored once finished and
+ * 	counted from their picks so far before then. Moves the stored points
+ * 	off of the challenge.
+ *
+ * 	Returns { username: points, ... }
+ **/
+
+async function scores(challenge) {
+	const { challengerPoints, opponentPoints } = challenge;
+	delete challenge.challengerPoints;
+	delete challenge.opponentPoints;
+
+	if (challenge.status === 'finished')
+		return { [challenge.challenger]: challengerPoints, [challenge.opponent]: opponentPoints };
+
+	const slate = await slatePicks(challenge);
+	const scores = {};
+	for (let username of [challenge.challenger, challenge.opponent]) {
+		const picks = slate.find((s) => s.username === username);
+		scores[username] = picks ? picks.points : 0;
+	}
+
+	return scores;
+}
+
+/** Given a challenge, total up the picks that count for each user
+ *
+ * 	Returns [ { username, picks, pending, points }, ... ]
+ **/
+
+async function slatePicks({ challenger, opponent, date, picksPerUser }) {
+	const slateRes = await db.query(
+		`WITH picks AS (
+			SELECT pp.username, pp.result, pp.point_value, g.date, 'player' AS pick_type, pp.id
+			FROM player_picks pp
+			JOIN games g ON pp.game_id = g.id
+			WHERE pp.username IN ($1, $2)
+			AND DATE((g.date AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York') = $3
+			AND pp.result IS DISTINCT FROM 'void'
+			UNION ALL
+			SELECT tp.username, tp.result, tp.point_value, g.date, 'team', tp.id
+			FROM team_picks tp
+			JOIN games g ON tp.game_id = g.id
+			WHERE tp.username IN ($1, $2)
+			AND DATE((g.date AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York') = $3
+			AND tp.result IS DISTINCT FROM 'void'
+		),
+		counted AS (
+			SELECT *, ROW_NUMBER() OVER (PARTITION BY username ORDER BY date, pick_type, id) AS n
+			FROM picks
+		)
+		SELECT username, COUNT(*)::INTEGER AS picks,
+			COUNT(*) FILTER (WHERE result IS NULL)::INTEGER AS pending,
+			COALESCE(SUM(point_value) FILTER (WHERE result = 'win'), 0)::INTEGER AS points
+		FROM counted
+		WHERE n <= $4
+		GROUP BY username`,
+		[challenger, opponent, date, picksPerUser]
+	);
+
+	return slateRes.rows;
+}
+
+module.exports = Challenge;
@@ -0,0 +1,217 @@
+const db = require('../db.js');
+const moment = require('moment');
+const Challenge = require('./challenge.js');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../expressError');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+// Date of game 2, the only game still open for picks
+const openDate = moment().add(7, 'days').format('YYYY-MM-DD');
+
+/** Add a challenge from User to Admin on the finished game 1's slate,
+ * 	skipping create's check that the slate hasn't locked
+ **/
+
+async function addFinishedSlateChallenge(status = 'accepted', picksPerUser = 3) {
+	const challengeRes = await db.query(
+		`INSERT INTO challenges (challenger, opponent, date, picks_per_user, status)
+		VALUES ('User', 'Admin', '2024-01-02', $1, $2)
+		RETURNING id`,
+		[picksPerUser, status]
+	);
+	return challengeRes.rows[0].id;
+}
+
+async function addPicks() {
+	await db.query(
+		`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value, result)
+		VALUES ('User', 1, 1, 'points', 'OVER', 30.5, 150, 'win'),
+		('User', 2, 1, 'points', 'OVER', 30.5, 100, 'loss'),
+		('Admin', 2, 1, 'assists', 'OVER', 10.5, 200, 'win')`
+	);
+}
+
+/** Create */
+
+describe('create', function () {
+	test('works', async function () {
+		const challenge = await Challenge.create('User', { opponent: 'Admin', date: openDate, picksPerUser: 2 });
+		expect(challenge).toEqual({
+			id: expect.any(Number),
+			challenger: 'User',
+			opponent: 'Admin',
+			date: openDate,
+			picksPerUser: 2,
+			status: 'pending',
+			winner: null,
+			createdAt: expect.any(Date),
+			scores: { User: 0, Admin: 0 },
+			games: [expect.objectContaining({ id: 2 })],
+		});
+	});
+
+	test('bad request challenging yourself', async function () {
+		try {
+			await Challenge.create('User', { opponent: 'User', date: openDate });
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('bad request with no games on date', async function () {
+		try {
+			await Challenge.create('User', { opponent: 'Admin', date: '2000-01-01' });
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('bad request if slate locked', async function () {
+		try {
+			await Challenge.create('User', { opponent: 'Admin', date: '2024-01-02' });
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('not found if no such opponent', async function () {
+		try {
+			await Challenge.create('User', { opponent: 'nope', date: openDate });
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
+/** Get */
+
+describe('get', function () {
+	test('scores count only the first picks on the slate', async function () {
+		const id = await addFinishedSlateChallenge('accepted', 1);
+		await addPicks();
+		expect((await Challenge.get(id, 'Admin')).scores).toEqual({ User: 150, Admin: 200 });
+	});
+
+	test('late games count on the slate of their Eastern date', async function () {
+		// 1 AM UTC on the 3rd is still the night of the 2nd in New York
+		await db.query(
+			`INSERT INTO games (id, season, date, location, home_team, away_team, status, clock, quarter, score, winner)
+			VALUES (3, 2023, '2024-01-03 01:00:00', 'State Farm Arena (Atlanta)', 3, 1, 'finished', '', 0, '95 - 99', 1)`
+		);
+		const id = await addFinishedSlateChallenge();
+		await addPicks();
+		await db.query(
+			`INSERT INTO team_picks (username, team_id, game_id, point_value, result) VALUES ('User', 1, 3, 500, 'win')`
+		);
+		expect((await Challenge.get(id, 'Admin')).scores).toEqual({ User: 650, Admin: 200 });
+	});
+
+	test('forbidden for users not in the challenge', async function () {
+		await db.query(`INSERT INTO users (username, password) VALUES ('Other', 'password')`);
+		const id = await addFinishedSlateChallenge();
+		try {
+			await Challenge.get(id, 'Other');
+			fail();
+		} catch (err) {
+			expect(err instanceof ForbiddenError).toBeTruthy();
+		}
+	});
+});
+
+/** Respond */
+
+describe('respond', function () {
+	test('works', async function () {
+		const { id } = await Challenge.create('User', { opponent: 'Admin', date: openDate });
+		expect((await Challenge.respond(id, 'Admin', true)).status).toEqual('accepted');
+	});
+
+	test('works declining', async function () {
+		const { id } = await Challenge.create('User', { opponent: 'Admin', date: openDate });
+		expect((await Challenge.respond(id, 'Admin', false)).status).toEqual('declined');
+	});
+
+	test('forbidden for the challenger', async function () {
+		const { id } = await Challenge.create('User', { opponent: 'Admin', date: openDate });
+		try {
+			await Challenge.respond(id, 'User', true);
+			fail();
+		} catch (err) {
+			expect(err instanceof ForbiddenError).toBeTruthy();
+		}
+	});
+
+	test('expires once the slate locks', async function () {
+		const id = await addFinishedSlateChallenge('pending');
+		try {
+			await Challenge.respond(id, 'Admin', true);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+		expect((await Challenge.get(id, 'User')).status).toEqual('expired');
+	});
+});
+
+/** Update challenges */
+
+describe('updateChallenges', function () {
+	test('finishes accepted challenges', async function () {
+		const id = await addFinishedSlateChallenge();
+		await addPicks();
+		await Challenge.updateChallenges();
+
+		const challenge = await Challenge.get(id, 'User');
+		expect(challenge).toEqual(expect.objectContaining({ status: 'finished', winner: 'Admin', scores: { User: 150, Admin: 200 } }));
+		expect(await Challenge.record('Admin')).toEqual({ record: '1 - 0', wins: 1, losses: 0, ties: 0 });
+		expect(await Challenge.record('User')).toEqual({ record: '0 - 1', wins: 0, losses: 1, ties: 0 });
+	});
+
+	test('ties with equal points', async function () {
+		const id = await addFinishedSlateChallenge();
+		await Challenge.updateChallenges();
+
+		expect((await Challenge.get(id, 'User')).winner).toEqual(null);
+		expect((await Challenge.record('User')).record).toEqual('0 - 0 - 1');
+	});
+
+	test('waits for counted picks to be graded', async function () {
+		const id = await addFinishedSlateChallenge();
+		await addPicks();
+		await db.query(`UPDATE player_picks SET result = NULL WHERE username = 'Admin'`);
+		await Challenge.updateChallenges();
+
+		expect((await Challenge.get(id, 'User')).status).toEqual('accepted');
+	});
+
+	test('slates lock at UTC tip-off whatever the database time zone', async function () {
+		await db.query(`SET LOCAL timezone = 'America/New_York'`);
+		const { id } = await Challenge.create('User', { opponent: 'Admin', date: openDate });
+		await db.query(`UPDATE games SET date = (NOW() AT TIME ZONE 'UTC') - INTERVAL '1 minute' WHERE id = 2`);
+		// Keep game 2 on the challenge's slate
+		await db.query(
+			`UPDATE challenges
+			SET date = (SELECT DATE((date AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York') FROM games WHERE id = 2)
+			WHERE id = $1`,
+			[id]
+		);
+		await Challenge.updateChallenges();
+
+		expect((await Challenge.get(id, 'User')).status).toEqual('expired');
+	});
+
+	test('expires pending challenges on locked slates', async function () {
+		const id = await addFinishedSlateChallenge('pending');
+		await Challenge.updateChallenges();
+
+		expect((await Challenge.get(id, 'User')).status).toEqual('expired');
+	});
+});
@@ -1,16 +1,16 @@
 const db = require('../db');
-const axios = require('axios');
 const { NotFoundError, BadRequestError } = require('../expressError');
-const API_KEY = require('../secrets');
+const { getProvider } = require('../providers');
+const { PICK_LOCK_GRACE_MINUTES } = require('../config');
+const { publish, changes } = require('../helpers/liveFeed');
 const Team = require('./team');
+const Season = require('./season');
+const Webhook = require('./webhook');
+const IngestFailure = require('./ingestFailure');
 const Moment = require('moment');
 
-const BASE_URL = 'https://v2.nba.api-sports.io/';
-const headers = {
-	'x-rapidapi-key': API_KEY || process.env.API_KEY,
-	'x-rapidapi-host': 'v2.nba.api-sports.io',
-};
-const delay = (ms) => new Promise((res) => setTimeout(res, ms));
+// Hours past tip-off a game can still be waiting to start before it's taken as postponed
+const STALE_TIP_HOURS = 6;
 
 /** Related functions for games */
 
@@ -32,9 +32,39 @@ class Game {
 		return game;
 	}
 
+	/** Given a game_id, check that picks on it can still be placed, changed
+	 * 	or removed. Picks lock at tip-off (games.date) plus a grace period of
+	 * 	PICK_LOCK_GRACE_MINUTES, or as soon as the game is no longer scheduled.
+	 * 	games.date is UTC, so it's compared with the time in UTC whatever the
+	 * 	database's time zone
+	 *
+	 * 	Returns { id, date, location, home_team, away_team, status }
+	 *
+	 * 	Throws NotFoundError if not found
+	 * 	Throws BadRequestError if picks on the game are locked
+	 **/
+
+	static async checkUnlocked(gameId) {
+		const gameRes = await db.query(
+			`SELECT id, date, location, home_team, away_team, status,
+			status <> 'scheduled' OR date + make_interval(mins => $2) <= (NOW() AT TIME ZONE 'UTC') AS "isLocked"
+			FROM games
+			WHERE id = $1`,
+			[gameId, PICK_LOCK_GRACE_MINUTES]
+		);
+
+		const game = gameRes.rows[0];
+
+		if (!game) throw new NotFoundError(`No game: ${gameId}`);
+		if (game.isLocked) throw new BadRequestError(`Picks for game ${gameId} locked at tip-off!`);
+
+		delete game.isLocked;
+		return game;
+	}
+
 	/** Given a game_id, returns data about game
 	 *
-	 *  Returns { id, date, location, homeId, homeName,
+	 *  Returns { id, season, date, location, homeId, homeName,
 	 *            homeCode, homeLogo, awayId, awayName,
 	 * 			  awayCode, awayLogo, clock, score, status, winner }
 	 *
@@ -44,7 +74,7 @@ class Game {
 
 	static async get(id) {
 		const gameRes = await db.query(
-			`SELECT g.id, g.date, g.location, t1.id AS "homeId", t1.name AS "homeName", t1.code AS "homeCode", t1.logo AS "homeLogo", t2.id AS "awayId", t2.name AS "awayName", t2.code AS "awayCode", t2.logo AS "awayLogo", g.clock, g.score, g.quarter, g.status, g.winner
+			`SELECT g.id, g.season, g.date, g.location, t1.id AS "homeId", t1.name AS "homeName", t1.code AS "homeCode", t1.logo AS "homeLogo", t2.id AS "awayId", t2.name AS "awayName", t2.code AS "awayCode", t2.logo AS "awayLogo", g.clock, g.score, g.quarter, g.status, g.winner
             FROM games g
 			JOIN teams t1 ON g.home_team = t1.id
 			JOIN teams t2 ON g.away_team = t2.id
@@ -59,21 +89,45 @@ class Game {
 		return game;
 	}
 
-	/** Returns all NBA games
+	/** Returns the games in play, earliest first
+	 *
+	 *  Returns [ { id, season, date, location, homeId, homeName,
+	 *            homeCode, homeLogo, awayId, awayName,
+	 * 			  awayCode, awayLogo, clock, score, quarter, status, winner }, ... ]
+	 **/
+
+	static async live() {
+		const gamesRes = await db.query(
+			`SELECT g.id, g.season, g.date, g.location, t1.id AS "homeId", t1.name AS "homeName", t1.code AS "homeCode", t1.logo AS "homeLogo", t2.id AS "awayId", t2.name AS "awayName", t2.code AS "awayCode", t2.logo AS "awayLogo", g.clock, g.score, g.quarter, g.status, g.winner
+            FROM games g
+			JOIN teams t1 ON g.home_team = t1.id
+			JOIN teams t2 ON g.away_team = t2.id
+            WHERE g.status = 'in play'
+			ORDER BY g.date, g.id`
+		);
+
+		return gamesRes.rows;
+	}
+
+	/** Returns all NBA games for a season (defaults to current season)
 	 *
-	 *  Returns { id, date, location, homeId, homeName,
+	 *  Returns { id, season, date, location, homeId, homeName,
 	 *            homeCode, homeLogo, awayId, awayName,
 	 * 			  awayCode, awayLogo, clock, score, status, winner }
 	 *
 	 *  Throws NotFoundError if not found.
 	 **/
 
-	static async getAll() {
+	static async getAll(season) {
+		const year = await Season.resolve(season);
 		const gamesRes = await db.query(
-			`SELECT g.id, g.date, g.location, t1.id AS "homeId", t1.name AS "homeName", t1.code AS "homeCode", t1.logo AS "homeLogo", t2.id AS "awayId", t2.name AS "awayName", t2.code AS "awayCode", t2.logo AS "awayLogo", g.clock, g.score, g.quarter, g.status, g.winner
+			`SELECT g.id, g.season, g.date, g.location, t1.id AS "homeId", t1.name AS "homeName", t1.code AS "homeCode", t1.logo AS "homeLogo", t2.id AS "awayId", t2.name AS "awayName", t2.code AS "awayCode", t2.logo AS "awayLogo", g.clock, g.score, g.quarter, g.status, g.winner
             FROM games g
 			JOIN teams t1 ON g.home_team = t1.id
-			JOIN teams t2 ON g.away_team = t2.id`
+			JOIN teams t2 ON g.away_team = t2.id
+			WHERE g.season = $1
+			ORDER BY g.date ASC`,
+			[year]
 		);
 
 		const games = gamesRes.rows;
@@ -152,7 +206,7 @@ class Game {
 			FROM game_stats gs
 			JOIN players p ON gs.player_id = p.id
 			WHERE gs.game_id = $1
-			AND p.team_id = $2
+			AND COALESCE(gs.team_id, p.team_id) = $2
 			ORDER BY points DESC
 			LIMIT 1`,
 			[game.id, game.home_team]
@@ -163,7 +217,7 @@ class Game {
 			FROM game_stats gs
 			JOIN players p ON gs.player_id = p.id
 			WHERE gs.game_id = $1
-			AND p.team_id = $2
+			AND COALESCE(gs.team_id, p.team_id) = $2
 			ORDER BY points DESC
 			LIMIT 1`,
 			[game.id, game.away_team]
@@ -175,7 +229,7 @@ class Game {
 			FROM game_stats gs
 			JOIN players p ON gs.player_id = p.id
 			WHERE gs.game_id = $1
-			AND p.team_id = $2
+			AND COALESCE(gs.team_id, p.team_id) = $2
 			ORDER BY value DESC
 			LIMIT 1`,
 			[game.id, game.home_team]
@@ -186,7 +240,7 @@ class Game {
 			FROM game_stats gs
 			JOIN players p ON gs.player_id = p.id
 			WHERE gs.game_id = $1
-			AND p.team_id = $2
+			AND COALESCE(gs.team_id, p.team_id) = $2
 			ORDER BY value DESC
 			LIMIT 1`,
 			[game.id, game.away_team]
@@ -198,7 +252,7 @@ class Game {
 			FROM game_stats gs
 			JOIN players p ON gs.player_id = p.id
 			WHERE gs.game_id = $1
-			AND p.team_id = $2
+			AND COALESCE(gs.team_id, p.team_id) = $2
 			ORDER BY assists DESC
 			LIMIT 1`,
 			[game.id, game.home_team]
@@ -209,7 +263,7 @@ class Game {
 			FROM game_stats gs
 			JOIN players p ON gs.player_id = p.id
 			WHERE gs.game_id = $1
-			AND p.team_id = $2
+			AND COALESCE(gs.team_id, p.team_id) = $2
 			ORDER BY assists DESC
 			LIMIT 1`,
 			[game.id, game.away_team]
@@ -221,7 +275,7 @@ class Game {
 			FROM game_stats gs
 			JOIN players p ON gs.player_id = p.id
 			WHERE gs.game_id = $1
-			AND p.team_id = $2
+			AND COALESCE(gs.team_id, p.team_id) = $2
 			ORDER BY blocks DESC
 			LIMIT 1`,
 			[game.id, game.home_team]
@@ -232,7 +286,7 @@ class Game {
 			FROM game_stats gs
 			JOIN players p ON gs.player_id = p.id
 			WHERE gs.game_id = $1
-			AND p.team_id = $2
+			AND COALESCE(gs.team_id, p.team_id) = $2
 			ORDER BY blocks DESC
 			LIMIT 1`,
 			[game.id, game.away_team]
@@ -244,7 +298,7 @@ class Game {
 			FROM game_stats gs
 			JOIN players p ON gs.player_id = p.id
 			WHERE gs.game_id = $1
-			AND p.team_id = $2
+			AND COALESCE(gs.team_id, p.team_id) = $2
 			ORDER BY steals DESC
 			LIMIT 1`,
 			[game.id, game.home_team]
@@ -255,7 +309,7 @@ class Game {
 			FROM game_stats gs
 			JOIN players p ON gs.player_id = p.id
 			WHERE gs.game_id = $1
-			AND p.team_id = $2
+			AND COALESCE(gs.team_id, p.team_id) = $2
 			ORDER BY steals DESC
 			LIMIT 1`,
 			[game.id, game.away_team]
@@ -267,7 +321,7 @@ class Game {
 			FROM game_stats gs
 			JOIN players p ON gs.player_id = p.id
 			WHERE gs.game_id = $1
-			AND p.team_id = $2
+			AND COALESCE(gs.team_id, p.team_id) = $2
 			ORDER BY plus_minus DESC
 			LIMIT 1`,
 			[game.id, game.home_team]
@@ -278,7 +332,7 @@ class Game {
 			FROM game_stats gs
 			JOIN players p ON gs.player_id = p.id
 			WHERE gs.game_id = $1
-			AND p.team_id = $2
+			AND COALESCE(gs.team_id, p.team_id) = $2
 			ORDER BY plus_minus DESC
 			LIMIT 1`,
 			[game.id, game.away_team]
@@ -330,8 +384,8 @@ class Game {
 				FROM games g
 				JOIN teams t1 ON g.home_team = t1.id
 				JOIN teams t2 ON g.away_team = t2.id
-				JOIN team_stats ts1 ON t1.id = ts1.team_id
-				JOIN team_stats ts2 ON t2.id = ts2.team_id
+				LEFT JOIN team_stats ts1 ON t1.id = ts1.team_id AND ts1.season = g.season
+				LEFT JOIN team_stats ts2 ON t2.id = ts2.team_id AND ts2.season = g.season
 				WHERE (g.home_team = $1
 				OR g.away_team = $1)
 				AND DATE(g.date AT TIME ZONE 'America/New_York') = $2
@@ -344,8 +398,8 @@ class Game {
 				FROM games g
 				JOIN teams t1 ON g.home_team = t1.id
 				JOIN teams t2 ON g.away_team = t2.id
-				JOIN team_stats ts1 ON t1.id = ts1.team_id
-				JOIN team_stats ts2 ON t2.id = ts2.team_id
+				LEFT JOIN team_stats ts1 ON t1.id = ts1.team_id AND ts1.season = g.season
+				LEFT JOIN team_stats ts2 ON t2.id = ts2.team_id AND ts2.season = g.season
 				WHERE g.home_team = $1
 				OR g.away_team = $1
 				ORDER BY g.date ASC`,
@@ -357,8 +411,8 @@ class Game {
 				FROM games g
 				JOIN teams t1 ON g.home_team = t1.id
 				JOIN teams t2 ON g.away_team = t2.id
-				JOIN team_stats ts1 ON t1.id = ts1.team_id
-				JOIN team_stats ts2 ON t2.id = ts2.team_id
+				LEFT JOIN team_stats ts1 ON t1.id = ts1.team_id AND ts1.season = g.season
+				LEFT JOIN team_stats ts2 ON t2.id = ts2.team_id AND ts2.season = g.season
 				WHERE DATE(g.date AT TIME ZONE 'America/New_York') = $1
 				ORDER BY g.date ASC`,
 				[date]
@@ -372,59 +426,57 @@ class Game {
 		return games;
 	}
 
-	/** Update all games in database */
+	/** Returns what the update scheduler needs to know about the games
+	 *
+	 * 	Returns { inPlay, minutesToTip, lastFinishedAt }
+	 * 		Where inPlay is the number of games in play, minutesToTip the
+	 * 		minutes until the next scheduled tip-off (negative if it's late
+	 * 		to start, null if none) and lastFinishedAt when the latest game
+	 * 		went final
+	 *
+	 * 	Scheduled games more than STALE_TIP_HOURS past their tip-off are
+	 * 	treated as postponed and left out
+	 **/
+
+	static async pollState() {
+		const stateRes = await db.query(
+			`SELECT COUNT(*) FILTER (WHERE status = 'in play')::INTEGER AS "inPlay",
+				MIN(EXTRACT(EPOCH FROM date - (NOW() AT TIME ZONE 'UTC')) / 60) FILTER (
+					WHERE status = 'scheduled' AND date >= (NOW() AT TIME ZONE 'UTC') - make_interval(hours => $1)
+				)::REAL AS "minutesToTip",
+				MAX(finished_at) AS "lastFinishedAt"
+			FROM games`,
+			[STALE_TIP_HOURS]
+		);
+
+		return stateRes.rows[0];
+	}
+
+	/** Update all games in the current season
+	 *
+	 * 	A game that fails to update is recorded and skipped
+	 **/
 
 	static async updateAll() {
-		const gamesRes = await db.query('SELECT id FROM games');
+		const year = await Season.resolve();
+		const gamesRes = await db.query('SELECT id FROM games WHERE season = $1', [year]);
 		const games = gamesRes.rows;
 		for (let game of games) {
-			let URL = BASE_URL + `games?id=${game.id}`;
-			const response = await axios.get(URL, { headers });
-			const updatedGame = response.data.response[0];
-			// check if score exists and save in string format along with winning team
-			let score = null;
-			let winner = null;
-
-			if (updatedGame.status.short === 1) {
-				score = 'TBD';
-			} else {
-				score = `${updatedGame.scores.home.points} - ${updatedGame.scores.visitors.points}`;
-			}
-
-			if (updatedGame.status.short === 3) {
-				if (updatedGame.scores.home.points > updatedGame.scores.visitors.points) {
-					winner = updatedGame.teams.home.id;
-				} else {
-					winner = updatedGame.teams.visitors.id;
-				}
-			}
-
-			db.query(
-				`UPDATE games 
-					SET status=$1, clock=$2, quarter=$3, score=$4, winner=$5, date = $6
-					WHERE id=$7`,
-				[
-					updatedGame.status.long.toLowerCase(),
-					updatedGame.status.clock,
-					updatedGame.periods.current,
-					score,
-					winner,
-					updatedGame.date.start,
-					game.id,
-				]
-			);
-			console.log(
-				`Game(${game.id}) - ${Moment(updatedGame.date.start)
-					.subtract(5, 'hours')
-					.format('LLL')} has been updated!`
-			);
-			await delay(250);
+			await IngestFailure.isolate('game', game.id, async () => {
+				const updatedGame = await getProvider().getGame(game.id);
+				if (updatedGame) await this.saveUpdate(updatedGame);
+			});
 		}
 		console.log('All games have been updated!');
 		return;
 	}
 
-	/** Update yesterday and today's games */
+	/** Update yesterday and today's games
+	 *
+	 * 	A game that fails to update is recorded and skipped
+	 *
+	 * 	Returns the number of games checked
+	 **/
 
 	static async updateRecent() {
 		let currDay = Moment().format('YYYYMMDD');
@@ -435,51 +487,50 @@ class Game {
 		);
 		const games = gamesRes.rows;
 		for (let game of games) {
-			let URL = BASE_URL + `games?id=${game.id}`;
-			const response = await axios.get(URL, { headers });
-			const updatedGame = response.data.response[0];
-
-			// check if score exists and save in string format along with winning team
-			let score = null;
-			let winner = null;
-
-			if (updatedGame.status.short === 1) {
-				score = 'TBD';
-			} else {
-				score = `${updatedGame.scores.home.points} - ${updatedGame.scores.visitors.points}`;
-			}
+			await IngestFailure.isolate('game', game.id, async () => {
+				const updatedGame = await getProvider().getGame(game.id);
+				if (!updatedGame) return;
+
+				const prevStatus = await this.saveUpdate(updatedGame);
+				if (prevStatus === 'scheduled' && updatedGame.status !== 'scheduled')
+					await Webhook.emit('game.started', await this.get(game.id));
+				if (prevStatus !== 'finished' && updatedGame.status === 'finished')
+					await Webhook.emit('game.final', await this.get(game.id));
+			});
+		}
+		console.log('All games have been updated!');
+		return games.length;
+	}
 
-			if (updatedGame.status.short === 3) {
-				if (updatedGame.scores.home.points > updatedGame.scores.visitors.points) {
-					winner = updatedGame.teams.home.id;
-				} else {
-					winner = updatedGame.teams.visitors.id;
-				}
-			}
+	/** Given a game from the stats provider, save its latest status, clock,
+	 * 	quarter, score, winner and start time
+	 *
+	 * 	finished_at is stamped in UTC, like games.date, the first time a game is
+	 * 	seen as finished.
+	 * 	Changes to the status, score, clock or quarter go out on the live feed.
+	 *
+	 * 	Returns the game's status before the update
+	 **/
 
-			db.query(
-				`UPDATE games 
-					SET status=$1, clock=$2, quarter=$3, score=$4, winner=$5, date = $6
-					WHERE id=$7`,
-				[
-					updatedGame.status.long.toLowerCase(),
-					updatedGame.status.clock,
-					updatedGame.periods.current,
-					score,
-					winner,
-					updatedGame.date.start,
-					game.id,
-				]
-			);
+	static async saveUpdate(game) {
+		const prevRes = await db.query(
+			`UPDATE games g
+				SET status=$1, clock=$2, quarter=$3, score=$4, winner=$5, date = $6,
+				finished_at = CASE WHEN $1 = 'finished' THEN COALESCE(g.finished_at, NOW() AT TIME ZONE 'UTC') ELSE NULL END
+				FROM games prev
+				WHERE g.id=$7 AND prev.id = g.id
+				RETURNING prev.status, prev.score, prev.clock, prev.quarter`,
+			[game.status, game.clock, game.quarter, game.score, game.winner, game.date, game.id]
+		);
+		const prev = prevRes.rows[0];
+		if (!prev) return;
 
-			console.log(
-				`Game(${game.id}) - ${Moment(updatedGame.date.start)
-					.subtract(5, 'hours')
-					.format('LLL')} has been updated!`
-			);
-		}
-		console.log('All games have been updated!');
-		return;
+		const { status, score, clock, quarter } = game;
+		const changed = changes(prev, { status, score, clock, quarter });
+		if (changed) publish('game', { gameId: game.id, ...changed });
+
+		console.log(`Game(${game.id}) - ${Moment(game.date).subtract(5, 'hours').format('LLL')} has been updated!`);
+		return prev.status;
 	}
 
 	/** Get head to head results for two teams
@@ -606,7 +657,7 @@ class Game {
 
 	static async picks(gameId) {
 		const game = await this.checkValid(gameId);
-		let communityRecord = { wins: 0, losses: 0 };
+		let communityRecord = { wins: 0, losses: 0, pushes: 0 };
 
 		const playerPicksRes = await db.query(
 			`
@@ -637,15 +688,16 @@ class Game {
 					pick.assists = liveStats.rows[0].assists || 0;
 				}
 			}
-			if (pick.result === true) communityRecord.wins++;
-			if (pick.result === false) communityRecord.losses++;
+			if (pick.result === 'win') communityRecord.wins++;
+			if (pick.result === 'loss') communityRecord.losses++;
+			if (pick.result === 'push') communityRecord.pushes++;
 		}
 
 		const teamPicksRes = await db.query(
 			`
-		SELECT tp.id AS "pickId", tp.username, t.name as selected, tp.point_value AS "pointValue", t.code AS "selectedCode", t.id AS "selectedId", t1.code || ' vs ' || t2.code AS game, tp.result, g.score, g.winner, g.status
+		SELECT tp.id AS "pickId", tp.username, tp.pick_type AS type, tp.line, tp.over_under AS "overUnder", t.name as selected, tp.point_value AS "pointValue", t.code AS "selectedCode", t.id AS "selectedId", t1.code || ' vs ' || t2.code AS game, tp.result, g.score, g.winner, g.status
 		FROM team_picks tp
-		JOIN teams t ON tp.team_id = t.id
+		LEFT JOIN teams t ON tp.team_id = t.id
 		JOIN games g ON tp.game_id = g.id
 		JOIN teams t1 ON g.home_team = t1.id
 		JOIN teams t2 ON g.away_team = t2.id
@@ -655,12 +707,12 @@ class Game {
 		const teamPicks = teamPicksRes.rows;
 
 		for (let pick of teamPicks) {
-			if (pick.result === true) {
-				communityRecord.wins++;
-			} else if (pick.result === false) {
-				communityRecord.losses++;
-			}
-			if (pick.score !== 'TBD') {
+			if (pick.result === 'win') communityRecord.wins++;
+			if (pick.result === 'loss') communityRecord.losses++;
+			if (pick.result === 'push') communityRecord.pushes++;
+			if (pick.score !== 'TBD' && pick.type === 'total') {
+				pick.currentTotal = pick.score.split('-').reduce((sum, points) => sum + Number(points), 0);
+			} else if (pick.score !== 'TBD') {
 				let score = {};
 				let points = pick.score.split('-');
 				pick.game.split('vs').map((code, idx) => {
@@ -1,6 +1,7 @@
 const { NotFoundError, BadRequestError, UnauthorizedError } = require('../expressError.js');
 const db = require('../db.js');
 const Game = require('./game.js');
+const { subscribe } = require('../helpers/liveFeed');
 const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
 
 beforeAll(commonBeforeAll);
@@ -27,12 +28,76 @@ describe('get game', function () {
 	});
 });
 
+/** Pick lock */
+
+describe('check unlocked', function () {
+	test('works for scheduled game before tip-off', async function () {
+		const game = await Game.checkUnlocked(2);
+		expect(game).toEqual({
+			id: 2,
+			date: expect.any(Date),
+			location: 'Madison Square Garden (NYC)',
+			home_team: 2,
+			away_team: 1,
+			status: 'scheduled',
+		});
+	});
+
+	test('bad request once tip-off passes, even if still scheduled', async function () {
+		await db.query(`UPDATE games SET date = LOCALTIMESTAMP - INTERVAL '1 minute' WHERE id = 2`);
+		try {
+			await Game.checkUnlocked(2);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('tip-off is compared in UTC whatever the database time zone', async function () {
+		await db.query(`SET LOCAL timezone = 'America/New_York'`);
+		await db.query(`UPDATE games SET date = (NOW() AT TIME ZONE 'UTC') - INTERVAL '1 minute' WHERE id = 2`);
+		try {
+			await Game.checkUnlocked(2);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+
+		await db.query(`UPDATE games SET date = (NOW() AT TIME ZONE 'UTC') + INTERVAL '1 hour' WHERE id = 2`);
+		expect((await Game.checkUnlocked(2)).id).toEqual(2);
+	});
+
+	test('bad request if game started', async function () {
+		try {
+			await Game.checkUnlocked(1);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('not found if bad game', async function () {
+		try {
+			await Game.checkUnlocked(100);
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
 /** Get all games */
 
 describe('get all games', function () {
 	test('works', async function () {
 		const games = await Game.getAll();
 		expect(games.length).toEqual(2);
+		expect(games[0].season).toEqual(2023);
+	});
+
+	test('filters by season', async function () {
+		const games = await Game.getAll(2022);
+		expect(games.length).toEqual(0);
 	});
 });
 
@@ -106,3 +171,111 @@ describe('head to head', function () {
 		}
 	});
 });
+
+/** Update games from stats provider */
+
+describe('update all games', function () {
+	test('works', async function () {
+		await db.query(`UPDATE games SET status = 'in play', score = '50 - 48', winner = NULL WHERE id = 1`);
+		await Game.updateAll();
+		const game = await Game.get(1);
+		expect(game.status).toEqual('finished');
+		expect(game.score).toEqual('100 - 90');
+		expect(game.winner).toEqual(1);
+
+		const finishedRes = await db.query(
+			`SELECT finished_at = (NOW() AT TIME ZONE 'UTC') AS "stampedInUtc" FROM games WHERE id = 1`
+		);
+		expect(finishedRes.rows[0].stampedInUtc).toEqual(true);
+	});
+});
+
+/** Top performers */
+
+describe('get top performers', function () {
+	test('credits traded players to the team they played for', async function () {
+		await db.query(`UPDATE game_stats SET team_id = 2 WHERE player_id = 2`);
+		await db.query(`UPDATE players SET team_id = 1 WHERE id = 2`);
+		const { home, away } = await Game.getTopPerformers(1);
+		expect(home.points.id).toEqual(1);
+		expect(away.points.id).toEqual(2);
+	});
+});
+
+/** Game picks */
+
+describe('game picks', function () {
+	test('community record counts pushes and leaves out voids', async function () {
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value, result)
+			VALUES ('User', 1, 1, 'points', 'OVER', 10.5, 100, 'win'), ('Admin', 1, 1, 'points', 'OVER', 76, 100, 'push'),
+			('User', 2, 1, 'points', 'OVER', 10.5, 100, 'void')`
+		);
+		await db.query(`INSERT INTO team_picks (username, team_id, game_id, result) VALUES ('User', 2, 1, 'loss')`);
+		const { communityRecord, picks } = await Game.picks(1);
+		expect(communityRecord).toEqual({ wins: 1, losses: 1, pushes: 1 });
+		expect(picks.length).toEqual(4);
+	});
+});
+
+/** Live games */
+
+describe('live', function () {
+	test('works', async function () {
+		expect(await Game.live()).toEqual([]);
+		await db.query(`UPDATE games SET status = 'in play', score = '50 - 48', quarter = 3 WHERE id = 2`);
+		const games = await Game.live();
+		expect(games.map((g) => [g.id, g.score, g.quarter])).toEqual([[2, '50 - 48', 3]]);
+	});
+});
+
+/** Save update */
+
+describe('save update', function () {
+	test('publishes what changed to the live feed', async function () {
+		const events = [];
+		const unsubscribe = subscribe((e) => events.push(e));
+		await db.query(`UPDATE games SET status = 'in play', score = '50 - 48', clock = '5:00', quarter = 3 WHERE id = 2`);
+		const game = await Game.get(2);
+
+		const prevStatus = await Game.saveUpdate({ ...game, score: '52 - 48', clock: '4:30' });
+		await Game.saveUpdate({ ...game, score: '52 - 48', clock: '4:30' });
+		unsubscribe();
+
+		expect(prevStatus).toEqual('in play');
+		expect(events).toEqual([{ event: 'game', data: { gameId: 2, score: '52 - 48', clock: '4:30' } }]);
+	});
+});
+
+/** Poll state */
+
+describe('poll state', function () {
+	test('works', async function () {
+		await db.query(
+			`UPDATE games SET date = DATE_TRUNC('minute', NOW() AT TIME ZONE 'UTC') + INTERVAL '90 minutes' WHERE id = 2`
+		);
+		await db.query(`UPDATE games SET finished_at = '2024-01-02 21:30' WHERE id = 1`);
+		const state = await Game.pollState();
+		expect(state).toEqual({ inPlay: 0, minutesToTip: expect.any(Number), lastFinishedAt: new Date('2024-01-02 21:30') });
+		expect(state.minutesToTip).toBeGreaterThan(89);
+		expect(state.minutesToTip).toBeLessThanOrEqual(90);
+	});
+
+	test('counts games in play and leaves out postponed games', async function () {
+		await db.query(`UPDATE games SET date = (NOW() AT TIME ZONE 'UTC') - INTERVAL '7 hours' WHERE id = 2`);
+		expect(await Game.pollState()).toEqual(expect.objectContaining({ inPlay: 0, minutesToTip: null }));
+
+		await db.query(`UPDATE games SET status = 'in play' WHERE id = 2`);
+		expect((await Game.pollState()).inPlay).toEqual(1);
+	});
+
+	test('times tip-off in UTC whatever the database time zone', async function () {
+		await db.query(`SET LOCAL timezone = 'America/New_York'`);
+		await db.query(
+			`UPDATE games SET date = DATE_TRUNC('minute', NOW() AT TIME ZONE 'UTC') + INTERVAL '90 minutes' WHERE id = 2`
+		);
+		const { minutesToTip } = await Game.pollState();
+		expect(minutesToTip).toBeGreaterThan(89);
+		expect(minutesToTip).toBeLessThanOrEqual(90);
+	});
+});
@@ -0,0 +1,80 @@
+const db = require('../db');
+const { BudgetExhaustedError } = require('../providers/httpClient');
+
+const MAX_LIMIT = 100;
+
+/** Related functions for items the update jobs had to skip
+ *
+ * 	Ingestion loops run each item (a game, a player, a team) through isolate,
+ * 	so one that fails (ex: upstream keeps erroring for a player) is recorded
+ * 	and skipped instead of ending the whole run. Running out of the day's
+ * 	request budget still ends the run, every item after it would fail too.
+ **/
+
+class IngestFailure {
+	/** Given where an item comes from (ex: "playerGameStats"), its id and a
+	 * 	function that ingests it, run the function
+	 *
+	 * 	Returns what the function returns, or undefined if it threw, in which
+	 * 	case the failure is recorded
+	 *
+	 * 	Throws BudgetExhaustedError if the request budget runs out
+	 **/
+
+	static async isolate(source, itemId, fn) {
+		try {
+			return await fn();
+		} catch (err) {
+			if (err instanceof BudgetExhaustedError) throw err;
+
+			await this.record(source, itemId, err);
+		}
+	}
+
+	/** Given where an item comes from, its id and the error it failed with,
+	 * 	record the failure
+	 *
+	 * 	Returns { id, source, itemId, error, failedAt }
+	 **/
+
+	static async record(source, itemId, err) {
+		console.error(`Skipped ${source} ${itemId}: ${err.message}`);
+
+		const failureRes = await db.query(
+			`INSERT INTO ingest_failures (source, item_id, error) VALUES ($1, $2, $3)
+			RETURNING id, source, item_id AS "itemId", error, failed_at AS "failedAt"`,
+			[source, itemId, err.message]
+		);
+
+		return failureRes.rows[0];
+	}
+
+	/** Returns the most recent failures (up to limit, max 100), newest first
+	 *
+	 * 	Returns [ { id, source, itemId, error, failedAt }, ... ]
+	 **/
+
+	static async recent(limit = 20) {
+		const failuresRes = await db.query(
+			`SELECT id, source, item_id AS "itemId", error, failed_at AS "failedAt"
+			FROM ingest_failures
+			ORDER BY id DESC
+			LIMIT $1`,
+			[Math.min(limit, MAX_LIMIT)]
+		);
+
+		return failuresRes.rows;
+	}
+
+	/** Given a time, return the number of failures recorded since */
+
+	static async countSince(time) {
+		const countRes = await db.query(`SELECT COUNT(*)::INTEGER AS count FROM ingest_failures WHERE failed_at >= $1`, [
+			time,
+		]);
+
+		return countRes.rows[0].count;
+	}
+}
+
+module.exports = IngestFailure;
@@ -0,0 +1,56 @@
+const db = require('../db.js');
+const IngestFailure = require('./ingestFailure.js');
+const { BudgetExhaustedError } = require('../providers/httpClient');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Isolate */
+
+describe('isolate', function () {
+	test('returns what the item returns', async function () {
+		expect(await IngestFailure.isolate('game', 1, async () => 'saved')).toEqual('saved');
+		expect(await IngestFailure.recent()).toEqual([]);
+	});
+
+	test('records and skips a failed item', async function () {
+		const result = await IngestFailure.isolate('game', 1, async () => {
+			throw new Error('Request failed with status code 503');
+		});
+		expect(result).toBeUndefined();
+		expect(await IngestFailure.recent()).toEqual([
+			{
+				id: expect.any(Number),
+				source: 'game',
+				itemId: 1,
+				error: 'Request failed with status code 503',
+				failedAt: expect.any(Date),
+			},
+		]);
+	});
+
+	test('ends the run once the budget is spent', async function () {
+		await expect(
+			IngestFailure.isolate('game', 1, async () => {
+				throw new BudgetExhaustedError('Daily budget of 100 upstream requests is spent');
+			})
+		).rejects.toThrow(BudgetExhaustedError);
+		expect(await IngestFailure.recent()).toEqual([]);
+	});
+});
+
+/** Count since */
+
+describe('count since', function () {
+	test('works', async function () {
+		await db.query(
+			`INSERT INTO ingest_failures (source, item_id, error, failed_at)
+			VALUES ('game', 1, 'Old', NOW() - INTERVAL '1 day'), ('game', 2, 'New', NOW())`
+		);
+		const nowRes = await db.query(`SELECT NOW()::TIMESTAMP AS now`);
+		expect(await IngestFailure.countSince(nowRes.rows[0].now)).toEqual(1);
+	});
+});
@@ -0,0 +1,196 @@
+const db = require('../db');
+const moment = require('moment');
+const { NotFoundError } = require('../expressError');
+const Update = require('../helpers/updates');
+const IngestFailure = require('./ingestFailure');
+
+// Every job that can be scheduled or triggered, run returns counts of rows it touched
+const JOBS = {
+	frequent: {
+		description: 'Update recent games and box scores, send game notifications and webhooks',
+		run: () => Update.frequent(),
+	},
+	settle: {
+		description: 'Settle picks, parlays and challenges, award achievements, rebuild leaderboards and send webhooks',
+		run: () => Update.settle(),
+	},
+	dailyStats: {
+		description: 'Rebuild team and player season stats from box scores and update standings and the playoff picture',
+		run: () => Update.dailyStats(),
+	},
+	propLines: {
+		description: "Generate player prop lines for the next couple of days' games",
+		run: () => Update.propLines(),
+	},
+	dailyPlayers: {
+		description: 'Update player info to account for trades',
+		run: () => Update.dailyPlayers(),
+	},
+};
+
+// A run still going after this long is taken as lost (ex: the server restarted
+// mid-run) so its lock doesn't hold the job forever
+const LOCK_TIMEOUT_HOURS = 3;
+
+const RUN_COLUMNS = `id, job, trigger, triggered_by AS "triggeredBy", status, error, counts, started_at AS "startedAt", finished_at AS "finishedAt"`;
+
+/** Related functions for the update job registry
+ *
+ * 	Every run of a job is recorded in job_runs. A job has at most one run
+ * 	going at a time (the job_runs_running index), a run that comes due while
+ * 	another is going is recorded as skipped, as are scheduled runs of paused
+ * 	jobs.
+ **/
+
+class Job {
+	/** Returns every job
+	 *
+	 * 	Returns [ { name, description, isPaused, lastRun }, ... ]
+	 * 		Where lastRun is { id, job, trigger, triggeredBy, status, error, counts, startedAt, finishedAt } or null
+	 **/
+
+	static async list() {
+		const jobsRes = await db.query(`SELECT name, is_paused AS "isPaused" FROM jobs`);
+		const lastRunsRes = await db.query(
+			`SELECT DISTINCT ON (job) ${RUN_COLUMNS} FROM job_runs ORDER BY job, id DESC`
+		);
+
+		return Object.entries(JOBS).map(([name, { description }]) => {
+			const job = jobsRes.rows.find((j) => j.name === name);
+			const lastRun = lastRunsRes.rows.find((r) => r.job === name);
+			return { name, description, isPaused: job ? job.isPaused : false, lastRun: lastRun || null };
+		});
+	}
+
+	/** Given a job name, return its most recent runs (up to limit), newest first
+	 *
+	 * 	Returns [ { id, job, trigger, triggeredBy, status, error, counts, startedAt, finishedAt }, ... ]
+	 *
+	 * 	Throws NotFoundError if no such job
+	 **/
+
+	static async history(name, limit = 20) {
+		checkJob(name);
+
+		const runsRes = await db.query(`SELECT ${RUN_COLUMNS} FROM job_runs WHERE job = $1 ORDER BY id DESC LIMIT $2`, [
+			name,
+			limit,
+		]);
+
+		return runsRes.rows;
+	}
+
+	/** Given a job name and how it was started ({ trigger, username }), run
+	 * 	the job and record the run. trigger is "schedule" (default) or
+	 * 	"manual", username is who triggered a manual run.
+	 *
+	 * 	Scheduled runs of a paused job and runs while the job is already
+	 * 	going are recorded as skipped. Job errors are recorded, not thrown.
+	 * 	A successful run's counts include how many items it failed on and
+	 * 	skipped (failed).
+	 *
+	 * 	Returns { id, job, trigger, triggeredBy, status, error, counts, startedAt, finishedAt }
+	 *
+	 * 	Throws NotFoundError if no such job
+	 **/
+
+	static async run(name, { trigger = 'schedule', username = null } = {}) {
+		checkJob(name);
+
+		if (trigger === 'schedule' && (await isPaused(name))) return await skip(name, trigger, username, 'Paused');
+
+		await db.query(
+			`UPDATE job_runs SET status = 'failed', error = 'Lost before finishing', finished_at = NOW()
+			WHERE job = $1 AND status = 'running' AND started_at < NOW() - make_interval(hours => $2)`,
+			[name, LOCK_TIMEOUT_HOURS]
+		);
+		const lockRes = await db.query(
+			`INSERT INTO job_runs (job, trigger, triggered_by) VALUES ($1, $2, $3)
+			ON CONFLICT (job) WHERE status = 'running' DO NOTHING
+			RETURNING id, started_at AS "startedAt"`,
+			[name, trigger, username]
+		);
+		if (!lockRes.rows.length) return await skip(name, trigger, username, 'Already running');
+
+		const { id, startedAt } = lockRes.rows[0];
+		console.log(`
+		***** ${name.toUpperCase()} JOB STARTED AT: ${moment().subtract(5, 'hours').format('LTS')} *****
+		`);
+
+		let status = 'succeeded';
+		let error = null;
+		let counts = null;
+		try {
+			// failed is how many items the job skipped over (see models/ingestFailure.js)
+			counts = { ...(await JOBS[name].run()), failed: await IngestFailure.countSince(startedAt) };
+		} catch (err) {
+			console.error(err);
+			status = 'failed';
+			error = err.message;
+		}
+
+		const runRes = await db.query(
+			`UPDATE job_runs SET status = $2, error = $3, counts = $4, finished_at = NOW()
+			WHERE id = $1
+			RETURNING ${RUN_COLUMNS}`,
+			[id, status, error, counts]
+		);
+
+		console.log(`
+		***** ${name.toUpperCase()} JOB ${status.toUpperCase()} AT: ${moment().subtract(5, 'hours').format('LTS')} *****
+		`);
+		return runRes.rows[0];
+	}
+
+	/** Given a job name and whether it should be paused, pause or resume its
+	 * 	scheduled runs
+	 *
+	 * 	Returns { name, isPaused }
+	 *
+	 * 	Throws NotFoundError if no such job
+	 **/
+
+	static async setPaused(name, paused) {
+		checkJob(name);
+
+		const jobRes = await db.query(
+			`INSERT INTO jobs (name, is_paused) VALUES ($1, $2)
+			ON CONFLICT (name) DO UPDATE SET is_paused = $2
+			RETURNING name, is_paused AS "isPaused"`,
+			[name, paused]
+		);
+
+		return jobRes.rows[0];
+	}
+}
+
+/** Throws NotFoundError if name isn't a registered job */
+
+function checkJob(name) {
+	if (!Object.hasOwn(JOBS, name)) throw new NotFoundError(`No job: ${name}`);
+}
+
+/** Given a job name, return whether its scheduled runs are paused */
+
+async function isPaused(name) {
+	const jobRes = await db.query(`SELECT is_paused FROM jobs WHERE name = $1`, [name]);
+	return jobRes.rows.length ? jobRes.rows[0].is_paused : false;
+}
+
+/** Record a run of a job that was skipped and why
+ *
+ * 	Returns { id, job, trigger, triggeredBy, status, error, counts, startedAt, finishedAt }
+ **/
+
+async function skip(name, trigger, username, reason) {
+	const runRes = await db.query(
+		`INSERT INTO job_runs (job, trigger, triggered_by, status, error, finished_at) VALUES ($1, $2, $3, 'skipped', $4, NOW())
+		RETURNING ${RUN_COLUMNS}`,
+		[name, trigger, username, reason]
+	);
+
+	console.log(`Skipped ${name} job: ${reason}`);
+	return runRes.rows[0];
+}
+
+module.exports = Job;
@@ -0,0 +1,126 @@
+const db = require('../db.js');
+const Job = require('./job.js');
+const Update = require('../helpers/updates');
+const IngestFailure = require('./ingestFailure.js');
+const { NotFoundError } = require('../expressError');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Run */
+
+describe('run', function () {
+	test('records the run and its counts', async function () {
+		// Tatum scored 76 in game 1
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value)
+			VALUES ('User', 1, 1, 'points', 'OVER', 50.5, 100)`
+		);
+
+		const run = await Job.run('settle');
+		expect(run).toEqual({
+			id: expect.any(Number),
+			job: 'settle',
+			trigger: 'schedule',
+			triggeredBy: null,
+			status: 'succeeded',
+			error: null,
+			counts: { picksSettled: 1, achievements: 0, webhooksSent: 0, failed: 0 },
+			startedAt: expect.any(Date),
+			finishedAt: expect.any(Date),
+		});
+	});
+
+	test('counts items the job skipped', async function () {
+		const spy = jest.spyOn(Update, 'settle').mockImplementation(async () => {
+			await IngestFailure.record('game', 1, new Error('Request failed with status code 503'));
+			return { picksSettled: 0, achievements: 0 };
+		});
+		const run = await Job.run('settle');
+		spy.mockRestore();
+
+		expect(run.status).toEqual('succeeded');
+		expect(run.counts).toEqual({ picksSettled: 0, achievements: 0, failed: 1 });
+	});
+
+	test('records errors', async function () {
+		const spy = jest.spyOn(Update, 'settle').mockRejectedValue(new Error('Stats provider is down'));
+		const run = await Job.run('settle', { trigger: 'manual', username: 'Admin' });
+		spy.mockRestore();
+
+		expect(run).toEqual(
+			expect.objectContaining({ trigger: 'manual', triggeredBy: 'Admin', status: 'failed', error: 'Stats provider is down' })
+		);
+	});
+
+	test("doesn't overlap a run already going", async function () {
+		await db.query(`INSERT INTO job_runs (job, trigger) VALUES ('settle', 'schedule')`);
+		const run = await Job.run('settle');
+		expect(run).toEqual(expect.objectContaining({ status: 'skipped', error: 'Already running' }));
+	});
+
+	test('takes over from a lost run', async function () {
+		const lostRes = await db.query(
+			`INSERT INTO job_runs (job, trigger, started_at) VALUES ('settle', 'schedule', NOW() - INTERVAL '4 hours') RETURNING id`
+		);
+		expect((await Job.run('settle')).status).toEqual('succeeded');
+
+		const lostRun = (await Job.history('settle')).find((r) => r.id === lostRes.rows[0].id);
+		expect(lostRun).toEqual(expect.objectContaining({ status: 'failed', error: 'Lost before finishing' }));
+	});
+
+	test('skips scheduled runs of paused jobs', async function () {
+		await Job.setPaused('settle', true);
+		expect((await Job.run('settle')).status).toEqual('skipped');
+		expect((await Job.run('settle', { trigger: 'manual', username: 'Admin' })).status).toEqual('succeeded');
+	});
+
+	test('not found if no such job', async function () {
+		try {
+			await Job.run('nope');
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
+/** List and history */
+
+describe('list', function () {
+	test('works', async function () {
+		await Job.setPaused('dailyPlayers', true);
+		const run = await Job.run('settle');
+
+		const jobs = await Job.list();
+		expect(jobs.map((j) => j.name)).toEqual(['frequent', 'settle', 'dailyStats', 'propLines', 'dailyPlayers']);
+		expect(jobs.find((j) => j.name === 'settle')).toEqual({
+			name: 'settle',
+			description: expect.any(String),
+			isPaused: false,
+			lastRun: run,
+		});
+		expect(jobs.find((j) => j.name === 'dailyPlayers')).toEqual(expect.objectContaining({ isPaused: true, lastRun: null }));
+	});
+});
+
+describe('history', function () {
+	test('works newest first', async function () {
+		const first = await Job.run('settle');
+		const second = await Job.run('settle');
+		expect((await Job.history('settle')).map((r) => r.id)).toEqual([second.id, first.id]);
+		expect((await Job.history('settle', 1)).map((r) => r.id)).toEqual([second.id]);
+	});
+});
+
+/** Pause and resume */
+
+describe('setPaused', function () {
+	test('works', async function () {
+		expect(await Job.setPaused('frequent', true)).toEqual({ name: 'frequent', isPaused: true });
+		expect(await Job.setPaused('frequent', false)).toEqual({ name: 'frequent', isPaused: false });
+	});
+});
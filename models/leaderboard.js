@@ -0,0 +1,125 @@
+const db = require('../db');
+const { BadRequestError } = require('../expressError');
+const { transaction } = require('../helpers/transaction');
+const Season = require('./season');
+
+const PERIODS = ['daily', 'weekly', 'monthly', 'season'];
+const PICK_TYPES = ['all', 'player', 'team', 'parlay'];
+const STATS = ['all', 'points', 'tpm', 'rebounds', 'assists', 'steals', 'blocks'];
+
+/** Related functions for leaderboards
+ *
+ * 	Rankings are built from settled player picks, team picks and parlays
+ * 	(voids left out) and stored in the leaderboards table, so a grading
+ * 	correction only needs a recompute. Daily, weekly and monthly windows are
+ * 	the last 1, 7 and 30 days of games, season is every game of the current
+ * 	season. A parlay counts on the day of its last game.
+ **/
+
+class Leaderboard {
+	/** Rebuild every leaderboard from the current pick results
+	 *
+	 * 	Returns { recomputeLeaderboards: "success" }
+	 **/
+
+	static async recompute() {
+		const season = await Season.getCurrent();
+
+		await transaction(async () => {
+			await db.query(`DELETE FROM leaderboards`);
+			await db.query(
+				`WITH settled AS (
+					SELECT pp.username, 'player' AS pick_type, pp.stat, pp.result, pp.point_value, g.date, g.season
+					FROM player_picks pp
+					JOIN games g ON pp.game_id = g.id
+					WHERE pp.result IN ('win', 'loss', 'push')
+					UNION ALL
+					SELECT tp.username, 'team', NULL, tp.result, tp.point_value, g.date, g.season
+					FROM team_picks tp
+					JOIN games g ON tp.game_id = g.id
+					WHERE tp.result IN ('win', 'loss', 'push')
+					UNION ALL
+					SELECT p.username, 'parlay', NULL, p.result, p.point_value, g.date, g.season
+					FROM parlays p
+					JOIN LATERAL (
+						SELECT g.date, g.season
+						FROM parlay_legs pl
+						JOIN games g ON pl.game_id = g.id
+						WHERE pl.parlay_id = p.id
+						ORDER BY g.date DESC
+						LIMIT 1
+					) g ON TRUE
+					WHERE p.result IN ('win', 'loss', 'push')
+				),
+				windows AS (
+					SELECT s.*, w.period
+					FROM settled s
+					JOIN (VALUES ('daily', INTERVAL '1 day'), ('weekly', INTERVAL '7 days'), ('monthly', INTERVAL '30 days'), ('season', NULL))
+						AS w(period, length)
+					ON (w.length IS NULL AND s.season = $1) OR s.date >= (NOW() AT TIME ZONE 'UTC') - w.length
+				),
+				totals AS (
+					SELECT period, COALESCE(pick_type, 'all') AS pick_type, COALESCE(stat, 'all') AS stat, username,
+						COUNT(*) FILTER (WHERE result = 'win') AS wins,
+						COUNT(*) FILTER (WHERE result = 'loss') AS losses,
+						COUNT(*) FILTER (WHERE result = 'push') AS pushes,
+						COALESCE(SUM(point_value) FILTER (WHERE result = 'win'), 0) AS points
+					FROM windows
+					GROUP BY GROUPING SETS ((period, username), (period, username, pick_type), (period, username, pick_type, stat))
+					-- Team picks and parlays have no stat, they only count toward the all stat board
+					HAVING NOT (GROUPING(stat) = 0 AND stat IS NULL)
+				)
+				INSERT INTO leaderboards (period, pick_type, stat, username, rank, wins, losses, pushes, points)
+				SELECT period, pick_type, stat, username,
+					RANK() OVER (PARTITION BY period, pick_type, stat ORDER BY points DESC, wins DESC),
+					wins, losses, pushes, points
+				FROM totals`,
+				[season.year]
+			);
+		});
+
+		return { recomputeLeaderboards: 'success' };
+	}
+
+	/** Given { period, type, stat } return the matching leaderboard
+	 *
+	 * 	period can be daily, weekly, monthly or season (default)
+	 * 	type can be all (default), player, team or parlay
+	 * 	stat can be all (default) or a player prop stat, only for player picks
+	 *
+	 * 	Returns { period, type, stat, computedAt, rankings }
+	 * 		Where rankings is [ { rank, username, record, winRate, wins, losses, pushes, points }, ... ]
+	 *
+	 * 	Throws BadRequestError if a filter is invalid
+	 **/
+
+	static async get({ period = 'season', type = 'all', stat = 'all' } = {}) {
+		if (!PERIODS.includes(period)) throw new BadRequestError(`Period must be one of: ${PERIODS}`);
+		if (!PICK_TYPES.includes(type)) throw new BadRequestError(`Type must be one of: ${PICK_TYPES}`);
+		if (!STATS.includes(stat)) throw new BadRequestError(`Stat must be one of: ${STATS}`);
+
+		if (stat !== 'all') {
+			if (type !== 'all' && type !== 'player') throw new BadRequestError('Stat leaderboards are only for player picks');
+			type = 'player';
+		}
+
+		const rankingsRes = await db.query(
+			`SELECT rank, username,
+				wins || ' - ' || losses || CASE WHEN pushes > 0 THEN ' - ' || pushes ELSE '' END AS record,
+				ROUND(wins::NUMERIC / NULLIF(wins + losses, 0), 3)::REAL AS "winRate",
+				wins, losses, pushes, points, computed_at AS "computedAt"
+			FROM leaderboards
+			WHERE period = $1 AND pick_type = $2 AND stat = $3
+			ORDER BY rank, username`,
+			[period, type, stat]
+		);
+		const rankings = rankingsRes.rows;
+
+		const computedAt = rankings.length ? rankings[0].computedAt : null;
+		for (let r of rankings) delete r.computedAt;
+
+		return { period, type, stat, computedAt, rankings };
+	}
+}
+
+module.exports = Leaderboard;
@@ -0,0 +1,168 @@
+const db = require('../db.js');
+const Leaderboard = require('./leaderboard.js');
+const { BadRequestError } = require('../expressError');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Settled picks on game 1: User goes 2 - 1 - 1 for 250 points, Admin 1 - 0 for 300 */
+
+async function addSettledPicks() {
+	await db.query(
+		`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value, result)
+		VALUES ('User', 1, 1, 'points', 'OVER', 30.5, 150, 'win'),
+			('User', 2, 1, 'assists', 'UNDER', 10.5, 100, 'loss'),
+			('User', 1, 1, 'steals', 'OVER', 67, 100, 'push'),
+			('User', 1, 1, 'blocks', 'OVER', 10.5, 100, 'void'),
+			('Admin', 1, 1, 'points', 'OVER', 30.5, 300, 'win')`
+	);
+	await db.query(
+		`INSERT INTO team_picks (username, team_id, game_id, point_value, result) VALUES ('User', 1, 1, 100, 'win')`
+	);
+}
+
+/** Recompute */
+
+describe('recompute', function () {
+	test('works', async function () {
+		await addSettledPicks();
+		expect(await Leaderboard.recompute()).toEqual({ recomputeLeaderboards: 'success' });
+
+		const leaderboard = await Leaderboard.get();
+		expect(leaderboard).toEqual({
+			period: 'season',
+			type: 'all',
+			stat: 'all',
+			computedAt: expect.any(Date),
+			rankings: [
+				{
+					rank: 1,
+					username: 'Admin',
+					record: '1 - 0',
+					winRate: 1,
+					wins: 1,
+					losses: 0,
+					pushes: 0,
+					points: 300,
+				},
+				{
+					rank: 2,
+					username: 'User',
+					record: '2 - 1 - 1',
+					winRate: 0.667,
+					wins: 2,
+					losses: 1,
+					pushes: 1,
+					points: 250,
+				},
+			],
+		});
+	});
+
+	test('picks up grading corrections', async function () {
+		await addSettledPicks();
+		await Leaderboard.recompute();
+		await db.query(`UPDATE player_picks SET result = 'loss' WHERE username = 'Admin'`);
+		await Leaderboard.recompute();
+
+		const { rankings } = await Leaderboard.get();
+		expect(rankings.map((r) => [r.rank, r.username, r.points])).toEqual([
+			[1, 'User', 250],
+			[2, 'Admin', 0],
+		]);
+	});
+
+	test('includes parlays on the day of their last game', async function () {
+		await addSettledPicks();
+		const parlayRes = await db.query(
+			`INSERT INTO parlays (username, point_value, result) VALUES ('User', 300, 'win') RETURNING id`
+		);
+		await db.query(
+			`INSERT INTO parlay_legs (parlay_id, leg_type, game_id, team_id, point_value, result)
+			VALUES ($1, 'team', 1, 1, 100, 'win'), ($1, 'team', 1, 1, 100, 'win')`,
+			[parlayRes.rows[0].id]
+		);
+		await Leaderboard.recompute();
+
+		const { rankings } = await Leaderboard.get();
+		expect(rankings.map((r) => [r.rank, r.username, r.record, r.points])).toEqual([
+			[1, 'User', '3 - 1 - 1', 550],
+			[2, 'Admin', '1 - 0', 300],
+		]);
+		expect((await Leaderboard.get({ type: 'parlay' })).rankings).toEqual([
+			expect.objectContaining({ rank: 1, username: 'User', record: '1 - 0', points: 300 }),
+		]);
+
+		await db.query(`UPDATE games SET date = (NOW() AT TIME ZONE 'UTC') - INTERVAL '3 days' WHERE id = 1`);
+		await Leaderboard.recompute();
+		expect((await Leaderboard.get({ type: 'parlay', period: 'daily' })).rankings).toEqual([]);
+	});
+
+	test('windows only count recent games', async function () {
+		await addSettledPicks();
+		await db.query(`UPDATE games SET date = (NOW() AT TIME ZONE 'UTC') - INTERVAL '3 days' WHERE id = 1`);
+		await Leaderboard.recompute();
+
+		expect((await Leaderboard.get({ period: 'daily' })).rankings).toEqual([]);
+		expect((await Leaderboard.get({ period: 'weekly' })).rankings.length).toEqual(2);
+		expect((await Leaderboard.get({ period: 'monthly' })).rankings.length).toEqual(2);
+	});
+
+	test('windows are timed in UTC whatever the database time zone', async function () {
+		await db.query(`SET LOCAL timezone = 'America/New_York'`);
+		await addSettledPicks();
+		await db.query(`UPDATE games SET date = (NOW() AT TIME ZONE 'UTC') - INTERVAL '26 hours' WHERE id = 1`);
+		await Leaderboard.recompute();
+
+		expect((await Leaderboard.get({ period: 'daily' })).rankings).toEqual([]);
+		expect((await Leaderboard.get({ period: 'weekly' })).rankings.length).toEqual(2);
+	});
+});
+
+/** Get */
+
+describe('get', function () {
+	test('filters by pick type', async function () {
+		await addSettledPicks();
+		await Leaderboard.recompute();
+
+		const { rankings } = await Leaderboard.get({ type: 'team' });
+		expect(rankings).toEqual([expect.objectContaining({ rank: 1, username: 'User', record: '1 - 0', points: 100 })]);
+	});
+
+	test('filters by stat', async function () {
+		await addSettledPicks();
+		await Leaderboard.recompute();
+
+		const leaderboard = await Leaderboard.get({ stat: 'points' });
+		expect(leaderboard.type).toEqual('player');
+		expect(leaderboard.rankings.map((r) => [r.rank, r.username, r.points])).toEqual([
+			[1, 'Admin', 300],
+			[2, 'User', 150],
+		]);
+	});
+
+	test('empty before first recompute', async function () {
+		expect(await Leaderboard.get()).toEqual({
+			period: 'season',
+			type: 'all',
+			stat: 'all',
+			computedAt: null,
+			rankings: [],
+		});
+	});
+
+	test('bad request with invalid filters', async function () {
+		for (let filters of [{ period: 'yearly' }, { type: 'prop' }, { stat: 'fouls' }, { type: 'team', stat: 'points' }]) {
+			try {
+				await Leaderboard.get(filters);
+				fail();
+			} catch (err) {
+				expect(err instanceof BadRequestError).toBeTruthy();
+			}
+		}
+	});
+});
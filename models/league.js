@@ -0,0 +1,282 @@
+const db = require('../db');
+const crypto = require('crypto');
+const { NotFoundError, BadRequestError, ForbiddenError } = require('../expressError');
+const { transaction } = require('../helpers/transaction');
+
+const STATS = ['points', 'tpm', 'rebounds', 'assists', 'steals', 'blocks'];
+
+/** Related functions for private pick'em leagues
+ *
+ * 	Leagues don't have picks of their own, their standings are built from
+ * 	members' player and team picks on games since they joined. Player picks
+ * 	only count in the league's allowed stats, and with picks_per_day set only
+ * 	each member's first picks of a game day count (voided picks don't use
+ * 	one up).
+ **/
+
+class League {
+	/** Given a username and { name, allowedStats, picksPerDay } create a
+	 * 	league with the user as commissioner and first member
+	 *
+	 * 	Returns { id, name, inviteCode, commissioner, allowedStats, picksPerDay, createdAt, members }
+	 *
+	 * 	Throws NotFoundError if user not found
+	 * 	Throws BadRequestError if allowedStats invalid
+	 **/
+
+	static async create(username, { name, allowedStats = STATS, picksPerDay = null }) {
+		const userRes = await db.query(`SELECT username FROM users WHERE username = $1`, [username]);
+		if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+		checkStats(allowedStats);
+
+		const leagueId = await transaction(async () => {
+			const leagueRes = await db.query(
+				`INSERT INTO leagues (name, invite_code, commissioner, allowed_stats, picks_per_day)
+				VALUES ($1, $2, $3, $4, $5)
+				RETURNING id`,
+				[name, await newInviteCode(), username, allowedStats, picksPerDay]
+			);
+			const id = leagueRes.rows[0].id;
+
+			await db.query(`INSERT INTO league_members (league_id, username) VALUES ($1, $2)`, [id, username]);
+			return id;
+		});
+
+		return await this.get(leagueId, username);
+	}
+
+	/** Given a username and invite code, add the user to the league
+	 *
+	 * 	Returns { id, name, inviteCode, commissioner, allowedStats, picksPerDay, createdAt, members }
+	 *
+	 * 	Throws NotFoundError if user or invite code not found
+	 * 	Throws BadRequestError if already a member
+	 **/
+
+	static async join(username, inviteCode) {
+		const userRes = await db.query(`SELECT username FROM users WHERE username = $1`, [username]);
+		if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+		const leagueRes = await db.query(`SELECT id FROM leagues WHERE invite_code = $1`, [inviteCode.toUpperCase()]);
+		const league = leagueRes.rows[0];
+
+		if (!league) throw new NotFoundError(`No league with invite code: ${inviteCode}`);
+
+		const memberRes = await db.query(
+			`INSERT INTO league_members (league_id, username) VALUES ($1, $2)
+			ON CONFLICT DO NOTHING
+			RETURNING username`,
+			[league.id, username]
+		);
+
+		if (!memberRes.rows[0]) throw new BadRequestError(`${username} is already in league ${league.id}`);
+
+		return await this.get(league.id, username);
+	}
+
+	/** Given a league id and the username asking, return the league
+	 *
+	 * 	Returns { id, name, inviteCode, commissioner, allowedStats, picksPerDay, createdAt, members }
+	 * 		Where members is [ { username, joinedAt }, ... ]
+	 *
+	 * 	Throws NotFoundError if league not found
+	 * 	Throws ForbiddenError if user is not a member
+	 **/
+
+	static async get(id, username) {
+		const league = await checkMember(id, username);
+
+		const membersRes = await db.query(
+			`SELECT username, joined_at AS "joinedAt"
+			FROM league_members
+			WHERE league_id = $1
+			ORDER BY joined_at, username`,
+			[id]
+		);
+		league.members = membersRes.rows;
+
+		return league;
+	}
+
+	/** Given a username, return the leagues they are in
+	 *
+	 * 	Returns [ { id, name, commissioner, members }, ... ]
+	 * 		Where members is the number of members
+	 **/
+
+	static async forUser(username) {
+		const leaguesRes = await db.query(
+			`SELECT l.id, l.name, l.commissioner, COUNT(m.username)::INTEGER AS members
+			FROM leagues l
+			JOIN league_members lm ON lm.league_id = l.id AND lm.username = $1
+			JOIN league_members m ON m.league_id = l.id
+			GROUP BY l.id
+			ORDER BY l.name`,
+			[username]
+		);
+
+		return leaguesRes.rows;
+	}
+
+	/** Given a league id, the username asking and { name, allowedStats,
+	 * 	picksPerDay }, update the league's settings
+	 *
+	 * 	Returns { id, name, inviteCode, commissioner, allowedStats, picksPerDay, createdAt, members }
+	 *
+	 * 	Throws NotFoundError if league not found
+	 * 	Throws ForbiddenError if user is not the commissioner
+	 * 	Throws BadRequestError if allowedStats invalid
+	 **/
+
+	static async update(id, username, { name, allowedStats, picksPerDay }) {
+		const league = await checkMember(id, username);
+		if (league.commissioner !== username) throw new ForbiddenError('Only the commissioner can change league settings');
+
+		if (allowedStats !== undefined) checkStats(allowedStats);
+
+		await db.query(
+			`UPDATE leagues SET name = $1, allowed_stats = $2, picks_per_day = $3 WHERE id = $4`,
+			[
+				name === undefined ? league.name : name,
+				allowedStats === undefined ? league.allowedStats : allowedStats,
+				picksPerDay === undefined ? league.picksPerDay : picksPerDay,
+				id,
+			]
+		);
+
+		return await this.get(id, username);
+	}
+
+	/** Given a league id, the username asking and a member, remove the
+	 * 	member. Members can leave, the commissioner can remove anyone else.
+	 *
+	 * 	Returns { username }
+	 *
+	 * 	Throws NotFoundError if league or member not found
+	 * 	Throws ForbiddenError if user can't remove the member
+	 * 	Throws BadRequestError if removing the commissioner
+	 **/
+
+	static async removeMember(id, username, member) {
+		const league = await checkMember(id, username);
+
+		if (username !== member && username !== league.commissioner)
+			throw new ForbiddenError('Only the commissioner can remove other members');
+		if (member === league.commissioner) throw new BadRequestError('The commissioner can not leave their league');
+
+		const memberRes = await db.query(
+			`DELETE FROM league_members WHERE league_id = $1 AND username = $2 RETURNING username`,
+			[id, member]
+		);
+
+		if (!memberRes.rows[0]) throw new NotFoundError(`${member} is not in league ${id}`);
+
+		return memberRes.rows[0];
+	}
+
+	/** Given a league id and the username asking, rank the league's members
+	 * 	by points won from picks that count toward the league
+	 *
+	 * 	Returns [ { rank, username, record, winRate, wins, losses, pushes, points }, ... ]
+	 *
+	 * 	Throws NotFoundError if league not found
+	 * 	Throws ForbiddenError if user is not a member
+	 **/
+
+	static async leaderboard(id, username) {
+		const league = await checkMember(id, username);
+
+		const rankingsRes = await db.query(
+			`WITH members AS (
+				SELECT username, joined_at FROM league_members WHERE league_id = $1
+			),
+			picks AS (
+				SELECT pp.username, pp.result, pp.point_value, g.date, 'player' AS pick_type, pp.id,
+					DATE((g.date AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York') AS game_day
+				FROM player_picks pp
+				JOIN games g ON pp.game_id = g.id
+				JOIN members m ON pp.username = m.username
+				WHERE g.date >= m.joined_at
+				AND pp.stat = ANY($2)
+				AND pp.result IS DISTINCT FROM 'void'
+				UNION ALL
+				SELECT tp.username, tp.result, tp.point_value, g.date, 'team', tp.id,
+					DATE((g.date AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York')
+				FROM team_picks tp
+				JOIN games g ON tp.game_id = g.id
+				JOIN members m ON tp.username = m.username
+				WHERE g.date >= m.joined_at
+				AND tp.result IS DISTINCT FROM 'void'
+			),
+			-- A member's first picks of each Eastern game day (games.date is UTC) are the ones that count
+			counted AS (
+				SELECT *, ROW_NUMBER() OVER (PARTITION BY username, game_day ORDER BY date, pick_type, id) AS n
+				FROM picks
+			),
+			totals AS (
+				SELECT m.username,
+					COUNT(c.*) FILTER (WHERE c.result = 'win') AS wins,
+					COUNT(c.*) FILTER (WHERE c.result = 'loss') AS losses,
+					COUNT(c.*) FILTER (WHERE c.result = 'push') AS pushes,
+					COALESCE(SUM(c.point_value) FILTER (WHERE c.result = 'win'), 0)::INTEGER AS points
+				FROM members m
+				LEFT JOIN counted c ON c.username = m.username AND ($3::INTEGER IS NULL OR c.n <= $3)
+				GROUP BY m.username
+			)
+			SELECT RANK() OVER (ORDER BY points DESC, wins DESC)::INTEGER AS rank, username,
+				wins || ' - ' || losses || CASE WHEN pushes > 0 THEN ' - ' || pushes ELSE '' END AS record,
+				ROUND(wins::NUMERIC / NULLIF(wins + losses, 0), 3)::REAL AS "winRate",
+				wins::INTEGER, losses::INTEGER, pushes::INTEGER, points
+			FROM totals
+			ORDER BY rank, username`,
+			[id, league.allowedStats, league.picksPerDay]
+		);
+
+		return rankingsRes.rows;
+	}
+}
+
+/** Given a league id and username, return the league's settings if the user
+ * 	is a member
+ *
+ * 	Throws NotFoundError if league not found
+ * 	Throws ForbiddenError if user is not a member
+ **/
+
+async function checkMember(id, username) {
+	const leagueRes = await db.query(
+		`SELECT l.id, l.name, l.invite_code AS "inviteCode", l.commissioner, l.allowed_stats AS "allowedStats",
+		l.picks_per_day AS "picksPerDay", l.created_at AS "createdAt", lm.username IS NOT NULL AS "isMember"
+		FROM leagues l
+		LEFT JOIN league_members lm ON lm.league_id = l.id AND lm.username = $2
+		WHERE l.id = $1`,
+		[id, username]
+	);
+	const league = leagueRes.rows[0];
+
+	if (!league) throw new NotFoundError(`No league: ${id}`);
+	if (!league.isMember) throw new ForbiddenError(`${username} is not in league ${id}`);
+
+	delete league.isMember;
+	return league;
+}
+
+/** Throws BadRequestError unless stats is a non empty list of player prop stats */
+
+function checkStats(stats) {
+	if (!Array.isArray(stats) || !stats.length || stats.some((s) => !STATS.includes(s)))
+		throw new BadRequestError(`Allowed stats must be some of: ${STATS}`);
+}
+
+/** Return an 8 character invite code no league is using yet */
+
+async function newInviteCode() {
+	while (true) {
+		const code = crypto.randomBytes(4).toString('hex').toUpperCase();
+		const takenRes = await db.query(`SELECT id FROM leagues WHERE invite_code = $1`, [code]);
+		if (!takenRes.rows[0]) return code;
+	}
+}
+
+module.exports = League;
@@ -0,0 +1,242 @@
+const db = require('../db.js');
+const League = require('./league.js');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../expressError');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Create a league run by Admin with User as a member, both joined before
+ * 	game 1 so its picks count
+ **/
+
+async function addLeague(settings = {}) {
+	const league = await League.create('Admin', { name: 'Office', ...settings });
+	await League.join('User', league.inviteCode);
+	await db.query(`UPDATE league_members SET joined_at = '2024-01-01' WHERE league_id = $1`, [league.id]);
+	return league;
+}
+
+/** Create */
+
+describe('create', function () {
+	test('works', async function () {
+		const league = await League.create('User', { name: 'Office', allowedStats: ['points'], picksPerDay: 2 });
+		expect(league).toEqual({
+			id: expect.any(Number),
+			name: 'Office',
+			inviteCode: expect.stringMatching(/^[0-9A-F]{8}$/),
+			commissioner: 'User',
+			allowedStats: ['points'],
+			picksPerDay: 2,
+			createdAt: expect.any(Date),
+			members: [{ username: 'User', joinedAt: expect.any(Date) }],
+		});
+	});
+
+	test('defaults to every stat and no pick limit', async function () {
+		const league = await League.create('User', { name: 'Office' });
+		expect(league.allowedStats).toEqual(['points', 'tpm', 'rebounds', 'assists', 'steals', 'blocks']);
+		expect(league.picksPerDay).toEqual(null);
+	});
+
+	test('bad request with invalid stat', async function () {
+		try {
+			await League.create('User', { name: 'Office', allowedStats: ['fouls'] });
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('not found if no such user', async function () {
+		try {
+			await League.create('nope', { name: 'Office' });
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
+/** Join */
+
+describe('join', function () {
+	test('works with any case invite code', async function () {
+		const { inviteCode } = await League.create('Admin', { name: 'Office' });
+		const league = await League.join('User', inviteCode.toLowerCase());
+		expect(league.members.map((m) => m.username)).toEqual(['Admin', 'User']);
+	});
+
+	test('not found with bad invite code', async function () {
+		try {
+			await League.join('User', 'NOPE');
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+
+	test('bad request if already a member', async function () {
+		const { inviteCode } = await League.create('User', { name: 'Office' });
+		try {
+			await League.join('User', inviteCode);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
+
+/** Get */
+
+describe('get', function () {
+	test('forbidden for non members', async function () {
+		const { id } = await League.create('Admin', { name: 'Office' });
+		try {
+			await League.get(id, 'User');
+			fail();
+		} catch (err) {
+			expect(err instanceof ForbiddenError).toBeTruthy();
+		}
+	});
+
+	test('not found if no such league', async function () {
+		try {
+			await League.get(0, 'User');
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
+/** For user */
+
+describe('forUser', function () {
+	test('works', async function () {
+		const { id } = await addLeague();
+		await League.create('Admin', { name: 'Admins' });
+		expect(await League.forUser('User')).toEqual([{ id, name: 'Office', commissioner: 'Admin', members: 2 }]);
+	});
+});
+
+/** Update */
+
+describe('update', function () {
+	test('works', async function () {
+		const { id } = await addLeague();
+		const league = await League.update(id, 'Admin', { allowedStats: ['points', 'assists'], picksPerDay: 3 });
+		expect(league).toEqual(expect.objectContaining({ name: 'Office', allowedStats: ['points', 'assists'], picksPerDay: 3 }));
+	});
+
+	test('forbidden for members other than the commissioner', async function () {
+		const { id } = await addLeague();
+		try {
+			await League.update(id, 'User', { name: 'Mine' });
+			fail();
+		} catch (err) {
+			expect(err instanceof ForbiddenError).toBeTruthy();
+		}
+	});
+});
+
+/** Remove member */
+
+describe('removeMember', function () {
+	test('members can leave', async function () {
+		const { id } = await addLeague();
+		expect(await League.removeMember(id, 'User', 'User')).toEqual({ username: 'User' });
+		expect(await League.forUser('User')).toEqual([]);
+	});
+
+	test('commissioner can remove members', async function () {
+		const { id } = await addLeague();
+		await League.removeMember(id, 'Admin', 'User');
+		expect((await League.get(id, 'Admin')).members.length).toEqual(1);
+	});
+
+	test('forbidden removing someone else', async function () {
+		const { id } = await addLeague();
+		try {
+			await League.removeMember(id, 'User', 'Admin');
+			fail();
+		} catch (err) {
+			expect(err instanceof ForbiddenError).toBeTruthy();
+		}
+	});
+
+	test('bad request if commissioner leaves', async function () {
+		const { id } = await addLeague();
+		try {
+			await League.removeMember(id, 'Admin', 'Admin');
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
+
+/** Leaderboard */
+
+describe('leaderboard', function () {
+	beforeEach(async function () {
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value, result)
+			VALUES ('User', 1, 1, 'points', 'OVER', 30.5, 150, 'win'),
+			('User', 2, 1, 'blocks', 'OVER', 10.5, 200, 'win'),
+			('Admin', 2, 1, 'points', 'OVER', 30.5, 100, 'loss')`
+		);
+		await db.query(
+			`INSERT INTO team_picks (username, team_id, game_id, point_value, result)
+			VALUES ('Admin', 1, 1, 100, 'win')`
+		);
+	});
+
+	test('works', async function () {
+		const { id } = await addLeague();
+		expect(await League.leaderboard(id, 'User')).toEqual([
+			{ rank: 1, username: 'User', record: '2 - 0', winRate: 1, wins: 2, losses: 0, pushes: 0, points: 350 },
+			{ rank: 2, username: 'Admin', record: '1 - 1', winRate: 0.5, wins: 1, losses: 1, pushes: 0, points: 100 },
+		]);
+	});
+
+	test('only counts allowed stats', async function () {
+		const { id } = await addLeague({ allowedStats: ['points'] });
+		const leaderboard = await League.leaderboard(id, 'User');
+		expect(leaderboard.find((r) => r.username === 'User')).toEqual(expect.objectContaining({ wins: 1, points: 150 }));
+	});
+
+	test('only counts the first picks of each day', async function () {
+		const { id } = await addLeague({ picksPerDay: 1 });
+		expect(await League.leaderboard(id, 'User')).toEqual([
+			{ rank: 1, username: 'User', record: '1 - 0', winRate: 1, wins: 1, losses: 0, pushes: 0, points: 150 },
+			{ rank: 2, username: 'Admin', record: '0 - 1', winRate: 0, wins: 0, losses: 1, pushes: 0, points: 0 },
+		]);
+	});
+
+	test('game days are Eastern', async function () {
+		// 1 AM UTC on the 3rd is still the night of the 2nd in New York
+		await db.query(
+			`INSERT INTO games (id, season, date, location, home_team, away_team, status, clock, quarter, score, winner)
+			VALUES (3, 2023, '2024-01-03 01:00:00', 'State Farm Arena (Atlanta)', 3, 1, 'finished', '', 0, '95 - 99', 1)`
+		);
+		await db.query(
+			`INSERT INTO team_picks (username, team_id, game_id, point_value, result) VALUES ('User', 1, 3, 500, 'win')`
+		);
+		const { id } = await addLeague({ picksPerDay: 2 });
+		const leaderboard = await League.leaderboard(id, 'User');
+		expect(leaderboard.find((r) => r.username === 'User')).toEqual(expect.objectContaining({ wins: 2, points: 350 }));
+	});
+
+	test('leaves out games before a member joined', async function () {
+		const { id } = await addLeague();
+		await db.query(`UPDATE league_members SET joined_at = NOW() WHERE username = 'User'`);
+		const leaderboard = await League.leaderboard(id, 'Admin');
+		expect(leaderboard.find((r) => r.username === 'User')).toEqual(
+			expect.objectContaining({ record: '0 - 0', winRate: null, points: 0 })
+		);
+	});
+});
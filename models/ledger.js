@@ -0,0 +1,182 @@
+const db = require('../db');
+const { NotFoundError, BadRequestError } = require('../expressError');
+const { transaction } = require('../helpers/transaction');
+
+/** Related functions for the point ledger
+ *
+ * 	Every settled pick writes one entry to point_ledger, a user's points, wins
+ * 	and losses are then recalculated from their entries. Entries are never
+ * 	updated, so a user's score can always be traced back to the picks that
+ * 	made it. A grading mistake is fixed with a regrade entry for the
+ * 	difference, and the latest entry for a pick is its result.
+ *
+ * 	Picks are not staked, so a push or void gives back nothing more than the
+ * 	user put in: a 0 point entry that counts as neither a win nor a loss.
+ **/
+
+const PICK_TABLES = { player: 'player_picks', team: 'team_picks', parlay: 'parlays' };
+
+const OUTCOMES = ['win', 'loss', 'push', 'void'];
+
+class Ledger {
+	/** Given a pick and its outcome, grade the pick, add a ledger entry and
+	 * 	recalculate the user's balance in a single transaction
+	 *
+	 * 	pick is { username, pickType ("player", "team" or "parlay"), pickId, pointValue }
+	 * 	outcome is "win", "loss", "push" or "void"
+	 *
+	 * 	Returns { id, username, pickType, pickId, delta, reason, createdAt }
+	 * 	or undefined if the pick was already settled
+	 *
+	 * 	Throws Error if pickType or outcome is unknown
+	 **/
+
+	static async settle({ username, pickType, pickId, pointValue }, outcome) {
+		const table = PICK_TABLES[pickType];
+		if (!table) throw new Error(`Unknown pick type: ${pickType}`);
+		if (!OUTCOMES.includes(outcome)) throw new Error(`Unknown outcome: ${outcome}`);
+
+		return await transaction(async () => {
+			// Lock the user first so concurrent settles recalculate their balance one at a time
+			await db.query('SELECT 1 FROM users WHERE username = $1 FOR UPDATE', [username]);
+
+			// Only grade picks that are still open so a pick is never credited twice
+			const gradedRes = await db.query(`UPDATE ${table} SET result = $1 WHERE id = $2 AND result IS NULL RETURNING id`, [
+				outcome,
+				pickId,
+			]);
+			if (!gradedRes.rows.length) return;
+
+			const entryRes = await db.query(
+				`INSERT INTO point_ledger (username, pick_type, pick_id, delta, reason)
+				VALUES ($1, $2, $3, $4, $5)
+				RETURNING id, username, pick_type AS "pickType", pick_id AS "pickId", delta, reason, created_at AS "createdAt"`,
+				[username, pickType, pickId, outcome === 'win' ? pointValue : 0, outcome]
+			);
+
+			await this.refreshBalance(username);
+
+			return entryRes.rows[0];
+		});
+	}
+
+	/** Given a settled pick and its corrected outcome, regrade the pick and add
+	 * 	an entry for the difference from what the pick has been credited so far
+	 *
+	 * 	pick is { pickType ("player", "team" or "parlay"), pickId }
+	 * 	outcome is "win", "loss", "push" or "void"
+	 *
+	 * 	Returns { id, username, pickType, pickId, delta, reason, createdAt }
+	 *
+	 * 	Throws NotFoundError if the pick doesn't exist
+	 * 	Throws BadRequestError if pickType or outcome is unknown, or the pick
+	 * 	isn't settled yet or already has that outcome
+	 **/
+
+	static async regrade({ pickType, pickId }, outcome) {
+		const table = PICK_TABLES[pickType];
+		if (!table) throw new BadRequestError(`Pick type must be one of: ${Object.keys(PICK_TABLES)}`);
+		if (!OUTCOMES.includes(outcome)) throw new BadRequestError(`Outcome must be one of: ${OUTCOMES}`);
+
+		return await transaction(async () => {
+			// Lock the pick's user before the pick, in the same order as settle
+			await db.query(`SELECT 1 FROM users WHERE username = (SELECT username FROM ${table} WHERE id = $1) FOR UPDATE`, [
+				pickId,
+			]);
+			const pickRes = await db.query(
+				`SELECT username, point_value AS "pointValue", result FROM ${table} WHERE id = $1 FOR UPDATE`,
+				[pickId]
+			);
+			const pick = pickRes.rows[0];
+			if (!pick) throw new NotFoundError(`No ${pickType} pick: ${pickId}`);
+			if (!pick.result) throw new BadRequestError(`${pickType} pick ${pickId} hasn't been settled`);
+			if (pick.result === outcome) throw new BadRequestError(`${pickType} pick ${pickId} is already a ${outcome}`);
+
+			const creditedRes = await db.query(
+				`SELECT COALESCE(SUM(delta), 0)::INTEGER AS credited
+				FROM point_ledger
+				WHERE pick_type = $1 AND pick_id = $2`,
+				[pickType, pickId]
+			);
+			const delta = (outcome === 'win' ? pick.pointValue : 0) - creditedRes.rows[0].credited;
+
+			await db.query(`UPDATE ${table} SET result = $1 WHERE id = $2`, [outcome, pickId]);
+			const entryRes = await db.query(
+				`INSERT INTO point_ledger (username, pick_type, pick_id, delta, reason, kind)
+				VALUES ($1, $2, $3, $4, $5, 'regrade')
+				RETURNING id, username, pick_type AS "pickType", pick_id AS "pickId", delta, reason, created_at AS "createdAt"`,
+				[pick.username, pickType, pickId, delta, outcome]
+			);
+
+			await this.refreshBalance(pick.username);
+
+			return entryRes.rows[0];
+		});
+	}
+
+	/** Recalculate a user's points, wins and losses from their ledger entries,
+	 * 	a regraded pick counts by its latest entry
+	 **/
+
+	static async refreshBalance(username) {
+		await db.query(
+			`UPDATE users u
+			SET points = b.points, wins = b.wins, losses = b.losses
+			FROM (
+				SELECT COALESCE(SUM(delta), 0) AS points,
+					COUNT(*) FILTER (WHERE latest AND reason = 'win') AS wins,
+					COUNT(*) FILTER (WHERE latest AND reason = 'loss') AS losses
+				FROM (
+					SELECT delta, reason,
+						ROW_NUMBER() OVER (PARTITION BY pick_type, pick_id ORDER BY id DESC) = 1 AS latest
+					FROM point_ledger
+					WHERE username = $1
+				) e
+			) b
+			WHERE u.username = $1`,
+			[username]
+		);
+	}
+
+	/** Given a username, return every ledger entry, oldest first, with the
+	 * 	running point balance after each one
+	 *
+	 * 	Returns { username, points, wins, losses, entries }
+	 * 		Where entries is [ { id, pickType, pickId, delta, reason, balance, createdAt }, ... ]
+	 **/
+
+	static async get(username) {
+		const balanceRes = await db.query(
+			`SELECT COALESCE(SUM(delta), 0)::INTEGER AS points,
+				(COUNT(*) FILTER (WHERE latest AND reason = 'win'))::INTEGER AS wins,
+				(COUNT(*) FILTER (WHERE latest AND reason = 'loss'))::INTEGER AS losses
+			FROM (
+				SELECT delta, reason,
+					ROW_NUMBER() OVER (PARTITION BY pick_type, pick_id ORDER BY id DESC) = 1 AS latest
+				FROM point_ledger
+				WHERE username = $1
+			) e`,
+			[username]
+		);
+
+		const entriesRes = await db.query(
+			`SELECT id, pick_type AS "pickType", pick_id AS "pickId", delta, reason,
+				(SUM(delta) OVER (ORDER BY created_at, id))::INTEGER AS balance, created_at AS "createdAt"
+			FROM point_ledger
+			WHERE username = $1
+			ORDER BY created_at, id`,
+			[username]
+		);
+
+		return { username, ...balanceRes.rows[0], entries: entriesRes.rows };
+	}
+
+	/** Returns the number of settled picks in the ledger, regrades left out */
+
+	static async count() {
+		const countRes = await db.query(`SELECT COUNT(*)::INTEGER AS count FROM point_ledger WHERE kind = 'settle'`);
+		return countRes.rows[0].count;
+	}
+}
+
+module.exports = Ledger;
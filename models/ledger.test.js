@@ -0,0 +1,202 @@
+const db = require('../db.js');
+const Ledger = require('./ledger.js');
+const { NotFoundError, BadRequestError } = require('../expressError');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function addTeamPick(teamId, pointValue = 100, type = 'win') {
+	const pickRes = await db.query(
+		`INSERT INTO team_picks (username, team_id, game_id, point_value, pick_type) VALUES ('User', $1, 1, $2, $3) RETURNING id`,
+		[teamId, pointValue, type]
+	);
+	return { username: 'User', pickType: 'team', pickId: pickRes.rows[0].id, pointValue };
+}
+
+async function getUser() {
+	const userRes = await db.query(`SELECT points, wins, losses FROM users WHERE username = 'User'`);
+	return userRes.rows[0];
+}
+
+/** Settle */
+
+describe('settle', function () {
+	test('works for a win', async function () {
+		const pick = await addTeamPick(1, 150);
+		const entry = await Ledger.settle(pick, 'win');
+		expect(entry).toEqual({
+			id: expect.any(Number),
+			username: 'User',
+			pickType: 'team',
+			pickId: pick.pickId,
+			delta: 150,
+			reason: 'win',
+			createdAt: expect.any(Date),
+		});
+		expect(await getUser()).toEqual({ points: 150, wins: 1, losses: 0 });
+
+		const pickRes = await db.query(`SELECT result FROM team_picks WHERE id = $1`, [pick.pickId]);
+		expect(pickRes.rows[0].result).toEqual('win');
+	});
+
+	test('works for a loss', async function () {
+		const pick = await addTeamPick(2);
+		const entry = await Ledger.settle(pick, 'loss');
+		expect(entry.delta).toEqual(0);
+		expect(entry.reason).toEqual('loss');
+		expect(await getUser()).toEqual({ points: 0, wins: 0, losses: 1 });
+	});
+
+	test('push and void return nothing and are not losses', async function () {
+		const pushEntry = await Ledger.settle(await addTeamPick(1), 'push');
+		const voidEntry = await Ledger.settle(await addTeamPick(2, 100, 'spread'), 'void');
+		expect(pushEntry.delta).toEqual(0);
+		expect(voidEntry.reason).toEqual('void');
+		expect(await getUser()).toEqual({ points: 0, wins: 0, losses: 0 });
+	});
+
+	test('throws for unknown outcome', async function () {
+		try {
+			await Ledger.settle(await addTeamPick(1), 'nope');
+			fail();
+		} catch (err) {
+			expect(err.message).toEqual('Unknown outcome: nope');
+		}
+	});
+
+	test('does not settle a pick twice', async function () {
+		const pick = await addTeamPick(1);
+		await Ledger.settle(pick, 'win');
+		const entry = await Ledger.settle(pick, 'win');
+		expect(entry).toBeUndefined();
+		expect(await getUser()).toEqual({ points: 100, wins: 1, losses: 0 });
+	});
+
+	test('rolls back grading if the ledger entry fails', async function () {
+		const pick = await addTeamPick(1);
+		try {
+			await Ledger.settle({ ...pick, username: 'nope' }, 'win');
+			fail();
+		} catch (err) {
+			expect(err.message).toContain('foreign key');
+		}
+		const pickRes = await db.query(`SELECT result FROM team_picks WHERE id = $1`, [pick.pickId]);
+		expect(pickRes.rows[0].result).toEqual(null);
+	});
+
+	test('throws for unknown pick type', async function () {
+		try {
+			await Ledger.settle({ username: 'User', pickType: 'nope', pickId: 1, pointValue: 100 }, 'win');
+			fail();
+		} catch (err) {
+			expect(err.message).toEqual('Unknown pick type: nope');
+		}
+	});
+});
+
+/** Regrade */
+
+describe('regrade', function () {
+	test('works for a win corrected to a loss', async function () {
+		const pick = await addTeamPick(1, 150);
+		await Ledger.settle(pick, 'win');
+		const entry = await Ledger.regrade(pick, 'loss');
+		expect(entry).toEqual({
+			id: expect.any(Number),
+			username: 'User',
+			pickType: 'team',
+			pickId: pick.pickId,
+			delta: -150,
+			reason: 'loss',
+			createdAt: expect.any(Date),
+		});
+		expect(await getUser()).toEqual({ points: 0, wins: 0, losses: 1 });
+
+		const pickRes = await db.query(`SELECT result FROM team_picks WHERE id = $1`, [pick.pickId]);
+		expect(pickRes.rows[0].result).toEqual('loss');
+	});
+
+	test('credits the difference from every earlier entry', async function () {
+		const pick = await addTeamPick(1, 150);
+		await Ledger.settle(pick, 'loss');
+		expect((await Ledger.regrade(pick, 'win')).delta).toEqual(150);
+		expect((await Ledger.regrade(pick, 'push')).delta).toEqual(-150);
+		expect(await getUser()).toEqual({ points: 0, wins: 0, losses: 0 });
+
+		const ledger = await Ledger.get('User');
+		expect(ledger.entries.map((e) => [e.reason, e.balance])).toEqual([
+			['loss', 0],
+			['win', 150],
+			['push', 0],
+		]);
+		expect(await Ledger.count()).toEqual(1);
+	});
+
+	test('not found for a missing pick', async function () {
+		try {
+			await Ledger.regrade({ pickType: 'team', pickId: 0 }, 'win');
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+
+	test("bad request if the pick isn't settled or has that outcome", async function () {
+		const open = await addTeamPick(1);
+		const settled = await addTeamPick(2, 100, 'spread');
+		await Ledger.settle(settled, 'win');
+		for (let [pick, outcome] of [
+			[open, 'win'],
+			[settled, 'win'],
+			[settled, 'nope'],
+			[{ pickType: 'nope', pickId: 1 }, 'win'],
+		]) {
+			try {
+				await Ledger.regrade(pick, outcome);
+				fail();
+			} catch (err) {
+				expect(err instanceof BadRequestError).toBeTruthy();
+			}
+		}
+	});
+});
+
+/** Entries can not be changed */
+
+describe('immutable', function () {
+	test('updates are rejected', async function () {
+		const pick = await addTeamPick(1);
+		const entry = await Ledger.settle(pick, 'win');
+		try {
+			await db.query('SAVEPOINT before_update');
+			await db.query(`UPDATE point_ledger SET delta = 1000 WHERE id = $1`, [entry.id]);
+			fail();
+		} catch (err) {
+			expect(err.message).toContain('can not be updated');
+		}
+		await db.query('ROLLBACK TO SAVEPOINT before_update');
+	});
+});
+
+/** Get ledger */
+
+describe('get', function () {
+	test('works', async function () {
+		await Ledger.settle(await addTeamPick(1, 100), 'win');
+		await Ledger.settle(await addTeamPick(2, 100, 'spread'), 'loss');
+		await Ledger.settle(await addTeamPick(1, 50, 'total'), 'win');
+		const ledger = await Ledger.get('User');
+		expect(ledger.points).toEqual(150);
+		expect(ledger.wins).toEqual(2);
+		expect(ledger.losses).toEqual(1);
+		expect(ledger.entries.map((e) => e.balance)).toEqual([100, 100, 150]);
+	});
+
+	test('works with no entries', async function () {
+		const ledger = await Ledger.get('User');
+		expect(ledger).toEqual({ username: 'User', points: 0, wins: 0, losses: 0, entries: [] });
+	});
+});
@@ -0,0 +1,160 @@
+const db = require('../db');
+const { BadRequestError } = require('../expressError');
+const { GAME_START_NOTICE_MINUTES } = require('../config');
+
+// How a settled pick's ledger reason reads in a notification
+const OUTCOME_TEXT = { win: 'won', loss: 'lost', push: 'pushed', void: 'was voided' };
+
+// game_stats amounts that make a big performance, any one is enough
+const BIG_GAME = { points: 30, total_reb: 15, assists: 12, tpm: 7, steals: 5, blocks: 5 };
+
+const MAX_LIMIT = 100;
+
+/** Related functions for in-app notifications
+ *
+ * 	Notifications are added by the scheduled jobs: picks as they settle,
+ * 	followed teams' games about to start and big games from followed
+ * 	players. Each has a ref for what it's about so reruns of a job never
+ * 	notify a user twice.
+ **/
+
+class Notification {
+	/** Given a username, type, ref and message, add a notification unless
+	 * 	the user already has one of that type for the ref
+	 *
+	 * 	Returns { id, username, type, message } or undefined if already added
+	 **/
+
+	static async add(username, type, ref, message) {
+		const notificationRes = await db.query(
+			`INSERT INTO notifications (username, type, ref, message) VALUES ($1, $2, $3, $4)
+			ON CONFLICT DO NOTHING
+			RETURNING id, username, type, message`,
+			[username, type, ref, message]
+		);
+
+		return notificationRes.rows[0];
+	}
+
+	/** Given the ledger entry a pick settled with and how the pick reads (ex:
+	 * 	"Your BOS win pick"), notify the user
+	 **/
+
+	static async pickSettled({ username, pickType, pickId, reason, delta }, description) {
+		const points = delta ? ` (+${delta} points)` : '';
+		return await this.add(username, 'pick_settled', `${pickType}:${pickId}`, `${description} ${OUTCOME_TEXT[reason]}${points}`);
+	}
+
+	/** Notify users following a team whose game starts within the next
+	 * 	GAME_START_NOTICE_MINUTES
+	 *
+	 * 	Returns the number of notifications added
+	 **/
+
+	static async gamesStartingSoon() {
+		const notificationsRes = await db.query(
+			`INSERT INTO notifications (username, type, ref, message)
+			SELECT ft.username, 'game_starting', 'game:' || g.id,
+				-- games.date is UTC, tip-off times are shown in Eastern
+				t1.code || ' vs ' || t2.code || ' tips off at '
+					|| TO_CHAR((g.date AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York', 'FMHH12:MI AM') || ' ET'
+			FROM followed_teams ft
+			JOIN games g ON ft.team_id IN (g.home_team, g.away_team)
+			JOIN teams t1 ON g.home_team = t1.id
+			JOIN teams t2 ON g.away_team = t2.id
+			WHERE g.status = 'scheduled'
+			AND g.date BETWEEN (NOW() AT TIME ZONE 'UTC') AND (NOW() AT TIME ZONE 'UTC') + make_interval(mins => $1)
+			ON CONFLICT DO NOTHING`,
+			[GAME_START_NOTICE_MINUTES]
+		);
+
+		return notificationsRes.rowCount;
+	}
+
+	/** Notify users following a player who had a big game (see BIG_GAME) in
+	 * 	a game finished in the last day
+	 *
+	 * 	Returns the number of notifications added
+	 **/
+
+	static async bigPerformances() {
+		const isBig = Object.entries(BIG_GAME)
+			.map(([column, amount]) => `gs.${column} >= ${amount}`)
+			.join(' OR ');
+
+		const notificationsRes = await db.query(
+			`INSERT INTO notifications (username, type, ref, message)
+			SELECT fp.username, 'big_performance', 'game:' || g.id || ':player:' || p.id,
+				p.first_name || ' ' || p.last_name || ' had ' || gs.points || ' pts, ' || gs.total_reb || ' reb, '
+				|| gs.assists || ' ast in ' || t1.code || ' vs ' || t2.code
+			FROM followed_players fp
+			JOIN players p ON fp.player_id = p.id
+			JOIN game_stats gs ON gs.player_id = p.id
+			JOIN games g ON gs.game_id = g.id
+			JOIN teams t1 ON g.home_team = t1.id
+			JOIN teams t2 ON g.away_team = t2.id
+			WHERE g.status = 'finished'
+			AND COALESCE(g.finished_at, g.date) >= (NOW() AT TIME ZONE 'UTC') - INTERVAL '1 day'
+			AND (${isBig})
+			ON CONFLICT DO NOTHING`
+		);
+
+		return notificationsRes.rowCount;
+	}
+
+	/** Given a username and { page, limit, unread }, return a page of their
+	 * 	notifications, newest first. With unread true only unread ones.
+	 *
+	 * 	Returns { notifications, unread, total, page, limit }
+	 * 		Where notifications is [ { id, type, message, isRead, createdAt }, ... ]
+	 * 		Where unread is the number of unread notifications and total the
+	 * 		number matching the filter
+	 *
+	 * 	Throws BadRequestError if page or limit is invalid
+	 **/
+
+	static async forUser(username, { page = 1, limit = 20, unread = false } = {}) {
+		page = Number(page);
+		limit = Number(limit);
+		if (!Number.isInteger(page) || page < 1) throw new BadRequestError('Page must be a positive integer');
+		if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)
+			throw new BadRequestError(`Limit must be an integer from 1 to ${MAX_LIMIT}`);
+
+		const notificationsRes = await db.query(
+			`SELECT id, type, message, is_read AS "isRead", created_at AS "createdAt"
+			FROM notifications
+			WHERE username = $1 AND ($2 = false OR NOT is_read)
+			ORDER BY created_at DESC, id DESC
+			LIMIT $3 OFFSET $4`,
+			[username, unread, limit, (page - 1) * limit]
+		);
+
+		const countsRes = await db.query(
+			`SELECT COUNT(*) FILTER (WHERE NOT is_read)::INTEGER AS unread,
+				COUNT(*) FILTER (WHERE $2 = false OR NOT is_read)::INTEGER AS total
+			FROM notifications
+			WHERE username = $1`,
+			[username, unread]
+		);
+
+		return { notifications: notificationsRes.rows, ...countsRes.rows[0], page, limit };
+	}
+
+	/** Given a username and { ids, read }, mark their notifications with
+	 * 	those ids (all of them without ids) as read or unread
+	 *
+	 * 	Returns { updated } the number of notifications changed
+	 **/
+
+	static async markRead(username, { ids, read = true }) {
+		const updatedRes = await db.query(
+			`UPDATE notifications SET is_read = $2
+			WHERE username = $1 AND is_read <> $2 AND ($3::INTEGER[] IS NULL OR id = ANY($3))`,
+			[username, read, ids || null]
+		);
+
+		return { updated: updatedRes.rowCount };
+	}
+}
+
+module.exports = Notification;
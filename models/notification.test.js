@@ -0,0 +1,146 @@
+const db = require('../db.js');
+const Notification = require('./notification.js');
+const { BadRequestError } = require('../expressError');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Add */
+
+describe('add', function () {
+	test('works once per ref', async function () {
+		expect(await Notification.add('User', 'pick_settled', 'team:1', 'Your BOS win pick won')).toEqual({
+			id: expect.any(Number),
+			username: 'User',
+			type: 'pick_settled',
+			message: 'Your BOS win pick won',
+		});
+		expect(await Notification.add('User', 'pick_settled', 'team:1', 'Your BOS win pick won')).toEqual(undefined);
+	});
+});
+
+/** Games starting soon */
+
+describe('gamesStartingSoon', function () {
+	test('notifies followers once', async function () {
+		await db.query(`INSERT INTO followed_teams (username, team_id) VALUES ('User', 1), ('User', 2), ('Admin', 3)`);
+		await db.query(`UPDATE games SET date = DATE_TRUNC('minute', NOW() AT TIME ZONE 'UTC') + INTERVAL '30 minutes' WHERE id = 2`);
+
+		expect(await Notification.gamesStartingSoon()).toEqual(1);
+		expect(await Notification.gamesStartingSoon()).toEqual(0);
+
+		const notificationsRes = await db.query(`SELECT username, type, message FROM notifications`);
+		expect(notificationsRes.rows).toEqual([
+			{ username: 'User', type: 'game_starting', message: expect.stringMatching(/^NYK vs BOS tips off at \d{1,2}:\d{2} [AP]M ET$/) },
+		]);
+	});
+
+	test('tip-off time is Eastern', async function () {
+		await db.query(`INSERT INTO followed_teams (username, team_id) VALUES ('User', 1)`);
+		const dateRes = await db.query(
+			`UPDATE games SET date = DATE_TRUNC('minute', NOW() AT TIME ZONE 'UTC') + INTERVAL '30 minutes' WHERE id = 2
+			RETURNING TO_CHAR(date, 'YYYY-MM-DD"T"HH24:MI:SS"Z"') AS date`
+		);
+		await Notification.gamesStartingSoon();
+
+		const tipOff = new Date(dateRes.rows[0].date).toLocaleTimeString('en-US', {
+			timeZone: 'America/New_York',
+			hour: 'numeric',
+			minute: '2-digit',
+		}).replace(/\s/g, ' ');
+		const notificationsRes = await db.query(`SELECT message FROM notifications`);
+		expect(notificationsRes.rows[0].message).toEqual(`NYK vs BOS tips off at ${tipOff} ET`);
+	});
+
+	test('waits until the game is close', async function () {
+		await db.query(`INSERT INTO followed_teams (username, team_id) VALUES ('User', 1)`);
+		expect(await Notification.gamesStartingSoon()).toEqual(0);
+	});
+
+	test('times tip-off in UTC whatever the database time zone', async function () {
+		await db.query(`SET LOCAL timezone = 'America/New_York'`);
+		await db.query(`INSERT INTO followed_teams (username, team_id) VALUES ('User', 1)`);
+		await db.query(`UPDATE games SET date = (NOW() AT TIME ZONE 'UTC') + INTERVAL '6 hours' WHERE id = 2`);
+		expect(await Notification.gamesStartingSoon()).toEqual(0);
+
+		await db.query(`UPDATE games SET date = (NOW() AT TIME ZONE 'UTC') + INTERVAL '30 minutes' WHERE id = 2`);
+		expect(await Notification.gamesStartingSoon()).toEqual(1);
+	});
+});
+
+/** Big performances */
+
+describe('bigPerformances', function () {
+	test('notifies followers of big games', async function () {
+		await db.query(`INSERT INTO followed_players (username, player_id) VALUES ('User', 1), ('Admin', 2)`);
+		await db.query(`UPDATE games SET finished_at = NOW() AT TIME ZONE 'UTC' WHERE id = 1`);
+		await db.query(`UPDATE game_stats SET points = 10, total_reb = 5, assists = 5, tpm = 1, steals = 1, blocks = 1 WHERE player_id = 2`);
+
+		expect(await Notification.bigPerformances()).toEqual(1);
+
+		const notificationsRes = await db.query(`SELECT username, type, message FROM notifications`);
+		expect(notificationsRes.rows).toEqual([
+			{ username: 'User', type: 'big_performance', message: 'Jayson Tatum had 76 pts, 65 reb, 34 ast in BOS vs NYK' },
+		]);
+	});
+
+	test('leaves out older games', async function () {
+		await db.query(`INSERT INTO followed_players (username, player_id) VALUES ('User', 1)`);
+		expect(await Notification.bigPerformances()).toEqual(0);
+	});
+});
+
+/** For user */
+
+describe('forUser', function () {
+	beforeEach(async function () {
+		for (let i = 1; i <= 3; i++) await Notification.add('User', 'pick_settled', `team:${i}`, `Pick ${i}`);
+		await db.query(`UPDATE notifications SET is_read = true WHERE ref = 'team:1'`);
+	});
+
+	test('works with pages', async function () {
+		const page = await Notification.forUser('User', { page: 2, limit: 2 });
+		expect(page).toEqual({
+			notifications: [
+				{ id: expect.any(Number), type: 'pick_settled', message: 'Pick 1', isRead: true, createdAt: expect.any(Date) },
+			],
+			unread: 2,
+			total: 3,
+			page: 2,
+			limit: 2,
+		});
+	});
+
+	test('works with only unread', async function () {
+		const page = await Notification.forUser('User', { unread: true });
+		expect(page.notifications.map((n) => n.message)).toEqual(['Pick 3', 'Pick 2']);
+		expect(page.total).toEqual(2);
+	});
+
+	test('bad request with invalid page', async function () {
+		try {
+			await Notification.forUser('User', { page: 0 });
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
+
+/** Mark read */
+
+describe('markRead', function () {
+	test('works for some or all', async function () {
+		const first = await Notification.add('User', 'pick_settled', 'team:1', 'Pick 1');
+		await Notification.add('User', 'pick_settled', 'team:2', 'Pick 2');
+		await Notification.add('Admin', 'pick_settled', 'team:3', 'Pick 3');
+
+		expect(await Notification.markRead('User', { ids: [first.id] })).toEqual({ updated: 1 });
+		expect(await Notification.markRead('User', {})).toEqual({ updated: 1 });
+		expect(await Notification.markRead('User', { ids: [first.id], read: false })).toEqual({ updated: 1 });
+		expect((await Notification.forUser('Admin')).unread).toEqual(1);
+	});
+});
@@ -0,0 +1,312 @@
+const db = require('../db');
+const { NotFoundError, BadRequestError } = require('../expressError');
+const { PICK_VOID_WINDOW_HOURS } = require('../config');
+const { transaction } = require('../helpers/transaction');
+const Player = require('./player');
+const Team = require('./team');
+const Game = require('./game');
+const Ledger = require('./ledger');
+const PropLine = require('./propLine');
+const Notification = require('./notification');
+const Webhook = require('./webhook');
+const { BASE_POINTS } = require('../helpers/pointValue');
+const moment = require('moment');
+
+const MIN_LEGS = 2;
+const MAX_LEGS = 8;
+
+const VALID_STATS = ['points', 'tpm', 'rebounds', 'assists', 'steals', 'blocks'];
+
+/** Related functions for parlays
+ *
+ * 	A parlay is a slip of player prop and team winner legs across any games.
+ * 	Each leg is priced like the single pick it matches (its offered point
+ * 	value) and the slip pays what those legs pay chained together, see payout.
+ * 	It loses as soon as any leg loses and only pays out once every leg has
+ * 	settled. Pushed or voided legs drop out of the payout, a slip with no
+ * 	winning legs left is a push (or void if every leg was voided).
+ **/
+
+class Parlay {
+	/** Given a username and an array of legs, add a parlay to db
+	 *
+	 * 	legs is [ { type: "player", playerId, gameId, stat, over_under, value }
+	 * 			  or { type: "team", teamId, gameId }, ... ]
+	 * 		Where value is the line offered for the player (see PropLine)
+	 *
+	 * 	Returns { id, username, pointValue, result, createdAt, legs }
+	 *
+	 * 	Throws NotFoundError if user, player, team or game not found
+	 * 	Throws BadRequestError if wrong number of legs, a leg is invalid, a
+	 * 	leg's game is locked or two legs overlap
+	 **/
+
+	static async create(username, legs) {
+		if (!Array.isArray(legs) || legs.length < MIN_LEGS || legs.length > MAX_LEGS)
+			throw new BadRequestError(`Parlays must have ${MIN_LEGS} - ${MAX_LEGS} legs!`);
+
+		const userRes = await db.query(`SELECT username FROM users WHERE username = $1`, [username]);
+		if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+		const seen = new Set();
+		const validLegs = [];
+		for (let leg of legs) {
+			const validLeg = await validateLeg(leg);
+			// Can't take the same prop twice or both sides of a game
+			const key =
+				validLeg.type === 'player'
+					? `player-${validLeg.gameId}-${validLeg.playerId}-${validLeg.stat}`
+					: `team-${validLeg.gameId}`;
+			if (seen.has(key)) throw new BadRequestError('Parlay legs can not overlap!');
+			seen.add(key);
+			validLegs.push(validLeg);
+		}
+
+		const parlayId = await transaction(async () => {
+			const parlayRes = await db.query(`INSERT INTO parlays (username, point_value) VALUES ($1, $2) RETURNING id`, [
+				username,
+				payout(validLegs.map((l) => l.pointValue)),
+			]);
+			const id = parlayRes.rows[0].id;
+
+			for (let leg of validLegs) {
+				await db.query(
+					`INSERT INTO parlay_legs (parlay_id, leg_type, game_id, player_id, stat, over_under, value, team_id, point_value)
+					VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+					[id, leg.type, leg.gameId, leg.playerId, leg.stat, leg.overUnder, leg.value, leg.teamId, leg.pointValue]
+				);
+			}
+			return id;
+		});
+
+		return await this.get(parlayId);
+	}
+
+	/** Given a parlay id, return the parlay and its legs
+	 *
+	 * 	Returns { id, username, pointValue, result, createdAt, legs }
+	 * 		Where legs is [ { leg }, ... ], see legsWithProgress
+	 *
+	 * 	Throws NotFoundError if not found
+	 **/
+
+	static async get(id) {
+		const parlayRes = await db.query(
+			`SELECT id, username, point_value AS "pointValue", result, created_at AS "createdAt"
+			FROM parlays
+			WHERE id = $1`,
+			[id]
+		);
+		const parlay = parlayRes.rows[0];
+
+		if (!parlay) throw new NotFoundError(`No parlay: ${id}`);
+
+		parlay.legs = await legsWithProgress([parlay.id]);
+
+		return parlay;
+	}
+
+	/** Given a username, return all of their parlays, newest first, with live
+	 * 	progress for every leg
+	 *
+	 * 	Returns [ { id, username, pointValue, result, createdAt, legs }, ... ]
+	 **/
+
+	static async forUser(username) {
+		const parlaysRes = await db.query(
+			`SELECT id, username, point_value AS "pointValue", result, created_at AS "createdAt"
+			FROM parlays
+			WHERE username = $1
+			ORDER BY created_at DESC, id DESC`,
+			[username]
+		);
+		const parlays = parlaysRes.rows;
+
+		const legs = await legsWithProgress(parlays.map((p) => p.id));
+		for (let parlay of parlays) {
+			parlay.legs = legs.filter((l) => l.parlayId === parlay.id);
+		}
+
+		return parlays;
+	}
+
+	/** Grade the legs of all open parlays whose games are finished, then
+	 * 	settle each parlay through the point ledger once it has lost or every
+	 * 	leg has settled
+	 **/
+
+	static async updateParlays() {
+		const parlaysRes = await db.query(`SELECT id, username FROM parlays WHERE result IS NULL`);
+		const parlays = parlaysRes.rows;
+
+		if (!parlays.length) return { updateParlays: 'No open parlays to update yet' };
+
+		for (let parlay of parlays) {
+			const settled = await transaction(async () => {
+				const legsRes = await db.query(
+					`SELECT pl.id, pl.leg_type AS type, pl.game_id AS "gameId", pl.player_id AS "playerId", pl.stat, pl.over_under AS "overUnder", pl.value, pl.team_id AS "teamId", pl.point_value AS "pointValue", pl.result, g.status, g.home_team AS "homeId", g.score,
+					COALESCE(g.finished_at, g.date) < (NOW() AT TIME ZONE 'UTC') - make_interval(hours => $2) AS "canVoid"
+					FROM parlay_legs pl
+					JOIN games g ON pl.game_id = g.id
+					WHERE pl.parlay_id = $1`,
+					[parlay.id, PICK_VOID_WINDOW_HOURS]
+				);
+				const legs = legsRes.rows;
+
+				for (let leg of legs) {
+					if (leg.result || leg.status !== 'finished') continue;
+
+					leg.result =
+						leg.type === 'player' ? await Player.gradePick(leg) : Team.gradePick({ ...leg, type: 'win' });
+					if (leg.result) await db.query(`UPDATE parlay_legs SET result = $1 WHERE id = $2`, [leg.result, leg.id]);
+				}
+
+				let outcome;
+				const wins = legs.filter((l) => l.result === 'win');
+				if (legs.some((l) => l.result === 'loss')) outcome = 'loss';
+				else if (legs.some((l) => !l.result)) return;
+				else if (wins.length) outcome = 'win';
+				else outcome = legs.every((l) => l.result === 'void') ? 'void' : 'push';
+
+				// Pushed and voided legs don't count toward the payout
+				const pointValue = payout(wins.map((l) => l.pointValue));
+				if (outcome === 'win')
+					await db.query(`UPDATE parlays SET point_value = $1 WHERE id = $2`, [pointValue, parlay.id]);
+
+				const entry = await Ledger.settle({ username: parlay.username, pickType: 'parlay', pickId: parlay.id, pointValue }, outcome);
+				if (entry) await Notification.pickSettled(entry, `Your ${legs.length} leg parlay`);
+				return { outcome, entry };
+			});
+			if (!settled) continue;
+
+			// Sent once the parlay is committed so a slow endpoint can't hold the transaction open
+			if (settled.entry) await Webhook.pickSettled(settled.entry);
+			console.log(`Parlay ${parlay.id} and User ${parlay.username} settled as a ${settled.outcome}!`);
+		}
+		console.log(`All eligible parlays update finished @ ${moment().subtract(5, 'hours').format('LLL')}`);
+		return { updateParlays: 'success' };
+	}
+}
+
+/** Given the point values of a slip's winning legs, return what it pays
+ *
+ * 	A single pick pays its point value on a BASE_POINTS risk, so each leg
+ * 	multiplies the slip by 1 + pointValue / BASE_POINTS, ex: two coin flips
+ * 	(100 each) pay 300, two long shots (500 each) pay 3500.
+ **/
+
+function payout(pointValues) {
+	const odds = pointValues.reduce((product, points) => product * (1 + points / BASE_POINTS), 1);
+	return Math.round(BASE_POINTS * (odds - 1));
+}
+
+/** Given a leg from the request body, check it and return it in parlay_legs
+ * 	shape: { type, gameId, playerId, stat, overUnder, value, teamId, pointValue }
+ * 		Where pointValue is what the leg would pay as a single pick, from its
+ * 		prop line or the game's win line (Team.gameLines)
+ *
+ * 	Throws NotFoundError / BadRequestError if invalid
+ **/
+
+async function validateLeg(leg) {
+	if (!leg || (leg.type !== 'player' && leg.type !== 'team'))
+		throw new BadRequestError('Parlay legs must have a type of "player" or "team"');
+
+	const game = await Game.checkUnlocked(leg.gameId);
+
+	if (leg.type === 'player') {
+		await Player.checkValid(leg.playerId);
+		const stat = (leg.stat || '').toLowerCase();
+		if (!VALID_STATS.includes(stat))
+			throw new BadRequestError(`Stat selection is limited to the following: ${VALID_STATS}`);
+
+		const overUnder = (leg.over_under || '').toUpperCase();
+		if (overUnder !== 'OVER' && overUnder !== 'UNDER')
+			throw new BadRequestError('Over_Under must be either "over" or "under"');
+
+		if (typeof leg.value !== 'number') throw new BadRequestError('Player legs must include a numeric value');
+		const offered = await PropLine.checkOffered({ playerId: leg.playerId, gameId: game.id, stat, value: leg.value });
+
+		const teamRes = await db.query(`SELECT team_id AS "teamId" FROM players WHERE id = $1`, [leg.playerId]);
+		const { teamId } = teamRes.rows[0];
+		if (teamId !== game.home_team && teamId !== game.away_team)
+			throw new BadRequestError(`Player ${leg.playerId} is not playing in game ${game.id}`);
+
+		return {
+			type: 'player',
+			gameId: game.id,
+			playerId: leg.playerId,
+			stat,
+			overUnder,
+			value: leg.value,
+			teamId: null,
+			pointValue: overUnder === 'OVER' ? offered.overPoints : offered.underPoints,
+		};
+	}
+
+	const team = await Team.checkValid(leg.teamId);
+	if (team.id !== game.home_team && team.id !== game.away_team)
+		throw new BadRequestError(`Team ${team.id} is not playing in game ${game.id}`);
+
+	const lines = await Team.gameLines(game.id);
+	return {
+		type: 'team',
+		gameId: game.id,
+		playerId: null,
+		stat: null,
+		overUnder: null,
+		value: null,
+		teamId: team.id,
+		pointValue: lines.pointValues[team.id].win,
+	};
+}
+
+/** Given parlay ids, return their legs with live progress
+ *
+ * 	Returns [ { id, parlayId, type, gameId, game, date, status, score, result, pointValue,
+ * 				playerId, player, stat, overUnder, value, current,
+ * 				teamId, teamCode, difference, isLeading }, ... ]
+ *
+ * 	current is the player's stat so far, difference is the selected team's
+ * 	margin, both only once the game has started
+ **/
+
+async function legsWithProgress(parlayIds) {
+	const legsRes = await db.query(
+		`SELECT pl.id, pl.parlay_id AS "parlayId", pl.leg_type AS type, pl.game_id AS "gameId", t1.code || ' vs ' || t2.code AS game, g.date, g.status, g.score, g.home_team AS "homeId", pl.result, pl.point_value AS "pointValue",
+		pl.player_id AS "playerId", p.last_name || ', ' || p.first_name AS player, pl.stat, pl.over_under AS "overUnder", pl.value,
+		pl.team_id AS "teamId", t.code AS "teamCode",
+		CASE pl.stat
+			WHEN 'points' THEN gs.points
+			WHEN 'tpm' THEN gs.tpm
+			WHEN 'rebounds' THEN gs.off_reb + gs.def_reb
+			WHEN 'assists' THEN gs.assists
+			WHEN 'steals' THEN gs.steals
+			WHEN 'blocks' THEN gs.blocks
+		END AS current
+		FROM parlay_legs pl
+		JOIN games g ON pl.game_id = g.id
+		JOIN teams t1 ON g.home_team = t1.id
+		JOIN teams t2 ON g.away_team = t2.id
+		LEFT JOIN players p ON pl.player_id = p.id
+		LEFT JOIN teams t ON pl.team_id = t.id
+		LEFT JOIN game_stats gs ON gs.player_id = pl.player_id AND gs.game_id = pl.game_id
+		WHERE pl.parlay_id = ANY($1)
+		ORDER BY g.date, pl.id`,
+		[parlayIds]
+	);
+	const legs = legsRes.rows;
+
+	for (let leg of legs) {
+		if (leg.type === 'team' && leg.score && leg.score !== 'TBD') {
+			const [home, away] = leg.score.split('-').map(Number);
+			leg.difference = leg.teamId === leg.homeId ? home - away : away - home;
+			leg.isLeading = leg.difference > 0;
+		}
+		delete leg.homeId;
+	}
+
+	return legs;
+}
+
+module.exports = Parlay;
@@ -0,0 +1,256 @@
+const db = require('../db.js');
+const Parlay = require('./parlay.js');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const legs = [
+	{ type: 'player', playerId: 1, gameId: 2, stat: 'points', over_under: 'over', value: 19.5 },
+	{ type: 'player', playerId: 2, gameId: 2, stat: 'assists', over_under: 'under', value: 6.5 },
+	{ type: 'team', teamId: 1, gameId: 2 },
+];
+
+/** Add a parlay on the finished game 1 with the given legs (each a coin flip
+ * 	worth 100 unless it has a pointValue), skipping create's checks that the
+ * 	game hasn't started
+ **/
+
+async function addFinishedParlay(finishedLegs) {
+	const parlayRes = await db.query(
+		`INSERT INTO parlays (username, point_value) VALUES ('User', $1) RETURNING id`,
+		[100 * (2 ** finishedLegs.length - 1)]
+	);
+	const id = parlayRes.rows[0].id;
+	for (let leg of finishedLegs) {
+		await db.query(
+			`INSERT INTO parlay_legs (parlay_id, leg_type, game_id, player_id, stat, over_under, value, team_id, point_value)
+			VALUES ($1, $2, 1, $3, $4, $5, $6, $7, $8)`,
+			[
+				id,
+				leg.type,
+				leg.playerId || null,
+				leg.stat || null,
+				leg.overUnder || null,
+				leg.value ?? null,
+				leg.teamId || null,
+				leg.pointValue || 100,
+			]
+		);
+	}
+	return id;
+}
+
+async function getUser() {
+	const userRes = await db.query(`SELECT points, wins, losses FROM users WHERE username = 'User'`);
+	return userRes.rows[0];
+}
+
+/** Create */
+
+describe('create', function () {
+	test('works', async function () {
+		const parlay = await Parlay.create('User', legs);
+		expect(parlay).toEqual({
+			id: expect.any(Number),
+			username: 'User',
+			// 75, 250 and 56 point legs: 100 * (1.75 * 3.5 * 1.56 - 1)
+			pointValue: 856,
+			result: null,
+			createdAt: expect.any(Date),
+			legs: expect.any(Array),
+		});
+		expect(parlay.legs.length).toEqual(3);
+		expect(parlay.legs[0]).toEqual(
+			expect.objectContaining({
+				type: 'player',
+				gameId: 2,
+				game: 'NYK vs BOS',
+				playerId: 1,
+				player: 'Tatum, Jayson',
+				stat: 'points',
+				overUnder: 'OVER',
+				value: 19.5,
+				pointValue: 75,
+				result: null,
+				current: null,
+			})
+		);
+		expect(parlay.legs[2]).toEqual(expect.objectContaining({ type: 'team', teamId: 1, teamCode: 'BOS', pointValue: 56 }));
+	});
+
+	test('long shots pay more than favorites', async function () {
+		const favorites = await Parlay.create('User', [legs[0], legs[2]]);
+		const longShots = await Parlay.create('User', [
+			{ ...legs[0], over_under: 'under' },
+			{ type: 'team', teamId: 2, gameId: 2 },
+		]);
+		expect(favorites.pointValue).toEqual(173);
+		expect(longShots.pointValue).toBeGreaterThan(favorites.pointValue);
+	});
+
+	test('bad request with too few or too many legs', async function () {
+		for (let badLegs of [legs.slice(0, 1), Array(9).fill(legs[2])]) {
+			try {
+				await Parlay.create('User', badLegs);
+				fail();
+			} catch (err) {
+				expect(err instanceof BadRequestError).toBeTruthy();
+			}
+		}
+	});
+
+	test('bad request with overlapping legs', async function () {
+		try {
+			await Parlay.create('User', [legs[0], { ...legs[0], over_under: 'under' }]);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('bad request if game already started', async function () {
+		try {
+			await Parlay.create('User', [legs[0], { type: 'team', teamId: 1, gameId: 1 }]);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('bad request if team not in game', async function () {
+		try {
+			await Parlay.create('User', [legs[0], { type: 'team', teamId: 3, gameId: 2 }]);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('bad request with invalid stat', async function () {
+		try {
+			await Parlay.create('User', [legs[2], { ...legs[0], stat: 'fouls' }]);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('not found if no such user', async function () {
+		try {
+			await Parlay.create('nope', legs);
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+
+	test('nothing saved if a leg is invalid', async function () {
+		try {
+			await Parlay.create('User', [legs[0], { type: 'player', playerId: 100, gameId: 2 }]);
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+		const parlayRes = await db.query(`SELECT id FROM parlays`);
+		expect(parlayRes.rows.length).toEqual(0);
+	});
+});
+
+/** For user */
+
+describe('forUser', function () {
+	test('works with live progress', async function () {
+		await addFinishedParlay([
+			{ type: 'player', playerId: 1, stat: 'points', overUnder: 'OVER', value: 30.5 },
+			{ type: 'team', teamId: 2 },
+		]);
+		const parlays = await Parlay.forUser('User');
+		expect(parlays.length).toEqual(1);
+		expect(parlays[0].legs[0].current).toEqual(76);
+		expect(parlays[0].legs[1]).toEqual(expect.objectContaining({ teamCode: 'NYK', difference: -10, isLeading: false }));
+	});
+
+	test('leaves out team progress for games without a score', async function () {
+		await addFinishedParlay([{ type: 'team', teamId: 2 }]);
+		await db.query(`UPDATE games SET score = NULL WHERE id = 1`);
+		const parlays = await Parlay.forUser('User');
+		expect(parlays[0].legs[0].difference).toBeUndefined();
+		expect(parlays[0].legs[0].isLeading).toBeUndefined();
+	});
+
+	test('empty for user without parlays', async function () {
+		expect(await Parlay.forUser('Admin')).toEqual([]);
+	});
+});
+
+/** Update parlays */
+
+describe('updateParlays', function () {
+	test('settles a win once every leg wins', async function () {
+		const id = await addFinishedParlay([
+			{ type: 'player', playerId: 1, stat: 'points', overUnder: 'OVER', value: 30.5 },
+			{ type: 'player', playerId: 2, stat: 'assists', overUnder: 'OVER', value: 10.5 },
+			{ type: 'team', teamId: 1 },
+		]);
+		await Parlay.updateParlays();
+
+		const parlay = await Parlay.get(id);
+		expect(parlay.result).toEqual('win');
+		expect(parlay.pointValue).toEqual(700);
+		expect(parlay.legs.map((l) => l.result)).toEqual(['win', 'win', 'win']);
+		expect(await getUser()).toEqual({ points: 700, wins: 1, losses: 0 });
+	});
+
+	test('loses if any leg loses', async function () {
+		const id = await addFinishedParlay([
+			{ type: 'player', playerId: 1, stat: 'points', overUnder: 'OVER', value: 30.5 },
+			{ type: 'team', teamId: 2 },
+		]);
+		await Parlay.updateParlays();
+
+		expect((await Parlay.get(id)).result).toEqual('loss');
+		expect(await getUser()).toEqual({ points: 0, wins: 0, losses: 1 });
+	});
+
+	test('pushed legs drop out of the payout', async function () {
+		const id = await addFinishedParlay([
+			{ type: 'player', playerId: 1, stat: 'points', overUnder: 'OVER', value: 76 },
+			{ type: 'team', teamId: 1 },
+		]);
+		await Parlay.updateParlays();
+
+		const parlay = await Parlay.get(id);
+		expect(parlay.result).toEqual('win');
+		expect(parlay.pointValue).toEqual(100);
+		expect(await getUser()).toEqual({ points: 100, wins: 1, losses: 0 });
+	});
+
+	test("pays by each winning leg's point value", async function () {
+		const id = await addFinishedParlay([
+			{ type: 'player', playerId: 1, stat: 'points', overUnder: 'OVER', value: 30.5, pointValue: 300 },
+			{ type: 'team', teamId: 1, pointValue: 50 },
+		]);
+		await Parlay.updateParlays();
+
+		expect((await Parlay.get(id)).pointValue).toEqual(500);
+		expect(await getUser()).toEqual({ points: 500, wins: 1, losses: 0 });
+	});
+
+	test('waits for every leg to settle', async function () {
+		const id = await addFinishedParlay([
+			{ type: 'team', teamId: 1 },
+			{ type: 'player', playerId: 1, stat: 'points', overUnder: 'OVER', value: 30.5 },
+		]);
+		await db.query(`UPDATE parlay_legs SET game_id = 2 WHERE parlay_id = $1 AND leg_type = 'player'`, [id]);
+		await Parlay.updateParlays();
+
+		const parlay = await Parlay.get(id);
+		expect(parlay.result).toEqual(null);
+		expect(parlay.legs.find((l) => l.type === 'team').result).toEqual('win');
+		expect(await getUser()).toEqual({ points: 0, wins: 0, losses: 0 });
+	});
+});
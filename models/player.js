@@ -1,18 +1,19 @@
 const db = require('../db');
-const axios = require('axios');
 const { BadRequestError, NotFoundError } = require('../expressError');
+const { getProvider } = require('../providers');
+const { PICK_VOID_WINDOW_HOURS } = require('../config');
+const { publish, changes } = require('../helpers/liveFeed');
+const { upsert, addCounts } = require('../helpers/upsert');
 const Team = require('./team');
 const Game = require('./game');
-const API_KEY = require('../secrets');
+const Season = require('./season');
+const Ledger = require('./ledger');
+const PropLine = require('./propLine');
+const Notification = require('./notification');
+const Webhook = require('./webhook');
+const IngestFailure = require('./ingestFailure');
 const moment = require('moment');
 
-const BASE_URL = 'https://v2.nba.api-sports.io/';
-const headers = {
-	'x-rapidapi-key': API_KEY || process.env.API_KEY,
-	'x-rapidapi-host': 'v2.nba.api-sports.io',
-};
-const delay = (ms) => new Promise((res) => setTimeout(res, ms));
-
 /** Related functions for players */
 
 class Player {
@@ -81,31 +82,31 @@ class Player {
 		return playersRes.rows;
 	}
 
-	/** Given a player_id, return season stats for player
+	/** Given a player_id and optional season, return season stats for player
+	 * 	(defaults to current season)
 	 *
-	 *  Returns { id, name, gp, minutes, points, fgm, fga,
+	 *  Returns { id, name, code, season, gp, minutes, points, fgm, fga,
 	 * 			  fgp, ftm, fta, ftp, tpm, tpa, tpp, offReb, defReb, totalReb
 	 * 			  assists, fouls, steals, turnovers, blocks, plusMinus }
 	 *
 	 *  Throws NotFoundError if not found.
 	 **/
 
-	static async seasonStats(id) {
+	static async seasonStats(id, season) {
 		await this.checkValid(id);
+		const year = await Season.resolve(season);
 		const playerStatsRes = await db.query(
-			`SELECT p.id, p.last_name || ', ' || p.first_name AS name, t.code, s.gp, s.minutes, s.points, s.fgm, s.fga, s.fgp, s.ftm, s.fta, s.ftp, s.tpm, s.tpa, s.tpp, s.off_reb AS "offReb", s.def_reb AS "defReb", s.total_reb AS "totalReb", s.assists, s.fouls, s.steals, s.turnovers, s.blocks, s.plus_minus AS "plusMinus"
+			`SELECT p.id, p.last_name || ', ' || p.first_name AS name, t.code, s.season, s.gp, s.minutes, s.points, s.fgm, s.fga, s.fgp, s.ftm, s.fta, s.ftp, s.tpm, s.tpa, s.tpp, s.off_reb AS "offReb", s.def_reb AS "defReb", s.total_reb AS "totalReb", s.assists, s.fouls, s.steals, s.turnovers, s.blocks, s.plus_minus AS "plusMinus"
             FROM season_stats s
 			JOIN players p ON s.player_id = p.id
 			JOIN teams t ON p.team_id = t.id
-            WHERE s.player_id = $1`,
-			[id]
+            WHERE s.player_id = $1
+			AND s.season = $2`,
+			[id, year]
 		);
 		const seasonStats = playerStatsRes.rows[0];
 
-		if (!seasonStats) throw new NotFoundError(`No season stats for player: ${id}`);
-
-		const gamesPlayedRes = await db.query(`SELECT COUNT(id) AS gp from game_stats WHERE player_id = $1`, [id]);
-		seasonStats.gp = +gamesPlayedRes.rows[0].gp;
+		if (!seasonStats) throw new NotFoundError(`No ${year} season stats for player: ${id}`);
 
 		const perGame = {
 			name: seasonStats.name,
@@ -165,53 +166,40 @@ class Player {
 		return results;
 	}
 
-	/** Update season stats for all players in DB */
+	/** Roll up season stats for players from their game_stats, for every
+	 * 	player in DB or only those in playerIds
+	 *
+	 * 	Season defaults to the current season, a row is added for any player
+	 * 	without stats for that season yet. Runs whenever box scores are saved
+	 * 	(see saveGameStats) and nightly as a full rebuild.
+	 *
+	 * 	Returns the number of players updated
+	 **/
 
-	static async updateSeasonStats() {
-		const playersRes = await db.query(`SELECT id, last_name || ', ' || first_name AS name from players`);
-		const players = playersRes.rows;
-		for (let player of players) {
-			// Find all instances of game stats and sum up before adding to season_stats
-			const response = await db.query(
-				`SELECT COUNT(*) AS gp, SUM(minutes) AS minutes, SUM(points) AS points, SUM(fgm) AS fgm, SUM(fga) AS fga, SUM(ftm) AS ftm, SUM(fta) AS fta, SUM(tpm) AS tpm, SUM(tpa) AS tpa, SUM(off_reb) AS "offReb", SUM(def_reb) AS "defReb", SUM(off_reb + def_reb) AS "totalReb", SUM(assists) AS assists, SUM(fouls) AS fouls, SUM(steals) AS steals, SUM(turnovers) AS turnovers, SUM(blocks) AS blocks, SUM(plus_minus) AS "plusMinus"
-				FROM game_stats
-				WHERE player_id = $1`,
-				[player.id]
-			);
-			const stats = response.rows[0];
-
-			await db.query(
-				`UPDATE season_stats
-				SET minutes = $1, points = $2, fgm = $3, fga = $4, fgp = $5, ftm = $6, fta = $7, ftp = $8, tpm = $9, tpa = $10, tpp = $11, off_reb = $12, def_reb = $13, total_reb = $14, assists = $15, fouls = $16, steals = $17, turnovers = $18, blocks = $19, plus_minus = $20, gp = $21
-				WHERE player_id = $22`,
-				[
-					stats.minutes || 0,
-					stats.points || 0,
-					stats.fgm || 0,
-					stats.fga || 0,
-					(stats.fgm / stats.fga) * 100 || 0,
-					stats.ftm || 0,
-					stats.fta || 0,
-					(stats.ftm / stats.fta) * 100 || 0,
-					stats.tpm || 0,
-					stats.tpa || 0,
-					(stats.tpm / stats.tpa) * 100 || 0,
-					stats.offReb || 0,
-					stats.defReb || 0,
-					stats.totalReb || 0,
-					stats.assists || 0,
-					stats.fouls || 0,
-					stats.steals || 0,
-					stats.turnovers || 0,
-					stats.blocks || 0,
-					stats.plusMinus || 0,
-					stats.gp,
-					player.id,
-				]
-			);
-			console.log(`Updated season stats for ${player.name}!`);
-		}
-		return;
+	static async updateSeasonStats(season, playerIds = null) {
+		const year = await Season.resolve(season);
+		const statsRes = await db.query(
+			`INSERT INTO season_stats (player_id, season, gp, minutes, points, fgm, fga, fgp, ftm, fta, ftp, tpm, tpa, tpp, off_reb, def_reb, total_reb, assists, fouls, steals, turnovers, blocks, plus_minus)
+			SELECT p.id, $1, COUNT(gs.id), COALESCE(SUM(gs.minutes), 0), COALESCE(SUM(gs.points), 0),
+				COALESCE(SUM(gs.fgm), 0), COALESCE(SUM(gs.fga), 0), COALESCE(SUM(gs.fgm)::REAL / NULLIF(SUM(gs.fga), 0) * 100, 0),
+				COALESCE(SUM(gs.ftm), 0), COALESCE(SUM(gs.fta), 0), COALESCE(SUM(gs.ftm)::REAL / NULLIF(SUM(gs.fta), 0) * 100, 0),
+				COALESCE(SUM(gs.tpm), 0), COALESCE(SUM(gs.tpa), 0), COALESCE(SUM(gs.tpm)::REAL / NULLIF(SUM(gs.tpa), 0) * 100, 0),
+				COALESCE(SUM(gs.off_reb), 0), COALESCE(SUM(gs.def_reb), 0), COALESCE(SUM(gs.total_reb), 0),
+				COALESCE(SUM(gs.assists), 0), COALESCE(SUM(gs.fouls), 0), COALESCE(SUM(gs.steals), 0),
+				COALESCE(SUM(gs.turnovers), 0), COALESCE(SUM(gs.blocks), 0), COALESCE(SUM(gs.plus_minus), 0)
+			FROM players p
+			LEFT JOIN (
+				SELECT game_stats.* FROM game_stats JOIN games g ON game_stats.game_id = g.id WHERE g.season = $1
+			) gs ON gs.player_id = p.id
+			WHERE $2::INTEGER[] IS NULL OR p.id = ANY($2)
+			GROUP BY p.id
+			ON CONFLICT (player_id, season) DO UPDATE
+			SET gp = EXCLUDED.gp, minutes = EXCLUDED.minutes, points = EXCLUDED.points, fgm = EXCLUDED.fgm, fga = EXCLUDED.fga, fgp = EXCLUDED.fgp, ftm = EXCLUDED.ftm, fta = EXCLUDED.fta, ftp = EXCLUDED.ftp, tpm = EXCLUDED.tpm, tpa = EXCLUDED.tpa, tpp = EXCLUDED.tpp, off_reb = EXCLUDED.off_reb, def_reb = EXCLUDED.def_reb, total_reb = EXCLUDED.total_reb, assists = EXCLUDED.assists, fouls = EXCLUDED.fouls, steals = EXCLUDED.steals, turnovers = EXCLUDED.turnovers, blocks = EXCLUDED.blocks, plus_minus = EXCLUDED.plus_minus`,
+			[year, playerIds]
+		);
+
+		console.log(`Updated ${year} season stats for ${statsRes.rowCount} players!`);
+		return statsRes.rowCount;
 	}
 
 	/** Given a player_id and optional game_id, return game stats for player
@@ -261,102 +249,47 @@ class Player {
 		return gameStats;
 	}
 
-	/** Update game stats for players by gameId */
+	/** Given a gameId, update its player game stats from the whole box score,
+	 * 	fetched from the stats provider in one request
+	 *
+	 * 	Players in the box score we don't have yet (ex: two-way and call-up
+	 * 	players) are added, and players who played for another team than the
+	 * 	one we have them on (ex: traded mid-season) are moved to it, unless
+	 * 	they've already played a later game for someone else
+	 *
+	 * 	Returns { gameId, players, added, moved, inserted, updated, unchanged }
+	 * 		Where players is [ { id, name }, ... ] everyone in the box score
+	 * 		and added / moved count the players added / moved to a new team
+	 *
+	 * 	Throws BadRequestError if gameId is missing or invalid
+	 **/
 
 	static async updateGameStats(gameId) {
 		if (!gameId) throw new BadRequestError('Must include a game ID to update player game stats!');
 
-		const game = await db.query('SELECT id FROM games WHERE id = $1', [gameId]);
-
-		if (!game.rows.length) throw new BadRequestError(`Invalid gameId: ${gameId}`);
-
-		const playersRes = await db.query(
-			`SELECT id, last_name || ', ' || first_name AS name FROM players WHERE team_id = $1 OR team_id = $2`,
-			[game.home_team, game.away_team]
-		);
-		const players = playersRes.rows;
+		const gameRes = await db.query('SELECT id, home_team, away_team FROM games WHERE id = $1', [gameId]);
+		const game = gameRes.rows[0];
 
-		for (let player of players) {
-			let URL = BASE_URL + `players/statistics?id=${player.id}&game=${game.id}&season=2023`;
-			const response = await axios.get(URL, { headers });
-			let playerStats = response.data.response;
-			const ps = playerStats[0];
-			// If no stats returned skip, otherwise if game stats for player exist in DB update, else insert
+		if (!game) throw new BadRequestError(`Invalid gameId: ${gameId}`);
 
-			const statsExist = await db.query(`SELECT id from game_stats where player_id = $1 AND game_id = $2`, [
-				player.id,
-				game.id,
-			]);
+		const statLines = await getProvider().getPlayerGameStats({ gameId: game.id });
+		const { added, moved } = await syncRoster(game, statLines);
+		const counts = await this.saveGameStats(statLines);
 
-			if (statsExist.rows.length && ps) {
-				db.query(
-					`UPDATE game_stats
-					SET minutes=$1, points=$2, fgm=$3, fga=$4, fgp=$5, ftm=$6, fta=$7, ftp=$8, tpm=$9, tpa=$10, tpp=$11, off_reb=$12, def_reb=$13, assists=$14, fouls=$15, steals=$16, turnovers=$17, blocks=$18, plus_minus=$19, total_reb = $20
-					WHERE player_id = $21
-					AND game_id = $22`,
-					[
-						+ps.min || 0,
-						ps.points || 0,
-						ps.fgm || 0,
-						ps.fga || 0,
-						+ps.fgp || 0,
-						ps.ftm || 0,
-						ps.fta || 0,
-						+ps.ftp || 0,
-						ps.tpm || 0,
-						ps.tpa || 0,
-						+ps.tpp || 0,
-						ps.offReb || 0,
-						ps.defReb || 0,
-						ps.assists || 0,
-						ps.pFouls || 0,
-						ps.steals || 0,
-						ps.turnovers || 0,
-						ps.blocks || 0,
-						+ps.plusMinus || 0,
-						ps.offReb + ps.defReb || 0,
-						player.id,
-						game.id,
-					]
-				);
-				console.log(`Updated stats for ${player.name} from Game: ${ps.game.id}`);
-			} else if (ps) {
-				db.query(
-					'INSERT INTO game_stats (player_id, game_id, minutes, points, fgm, fga, fgp, ftm, fta, ftp, tpm, tpa, tpp, total_reb, off_reb, def_reb, assists, fouls, steals, turnovers, blocks, plus_minus) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $22)',
-					[
-						player.id,
-						game.id,
-						+ps.min || 0,
-						ps.points || 0,
-						ps.fgm || 0,
-						ps.fga || 0,
-						+ps.fgp || 0,
-						ps.ftm || 0,
-						ps.fta || 0,
-						+ps.ftp || 0,
-						ps.tpm || 0,
-						ps.tpa || 0,
-						+ps.tpp || 0,
-						ps.defReb + ps.offReb || 0,
-						ps.offReb || 0,
-						ps.defReb || 0,
-						ps.assists || 0,
-						ps.pFouls || 0,
-						ps.steals || 0,
-						ps.turnovers || 0,
-						ps.blocks || 0,
-						+ps.plusMinus || 0,
-					]
-				);
-				console.log(`Added stats for ${player.name} from Game: ${ps.game.id}`);
-			}
-		}
-		return { players, gameId: game.id };
+		const players = statLines.map((ps) => ({ id: ps.playerId, name: `${ps.lastName}, ${ps.firstName}` }));
+		return { gameId: game.id, players, added, moved, ...counts };
 	}
 
-	/** Update game stats for yesterday, current day and next day
+	/** Update game stats for today's games and games in play, a game's box
+	 * 	score at a time (see updateGameStats)
+	 *
+	 * 	Optionally, pass in "all" to update all game stats, requested and
+	 * 	written a player at a time, which takes far fewer requests for a
+	 * 	whole season
+	 *
+	 * 	A game or player whose stats fail to update is recorded and skipped
 	 *
-	 * 	Optionally, pass in "all" to update all game stats
+	 * 	Returns { inserted, updated, unchanged } game_stats rows
 	 *
 	 * 	Throws BadRequestError if bad method used.
 	 */
@@ -367,195 +300,76 @@ class Player {
 			throw new BadRequestError(`Must pass in "all" or nothing to update game stats`);
 		}
 
+		const year = await Season.resolve();
+		let counts = { inserted: 0, updated: 0, unchanged: 0 };
 		if (lowMethod === 'all') {
 			// Get all players currently in DB
 			const response = await db.query('SELECT id FROM players ORDER BY last_name');
 			let players = response.rows;
 			// Request each players stats - this returns all games and their stats for the season
 			for (let player of players) {
-				await delay(250);
-				let URL = BASE_URL + `players/statistics?id=${player.id}&season=2023`;
-				const response = await axios.get(URL, { headers });
-				let playerStats = response.data.response;
-				for (let ps of playerStats) {
-					// Only add stats if game is in DB
-					const validGame = await db.query('SELECT id FROM games WHERE id = $1', [ps.game.id]);
-					if (validGame.rows.length) {
-						// If game stats for player exist update, otherwise insert
-						const statsExist = await db.query(
-							`SELECT id from game_stats where player_id = $1 AND game_id = $2`,
-							[player.id, ps.game.id]
-						);
-						if (statsExist.rows.length) {
-							db.query(
-								`UPDATE game_stats
-								SET minutes=$1, points=$2, fgm=$3, fga=$4, fgp=$5, ftm=$6, fta=$7, ftp=$8, tpm=$9, tpa=$10, tpp=$11, off_reb=$12, def_reb=$13, assists=$14, fouls=$15, steals=$16, turnovers=$17, blocks=$18, plus_minus=$19, total_reb=$20
-								WHERE player_id = $21
-								AND game_id = $22`,
-								[
-									+ps.min || 0,
-									ps.points || 0,
-									ps.fgm || 0,
-									ps.fga || 0,
-									+ps.fgp || 0,
-									ps.ftm || 0,
-									ps.fta || 0,
-									+ps.ftp || 0,
-									ps.tpm || 0,
-									ps.tpa || 0,
-									+ps.tpp || 0,
-									ps.offReb || 0,
-									ps.defReb || 0,
-									ps.assists || 0,
-									ps.pFouls || 0,
-									ps.steals || 0,
-									ps.turnovers || 0,
-									ps.blocks || 0,
-									+ps.plusMinus || 0,
-									ps.defReb + ps.offReb || 0,
-									player.id,
-									ps.game.id,
-								]
-							);
-							console.log(
-								`Updated stats for ${ps.player.lastname}, ${ps.player.firstname} from Game: ${ps.game.id}`
-							);
-						} else {
-							db.query(
-								'INSERT INTO game_stats (player_id, game_id, minutes, points, fgm, fga, fgp, ftm, fta, ftp, tpm, tpa, tpp, total_reb, off_reb, def_reb, assists, fouls, steals, turnovers, blocks, plus_minus) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)',
-								[
-									ps.player.id,
-									ps.game.id,
-									+ps.min || 0,
-									ps.points || 0,
-									ps.fgm || 0,
-									ps.fga || 0,
-									+ps.fgp || 0,
-									ps.ftm || 0,
-									ps.fta || 0,
-									+ps.ftp || 0,
-									ps.tpm || 0,
-									ps.tpa || 0,
-									+ps.tpp || 0,
-									ps.offReb + ps.defReb || 0,
-									ps.offReb || 0,
-									ps.defReb || 0,
-									ps.assists || 0,
-									ps.pFouls || 0,
-									ps.steals || 0,
-									ps.turnovers || 0,
-									ps.blocks || 0,
-									+ps.plusMinus || 0,
-								]
-							);
-							console.log(
-								`Added stats for ${ps.player.lastname}, ${ps.player.firstname} from Game: ${ps.game.id}`
-							);
-						}
-					}
-				}
+				const playerStats = await IngestFailure.isolate('playerGameStats', player.id, () =>
+					getProvider().getPlayerGameStats({ playerId: player.id, season: year })
+				);
+				if (!playerStats || !playerStats.length) continue;
+
+				// Only add stats if game is in DB
+				const gamesRes = await db.query('SELECT id FROM games WHERE id = ANY($1)', [
+					playerStats.map((ps) => ps.gameId),
+				]);
+				const gameIds = gamesRes.rows.map((g) => g.id);
+				const statLines = playerStats.filter((ps) => gameIds.includes(ps.gameId));
+				counts = addCounts(counts, await this.saveGameStats(statLines));
 			}
 		} else {
 			// Get only games occurring yesterday, today or tomorrow
 			const today = moment().format('YYYYMMDD');
-			const gamesRes = await db.query(
-				`SELECT id, home_team, away_team FROM games WHERE DATE(date) = $1 OR status = $2`,
-				[today, 'in play']
-			);
+			const gamesRes = await db.query(`SELECT id FROM games WHERE DATE(date) = $1 OR status = $2`, [
+				today,
+				'in play',
+			]);
 			const games = gamesRes.rows;
 
-			// Get all players in a game
 			for (let game of games) {
-				const playersRes = await db.query(`SELECT id FROM players WHERE team_id = $1 OR team_id = $2`, [
-					game.home_team,
-					game.away_team,
-				]);
-				const players = playersRes.rows;
-
-				// For each player, request game stats from external API and either update or insert into DB
-				for (let player of players) {
-					let URL = BASE_URL + `players/statistics?id=${player.id}&game=${game.id}&season=2023`;
-					const response = await axios.get(URL, { headers });
-					let playerStats = response.data.response;
-					const ps = playerStats[0];
-					// If game stats for player exist update, otherwise insert
-
-					const statsExist = await db.query(
-						`SELECT id from game_stats where player_id = $1 AND game_id = $2`,
-						[player.id, game.id]
-					);
-
-					if (statsExist.rows.length && ps) {
-						db.query(
-							`UPDATE game_stats
-								SET minutes=$1, points=$2, fgm=$3, fga=$4, fgp=$5, ftm=$6, fta=$7, ftp=$8, tpm=$9, tpa=$10, tpp=$11, off_reb=$12, def_reb=$13, assists=$14, fouls=$15, steals=$16, turnovers=$17, blocks=$18, plus_minus=$19, total_reb=$20
-								WHERE player_id = $21
-								AND game_id = $22`,
-							[
-								+ps.min || 0,
-								ps.points || 0,
-								ps.fgm || 0,
-								ps.fga || 0,
-								+ps.fgp || 0,
-								ps.ftm || 0,
-								ps.fta || 0,
-								+ps.ftp || 0,
-								ps.tpm || 0,
-								ps.tpa || 0,
-								+ps.tpp || 0,
-								ps.offReb || 0,
-								ps.defReb || 0,
-								ps.assists || 0,
-								ps.pFouls || 0,
-								ps.steals || 0,
-								ps.turnovers || 0,
-								ps.blocks || 0,
-								+ps.plusMinus || 0,
-								ps.defReb + ps.offReb || 0,
-								player.id,
-								game.id,
-							]
-						);
-						console.log(
-							`Updated stats for ${ps.player.lastname}, ${ps.player.firstname} from Game: ${ps.game.id}`
-						);
-					} else if (ps) {
-						db.query(
-							'INSERT INTO game_stats (player_id, game_id, minutes, points, fgm, fga, fgp, ftm, fta, ftp, tpm, tpa, tpp, total_reb, off_reb, def_reb, assists, fouls, steals, turnovers, blocks, plus_minus) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)',
-							[
-								player.id,
-								game.id,
-								+ps.min || 0,
-								ps.points || 0,
-								ps.fgm || 0,
-								ps.fga || 0,
-								+ps.fgp || 0,
-								ps.ftm || 0,
-								ps.fta || 0,
-								+ps.ftp || 0,
-								ps.tpm || 0,
-								ps.tpa || 0,
-								+ps.tpp || 0,
-								ps.defReb + ps.offReb || 0,
-								ps.offReb || 0,
-								ps.defReb || 0,
-								ps.assists || 0,
-								ps.pFouls || 0,
-								ps.steals || 0,
-								ps.turnovers || 0,
-								ps.blocks || 0,
-								+ps.plusMinus || 0,
-							]
-						);
-						console.log(
-							`Added stats for ${ps.player.lastname}, ${ps.player.firstname} from Game: ${ps.game.id}`
-						);
-					}
-				}
+				const boxScore = await IngestFailure.isolate('gameBoxScore', game.id, () => this.updateGameStats(game.id));
+				if (boxScore) counts = addCounts(counts, boxScore);
 			}
 		}
 		console.log(`All player stats added / updated @ ${moment().subtract(5, 'hours').format('LLL')}!`);
-		return;
+		return counts;
+	}
+
+	/** Given normalized player game stats from the stats provider, insert
+	 * 	new game_stats rows and update the ones that changed in one write
+	 *
+	 * 	Changed stats go out on the live feed and the players' season stats
+	 * 	are rolled up again
+	 *
+	 * 	Returns { inserted, updated, unchanged }
+	 **/
+
+	static async saveGameStats(statLines) {
+		const rows = statLines.map(gameStatsRow);
+		const { written, ...counts } = await upsert('game_stats', ['player_id', 'game_id'], rows);
+
+		for (let { prev, next } of written) {
+			const stats = changes(prev || {}, next, ['id', 'player_id', 'game_id']);
+			if (stats) publish('boxScore', { gameId: next.game_id, playerId: next.player_id, stats });
+		}
+
+		// Keep season totals in step with the box scores
+		if (written.length) {
+			const playerIds = [...new Set(written.map(({ next }) => next.player_id))];
+			const seasonsRes = await db.query(`SELECT DISTINCT season FROM games WHERE id = ANY($1)`, [
+				written.map(({ next }) => next.game_id),
+			]);
+			for (let { season } of seasonsRes.rows) await this.updateSeasonStats(season, playerIds);
+		}
+
+		console.log(
+			`Player game stats: ${counts.inserted} added, ${counts.updated} updated, ${counts.unchanged} unchanged`
+		);
+		return counts;
 	}
 
 	/** Returns players sorted by desired stat
@@ -615,6 +429,7 @@ class Player {
 
 		let statsExist = true;
 
+		const year = await Season.resolve();
 		let playersRes;
 		if (lowDate === 'season') {
 			if (teamId) {
@@ -625,8 +440,9 @@ class Player {
 					JOIN players p ON s.player_id = p.id
 					JOIN TEAMS t ON p.team_id = t.id
 					WHERE p.team_id = $1
+					AND s.season = $2
 					ORDER BY ${lowMethod} ${lowOrder}`,
-					[team.id]
+					[team.id, year]
 				);
 			} else {
 				if (lowMethod === 'fgp' || lowMethod === 'ftp' || lowMethod === 'tpp') {
@@ -636,7 +452,9 @@ class Player {
 					JOIN players p ON s.player_id = p.id
 					JOIN TEAMS t ON p.team_id = t.id
 					WHERE ${lowMethod.slice(0, 2) + 'a'} >= 25
-					ORDER BY ${lowMethod} ${lowOrder}`
+					AND s.season = $1
+					ORDER BY ${lowMethod} ${lowOrder}`,
+						[year]
 					);
 				} else {
 					playersRes = await db.query(
@@ -644,7 +462,9 @@ class Player {
 				FROM season_stats s
 				JOIN players p ON s.player_id = p.id
 				JOIN TEAMS t ON p.team_id = t.id
-				ORDER BY ${lowMethod} ${lowOrder}`
+				WHERE s.season = $1
+				ORDER BY ${lowMethod} ${lowOrder}`,
+						[year]
 					);
 				}
 			}
@@ -709,9 +529,10 @@ class Player {
 						JOIN TEAMS t ON p.team_id = t.id
 						WHERE p.id = ANY($1)
 						AND ${lowMethod.slice(0, 2) + 'a'} >= 25
+						AND s.season = $2
 						ORDER BY ${lowMethod} ${lowOrder}
 						LIMIT 10`,
-							[players]
+							[players, year]
 						);
 					} else {
 						playersRes = await db.query(
@@ -720,9 +541,10 @@ class Player {
 						JOIN players p ON s.player_id = p.id
 						JOIN TEAMS t ON p.team_id = t.id
 						WHERE p.id = ANY($1)
+						AND s.season = $2
 						ORDER BY ${lowMethod} ${lowOrder}
 						LIMIT 10`,
-							[players]
+							[players, year]
 						);
 					}
 				}
@@ -885,12 +707,15 @@ class Player {
 		return results;
 	}
 
-	/** Return potential player picks given an array of games happening today
+	/** Return potential player picks given an array of games happening today,
+	 * 	using the lines offered for each game (see PropLine)
 	 *
-	 * 	Returns [ { player }, ... ]
-	 * 		Where player is { id, name, gameId, home, away, date, points,
+	 * 	Returns { playerId: { player }, ... }
+	 * 		Where player is { name, gameId, home, away, date, points,
 	 * 						  assists, rebounds, tpm,
-	 * 						  blocks, steals }
+	 * 						  blocks, steals, pointValues }
+	 * 		Where pointValues is { stat: { over, under }, ... }, what each side
+	 * 		of a line pays
 	 *
 	 * 	Throws BadRequestError if games array not included
 	 **/
@@ -900,175 +725,236 @@ class Player {
 			throw new BadRequestError('Must include an array of games to get player pick data!');
 		let playerStats = {};
 		for (let game of games) {
-			const playerStatsRes = await db.query(
-				`
-		SELECT p.id, p.last_name || ', ' || p.first_name AS name, g.id AS "gameId", g.home_team AS home, g.away_team AS away, g.date, ss.gp, ss.points, ss.assists, ss.total_reb AS rebounds, ss.tpm, ss.blocks, ss.steals 
-		FROM season_stats ss
-		JOIN players p ON ss.player_id = p.id
-		JOIN teams t ON p.team_id = t.id
-		JOIN games g ON t.id = g.home_team OR t.id = g.away_team 
-		WHERE g.id = $1
-		AND g.status = 'scheduled'`,
+			const gameRes = await db.query(
+				`SELECT id AS "gameId", home_team AS home, away_team AS away, date FROM games WHERE id = $1 AND status = 'scheduled'`,
 				[game.id]
 			);
-			for (let p of playerStatsRes.rows) {
-				const perGame = {
-					name: p.name,
-					gameId: p.gameId,
-					home: p.home,
-					away: p.away,
-					date: p.date,
-					points: Math.floor(p.points / p.gp) + 0.5 || 0,
-					assists: Math.floor(p.assists / p.gp) + 0.5 || 0,
-					rebounds: Math.floor(p.rebounds / p.gp) + 0.5 || 0,
-					tpm: Math.floor(p.tpm / p.gp) + 0.5 || 0,
-					blocks: Math.floor(p.blocks / p.gp) + 0.5 || 0,
-					steals: Math.floor(p.steals / p.gp) + 0.5 || 0,
-				};
-				playerStats[p.id] = perGame;
+			if (!gameRes.rows.length) continue;
+
+			const lines = await PropLine.forGame(game.id);
+			const playersRes = await db.query(
+				`SELECT id, last_name || ', ' || first_name AS name FROM players WHERE id = ANY($1)`,
+				[lines.map((l) => l.playerId)]
+			);
+			const names = {};
+			for (let p of playersRes.rows) names[p.id] = p.name;
+
+			for (let { playerId, stat, line, overPoints, underPoints } of lines) {
+				if (!playerStats[playerId])
+					playerStats[playerId] = { name: names[playerId], ...gameRes.rows[0], pointValues: {} };
+				playerStats[playerId][stat] = line;
+				playerStats[playerId].pointValues[stat] = { over: overPoints, under: underPoints };
 			}
 		}
 		return playerStats;
 	}
 
-	/** Grabs all open player picks and updates them if game stats exist and
-	 * 	the game is finished
+	/** Grabs all open player picks for finished games and settles them
+	 * 	through the point ledger
+	 *
+	 * 	A stat landing exactly on the line is a push. Picks on players who did
+	 * 	not play (no game stats or 0 minutes) are voided once the game has been
+	 * 	final for PICK_VOID_WINDOW_HOURS, games finished before finished_at was
+	 * 	tracked fall back to their start time.
 	 */
 
 	static async updatePicks() {
-		const picksRes =
-			await db.query(`SELECT pp.id, pp.username, pp.player_id AS "playerId", pp.stat, pp.over_under AS "overUnder", pp.value, pp.game_id AS "gameId", pp.point_value AS "pointValue" 
+		const picksRes = await db.query(
+			`SELECT pp.id, pp.username, pp.player_id AS "playerId", pp.stat, pp.over_under AS "overUnder", pp.value, pp.game_id AS "gameId", pp.point_value AS "pointValue",
+			COALESCE(g.finished_at, g.date) < (NOW() AT TIME ZONE 'UTC') - make_interval(hours => $1) AS "canVoid", p.first_name || ' ' || p.last_name AS player
 		FROM player_picks pp 
 		JOIN games g ON pp.game_id = g.id
+		JOIN players p ON pp.player_id = p.id
 		WHERE result IS NULL
-		AND g.status = 'finished'`);
+		AND g.status = 'finished'`,
+			[PICK_VOID_WINDOW_HOURS]
+		);
 		const picks = picksRes.rows;
 
 		if (!picks.length) return { updatePlayerPicks: 'No eligible player picks to update yet' };
 
 		for (let pick of picks) {
-			if (pick.stat === 'rebounds') pick.stat = 'off_reb + def_reb';
-			const resultRes = await db.query(
-				`SELECT ${pick.stat} AS "amount" FROM game_stats WHERE player_id=$1 AND game_id=$2`,
-				[pick.playerId, pick.gameId]
-			);
-			const result = resultRes.rows[0];
-
-			if (!result) {
+			const outcome = await this.gradePick(pick);
+			if (!outcome) {
 				console.log(`No game stats exist for gameId: ${pick.gameId} and playerId: ${pick.playerId}`);
 				continue;
 			}
 
-			switch (pick.overUnder) {
-				case 'OVER':
-					if (result.amount > pick.value) {
-						await db.query('UPDATE player_picks SET result=true WHERE id = $1', [pick.id]);
-						await db.query('UPDATE users SET wins = wins + 1, points = points + $1 WHERE username = $2', [
-							pick.pointValue,
-							pick.username,
-						]);
-					} else {
-						await db.query('UPDATE player_picks SET result=false WHERE id = $1', [pick.id]);
-						await db.query('UPDATE users SET losses = losses + 1 WHERE username = $1', [pick.username]);
-					}
-					console.log(`Pick ${pick.id} and User ${pick.username} successfully updated!`);
-					break;
-
-				case 'UNDER':
-					if (result.amount < pick.value) {
-						await db.query('UPDATE player_picks SET result=true WHERE id = $1', [pick.id]);
-						await db.query('UPDATE users SET wins = wins + 1, points = points + $1 WHERE username = $1', [
-							pick.pointValue,
-							pick.username,
-						]);
-					} else {
-						await db.query('UPDATE player_picks SET result=false WHERE id = $1', [pick.id]);
-						await db.query('UPDATE users SET losses = losses + 1 WHERE username = $1', [pick.username]);
-					}
-					console.log(`Pick ${pick.id} and User ${pick.username} successfully updated!`);
-					break;
-
-				default:
-					break;
+			const entry = await Ledger.settle({ ...pick, pickType: 'player', pickId: pick.id }, outcome);
+			if (entry) {
+				await Notification.pickSettled(entry, `Your ${pick.player} ${pick.stat} ${pick.overUnder} ${pick.value} pick`);
+				await Webhook.pickSettled(entry);
 			}
+			console.log(`Pick ${pick.id} and User ${pick.username} settled as a ${outcome}!`);
 		}
 		console.log(`All eligible player picks update finished @ ${moment().subtract(5, 'hours').format('LLL')}`);
 		return { updatePlayerPicks: 'success' };
 	}
 
+	/** Given a player pick on a finished game { playerId, gameId, stat,
+	 * 	overUnder, value, canVoid }, return its outcome: "win", "loss", "push"
+	 * 	or "void"
+	 *
+	 * 	Returns undefined if the player has no stats yet and canVoid is false
+	 **/
+
+	static async gradePick({ playerId, gameId, stat, overUnder, value, canVoid }) {
+		const column = stat === 'rebounds' ? 'off_reb + def_reb' : stat;
+		const resultRes = await db.query(
+			`SELECT ${column} AS "amount", minutes FROM game_stats WHERE player_id=$1 AND game_id=$2`,
+			[playerId, gameId]
+		);
+		const result = resultRes.rows[0];
+
+		if (!result || !result.minutes) return canVoid ? 'void' : undefined;
+		if (result.amount === value) return 'push';
+		if (overUnder === 'OVER') return result.amount > value ? 'win' : 'loss';
+		return result.amount < value ? 'win' : 'loss';
+	}
+
 	/** For each team get a list of players and update player info in database,
 	 *  adding if new players found
 	 *
+	 * 	A team whose roster fails to load is recorded and skipped
+	 *
 	 * 	Will run once a day to account for transactions
 	 */
 
 	static async updateInfo() {
+		const year = await Season.resolve();
 		const response = await db.query('SELECT id, name FROM teams');
 		const teams = response.rows;
+		let updated = 0;
 		for (let team of teams) {
-			let URL = BASE_URL + `players?team=${team.id}&season=2023`;
-			const response = await axios.get(URL, { headers });
-			let players = response.data.response;
+			const players = await IngestFailure.isolate('teamPlayers', team.id, () =>
+				getProvider().getPlayers(team.id, year)
+			);
+			if (!players) continue;
+
+			updated += players.length;
 			for (let player of players) {
 				const checkDuplicate = await db.query(`SELECT id from players WHERE id = $1`, [player.id]);
 
-				let height;
-				let weight;
-
-				if (player.height.feets === null) {
-					height = 'Unknown';
-				} else if (player.height.feets && (player.height.inches === null || player.height.inces == 0)) {
-					height = player.height.feets + `'0"`;
-				} else {
-					height = player.height.feets + "'" + player.height.inches + '"';
-				}
-
-				if (player.weight.pounds === null) {
-					weight = 'Unknown';
-				} else {
-					weight = player.weight.pounds + ' lbs.';
-				}
-
 				if (!checkDuplicate.rows[0]) {
-					db.query(
+					await db.query(
 						'INSERT INTO players (id, first_name, last_name, birthday, height, weight, college, number, position, team_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)',
-						[
-							player.id,
-							player.firstname,
-							player.lastname,
-							player.birth.date,
-							height,
-							weight,
-							player.college,
-							player.leagues.standard.jersey,
-							player.leagues.standard.pos,
-							team.id,
-						]
+						playerValues(player)
 					);
-					console.log(`---------- Added ${player.lastname}, ${player.firstname} ----------`);
+					console.log(`---------- Added ${player.lastName}, ${player.firstName} ----------`);
 				} else {
-					db.query(
+					await db.query(
 						'UPDATE players SET first_name=$2, last_name=$3, birthday=$4, height=$5, weight=$6, college=$7, number=$8, position=$9, team_id=$10 WHERE id = $1',
-						[
-							player.id,
-							player.firstname,
-							player.lastname,
-							player.birth.date,
-							height,
-							weight,
-							player.college,
-							player.leagues.standard.jersey,
-							player.leagues.standard.pos,
-							team.id,
-						]
+						playerValues(player)
 					);
-					console.log(`---------- Updated ${player.lastname}, ${player.firstname} ----------`);
+					console.log(`---------- Updated ${player.lastName}, ${player.firstName} ----------`);
 				}
 			}
 			console.log(`All players added/updated for ${team.name}`);
 		}
-		return { updatePlayers: 'success' };
+		return { updatePlayers: 'success', players: updated };
 	}
 }
 
+/** Given a normalized player from the stats provider, return values in
+ * 	players column order
+ **/
+
+function playerValues(player) {
+	return [
+		player.id,
+		player.firstName,
+		player.lastName,
+		player.birthday,
+		player.height,
+		player.weight,
+		player.college,
+		player.number,
+		player.position,
+		player.teamId,
+	];
+}
+
+/** Given normalized player game stats from the stats provider, return a
+ * 	game_stats row
+ **/
+
+function gameStatsRow(ps) {
+	return {
+		player_id: ps.playerId,
+		game_id: ps.gameId,
+		team_id: ps.teamId,
+		minutes: ps.minutes,
+		points: ps.points,
+		fgm: ps.fgm,
+		fga: ps.fga,
+		fgp: ps.fgp,
+		ftm: ps.ftm,
+		fta: ps.fta,
+		ftp: ps.ftp,
+		tpm: ps.tpm,
+		tpa: ps.tpa,
+		tpp: ps.tpp,
+		total_reb: ps.totalReb,
+		off_reb: ps.offReb,
+		def_reb: ps.defReb,
+		assists: ps.assists,
+		fouls: ps.fouls,
+		steals: ps.steals,
+		turnovers: ps.turnovers,
+		blocks: ps.blocks,
+		plus_minus: ps.plusMinus,
+	};
+}
+
+/** Given a game ({ id, home_team, away_team }) and its box score
+ * 	from the stats provider, add the players we don't have yet and move the
+ * 	ones who played for a team we don't have them on
+ *
+ * 	A player is only moved if this is their latest game, so reloading an old
+ * 	box score doesn't send a traded player back to their old team
+ *
+ * 	Returns { added, moved }
+ **/
+
+async function syncRoster(game, statLines) {
+	// Only trust the box score's team if it's one of the two playing
+	const lines = statLines.map((ps) => ({
+		...ps,
+		teamId: [game.home_team, game.away_team].includes(ps.teamId) ? ps.teamId : null,
+	}));
+
+	const addedRes = await db.query(
+		`INSERT INTO players (id, first_name, last_name, team_id)
+		SELECT * FROM unnest($1::INTEGER[], $2::TEXT[], $3::TEXT[], $4::INTEGER[])
+		ON CONFLICT (id) DO NOTHING
+		RETURNING id, last_name || ', ' || first_name AS name`,
+		[
+			lines.map((ps) => ps.playerId),
+			lines.map((ps) => ps.firstName),
+			lines.map((ps) => ps.lastName),
+			lines.map((ps) => ps.teamId),
+		]
+	);
+	for (let player of addedRes.rows) console.log(`---------- Added ${player.name} from Game: ${game.id} ----------`);
+
+	const moved = lines.filter((ps) => ps.teamId);
+	const movedRes = await db.query(
+		`UPDATE players p SET team_id = b.team_id
+		FROM unnest($1::INTEGER[], $2::INTEGER[]) AS b (player_id, team_id)
+		WHERE p.id = b.player_id
+		AND p.team_id IS DISTINCT FROM b.team_id
+		AND NOT EXISTS (
+			SELECT 1 FROM game_stats gs
+			JOIN games later ON gs.game_id = later.id
+			WHERE gs.player_id = p.id
+			AND later.date > (SELECT date FROM games WHERE id = $3)
+		)
+		RETURNING p.id, p.last_name || ', ' || p.first_name AS name`,
+		[moved.map((ps) => ps.playerId), moved.map((ps) => ps.teamId), game.id]
+	);
+	for (let player of movedRes.rows) console.log(`---------- Moved ${player.name} from Game: ${game.id} ----------`);
+
+	return { added: addedRes.rows.length, moved: movedRes.rows.length };
+}
+
 module.exports = Player;
@@ -1,6 +1,9 @@
 const { NotFoundError, BadRequestError, UnauthorizedError } = require('../expressError.js');
 const db = require('../db.js');
 const Player = require('./player.js');
+const IngestFailure = require('./ingestFailure.js');
+const { getProvider } = require('../providers');
+const { subscribe } = require('../helpers/liveFeed');
 const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
 
 beforeAll(commonBeforeAll);
@@ -66,3 +69,299 @@ describe('season stats', function () {
 		}
 	});
 });
+
+/** Update season stats */
+
+describe('update season stats', function () {
+	test('sums game stats for the current season', async function () {
+		await Player.updateSeasonStats();
+		const stats = await Player.seasonStats(1);
+		expect(stats.totals[0].season).toEqual(2023);
+		expect(stats.totals[0].gp).toEqual(1);
+		expect(stats.totals[0].points).toEqual(76);
+	});
+
+	test('adds rows for a season without stats', async function () {
+		await Player.updateSeasonStats(2022);
+		const stats = await Player.seasonStats(1, 2022);
+		expect(stats.totals[0].gp).toEqual(0);
+		expect(stats.totals[0].points).toEqual(0);
+		const current = await Player.seasonStats(1);
+		expect(current.totals[0].points).toEqual(432);
+	});
+});
+
+/** Update game stats */
+
+describe('update game stats', function () {
+	test('saves the whole box score from one request', async function () {
+		const spy = jest.spyOn(getProvider(), 'getPlayerGameStats');
+		const result = await Player.updateGameStats(1);
+		expect(spy).toHaveBeenCalledTimes(1);
+		expect(spy).toHaveBeenCalledWith({ gameId: 1 });
+		spy.mockRestore();
+
+		expect(result).toEqual({
+			gameId: 1,
+			players: [
+				{ id: 1, name: 'Tatum, Jayson' },
+				{ id: 2, name: 'Randle, Julius' },
+				{ id: 3, name: 'Way, Two' },
+			],
+			added: 1,
+			moved: 0,
+			inserted: 1,
+			updated: 2,
+			unchanged: 0,
+		});
+		const statsRes = await db.query(
+			`SELECT player_id, team_id, points FROM game_stats WHERE game_id = 1 ORDER BY player_id`
+		);
+		expect(statsRes.rows).toEqual([
+			{ player_id: 1, team_id: 1, points: 28 },
+			{ player_id: 2, team_id: 2, points: 24 },
+			{ player_id: 3, team_id: 2, points: 4 },
+		]);
+	});
+
+	test("adds players we don't have yet", async function () {
+		await Player.updateGameStats(1);
+		const player = await Player.get(3);
+		expect(player).toEqual(expect.objectContaining({ id: 3, name: 'Way, Two', teamId: 2, height: null }));
+	});
+
+	test('moves players who changed teams', async function () {
+		await db.query(`UPDATE players SET team_id = 3 WHERE id = 2`);
+		expect((await Player.updateGameStats(1)).moved).toEqual(1);
+		const playerRes = await db.query(`SELECT team_id FROM players WHERE id = 2`);
+		expect(playerRes.rows[0].team_id).toEqual(2);
+	});
+
+	test("doesn't move players back after a later game", async function () {
+		await db.query(`UPDATE players SET team_id = 3 WHERE id = 2`);
+		await db.query(
+			`INSERT INTO game_stats (player_id, game_id, team_id, minutes, points, fgm, fga, fgp, ftm, fta, ftp, tpm, tpa, tpp, off_reb, def_reb, total_reb, assists, fouls, steals, turnovers, blocks, plus_minus)
+			VALUES (2, 2, 3, 30, 20, 8, 16, 50, 4, 4, 100, 0, 2, 0, 2, 6, 8, 3, 2, 1, 2, 0, 5)`
+		);
+		expect((await Player.updateGameStats(1)).moved).toEqual(0);
+		const playerRes = await db.query(`SELECT team_id FROM players WHERE id = 2`);
+		expect(playerRes.rows[0].team_id).toEqual(3);
+	});
+
+	test('bad request with invalid game', async function () {
+		try {
+			await Player.updateGameStats(999);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
+
+describe('admin update game stats', function () {
+	test('records and skips a player that fails', async function () {
+		await db.query(`DELETE FROM game_stats`);
+		const spy = jest.spyOn(getProvider(), 'getPlayerGameStats');
+		spy.mockRejectedValueOnce(new Error('Request failed with status code 500'));
+		const counts = await Player.adminUpdateGameStats('all');
+		spy.mockRestore();
+
+		// Randle comes first by last name, Tatum's stats still save
+		expect(counts).toEqual({ inserted: 1, updated: 0, unchanged: 0 });
+		const statsRes = await db.query(`SELECT player_id FROM game_stats`);
+		expect(statsRes.rows).toEqual([{ player_id: 1 }]);
+		expect(await IngestFailure.recent()).toEqual([
+			expect.objectContaining({ source: 'playerGameStats', itemId: 2, error: 'Request failed with status code 500' }),
+		]);
+	});
+});
+
+/** Pick data */
+
+describe('player pick data', function () {
+	test('works with offered lines', async function () {
+		const pickData = await Player.playerPickData([{ id: 2 }]);
+		expect(pickData).toEqual({
+			1: {
+				name: 'Tatum, Jayson',
+				gameId: 2,
+				home: 2,
+				away: 1,
+				date: expect.any(Date),
+				points: 19.5,
+				pointValues: { points: { over: 75, under: 150 } },
+			},
+			2: {
+				name: 'Randle, Julius',
+				gameId: 2,
+				home: 2,
+				away: 1,
+				date: expect.any(Date),
+				points: 20.5,
+				assists: 6.5,
+				pointValues: { points: { over: 100, under: 100 }, assists: { over: 60, under: 250 } },
+			},
+		});
+	});
+
+	test('leaves out games that are not scheduled', async function () {
+		expect(await Player.playerPickData([{ id: 1 }])).toEqual({});
+	});
+
+	test('bad request without games', async function () {
+		try {
+			await Player.playerPickData();
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
+
+/** Save game stats */
+
+describe('save game stats', function () {
+	test('publishes changed stats to the live feed', async function () {
+		const statsRes = await db.query(
+			`SELECT player_id AS "playerId", game_id AS "gameId", minutes, points, fgm, fga, fgp, ftm, fta, ftp, tpm, tpa, tpp, total_reb AS "totalReb", off_reb AS "offReb", def_reb AS "defReb", assists, fouls, steals, turnovers, blocks, plus_minus AS "plusMinus"
+			FROM game_stats WHERE player_id = 1 AND game_id = 1`
+		);
+		const ps = { ...statsRes.rows[0], firstName: 'Jayson', lastName: 'Tatum' };
+
+		const events = [];
+		const unsubscribe = subscribe((e) => events.push(e));
+		await Player.saveGameStats([{ ...ps, points: 78, fgm: ps.fgm + 1 }]);
+		await Player.saveGameStats([{ ...ps, points: 78, fgm: ps.fgm + 1 }]);
+		await Player.saveGameStats([{ ...ps, gameId: 2 }]);
+		unsubscribe();
+
+		expect(events.length).toEqual(2);
+		expect(events[0]).toEqual({ event: 'boxScore', data: { gameId: 1, playerId: 1, stats: { points: 78, fgm: ps.fgm + 1 } } });
+		expect(events[1].data.stats).toEqual(expect.objectContaining({ points: 76, totalReb: 65 }));
+	});
+
+	test('counts rows inserted, updated and unchanged', async function () {
+		const statsRes = await db.query(
+			`SELECT player_id AS "playerId", game_id AS "gameId", minutes, points, fgm, fga, fgp, ftm, fta, ftp, tpm, tpa, tpp, total_reb AS "totalReb", off_reb AS "offReb", def_reb AS "defReb", assists, fouls, steals, turnovers, blocks, plus_minus AS "plusMinus"
+			FROM game_stats WHERE game_id = 1 ORDER BY player_id`
+		);
+		const [tatum, randle] = statsRes.rows;
+
+		const counts = await Player.saveGameStats([tatum, { ...randle, points: 30 }, { ...tatum, gameId: 2 }]);
+		expect(counts).toEqual({ inserted: 1, updated: 1, unchanged: 1 });
+		expect(await Player.saveGameStats([{ ...randle, points: 30 }])).toEqual({ inserted: 0, updated: 0, unchanged: 1 });
+
+		const rowsRes = await db.query(`SELECT COUNT(*)::INTEGER AS count FROM game_stats WHERE player_id = 1`);
+		expect(rowsRes.rows[0].count).toEqual(2);
+	});
+
+	test('rolls changed box scores up into season stats', async function () {
+		const statsRes = await db.query(
+			`SELECT player_id AS "playerId", game_id AS "gameId", minutes, points, fgm, fga, fgp, ftm, fta, ftp, tpm, tpa, tpp, total_reb AS "totalReb", off_reb AS "offReb", def_reb AS "defReb", assists, fouls, steals, turnovers, blocks, plus_minus AS "plusMinus"
+			FROM game_stats WHERE player_id = 2`
+		);
+		await Player.saveGameStats([{ ...statsRes.rows[0], points: 30 }]);
+
+		expect((await Player.seasonStats(2)).totals[0]).toEqual(expect.objectContaining({ gp: 1, points: 30 }));
+		// Tatum's box score didn't change so his seeded totals are left alone
+		expect((await Player.seasonStats(1)).totals[0].points).toEqual(432);
+	});
+});
+
+/** Update picks */
+
+describe('update picks', function () {
+	test('settles over and under picks', async function () {
+		// Tatum scored 76 and Randle 24 in game 1
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value)
+			VALUES ('User', 1, 1, 'points', 'OVER', 50.5, 100), ('User', 2, 1, 'points', 'UNDER', 30.5, 200), ('User', 2, 1, 'assists', 'UNDER', 10.5, 300)`
+		);
+		const result = await Player.updatePicks();
+		expect(result).toEqual({ updatePlayerPicks: 'success' });
+
+		const picksRes = await db.query(`SELECT stat, result FROM player_picks WHERE username = 'User' ORDER BY id`);
+		expect(picksRes.rows.map((p) => p.result)).toEqual(['win', 'win', 'loss']);
+
+		const userRes = await db.query(`SELECT points, wins, losses FROM users WHERE username = 'User'`);
+		expect(userRes.rows[0]).toEqual({ points: 300, wins: 2, losses: 1 });
+	});
+
+	test('push when stat lands on the line', async function () {
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value)
+			VALUES ('User', 1, 1, 'points', 'OVER', 76, 100), ('User', 1, 1, 'points', 'UNDER', 76, 100)`
+		);
+		await Player.updatePicks();
+
+		const picksRes = await db.query(`SELECT result FROM player_picks WHERE username = 'User'`);
+		expect(picksRes.rows.map((p) => p.result)).toEqual(['push', 'push']);
+
+		const userRes = await db.query(`SELECT points, wins, losses FROM users WHERE username = 'User'`);
+		expect(userRes.rows[0]).toEqual({ points: 0, wins: 0, losses: 0 });
+	});
+
+	test('voids picks on players without stats once the window has passed', async function () {
+		await db.query(`DELETE FROM game_stats WHERE player_id = 2`);
+		await db.query(`UPDATE game_stats SET minutes = 0 WHERE player_id = 1`);
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value)
+			VALUES ('User', 1, 1, 'points', 'OVER', 20.5, 100), ('User', 2, 1, 'points', 'OVER', 20.5, 100)`
+		);
+		await Player.updatePicks();
+
+		const picksRes = await db.query(`SELECT result FROM player_picks WHERE username = 'User'`);
+		expect(picksRes.rows.map((p) => p.result)).toEqual(['void', 'void']);
+
+		const ledgerRes = await db.query(`SELECT delta, reason FROM point_ledger WHERE username = 'User'`);
+		expect(ledgerRes.rows).toEqual([
+			{ delta: 0, reason: 'void' },
+			{ delta: 0, reason: 'void' },
+		]);
+	});
+
+	test('waits to void until the window has passed', async function () {
+		await db.query(`DELETE FROM game_stats WHERE player_id = 2`);
+		await db.query(`UPDATE games SET finished_at = NOW() AT TIME ZONE 'UTC' WHERE id = 1`);
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value)
+			VALUES ('User', 2, 1, 'points', 'OVER', 20.5, 100)`
+		);
+		await Player.updatePicks();
+
+		const picksRes = await db.query(`SELECT result FROM player_picks WHERE username = 'User'`);
+		expect(picksRes.rows[0].result).toEqual(null);
+	});
+
+	test('times the void window in UTC whatever the database time zone', async function () {
+		await db.query(`SET LOCAL timezone = 'America/New_York'`);
+		await db.query(`DELETE FROM game_stats WHERE player_id = 2`);
+		await db.query(`UPDATE games SET finished_at = (NOW() AT TIME ZONE 'UTC') - INTERVAL '13 hours' WHERE id = 1`);
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value)
+			VALUES ('User', 2, 1, 'points', 'OVER', 20.5, 100)`
+		);
+		await Player.updatePicks();
+
+		const picksRes = await db.query(`SELECT result FROM player_picks WHERE username = 'User'`);
+		expect(picksRes.rows[0].result).toEqual('void');
+	});
+
+	test('notifies users as their picks settle', async function () {
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value)
+			VALUES ('User', 1, 1, 'points', 'OVER', 50.5, 150)`
+		);
+		await Player.updatePicks();
+
+		const notificationsRes = await db.query(`SELECT username, type, message FROM notifications`);
+		expect(notificationsRes.rows).toEqual([
+			{ username: 'User', type: 'pick_settled', message: 'Your Jayson Tatum points OVER 50.5 pick won (+150 points)' },
+		]);
+	});
+
+	test('nothing to update', async function () {
+		const result = await Player.updatePicks();
+		expect(result).toEqual({ updatePlayerPicks: 'No eligible player picks to update yet' });
+	});
+});
@@ -0,0 +1,258 @@
+const db = require('../db');
+const { NotFoundError, BadRequestError } = require('../expressError');
+const { transaction } = require('../helpers/transaction');
+const { pointValue } = require('../helpers/pointValue');
+
+const STATS = ['points', 'tpm', 'rebounds', 'assists', 'steals', 'blocks'];
+
+// Number of most recent games used for a player's current form
+const RECENT_GAMES = 5;
+
+// Share of a player's per minute rate taken from recent form, the rest is season long
+const RECENT_WEIGHT = 0.5;
+
+// Share of the home / away split and opponent defense applied to a projection
+const LOCATION_WEIGHT = 0.5;
+const OPPONENT_WEIGHT = 0.5;
+
+// How far ahead the propLines job makes lines for scheduled games
+const UPCOMING_DAYS = 2;
+
+/** Related functions for player prop lines
+ *
+ * 	Lines are generated per game from game_stats and stored in prop_lines by
+ * 	the propLines job, only stored lines can be picked. A player's projection is their per
+ * 	minute rate (blend of season and last RECENT_GAMES) times their recent
+ * 	minutes, adjusted for their home / away split and what the opponent
+ * 	allows compared to the league (team_game_stats).
+ *
+ * 	Each side of a line pays by how often the player has cleared it this
+ * 	season, see helpers/pointValue.
+ **/
+
+class PropLine {
+	/** Given a game id, generate and store lines for every player on either
+	 * 	team with game stats this season. Replaces lines already stored for
+	 * 	the game.
+	 *
+	 * 	Returns [ { playerId, stat, line, overPoints, underPoints }, ... ]
+	 *
+	 * 	Throws NotFoundError if game not found
+	 **/
+
+	static async generate(gameId) {
+		const gameRes = await db.query(`SELECT id, season, date, home_team, away_team FROM games WHERE id = $1`, [gameId]);
+		const game = gameRes.rows[0];
+
+		if (!game) throw new NotFoundError(`No game: ${gameId}`);
+
+		const logsRes = await db.query(
+			`SELECT p.id AS "playerId", p.team_id AS "teamId", g.home_team = p.team_id AS "isHome", gs.minutes,
+			gs.points, gs.tpm, gs.total_reb AS rebounds, gs.assists, gs.steals, gs.blocks
+			FROM game_stats gs
+			JOIN players p ON gs.player_id = p.id
+			JOIN games g ON gs.game_id = g.id
+			WHERE p.team_id IN ($1, $2)
+			AND g.season = $3
+			AND g.status = 'finished'
+			AND g.date < $4
+			AND gs.minutes > 0
+			ORDER BY g.date DESC`,
+			[game.home_team, game.away_team, game.season, game.date]
+		);
+
+		const logsByPlayer = {};
+		for (let log of logsRes.rows) {
+			if (!logsByPlayer[log.playerId]) logsByPlayer[log.playerId] = [];
+			logsByPlayer[log.playerId].push(log);
+		}
+
+		const defense = await opponentFactors(game);
+
+		const lines = [];
+		for (let playerId in logsByPlayer) {
+			const logs = logsByPlayer[playerId];
+			const { teamId } = logs[0];
+			const isHome = teamId === game.home_team;
+			const opponent = isHome ? game.away_team : game.home_team;
+
+			for (let stat of STATS) {
+				const projection = project(logs, stat, isHome) * (defense[opponent] ? defense[opponent][stat] : 1);
+				const line = halfPoint(projection);
+				const over = overProbability(logs, stat, line);
+				lines.push({
+					playerId: +playerId,
+					stat,
+					line,
+					overPoints: pointValue(over),
+					underPoints: pointValue(1 - over),
+				});
+			}
+		}
+
+		await transaction(async () => {
+			await db.query(`DELETE FROM prop_lines WHERE game_id = $1`, [gameId]);
+			for (let { playerId, stat, line, overPoints, underPoints } of lines) {
+				await db.query(
+					`INSERT INTO prop_lines (game_id, player_id, stat, line, over_points, under_points) VALUES ($1, $2, $3, $4, $5, $6)`,
+					[gameId, playerId, stat, line, overPoints, underPoints]
+				);
+			}
+		});
+
+		return lines;
+	}
+
+	/** Generate and store lines for every game scheduled in the next
+	 * 	UPCOMING_DAYS, replacing the lines already stored for them
+	 *
+	 * 	Returns { games, lines } counts
+	 **/
+
+	static async generateUpcoming() {
+		const gamesRes = await db.query(
+			`SELECT id FROM games
+			WHERE status = 'scheduled'
+			AND date BETWEEN (NOW() AT TIME ZONE 'UTC') AND (NOW() AT TIME ZONE 'UTC') + make_interval(days => $1)
+			ORDER BY date, id`,
+			[UPCOMING_DAYS]
+		);
+
+		let lines = 0;
+		for (let { id } of gamesRes.rows) {
+			lines += (await this.generate(id)).length;
+		}
+
+		return { games: gamesRes.rows.length, lines };
+	}
+
+	/** Given a game id, return its stored lines, empty until the propLines
+	 * 	job has generated them
+	 *
+	 * 	Returns [ { playerId, stat, line, overPoints, underPoints }, ... ]
+	 **/
+
+	static async forGame(gameId) {
+		const linesRes = await db.query(
+			`SELECT player_id AS "playerId", stat, line, over_points AS "overPoints", under_points AS "underPoints"
+			FROM prop_lines
+			WHERE game_id = $1
+			ORDER BY player_id, stat`,
+			[gameId]
+		);
+
+		return linesRes.rows;
+	}
+
+	/** Given { playerId, gameId, stat, value }, check that value is the line
+	 * 	offered for that player and stat
+	 *
+	 * 	Returns { line, overPoints, underPoints }
+	 *
+	 * 	Throws BadRequestError if no line is offered or value doesn't match it
+	 **/
+
+	static async checkOffered({ playerId, gameId, stat, value }) {
+		const lineRes = await db.query(
+			`SELECT line, over_points AS "overPoints", under_points AS "underPoints"
+			FROM prop_lines
+			WHERE game_id = $1 AND player_id = $2 AND stat = $3`,
+			[gameId, playerId, stat]
+		);
+		const offered = lineRes.rows[0];
+
+		if (!offered) throw new BadRequestError(`No ${stat} line offered for player ${playerId} in game ${gameId}`);
+		if (offered.line !== value)
+			throw new BadRequestError(`Line for player ${playerId} ${stat} in game ${gameId} is ${offered.line}`);
+
+		return offered;
+	}
+}
+
+/** Given a player's game logs (most recent first), a stat and whether the
+ * 	upcoming game is at home, return their projected amount
+ **/
+
+function project(logs, stat, isHome) {
+	const seasonRate = perMinute(logs, stat);
+	const recent = logs.slice(0, RECENT_GAMES);
+	const rate = seasonRate * (1 - RECENT_WEIGHT) + perMinute(recent, stat) * RECENT_WEIGHT;
+	const minutes = recent.reduce((sum, l) => sum + l.minutes, 0) / recent.length;
+
+	let location = 1;
+	const split = logs.filter((l) => l.isHome === isHome);
+	if (split.length && seasonRate) location = 1 + (perMinute(split, stat) / seasonRate - 1) * LOCATION_WEIGHT;
+
+	return rate * minutes * location;
+}
+
+/** Round a projection down to the half point below it so lines can't push,
+ * 	ignoring floating point error (77.9999 is 78)
+ **/
+
+function halfPoint(projection) {
+	return Math.floor(+projection.toFixed(4)) + 0.5;
+}
+
+/** Given game logs, a stat and a line, return the chance the player goes
+ * 	over it, how often they have this season smoothed toward a coin flip
+ * 	for players with few games
+ **/
+
+function overProbability(logs, stat, line) {
+	const overs = logs.filter((l) => l[stat] > line).length;
+	return (overs + 1) / (logs.length + 2);
+}
+
+/** Given game logs and a stat, return the amount per minute played */
+
+function perMinute(logs, stat) {
+	const minutes = logs.reduce((sum, l) => sum + l.minutes, 0);
+	return minutes ? logs.reduce((sum, l) => sum + l[stat], 0) / minutes : 0;
+}
+
+/** Given a game, return how much each of its teams allows per stat compared
+ * 	to the league average for that season before the game
+ *
+ * 	Returns { teamId: { points, tpm, rebounds, assists, steals, blocks }, ... }
+ * 		Where 1 is league average, 1.1 allows 10% more
+ **/
+
+async function opponentFactors(game) {
+	const averages = `AVG(tgs.points) AS points, AVG(tgs.tpm) AS tpm, AVG(tgs.total_reb) AS rebounds,
+		AVG(tgs.assists) AS assists, AVG(tgs.steals) AS steals, AVG(tgs.blocks) AS blocks`;
+
+	const leagueRes = await db.query(
+		`SELECT ${averages}
+		FROM team_game_stats tgs
+		JOIN games g ON tgs.game_id = g.id
+		WHERE g.season = $1 AND g.date < $2`,
+		[game.season, game.date]
+	);
+	const league = leagueRes.rows[0];
+
+	// What a team allows is what their opponents put up against them
+	const allowedRes = await db.query(
+		`SELECT opp.team_id AS "teamId", ${averages}
+		FROM team_game_stats tgs
+		JOIN team_game_stats opp ON opp.game_id = tgs.game_id AND opp.team_id <> tgs.team_id
+		JOIN games g ON tgs.game_id = g.id
+		WHERE g.season = $1 AND g.date < $2
+		AND opp.team_id IN ($3, $4)
+		GROUP BY opp.team_id`,
+		[game.season, game.date, game.home_team, game.away_team]
+	);
+
+	const factors = {};
+	for (let allowed of allowedRes.rows) {
+		factors[allowed.teamId] = {};
+		for (let stat of STATS) {
+			const ratio = +league[stat] ? allowed[stat] / league[stat] : 1;
+			factors[allowed.teamId][stat] = 1 + (ratio - 1) * OPPONENT_WEIGHT;
+		}
+	}
+
+	return factors;
+}
+
+module.exports = PropLine;
@@ -0,0 +1,136 @@
+const db = require('../db.js');
+const PropLine = require('./propLine.js');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Generate */
+
+describe('generate', function () {
+	test('works', async function () {
+		const lines = await PropLine.generate(2);
+		expect(lines.length).toEqual(12);
+		// 76 points in 54 minutes, against a defense allowing 100 of a 95 league average
+		expect(lines).toContainEqual({ playerId: 1, stat: 'points', line: 78.5, overPoints: 150, underPoints: 75 });
+		expect(lines).toContainEqual({ playerId: 2, stat: 'points', line: 23.5, overPoints: 75, underPoints: 150 });
+
+		const storedRes = await db.query(`SELECT line FROM prop_lines WHERE game_id = 2 AND player_id = 1 AND stat = 'points'`);
+		expect(storedRes.rows).toEqual([{ line: 78.5 }]);
+	});
+
+	test('prices sides by how often the player has cleared the line', async function () {
+		await db.query(
+			`INSERT INTO games (id, season, date, location, home_team, away_team, status, score, winner)
+			VALUES (3, 2023, '2024-01-04 19:00:00', 'TD Garden (Boston)', 1, 2, 'finished', '100 - 90', 1)`
+		);
+		await db.query(
+			`INSERT INTO game_stats (player_id, game_id, minutes, points, fgm, fga, fgp, ftm, fta, ftp, tpm, tpa, tpp, off_reb, def_reb, total_reb, assists, fouls, steals, turnovers, blocks, plus_minus)
+			VALUES (1, 3, 54, 80, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0)`
+		);
+		const lines = await PropLine.generate(2);
+		const points = lines.find((l) => l.playerId === 1 && l.stat === 'points');
+		// Under in both games, a 1 in 4 chance of going over once smoothed
+		expect(points.line).toEqual(80.5);
+		expect(points.overPoints).toEqual(200);
+		expect(points.underPoints).toEqual(67);
+	});
+
+	test('weights recent minutes', async function () {
+		await db.query(
+			`INSERT INTO games (id, season, date, location, home_team, away_team, status, score, winner)
+			VALUES (3, 2023, '2024-01-04 19:00:00', 'TD Garden (Boston)', 1, 2, 'finished', '100 - 90', 1)`
+		);
+		await db.query(
+			`INSERT INTO game_stats (player_id, game_id, minutes, points, fgm, fga, fgp, ftm, fta, ftp, tpm, tpa, tpp, off_reb, def_reb, total_reb, assists, fouls, steals, turnovers, blocks, plus_minus)
+			VALUES (1, 3, 18, 10, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0)`
+		);
+		const lines = await PropLine.generate(2);
+		const points = lines.find((l) => l.playerId === 1 && l.stat === 'points');
+		expect(points.line).toBeLessThan(78.5);
+	});
+
+	test('leaves out players without minutes', async function () {
+		await db.query(`UPDATE game_stats SET minutes = 0 WHERE player_id = 2`);
+		const lines = await PropLine.generate(2);
+		expect(lines.every((l) => l.playerId === 1)).toBeTruthy();
+	});
+
+	test('not found if bad game', async function () {
+		try {
+			await PropLine.generate(100);
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
+/** Generate upcoming */
+
+describe('generateUpcoming', function () {
+	test('works', async function () {
+		await db.query(`DELETE FROM prop_lines`);
+		expect(await PropLine.generateUpcoming()).toEqual({ games: 0, lines: 0 });
+
+		await db.query(`UPDATE games SET date = (NOW() AT TIME ZONE 'UTC') + INTERVAL '1 day' WHERE id = 2`);
+		expect(await PropLine.generateUpcoming()).toEqual({ games: 1, lines: 12 });
+		expect((await PropLine.forGame(2)).length).toEqual(12);
+	});
+
+	test('picks games by UTC tip-off whatever the database time zone', async function () {
+		await db.query(`SET LOCAL timezone = 'America/New_York'`);
+		await db.query(`UPDATE games SET date = (NOW() AT TIME ZONE 'UTC') - INTERVAL '1 hour' WHERE id = 2`);
+		expect((await PropLine.generateUpcoming()).games).toEqual(0);
+	});
+});
+
+/** For game */
+
+describe('forGame', function () {
+	test('returns stored lines', async function () {
+		const lines = await PropLine.forGame(2);
+		expect(lines).toEqual([
+			{ playerId: 1, stat: 'points', line: 19.5, overPoints: 75, underPoints: 150 },
+			{ playerId: 2, stat: 'assists', line: 6.5, overPoints: 60, underPoints: 250 },
+			{ playerId: 2, stat: 'points', line: 20.5, overPoints: 100, underPoints: 100 },
+		]);
+	});
+
+	test("empty if none stored, doesn't generate them", async function () {
+		await db.query(`DELETE FROM prop_lines`);
+		expect(await PropLine.forGame(2)).toEqual([]);
+		const storedRes = await db.query(`SELECT id FROM prop_lines`);
+		expect(storedRes.rows).toEqual([]);
+	});
+});
+
+/** Check offered */
+
+describe('checkOffered', function () {
+	test('works', async function () {
+		const offered = await PropLine.checkOffered({ playerId: 1, gameId: 2, stat: 'points', value: 19.5 });
+		expect(offered).toEqual({ line: 19.5, overPoints: 75, underPoints: 150 });
+	});
+
+	test('bad request for other values', async function () {
+		try {
+			await PropLine.checkOffered({ playerId: 1, gameId: 2, stat: 'points', value: 20 });
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('bad request if no line offered', async function () {
+		try {
+			await PropLine.checkOffered({ playerId: 1, gameId: 2, stat: 'blocks', value: 0.5 });
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
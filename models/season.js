@@ -0,0 +1,129 @@
+const db = require('../db');
+const { NotFoundError, BadRequestError } = require('../expressError');
+const { transaction } = require('../helpers/transaction');
+
+/** Related functions for seasons */
+
+class Season {
+	/** Given a season year, check if in database and throws NotFoundError if not */
+
+	static async checkValid(year) {
+		const seasonRes = await db.query(
+			`SELECT year, start_date AS "startDate", end_date AS "endDate", is_current AS "isCurrent"
+            FROM seasons
+            WHERE year = $1`,
+			[year]
+		);
+
+		const season = seasonRes.rows[0];
+
+		if (!season) throw new NotFoundError(`No season: ${year}`);
+
+		return season;
+	}
+
+	/** Return all seasons, most recent first
+	 *
+	 * 	Returns [ { year, startDate, endDate, isCurrent }, ... ]
+	 **/
+
+	static async getAll() {
+		const seasonsRes = await db.query(
+			`SELECT year, start_date AS "startDate", end_date AS "endDate", is_current AS "isCurrent"
+			FROM seasons
+			ORDER BY year DESC`
+		);
+
+		return seasonsRes.rows;
+	}
+
+	/** Return the current season
+	 *
+	 * 	Returns { year, startDate, endDate, isCurrent }
+	 *
+	 * 	Throws NotFoundError if no season has been set as current
+	 **/
+
+	static async getCurrent() {
+		const seasonRes = await db.query(
+			`SELECT year, start_date AS "startDate", end_date AS "endDate", is_current AS "isCurrent"
+			FROM seasons
+			WHERE is_current = true`
+		);
+
+		const season = seasonRes.rows[0];
+
+		if (!season) throw new NotFoundError('No current season has been set!');
+
+		return season;
+	}
+
+	/** Given an optional season year (ex: from ?season=), return the year to
+	 * 	query by. Defaults to the current season.
+	 *
+	 * 	Throws BadRequestError if season is not a year
+	 * 	Throws NotFoundError if season not found
+	 **/
+
+	static async resolve(year) {
+		if (year === undefined || year === null || year === '') {
+			const current = await this.getCurrent();
+			return current.year;
+		}
+
+		if (!Number.isInteger(+year)) throw new BadRequestError(`Season must be a year, ex: 2023`);
+
+		const season = await this.checkValid(+year);
+
+		return season.year;
+	}
+
+	/** Add a season
+	 *
+	 * 	Returns { year, startDate, endDate, isCurrent }
+	 *
+	 * 	Throws BadRequestError if season already exists
+	 **/
+
+	static async create({ year, startDate = null, endDate = null }) {
+		const duplicateCheck = await db.query(`SELECT year FROM seasons WHERE year = $1`, [year]);
+
+		if (duplicateCheck.rows[0]) throw new BadRequestError(`Duplicate season: ${year}`);
+
+		const seasonRes = await db.query(
+			`INSERT INTO seasons (year, start_date, end_date)
+			VALUES ($1, $2, $3)
+			RETURNING year, start_date AS "startDate", end_date AS "endDate", is_current AS "isCurrent"`,
+			[year, startDate, endDate]
+		);
+
+		return seasonRes.rows[0];
+	}
+
+	/** Make the given season the current season, used by update jobs and
+	 * 	as the default for all season stats
+	 *
+	 * 	Returns { year, startDate, endDate, isCurrent }
+	 *
+	 * 	Throws NotFoundError if season not found
+	 **/
+
+	static async setCurrent(year) {
+		await this.checkValid(year);
+
+		// Both updates go together so there's never a moment without a current season
+		return await transaction(async () => {
+			await db.query(`UPDATE seasons SET is_current = false WHERE is_current = true`);
+			const seasonRes = await db.query(
+				`UPDATE seasons SET is_current = true
+				WHERE year = $1
+				RETURNING year, start_date AS "startDate", end_date AS "endDate", is_current AS "isCurrent"`,
+				[year]
+			);
+
+			return seasonRes.rows[0];
+		});
+	}
+}
+
+module.exports = Season;
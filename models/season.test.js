@@ -0,0 +1,111 @@
+const { NotFoundError, BadRequestError } = require('../expressError.js');
+const db = require('../db.js');
+const Season = require('./season.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Get all seasons */
+
+describe('get all', function () {
+	test('works', async function () {
+		const seasons = await Season.getAll();
+		expect(seasons.length).toEqual(2);
+		expect(seasons[0].year).toEqual(2023);
+		expect(seasons[0].isCurrent).toEqual(true);
+		expect(seasons[1].year).toEqual(2022);
+		expect(seasons[1].isCurrent).toEqual(false);
+	});
+});
+
+/** Get current season */
+
+describe('get current', function () {
+	test('works', async function () {
+		const season = await Season.getCurrent();
+		expect(season.year).toEqual(2023);
+	});
+
+	test('not found if no current season', async function () {
+		await db.query('UPDATE seasons SET is_current = false');
+		try {
+			await Season.getCurrent();
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
+/** Resolve season */
+
+describe('resolve', function () {
+	test('defaults to current season', async function () {
+		expect(await Season.resolve()).toEqual(2023);
+		expect(await Season.resolve('')).toEqual(2023);
+	});
+
+	test('works with a past season', async function () {
+		expect(await Season.resolve('2022')).toEqual(2022);
+	});
+
+	test('bad request if not a year', async function () {
+		try {
+			await Season.resolve('nope');
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('not found if no such season', async function () {
+		try {
+			await Season.resolve(1999);
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
+/** Create season */
+
+describe('create', function () {
+	test('works', async function () {
+		const season = await Season.create({ year: 2024, startDate: '2024-10-22' });
+		expect(season.year).toEqual(2024);
+		expect(season.isCurrent).toEqual(false);
+	});
+
+	test('bad request if duplicate', async function () {
+		try {
+			await Season.create({ year: 2023 });
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
+
+/** Set current season */
+
+describe('set current', function () {
+	test('works', async function () {
+		const season = await Season.setCurrent(2022);
+		expect(season.isCurrent).toEqual(true);
+		const current = await Season.getCurrent();
+		expect(current.year).toEqual(2022);
+	});
+
+	test('not found if no such season', async function () {
+		try {
+			await Season.setCurrent(1999);
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
@@ -1,14 +1,21 @@
 const db = require('../db');
-const axios = require('axios');
 const { NotFoundError, BadRequestError } = require('../expressError');
-const API_KEY = require('../secrets');
+const { getProvider } = require('../providers');
+const Season = require('./season');
+const Ledger = require('./ledger');
+const Notification = require('./notification');
+const Webhook = require('./webhook');
+const IngestFailure = require('./ingestFailure');
+const { pointValue, BASE_POINTS } = require('../helpers/pointValue');
+const { publish, changes } = require('../helpers/liveFeed');
+const { upsert, addCounts } = require('../helpers/upsert');
+const { computeStandings, projectPlayoffs, PLAYOFF_SEEDS, PLAY_IN_SEEDS } = require('../helpers/standings');
 const moment = require('moment');
 
-const BASE_URL = 'https://v2.nba.api-sports.io/';
-const headers = {
-	'x-rapidapi-key': API_KEY || process.env.API_KEY,
-	'x-rapidapi-host': 'v2.nba.api-sports.io',
-};
+// How much this season's head to head games count toward spreads, totals and win chances
+const H2H_WEIGHT = 0.25;
+
+const STANDINGS_VIEWS = ['league', 'conference', 'division'];
 
 /** Related functions for teams */
 
@@ -30,7 +37,7 @@ class Team {
 		return team;
 	}
 
-	/** Given a teamId, return data about that team.
+	/** Given a teamId and optional season, return data about that team.
 	 *
 	 *  Returns { id, code, nickname, name, city, logo, conference,
 	 *  conference_rank, division, division_rank }
@@ -38,14 +45,15 @@ class Team {
 	 * Throws NotFoundError if not found.
 	 **/
 
-	static async get(id) {
+	static async get(id, season) {
+		const year = await Season.resolve(season);
 		const teamRes = await db.query(
 			`SELECT t.id, t.code, t.nickname, t.name, t.city, t.logo, t.conference, cs.rank AS "conferenceRank", t.division, ds.rank AS "divisionRank"
             FROM teams t
-			JOIN conference_standings cs ON t.id = cs.team_id
-			JOIN division_standings ds ON t.id = ds.team_id
+			LEFT JOIN conference_standings cs ON t.id = cs.team_id AND cs.season = $2
+			LEFT JOIN division_standings ds ON t.id = ds.team_id AND ds.season = $2
             WHERE t.id = $1`,
-			[id]
+			[id, year]
 		);
 
 		const team = teamRes.rows[0];
@@ -61,41 +69,108 @@ class Team {
 	 **/
 
 	static async getAll() {
+		const year = await Season.resolve();
 		const teamsRes = await db.query(
 			`SELECT t.id, t.code, t.nickname, t.name, t.city, t.logo, t.conference, cs.rank AS "conferenceRank", t.division, ds.rank AS "divisionRank"
             FROM teams t
-			JOIN conference_standings cs ON t.id = cs.team_id
-			JOIN division_standings ds ON t.id = ds.team_id`
+			LEFT JOIN conference_standings cs ON t.id = cs.team_id AND cs.season = $1
+			LEFT JOIN division_standings ds ON t.id = ds.team_id AND ds.season = $1`,
+			[year]
 		);
 
 		return teamsRes.rows;
 	}
 
-	/** Get Ordered standings for conferences
+	/** Given a season (defaults to current) and a view, return standings
+	 * 	computed from the season's finished games
+	 *
+	 * 	view is one of:
+	 * 		"conference" (default) returns { season, east: [], west: [] }
+	 * 		"division" returns { season, atlantic: [], central: [], ... }
+	 * 		"league" returns { season, league: [] }
+	 *
+	 * 	Each list is ordered by rank and made of { id, name, code, conference,
+	 * 	division, rank, wins, losses, record, pct, gamesBehind, home, away,
+	 * 	conferenceRecord, divisionRecord, lastTen, streak, pointDiff,
+	 * 	tiebreaks: [ { rule, tiedWith, value, aheadOf, behind, explanation } ] }
 	 *
-	 * 	returns { east: [], west: [] }
+	 * 	Throws BadRequestError if view isn't one of these
 	 */
 
-	static async getStandings() {
-		const eastStandings = await db.query(`
-		SELECT t.id, t.name, t.code, cs.rank, ts.wins || ' - ' || ts.losses AS record
-		FROM conference_standings cs
-		JOIN teams t ON cs.team_id = t.id
-		JOIN team_stats ts ON cs.team_id = ts.team_id
-		WHERE cs.conference='east'
-		ORDER BY cs.rank`);
-		const east = eastStandings.rows;
-
-		const westStandings = await db.query(`
-		SELECT t.id, t.name, t.code, cs.rank, ts.wins || ' - ' || ts.losses AS record
-		FROM conference_standings cs
-		JOIN teams t ON cs.team_id = t.id
-		JOIN team_stats ts ON cs.team_id = ts.team_id
-		WHERE cs.conference='west'
-		ORDER BY cs.rank`);
-		const west = westStandings.rows;
-
-		return { east, west };
+	static async getStandings(season, view = 'conference') {
+		if (!STANDINGS_VIEWS.includes(view))
+			throw new BadRequestError(`view must be one of: ${STANDINGS_VIEWS.join(', ')}`);
+
+		const year = await Season.resolve(season);
+		const { league, conferences, divisions } = await this.computeStandings(year);
+
+		if (view === 'league') return { season: year, league };
+		if (view === 'division') return { season: year, ...divisions };
+		return { season: year, east: [], west: [], ...conferences };
+	}
+
+	/** Given a season, compute its standings from finished games
+	 *
+	 * 	A team is in a season's standings once it has season stats or a game
+	 * 	scheduled in it, so teams that haven't played yet show at 0 - 0.
+	 *
+	 * 	Returns { league: [], conferences: { east: [], ... },
+	 * 		divisions: { atlantic: [], ... } }, see helpers/standings
+	 **/
+
+	static async computeStandings(season) {
+		const teamsRes = await db.query(
+			`SELECT t.id, t.name, t.code, LOWER(t.conference) AS conference, LOWER(t.division) AS division
+			FROM teams t
+			WHERE EXISTS (SELECT 1 FROM team_stats ts WHERE ts.team_id = t.id AND ts.season = $1)
+			OR EXISTS (SELECT 1 FROM games g WHERE g.season = $1 AND t.id IN (g.home_team, g.away_team))
+			ORDER BY t.id`,
+			[season]
+		);
+
+		const gamesRes = await db.query(
+			`SELECT home_team AS "homeId", away_team AS "awayId", winner, score
+			FROM games
+			WHERE season = $1 AND status = 'finished'
+			ORDER BY date, id`,
+			[season]
+		);
+
+		return computeStandings(teamsRes.rows, gamesRes.rows);
+	}
+
+	/** Given a season (defaults to current), return its projected playoff
+	 * 	picture as of the last update
+	 *
+	 * 	Returns { season, east: { playoffs: [], playIn: [], out: [] }, west: { ... } }
+	 * 		Where playoffs is seeds 1 - 6, playIn seeds 7 - 10 and out the rest,
+	 * 		each { id, name, code, seed, record, gamesBehind, gamesLeft,
+	 * 		magicNumbers: { playoffs, playIn }, eliminationNumbers: { playoffs, playIn },
+	 * 		clinched: { playoffs, playIn }, eliminated: { playoffs, playIn } }
+	 **/
+
+	static async getPlayoffs(season) {
+		const year = await Season.resolve(season);
+		const playoffsRes = await db.query(
+			`SELECT ps.conference, t.id, t.name, t.code, ps.seed, ps.wins || ' - ' || ps.losses AS record,
+				ps.games_behind AS "gamesBehind", ps.games_left AS "gamesLeft", ps.playoffs_magic AS "playoffsMagic",
+				ps.play_in_magic AS "playInMagic", ps.playoffs_elimination AS "playoffsElimination",
+				ps.play_in_elimination AS "playInElimination"
+			FROM playoff_standings ps
+			JOIN teams t ON ps.team_id = t.id
+			WHERE ps.season = $1
+			ORDER BY ps.conference, ps.seed`,
+			[year]
+		);
+
+		const playoffs = { season: year, east: playoffGroups(), west: playoffGroups() };
+		for (let row of playoffsRes.rows) {
+			const groups = (playoffs[row.conference] = playoffs[row.conference] || playoffGroups());
+			const group = row.seed <= PLAYOFF_SEEDS ? 'playoffs' : row.seed <= PLAY_IN_SEEDS ? 'playIn' : 'out';
+			groups[group].push(playoffTeam(row));
+		}
+
+		return playoffs;
 	}
 
 	/** Given a teamId, return all players on team
@@ -130,17 +205,20 @@ class Team {
 
 	static async topPerformers(id) {
 		const team = await this.checkValid(id);
+		const year = await Season.resolve();
 		// Collect top scorer
 		const scorerRes = await db.query(
 			`SELECT p.id, p.last_name || ', ' || p.first_name AS name, COUNT(gs.id) AS games, ss.points AS value
 			FROM season_stats ss
 			JOIN players p ON ss.player_id = p.id
 			JOIN game_stats gs ON ss.player_id = gs.player_id
+			JOIN games g ON gs.game_id = g.id AND g.season = ss.season
 			WHERE p.team_id = $1
+			AND ss.season = $2
 			GROUP BY p.id, ss.points
 			ORDER BY ss.points DESC
 			LIMIT 1`,
-			[team.id]
+			[team.id, year]
 		);
 
 		// Collect top rebounder
@@ -149,11 +227,13 @@ class Team {
 			FROM season_stats ss
 			JOIN players p ON ss.player_id = p.id
 			JOIN game_stats gs ON ss.player_id = gs.player_id
+			JOIN games g ON gs.game_id = g.id AND g.season = ss.season
 			WHERE p.team_id = $1
+			AND ss.season = $2
 			GROUP BY p.id, ss.total_reb
 			ORDER BY ss.total_reb DESC
 			LIMIT 1`,
-			[team.id]
+			[team.id, year]
 		);
 
 		// Collect top assister
@@ -162,11 +242,13 @@ class Team {
 			FROM season_stats ss
 			JOIN players p ON ss.player_id = p.id
 			JOIN game_stats gs ON ss.player_id = gs.player_id
+			JOIN games g ON gs.game_id = g.id AND g.season = ss.season
 			WHERE p.team_id = $1
+			AND ss.season = $2
 			GROUP BY p.id, ss.assists
 			ORDER BY ss.assists DESC
 			LIMIT 1`,
-			[team.id]
+			[team.id, year]
 		);
 
 		// Collect top blocker
@@ -175,11 +257,13 @@ class Team {
 			FROM season_stats ss
 			JOIN players p ON ss.player_id = p.id
 			JOIN game_stats gs ON ss.player_id = gs.player_id
+			JOIN games g ON gs.game_id = g.id AND g.season = ss.season
 			WHERE p.team_id = $1
+			AND ss.season = $2
 			GROUP BY p.id, ss.blocks
 			ORDER BY ss.blocks DESC
 			LIMIT 1`,
-			[team.id]
+			[team.id, year]
 		);
 
 		const stealerRes = await db.query(
@@ -187,11 +271,13 @@ class Team {
 			FROM season_stats ss
 			JOIN players p ON ss.player_id = p.id
 			JOIN game_stats gs ON ss.player_id = gs.player_id
+			JOIN games g ON gs.game_id = g.id AND g.season = ss.season
 			WHERE p.team_id = $1
+			AND ss.season = $2
 			GROUP BY p.id, ss.steals
 			ORDER BY ss.steals DESC
 			LIMIT 1`,
-			[team.id]
+			[team.id, year]
 		);
 
 		const overAchieverRes = await db.query(
@@ -199,11 +285,13 @@ class Team {
 			FROM season_stats ss
 			JOIN players p ON ss.player_id = p.id
 			JOIN game_stats gs ON ss.player_id = gs.player_id
+			JOIN games g ON gs.game_id = g.id AND g.season = ss.season
 			WHERE p.team_id = $1
+			AND ss.season = $2
 			GROUP BY p.id, ss.plus_minus
 			ORDER BY ss.plus_minus DESC
 			LIMIT 1`,
-			[team.id]
+			[team.id, year]
 		);
 
 		const topPerformers = {
@@ -218,7 +306,7 @@ class Team {
 		return topPerformers;
 	}
 
-	/** Given a team_id, return all games for current season
+	/** Given a team_id and optional season, return all games for that season
 	 *
 	 *  Returns [ { id, date, location, home, away, clock, score } ]
 	 *
@@ -228,14 +316,16 @@ class Team {
 	 *  Throws NotFoundError if not found.
 	 **/
 
-	static async games(id) {
+	static async games(id, season) {
+		const year = await Season.resolve(season);
 		const gamesRes = await db.query(
 			`SELECT id, date, location, home_team AS home, away_team AS away, clock, score, status, winner
             FROM games
-            WHERE home_team = $1
-            OR away_team = $2
+            WHERE (home_team = $1
+            OR away_team = $1)
+			AND season = $2
 			ORDER BY date ASC`,
-			[id, id]
+			[id, year]
 		);
 
 		const games = gamesRes.rows;
@@ -244,8 +334,8 @@ class Team {
 
 		// get full home and away team data for each game
 		for (let game of games) {
-			const homeTeam = await this.get(game.home);
-			const awayTeam = await this.get(game.away);
+			const homeTeam = await this.get(game.home, year);
+			const awayTeam = await this.get(game.away, year);
 			delete game.home;
 			delete game.away;
 			game.home = homeTeam;
@@ -255,9 +345,10 @@ class Team {
 		return games;
 	}
 
-	/** Given a team_id, return team stats for current season
+	/** Given a team_id and optional season, return team stats for that season
+	 * 	(defaults to current season)
 	 *
-	 *  Returns { id, name, games, wins, losses, fastBreakPoints, pointsInPaint,
+	 *  Returns { id, name, season, games, wins, losses, fastBreakPoints, pointsInPaint,
 	 *            secondChancePoints, pointsOffTurnovers, points, fgm, fga,
 	 *            fgp, ftm, fta, ftp, tpm, tpa, tpp, offReb, defReb, totalReb,
 	 * 			  assists, fouls, steals, turnovers, blocks, plusMinus }
@@ -265,14 +356,16 @@ class Team {
 	 * Throws NotFoundError if not found
 	 **/
 
-	static async stats(id) {
-		const teamData = await this.get(id);
+	static async stats(id, season) {
+		const year = await Season.resolve(season);
+		const teamData = await this.get(id, year);
 		const statsRes = await db.query(
-			`SELECT t.id, t.name, t.logo, ts.games, ts.wins, ts.losses, ts.fast_break_points AS "fastBreakPoints", ts.points_in_paint AS "pointsInPaint", ts.second_chance_points AS "secondChancePoints", ts.points_off_turnovers AS "pointsOffTurnovers", ts.points, ts.fgm, ts.fga, ts.fgp, ts.ftm, ts.fta, ts.ftp, ts.tpm, ts.tpa, ts.tpp, ts.off_reb AS "offReb", ts.def_reb AS "defReb", ts.total_reb AS "totalReb", ts.assists, ts.fouls, ts.steals, ts.turnovers, ts.blocks, ts.plus_minus AS "plusMinus"
+			`SELECT t.id, t.name, t.logo, ts.season, ts.games, ts.wins, ts.losses, ts.fast_break_points AS "fastBreakPoints", ts.points_in_paint AS "pointsInPaint", ts.second_chance_points AS "secondChancePoints", ts.points_off_turnovers AS "pointsOffTurnovers", ts.points, ts.fgm, ts.fga, ts.fgp, ts.ftm, ts.fta, ts.ftp, ts.tpm, ts.tpa, ts.tpp, ts.off_reb AS "offReb", ts.def_reb AS "defReb", ts.total_reb AS "totalReb", ts.assists, ts.fouls, ts.steals, ts.turnovers, ts.blocks, ts.plus_minus AS "plusMinus"
             FROM team_stats ts
 			JOIN teams t ON ts.team_id = t.id
-            WHERE team_id = $1`,
-			[id]
+            WHERE team_id = $1
+			AND season = $2`,
+			[id, year]
 		);
 
 		const teamStats = statsRes.rows[0];
@@ -294,10 +387,13 @@ class Team {
 	 */
 
 	static async allStats() {
+		const year = await Season.resolve();
 		const statsRes = await db.query(
 			`SELECT t.id, t.name, t.logo, ts.games, ts.wins, ts.losses, ts.fast_break_points AS "fastBreakPoints", ts.points_in_paint AS "pointsInPaint", ts.second_chance_points AS "secondChancePoints", ts.points_off_turnovers AS "pointsOffTurnovers", ts.points, ts.fgm, ts.fga, ts.fgp, ts.ftm, ts.fta, ts.ftp, ts.tpm, ts.tpa, ts.tpp, ts.off_reb AS "offReb", ts.def_reb AS "defReb", ts.total_reb AS "totalReb", ts.assists, ts.fouls, ts.steals, ts.turnovers, ts.blocks, ts.plus_minus AS "plusMinus"
 			FROM team_stats ts
-			JOIN teams t ON ts.team_id = t.id`
+			JOIN teams t ON ts.team_id = t.id
+			WHERE ts.season = $1`,
+			[year]
 		);
 
 		const teamStats = statsRes.rows;
@@ -365,11 +461,14 @@ class Team {
 
 		if (lowOrder != 'asc' && lowOrder != 'desc') throw new BadRequestError('Order must be DESC or ASC');
 
+		const year = await Season.resolve();
 		const teamsRes = await db.query(
 			`SELECT t.id, t.name, t.logo, ts.games, ts.wins, ts.losses, ts.fast_break_points AS "fastBreakPoints", ts.points_in_paint AS "pointsInPaint", ts.second_chance_points AS "secondChancePoints", ts.points_off_turnovers AS "pointsOffTurnovers", ts.points, ts.fgm, ts.fga, ts.fgp, ts.ftm, ts.fta, ts.ftp, ts.tpm, ts.tpa, ts.tpp, ts.off_reb AS "offReb", ts.def_reb AS "defReb", ts.total_reb AS "totalReb", ts.assists, ts.fouls, ts.steals, ts.turnovers, ts.blocks, ts.plus_minus AS "plusMinus"
 			FROM team_stats ts
 			JOIN teams t ON ts.team_id = t.id
-			ORDER BY ${lowMethod} ${lowOrder}`
+			WHERE ts.season = $1
+			ORDER BY ${lowMethod} ${lowOrder}`,
+			[year]
 		);
 
 		const teamStats = teamsRes.rows;
@@ -413,71 +512,59 @@ class Team {
 		return results;
 	}
 
-	/** Retrieve team season stats from external API and update DB */
-
-	static async updateSeasonStats() {
-		const response = await db.query('SELECT id, name FROM teams');
-		let teams = response.rows;
-		for (let team of teams) {
-			let URL = BASE_URL + `teams/statistics?id=${team.id}&season=2023`;
-			const response = await axios.get(URL, { headers });
-			let teamStats = response.data.response;
-			for (let ts of teamStats) {
-				const winsRes = await db.query(
-					`SELECT COUNT(id) AS wins FROM team_game_stats WHERE plus_minus > 0 AND team_id = $1`,
-					[team.id]
-				);
-				const lossesRes = await db.query(
-					`SELECT COUNT(id) AS losses FROM team_game_stats WHERE plus_minus < 0 AND team_id = $1`,
-					[team.id]
-				);
-				const games = Number(winsRes.rows[0].wins) + Number(lossesRes.rows[0].losses);
-				db.query(
-					`UPDATE team_stats 
-					SET games = $1, wins = $2, losses = $3, fast_break_points = $4, points_in_paint = $5, second_chance_points = $6, points_off_turnovers = $7, points = $8, fgm = $9, fga = $10, fgp = $11, ftm = $12, fta = $13, ftp = $14, tpm = $15, tpa = $16, tpp = $17, off_reb = $18, def_reb = $19, total_reb = $20, assists = $21, fouls = $22, steals = $23, turnovers = $24, blocks = $25, plus_minus = $26
-					WHERE team_id = $27`,
-					[
-						games,
-						winsRes.rows[0].wins,
-						lossesRes.rows[0].losses,
-						ts.fastBreakPoints,
-						ts.pointsInPaint,
-						ts.secondChancePoints,
-						ts.pointsOffTurnovers,
-						ts.points,
-						ts.fgm,
-						ts.fga,
-						+ts.fgp,
-						ts.ftm,
-						ts.fta,
-						+ts.ftp,
-						ts.tpm,
-						ts.tpa,
-						+ts.tpp,
-						ts.offReb,
-						ts.defReb,
-						ts.defReb + ts.offReb,
-						ts.assists,
-						ts.pFouls,
-						ts.steals,
-						ts.turnovers,
-						ts.blocks,
-						ts.plusMinus,
-						team.id,
-					]
-				);
-				console.log(`Updated stats for ${team.name}`);
-			}
-		}
-		return true;
+	/** Roll up season stats for teams from their team_game_stats, for every
+	 * 	team in DB or only those in teamIds. Wins and losses count finished
+	 * 	games by their winner.
+	 *
+	 * 	Season defaults to the current season, a row is added for any team
+	 * 	without stats for that season yet. Runs whenever box scores are saved
+	 * 	(see saveGameStats) and nightly as a full rebuild.
+	 *
+	 * 	Returns the number of teams updated
+	 **/
+
+	static async updateSeasonStats(season, teamIds = null) {
+		const year = await Season.resolve(season);
+		const statsRes = await db.query(
+			`INSERT INTO team_stats (team_id, season, games, wins, losses, fast_break_points, points_in_paint, second_chance_points, points_off_turnovers, points, fgm, fga, fgp, ftm, fta, ftp, tpm, tpa, tpp, off_reb, def_reb, total_reb, assists, fouls, steals, turnovers, blocks, plus_minus)
+			SELECT t.id, $1, COUNT(tgs.id),
+				COUNT(tgs.id) FILTER (WHERE tgs.status = 'finished' AND tgs.winner = t.id),
+				COUNT(tgs.id) FILTER (WHERE tgs.status = 'finished' AND tgs.winner <> t.id),
+				COALESCE(SUM(tgs.fast_break_points), 0), COALESCE(SUM(tgs.points_in_paint), 0),
+				COALESCE(SUM(tgs.second_chance_points), 0), COALESCE(SUM(tgs.points_off_turnovers), 0), COALESCE(SUM(tgs.points), 0),
+				COALESCE(SUM(tgs.fgm), 0), COALESCE(SUM(tgs.fga), 0), COALESCE(SUM(tgs.fgm)::REAL / NULLIF(SUM(tgs.fga), 0) * 100, 0),
+				COALESCE(SUM(tgs.ftm), 0), COALESCE(SUM(tgs.fta), 0), COALESCE(SUM(tgs.ftm)::REAL / NULLIF(SUM(tgs.fta), 0) * 100, 0),
+				COALESCE(SUM(tgs.tpm), 0), COALESCE(SUM(tgs.tpa), 0), COALESCE(SUM(tgs.tpm)::REAL / NULLIF(SUM(tgs.tpa), 0) * 100, 0),
+				COALESCE(SUM(tgs.off_reb), 0), COALESCE(SUM(tgs.def_reb), 0), COALESCE(SUM(tgs.total_reb), 0),
+				COALESCE(SUM(tgs.assists), 0), COALESCE(SUM(tgs.fouls), 0), COALESCE(SUM(tgs.steals), 0),
+				COALESCE(SUM(tgs.turnovers), 0), COALESCE(SUM(tgs.blocks), 0), COALESCE(SUM(tgs.plus_minus), 0)
+			FROM teams t
+			LEFT JOIN (
+				SELECT team_game_stats.*, g.status, g.winner
+				FROM team_game_stats JOIN games g ON team_game_stats.game_id = g.id
+				WHERE g.season = $1
+			) tgs ON tgs.team_id = t.id
+			WHERE $2::INTEGER[] IS NULL OR t.id = ANY($2)
+			GROUP BY t.id
+			ON CONFLICT (team_id, season) DO UPDATE
+			SET games = EXCLUDED.games, wins = EXCLUDED.wins, losses = EXCLUDED.losses, fast_break_points = EXCLUDED.fast_break_points, points_in_paint = EXCLUDED.points_in_paint, second_chance_points = EXCLUDED.second_chance_points, points_off_turnovers = EXCLUDED.points_off_turnovers, points = EXCLUDED.points, fgm = EXCLUDED.fgm, fga = EXCLUDED.fga, fgp = EXCLUDED.fgp, ftm = EXCLUDED.ftm, fta = EXCLUDED.fta, ftp = EXCLUDED.ftp, tpm = EXCLUDED.tpm, tpa = EXCLUDED.tpa, tpp = EXCLUDED.tpp, off_reb = EXCLUDED.off_reb, def_reb = EXCLUDED.def_reb, total_reb = EXCLUDED.total_reb, assists = EXCLUDED.assists, fouls = EXCLUDED.fouls, steals = EXCLUDED.steals, turnovers = EXCLUDED.turnovers, blocks = EXCLUDED.blocks, plus_minus = EXCLUDED.plus_minus`,
+			[year, teamIds]
+		);
+
+		console.log(`Updated ${year} season stats for ${statsRes.rowCount} teams!`);
+		return statsRes.rowCount;
 	}
 
 	/** Retrieve team game stats from external API and update DB
 	 *
 	 * Method can be left blank to update recent games or "all" to update all
-	 * team game stats
+	 * team game stats for the current season
+	 *
+	 * Default will attempt to update yesterday and todays games. Changed stats
+	 * go out on the live feed, a game whose stats fail to load is recorded and
+	 * skipped
 	 *
-	 * Default will attempt to update yesterday and todays games
+	 * Returns { inserted, updated, unchanged } team_game_stats rows
 	 *
 	 * Throws BadRequestError if bad method passed
 	 **/
@@ -485,10 +572,13 @@ class Team {
 		let response;
 		let lowMethod = method.toLowerCase();
 		if (lowMethod === 'all') {
+			const year = await Season.resolve();
 			response = await db.query(
 				`SELECT id 
 				FROM games g 
-				ORDER BY date ASC`
+				WHERE season = $1
+				ORDER BY date ASC`,
+				[year]
 			);
 		} else if (lowMethod === 'default') {
 			const lowDate = moment().subtract(1, 'days').format('LL');
@@ -506,98 +596,56 @@ class Team {
 		}
 
 		let games = response.rows;
+		let counts = { inserted: 0, updated: 0, unchanged: 0 };
 		for (let game of games) {
-			let URL = BASE_URL + `games/statistics?id=${game.id}`;
-			const response = await axios.get(URL, { headers });
-			if (response.data.results !== 0) {
-				const teamStats = response.data.response;
-				const statsExist = await db.query('SELECT id FROM team_game_stats WHERE game_id = $1', [game.id]);
-				if (statsExist.rows.length) {
-					for (let ts of teamStats) {
-						const stats = ts.statistics;
-
-						db.query(
-							`UPDATE team_game_stats 
-							SET team_id=$1, game_id=$2, fast_break_points=$3, points_in_paint=$4, second_chance_points=$5, points_off_turnovers=$6, points=$7, fgm=$8, fga=$9, fgp=$10, ftm=$11, fta=$12, ftp=$13, tpm=$14, tpa=$15, tpp=$16, off_reb=$17, def_reb=$18, total_reb=$19, assists=$20, fouls=$21, steals=$22, turnovers=$23, blocks=$24, plus_minus=$25
-							WHERE team_id=$1
-							AND game_id=$2`,
-							[
-								ts.team.id,
-								game.id,
-								stats[0].fastBreakPoints || 0,
-								stats[0].pointsInPaint || 0,
-								stats[0].secondChancePoints || 0,
-								stats[0].pointsOffTurnovers || 0,
-								stats[0].points || 0,
-								stats[0].fgm || 0,
-								stats[0].fga || 0,
-								+stats[0].fgp || 0,
-								stats[0].ftm || 0,
-								stats[0].fta || 0,
-								+stats[0].ftp || 0,
-								stats[0].tpm || 0,
-								stats[0].tpa || 0,
-								+stats[0].tpp || 0,
-								stats[0].offReb || 0,
-								stats[0].defReb || 0,
-								stats[0].offReb + stats[0].defReb || 0,
-								stats[0].assists || 0,
-								stats[0].pFouls || 0,
-								stats[0].steals || 0,
-								stats[0].turnovers || 0,
-								stats[0].blocks || 0,
-								stats[0].plusMinus || 0,
-							]
-						);
-					}
-					console.log(`Updated stats for game: ${game.id}`);
-				} else {
-					for (let ts of teamStats) {
-						const stats = ts.statistics;
-
-						db.query(
-							'INSERT INTO team_game_stats (team_id, game_id, fast_break_points, points_in_paint, second_chance_points, points_off_turnovers, points, fgm, fga, fgp, ftm, fta, ftp, tpm, tpa, tpp, off_reb, def_reb, total_reb, assists, fouls, steals, turnovers, blocks, plus_minus) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25)',
-							[
-								ts.team.id,
-								game.id,
-								stats[0].fastBreakPoints || 0,
-								stats[0].pointsInPaint || 0,
-								stats[0].secondChancePoints || 0,
-								stats[0].pointsOffTurnovers || 0,
-								stats[0].points || 0,
-								stats[0].fgm || 0,
-								stats[0].fga || 0,
-								+stats[0].fgp || 0,
-								stats[0].ftm || 0,
-								stats[0].fta || 0,
-								+stats[0].ftp || 0,
-								stats[0].tpm || 0,
-								stats[0].tpa || 0,
-								+stats[0].tpp || 0,
-								stats[0].offReb || 0,
-								stats[0].defReb || 0,
-								stats[0].offReb + stats[0].defReb || 0,
-								stats[0].assists || 0,
-								stats[0].pFouls || 0,
-								stats[0].steals || 0,
-								stats[0].turnovers || 0,
-								stats[0].blocks || 0,
-								stats[0].plusMinus || 0,
-							]
-						);
-					}
-					console.log(`Added stats for game: ${game.id}`);
-				}
-			} else console.log(`Game ${game.id} has not started yet`);
+			const teamStats = await IngestFailure.isolate('teamGameStats', game.id, () =>
+				getProvider().getGameTeamStats(game.id)
+			);
+			if (!teamStats) continue;
+
+			if (teamStats.length) counts = addCounts(counts, await this.saveGameStats(teamStats));
+			else console.log(`Game ${game.id} has not started yet`);
 		}
 		console.log('Finished updating team game stats!');
-		return;
+		return counts;
+	}
+
+	/** Given a game's team box scores from the stats provider, insert new
+	 * 	team_game_stats rows and update the ones that changed in one write
+	 *
+	 * 	Changed stats go out on the live feed and the teams' season stats are
+	 * 	rolled up again
+	 *
+	 * 	Returns { inserted, updated, unchanged }
+	 **/
+
+	static async saveGameStats(teamStats) {
+		const rows = teamStats.map(teamGameStatsRow);
+		const { written, ...counts } = await upsert('team_game_stats', ['team_id', 'game_id'], rows);
+
+		for (let { prev, next } of written) {
+			const stats = changes(prev || {}, next, ['id', 'team_id', 'game_id']);
+			if (stats) publish('teamBoxScore', { gameId: next.game_id, teamId: next.team_id, stats });
+		}
+
+		// Keep season totals in step with the box scores
+		if (written.length) {
+			const teamIds = [...new Set(written.map(({ next }) => next.team_id))];
+			const seasonsRes = await db.query(`SELECT DISTINCT season FROM games WHERE id = ANY($1)`, [
+				written.map(({ next }) => next.game_id),
+			]);
+			for (let { season } of seasonsRes.rows) await this.updateSeasonStats(season, teamIds);
+		}
+
+		console.log(`Team game stats: ${counts.inserted} added, ${counts.updated} updated, ${counts.unchanged} unchanged`);
+		return counts;
 	}
 
 	/** Return potential team picks given an array of games happening today
 	 *
 	 * 	Returns [ { team }, ... ]
-	 * 		Where team is { id, name, gameId, date, wins, losses }
+	 * 		Where team is { id, name, gameId, date, wins, losses, spread, total, pointValues }
+	 * 		Where pointValues is { win, spread, total }, what each pick type pays
 	 *
 	 * 	Throws BadRequestError if games array not included
 	 **/
@@ -611,28 +659,117 @@ class Team {
 				`
 		SELECT t.id, t.name, g.id AS "gameId", g.date, ts.wins, ts.losses 
 		FROM teams t
-		JOIN team_stats ts ON t.id = ts.team_id
 		JOIN games g ON t.id = g.home_team OR t.id = g.away_team 
+		JOIN team_stats ts ON t.id = ts.team_id AND ts.season = g.season
 		WHERE g.id = $1
 		AND g.status = 'scheduled'`,
 				[game.id]
 			);
+			// Lines need season stats for both teams
+			const lines = teamsRes.rows.length === 2 ? await this.gameLines(game.id) : null;
 			for (let t of teamsRes.rows) {
+				if (lines) {
+					t.spread = lines.spreads[t.id];
+					t.total = lines.total;
+					t.pointValues = lines.pointValues[t.id];
+				}
 				teams[t.id] = t;
 			}
 		}
 		return teams;
 	}
 
-	/** Grabs all open player picks and updates them if game stats exist and
-	 * 	the game is finished
+	/** Given a game_id, generate the spread and total lines for the game
+	 *
+	 * 	Each team's expected score is the average of its points per game and
+	 * 	the points per game its opponent allows, this season's head to head
+	 * 	games are then blended in. Lines always land on a half point.
+	 *
+	 * 	Win picks are priced from each team's chance to win: their records
+	 * 	matched up (log5), blended with this season's head to head wins.
+	 * 	Spreads and totals are set to be a coin flip so they pay BASE_POINTS.
+	 *
+	 * 	Returns { gameId, homeId, awayId, spreads: { homeId: line, awayId: line }, total,
+	 * 			  pointValues: { homeId: { win, spread, total }, awayId: { win, spread, total } } }
+	 *
+	 * 	Throws NotFoundError if game or either team's season stats not found
+	 **/
+
+	static async gameLines(gameId) {
+		const gameRes = await db.query(`SELECT id, home_team AS "homeId", away_team AS "awayId", season FROM games WHERE id = $1`, [
+			gameId,
+		]);
+		const game = gameRes.rows[0];
+
+		if (!game) throw new NotFoundError(`No game: ${gameId}`);
+
+		const statsRes = await db.query(
+			`SELECT team_id AS "teamId", points::REAL / NULLIF(games, 0) AS scored, (points - plus_minus)::REAL / NULLIF(games, 0) AS allowed, wins, losses
+			FROM team_stats
+			WHERE team_id = ANY($1)
+			AND season = $2`,
+			[[game.homeId, game.awayId], game.season]
+		);
+		const home = statsRes.rows.find((t) => t.teamId === game.homeId);
+		const away = statsRes.rows.find((t) => t.teamId === game.awayId);
+
+		if (!home || !home.scored || !away || !away.scored)
+			throw new NotFoundError(`No season stats to make lines for game: ${gameId}`);
+
+		const homeScore = (home.scored + away.allowed) / 2;
+		const awayScore = (away.scored + home.allowed) / 2;
+		let margin = homeScore - awayScore;
+		let total = homeScore + awayScore;
+		let homeWin = log5(winPct(home), winPct(away));
+
+		const h2hRes = await db.query(
+			`SELECT home_team AS "homeId", score
+			FROM games
+			WHERE status = 'finished'
+			AND season = $3
+			AND ((home_team = $1 AND away_team = $2) OR (home_team = $2 AND away_team = $1))`,
+			[game.homeId, game.awayId, game.season]
+		);
+		const h2h = h2hRes.rows.map(parseScore).filter((s) => s);
+
+		if (h2h.length) {
+			// Margins are from this game's home team's point of view
+			const h2hMargin = h2h.reduce((sum, s) => sum + (s.homeId === game.homeId ? s.margin : -s.margin), 0) / h2h.length;
+			const h2hTotal = h2h.reduce((sum, s) => sum + s.home + s.away, 0) / h2h.length;
+			const h2hWins = h2h.filter((s) => (s.homeId === game.homeId ? s.margin : -s.margin) > 0).length / h2h.length;
+			margin = margin * (1 - H2H_WEIGHT) + h2hMargin * H2H_WEIGHT;
+			total = total * (1 - H2H_WEIGHT) + h2hTotal * H2H_WEIGHT;
+			homeWin = homeWin * (1 - H2H_WEIGHT) + h2hWins * H2H_WEIGHT;
+		}
+
+		const homeSpread = halfPoint(-margin);
+
+		return {
+			gameId: game.id,
+			homeId: game.homeId,
+			awayId: game.awayId,
+			spreads: { [game.homeId]: homeSpread, [game.awayId]: -homeSpread },
+			total: halfPoint(total),
+			pointValues: {
+				[game.homeId]: { win: pointValue(homeWin), spread: BASE_POINTS, total: BASE_POINTS },
+				[game.awayId]: { win: pointValue(1 - homeWin), spread: BASE_POINTS, total: BASE_POINTS },
+			},
+		};
+	}
+
+	/** Grabs all open team picks and settles them through the point ledger
+	 * 	once the game is finished, using the final score for spread and total
+	 * 	picks (landing exactly on the line is a push)
 	 */
 
 	static async updatePicks() {
 		const picksRes =
-			await db.query(`SELECT tp.id, tp.username, tp.team_id AS "teamId",  tp.game_id AS "gameId", tp.point_value AS "pointValue", g.winner 
+			await db.query(`SELECT tp.id, tp.username, tp.team_id AS "teamId",  tp.game_id AS "gameId", tp.pick_type AS type, tp.line, tp.over_under AS "overUnder", tp.point_value AS "pointValue", g.home_team AS "homeId", g.score, g.winner, t.code AS "teamCode", t1.code || ' vs ' || t2.code AS game
 		FROM team_picks tp 
 		JOIN games g ON tp.game_id = g.id
+		LEFT JOIN teams t ON tp.team_id = t.id
+		JOIN teams t1 ON g.home_team = t1.id
+		JOIN teams t2 ON g.away_team = t2.id
 		WHERE tp.result IS NULL
 		AND g.status = 'finished'`);
 		const picks = picksRes.rows;
@@ -640,47 +777,240 @@ class Team {
 		if (!picks.length) return { updateTeamPicks: 'No eligible team picks to update yet' };
 
 		for (let pick of picks) {
-			if (pick.winner === pick.teamId) {
-				await db.query(`UPDATE team_picks SET result=true WHERE id = $1`, [pick.id]);
-				await db.query(`UPDATE users SET wins = wins + 1, points = points + $1 WHERE username = $2`, [
-					pick.pointValue,
-					pick.username,
-				]);
-			} else if (pick.winner !== pick.teamId) {
-				await db.query(`UPDATE team_picks SET result=false WHERE id = $1`, [pick.id]);
-				await db.query(`UPDATE users SET losses = losses + 1 WHERE username = $1`, [pick.username]);
+			const outcome = teamPickOutcome(pick);
+			if (!outcome) {
+				console.log(`No final score for gameId: ${pick.gameId}, skipping team pick ${pick.id}`);
+				continue;
 			}
-
-			console.log(`Team pick ${pick.id} and User ${pick.username} updated!`);
+			const entry = await Ledger.settle({ ...pick, pickType: 'team', pickId: pick.id }, outcome);
+			if (entry) {
+				await Notification.pickSettled(entry, `Your ${describePick(pick)} pick`);
+				await Webhook.pickSettled(entry);
+			}
+			console.log(`Team pick ${pick.id} and User ${pick.username} settled as a ${outcome}!`);
 		}
 		console.log(`All eligible team picks update finished @ ${moment().subtract(5, 'hours').format('LLL')}`);
 		return { updateTeamPicks: 'success' };
 	}
 
-	/** Update team standings for conferences and divisions  */
+	/** Given a team pick { teamId, type, line, overUnder } with its game's
+	 * 	{ homeId, score }, return its outcome: "win", "loss" or "push"
+	 *
+	 * 	Returns null if the score isn't final
+	 **/
+
+	static gradePick(pick) {
+		return teamPickOutcome(pick);
+	}
 
-	static async updateStandings() {
-		let URL = BASE_URL + `standings?league=standard&season=2023`;
-		const response = await axios.get(URL, { headers });
-		const teams = response.data.response;
+	/** Recalculate the projected playoff picture from the standings and the
+	 * 	games left on the schedule, see projectPlayoffs in helpers/standings
+	 *
+	 * 	Season defaults to the current season
+	 *
+	 * 	Returns { updatePlayoffs: 'success', teams }
+	 **/
 
-		for (let team of teams) {
-			db.query(
-				`
-			UPDATE conference_standings SET rank=$3 WHERE team_id=$1 AND conference=$2`,
-				[team.team.id, team.conference.name, team.conference.rank]
-			);
+	static async updatePlayoffs(season) {
+		const year = await Season.resolve(season);
+		const { conferences } = await this.computeStandings(year);
+
+		// Regular season games still to be played: in play games have no result
+		// yet, postponed and cancelled games don't count until they're
+		// rescheduled, play-in and playoff games come after the season's end_date
+		const gamesLeftRes = await db.query(
+			`SELECT t.team_id, COUNT(*)::INTEGER AS games
+			FROM games g
+			JOIN seasons s ON g.season = s.year
+			CROSS JOIN LATERAL (VALUES (g.home_team), (g.away_team)) AS t(team_id)
+			WHERE g.season = $1
+			AND g.status IN ('scheduled', 'in play')
+			AND (s.start_date IS NULL OR DATE((g.date AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York') >= s.start_date)
+			AND (s.end_date IS NULL OR DATE((g.date AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York') <= s.end_date)
+			GROUP BY t.team_id`,
+			[year]
+		);
+		const gamesLeft = new Map(gamesLeftRes.rows.map((r) => [r.team_id, r.games]));
+
+		const rows = Object.entries(conferences).flatMap(([conference, standings]) =>
+			projectPlayoffs(standings, gamesLeft).map((team) => ({
+				team_id: team.id,
+				season: year,
+				conference,
+				seed: team.seed,
+				wins: team.wins,
+				losses: team.losses,
+				games_behind: team.gamesBehind,
+				games_left: team.gamesLeft,
+				playoffs_magic: team.magicNumbers.playoffs,
+				play_in_magic: team.magicNumbers.playIn,
+				playoffs_elimination: team.eliminationNumbers.playoffs,
+				play_in_elimination: team.eliminationNumbers.playIn,
+			}))
+		);
+		await upsert('playoff_standings', ['team_id', 'season'], rows);
 
-			db.query(
-				`
-			UPDATE division_standings SET rank=$3, games_behind=$4 WHERE team_id=$1 AND division=$2`,
-				[team.team.id, team.division.name, team.division.rank, team.division.gamesBehind || 0]
-			);
+		console.log(`Playoff picture update finished @ ${moment().subtract(5, 'hours').format('LLL')}`);
+		return { updatePlayoffs: 'success', teams: rows.length };
+	}
 
-			console.log(`Updated rankings for ${team.team.name}!`);
-		}
+	/** Update stored conference and division ranks (and games behind) from
+	 * 	the standings computed from finished games
+	 *
+	 * 	Season defaults to the current season
+	 **/
+
+	static async updateStandings(season) {
+		const year = await Season.resolve(season);
+		const { conferences, divisions } = await this.computeStandings(year);
+
+		const conferenceRows = Object.values(conferences)
+			.flat()
+			.map((team) => ({ team_id: team.id, season: year, conference: team.conference, rank: team.rank }));
+		await upsert('conference_standings', ['team_id', 'season'], conferenceRows);
+
+		const divisionRows = Object.values(divisions)
+			.flat()
+			.map((team) => ({
+				team_id: team.id,
+				season: year,
+				division: team.division,
+				rank: team.rank,
+				games_behind: team.gamesBehind,
+			}));
+		await upsert('division_standings', ['team_id', 'season'], divisionRows);
+
+		await Webhook.emit('standings.updated', { season: year });
 		console.log(`Standings update finished @ ${moment().subtract(5, 'hours').format('LLL')}`);
-		return { updateStandings: 'success' };
+		return { updateStandings: 'success', teams: conferenceRows.length };
 	}
 }
+
+/** Returns empty { playoffs, playIn, out } lists for a conference */
+
+function playoffGroups() {
+	return { playoffs: [], playIn: [], out: [] };
+}
+
+/** Given a playoff_standings row, return the team with its magic and
+ * 	elimination numbers and whether it has clinched or been eliminated
+ **/
+
+function playoffTeam(row) {
+	const magicNumbers = { playoffs: row.playoffsMagic, playIn: row.playInMagic };
+	const eliminationNumbers = { playoffs: row.playoffsElimination, playIn: row.playInElimination };
+	return {
+		id: row.id,
+		name: row.name,
+		code: row.code,
+		seed: row.seed,
+		record: row.record,
+		gamesBehind: row.gamesBehind,
+		gamesLeft: row.gamesLeft,
+		magicNumbers,
+		eliminationNumbers,
+		clinched: { playoffs: magicNumbers.playoffs === 0, playIn: magicNumbers.playIn === 0 },
+		eliminated: { playoffs: eliminationNumbers.playoffs === 0, playIn: eliminationNumbers.playIn === 0 },
+	};
+}
+
+/** Given { homeId, score } for a game, return { homeId, home, away, margin }
+ * 	or null if the score isn't final (ex: "TBD")
+ **/
+
+function parseScore({ homeId, score }) {
+	const [home, away] = (score || '').split('-').map((s) => Number(s.trim()));
+	if (!Number.isInteger(home) || !Number.isInteger(away)) return null;
+
+	return { homeId, home, away, margin: home - away };
+}
+
+/** Given a team pick with its game's final score, return its outcome:
+ * 	"win", "loss" or "push" (null if the score can't be read)
+ **/
+
+function teamPickOutcome(pick) {
+	const score = parseScore(pick);
+	if (!score) return null;
+
+	let diff;
+	if (pick.type === 'total') {
+		diff = score.home + score.away - pick.line;
+		if (pick.overUnder === 'UNDER') diff = -diff;
+	} else {
+		const margin = pick.teamId === score.homeId ? score.margin : -score.margin;
+		diff = pick.type === 'spread' ? margin + pick.line : margin;
+	}
+
+	if (diff > 0) return 'win';
+	if (diff < 0) return 'loss';
+	return 'push';
+}
+
+/** Given a team pick with { teamCode, game }, return how it reads (ex:
+ * 	"BOS win", "BOS -4.5 spread", "NYK vs BOS OVER 210.5 total")
+ **/
+
+function describePick({ type, teamCode, game, line, overUnder }) {
+	if (type === 'total') return `${game} ${overUnder} ${line} total`;
+	if (type === 'spread') return `${teamCode} ${line > 0 ? '+' : ''}${line} spread`;
+	return `${teamCode} win`;
+}
+
+/** Given { wins, losses }, return a win percentage pulled toward .500 so
+ * 	teams early in the season aren't sure things
+ **/
+
+function winPct({ wins, losses }) {
+	return (wins + 1) / (wins + losses + 2);
+}
+
+/** Given two teams' win percentages, return the chance the first beats the
+ * 	second (Bill James' log5)
+ **/
+
+function log5(a, b) {
+	return (a - a * b) / (a + b - 2 * a * b);
+}
+
+/** Round a line to the nearest half point so spreads and totals can't push */
+
+function halfPoint(line) {
+	return Math.floor(line) + 0.5;
+}
+
+/** Given normalized team game stats from the stats provider, return a
+ * 	team_game_stats row
+ **/
+
+function teamGameStatsRow(ts) {
+	return {
+		team_id: ts.teamId,
+		game_id: ts.gameId,
+		fast_break_points: ts.fastBreakPoints,
+		points_in_paint: ts.pointsInPaint,
+		second_chance_points: ts.secondChancePoints,
+		points_off_turnovers: ts.pointsOffTurnovers,
+		points: ts.points,
+		fgm: ts.fgm,
+		fga: ts.fga,
+		fgp: ts.fgp,
+		ftm: ts.ftm,
+		fta: ts.fta,
+		ftp: ts.ftp,
+		tpm: ts.tpm,
+		tpa: ts.tpa,
+		tpp: ts.tpp,
+		off_reb: ts.offReb,
+		def_reb: ts.defReb,
+		total_reb: ts.totalReb,
+		assists: ts.assists,
+		fouls: ts.fouls,
+		steals: ts.steals,
+		turnovers: ts.turnovers,
+		blocks: ts.blocks,
+		plus_minus: ts.plusMinus,
+	};
+}
+
 module.exports = Team;
@@ -43,6 +43,55 @@ describe('get standings', function () {
 		const standings = await Team.getStandings();
 		expect(standings.east.length).toEqual(3);
 		expect(standings.west.length).toEqual(0);
+		expect(standings.east[0]).toEqual({
+			id: 1,
+			name: 'Boston Celtics',
+			code: 'BOS',
+			conference: 'east',
+			division: 'atlantic',
+			rank: 1,
+			wins: 1,
+			losses: 0,
+			record: '1 - 0',
+			pct: 1,
+			gamesBehind: 0,
+			home: '1 - 0',
+			away: '0 - 0',
+			conferenceRecord: '1 - 0',
+			divisionRecord: '1 - 0',
+			lastTen: '1 - 0',
+			streak: 'W1',
+			pointDiff: 10,
+			tiebreaks: [],
+		});
+	});
+
+	test('explains tiebreaks', async function () {
+		const { east } = await Team.getStandings();
+		expect(east.map((t) => t.code)).toEqual(['BOS', 'ATL', 'NYK']);
+		expect(east[1].tiebreaks).toEqual([
+			{
+				rule: 'point differential',
+				tiedWith: ['NYK'],
+				value: '0',
+				aheadOf: ['NYK'],
+				behind: [],
+				explanation: 'Ahead of NYK on point differential (0)',
+			},
+		]);
+		expect(east[2].tiebreaks[0].explanation).toEqual('Behind ATL on point differential (-10)');
+	});
+
+	test('works by division and league', async function () {
+		const divisions = await Team.getStandings(2023, 'division');
+		expect(Object.keys(divisions)).toEqual(['season', 'atlantic']);
+		expect(divisions.atlantic.map((t) => t.gamesBehind)).toEqual([0, 0.5, 1]);
+		const { league } = await Team.getStandings(2023, 'league');
+		expect(league.map((t) => t.code)).toEqual(['BOS', 'ATL', 'NYK']);
+	});
+
+	test('bad request if view is invalid', async function () {
+		await expect(Team.getStandings(2023, 'nope')).rejects.toThrow(BadRequestError);
 	});
 });
 
@@ -141,3 +190,244 @@ describe('sort teams by stats', function () {
 		}
 	});
 });
+
+/** Update standings from finished games */
+
+describe('update standings', function () {
+	test('works', async function () {
+		expect(await Team.updateStandings()).toEqual({ updateStandings: 'success', teams: 3 });
+		expect(await Team.get(1)).toEqual(expect.objectContaining({ conferenceRank: 1, divisionRank: 1 }));
+		expect(await Team.get(2)).toEqual(expect.objectContaining({ conferenceRank: 3, divisionRank: 3 }));
+		expect(await Team.get(3)).toEqual(expect.objectContaining({ conferenceRank: 2, divisionRank: 2 }));
+		const gbRes = await db.query(`SELECT team_id, games_behind FROM division_standings WHERE season = 2023 ORDER BY team_id`);
+		expect(gbRes.rows.map((r) => r.games_behind)).toEqual([0, 1, 0.5]);
+	});
+});
+
+/** Playoff picture */
+
+describe('playoffs', function () {
+	test('works', async function () {
+		expect(await Team.updatePlayoffs()).toEqual({ updatePlayoffs: 'success', teams: 3 });
+		const playoffs = await Team.getPlayoffs();
+		expect(playoffs.season).toEqual(2023);
+		expect(playoffs.west).toEqual({ playoffs: [], playIn: [], out: [] });
+		expect(playoffs.east.playoffs.map((t) => t.code)).toEqual(['BOS', 'ATL', 'NYK']);
+		expect(playoffs.east.playoffs[0]).toEqual({
+			id: 1,
+			name: 'Boston Celtics',
+			code: 'BOS',
+			seed: 1,
+			record: '1 - 0',
+			gamesBehind: 0,
+			gamesLeft: 1,
+			magicNumbers: { playoffs: 0, playIn: 0 },
+			eliminationNumbers: { playoffs: null, playIn: null },
+			clinched: { playoffs: true, playIn: true },
+			eliminated: { playoffs: false, playIn: false },
+		});
+	});
+
+	test('recalculates', async function () {
+		await Team.updatePlayoffs();
+		await db.query(`UPDATE games SET status = 'finished', score = '80 - 100', winner = 1 WHERE id = 2`);
+		await Team.updatePlayoffs();
+		const { east } = await Team.getPlayoffs();
+		expect(east.playoffs.map((t) => [t.code, t.record, t.gamesLeft])).toEqual([
+			['BOS', '2 - 0', 0],
+			['ATL', '0 - 0', 0],
+			['NYK', '0 - 2', 0],
+		]);
+	});
+
+	test('only counts regular season games still to be played', async function () {
+		await db.query(`UPDATE seasons SET end_date = LOCALTIMESTAMP + INTERVAL '30 days' WHERE year = 2023`);
+		await db.query(
+			`INSERT INTO games (id, season, date, location, home_team, away_team, status, clock, quarter, score)
+			VALUES (3, 2023, LOCALTIMESTAMP + INTERVAL '8 days', 'TD Garden (Boston)', 1, 3, 'postponed', '', 0, 'TBD'),
+				(4, 2023, LOCALTIMESTAMP + INTERVAL '9 days', 'TD Garden (Boston)', 1, 3, 'canceled', '', 0, 'TBD'),
+				(5, 2023, LOCALTIMESTAMP + INTERVAL '40 days', 'TD Garden (Boston)', 1, 3, 'scheduled', '', 0, 'TBD'),
+				(6, 2023, LOCALTIMESTAMP + INTERVAL '10 days', 'State Farm Arena (Atlanta)', 3, 1, 'scheduled', '', 0, 'TBD')`
+		);
+		await Team.updatePlayoffs();
+		const { east } = await Team.getPlayoffs();
+		expect(east.playoffs.map((t) => [t.code, t.gamesLeft])).toEqual([
+			['BOS', 2],
+			['ATL', 1],
+			['NYK', 1],
+		]);
+	});
+
+	test('empty before an update', async function () {
+		expect(await Team.getPlayoffs(2022)).toEqual({
+			season: 2022,
+			east: { playoffs: [], playIn: [], out: [] },
+			west: { playoffs: [], playIn: [], out: [] },
+		});
+	});
+});
+
+/** Update season stats */
+
+describe('update season stats', function () {
+	test('rolls up team game stats', async function () {
+		expect(await Team.updateSeasonStats()).toEqual(3);
+		const bos = await Team.stats(1);
+		expect(bos).toEqual(expect.objectContaining({ games: 1, wins: 1, losses: 0, points: 100, fgm: 41, fga: 90 }));
+		expect(bos.fgp).toBeCloseTo(45.56);
+		const nyk = await Team.stats(2);
+		expect(nyk).toEqual(expect.objectContaining({ games: 1, wins: 0, losses: 1, points: 90, plusMinus: -10 }));
+		const atl = await Team.stats(3);
+		expect(atl).toEqual(expect.objectContaining({ games: 0, wins: 0, losses: 0, points: 0, fgp: 0 }));
+	});
+
+	test('only updates the teams asked for', async function () {
+		expect(await Team.updateSeasonStats(2023, [2])).toEqual(1);
+		expect((await Team.stats(1)).points).toEqual(4338);
+		expect((await Team.stats(2)).points).toEqual(90);
+	});
+});
+
+/** Update game stats from stats provider */
+
+describe('update game stats', function () {
+	test('writes each game once and skips unchanged rows', async function () {
+		await db.query(`DELETE FROM team_game_stats`);
+		expect(await Team.updateGameStats('all')).toEqual({ inserted: 2, updated: 0, unchanged: 0 });
+		expect(await Team.updateGameStats('all')).toEqual({ inserted: 0, updated: 0, unchanged: 2 });
+
+		const rowsRes = await db.query(`SELECT team_id FROM team_game_stats WHERE game_id = 1 ORDER BY team_id`);
+		expect(rowsRes.rows).toEqual([{ team_id: 1 }, { team_id: 2 }]);
+	});
+
+	test('rolls the new box scores up into season stats', async function () {
+		await db.query(`DELETE FROM team_game_stats`);
+		await Team.updateGameStats('all');
+		const statsRes = await db.query(
+			`SELECT tgs.points, ts.points AS "seasonPoints", ts.games
+			FROM team_game_stats tgs JOIN team_stats ts ON ts.team_id = tgs.team_id AND ts.season = 2023
+			WHERE tgs.team_id = 1`
+		);
+		const { points, seasonPoints, games } = statsRes.rows[0];
+		expect(seasonPoints).toEqual(points);
+		expect(games).toEqual(1);
+	});
+
+	test('bad request with invalid method', async function () {
+		try {
+			await Team.updateGameStats('nope');
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
+
+/** Game lines */
+
+describe('game lines', function () {
+	test('works', async function () {
+		const lines = await Team.gameLines(2);
+		expect(lines).toEqual({
+			gameId: 2,
+			homeId: 2,
+			awayId: 1,
+			spreads: { 1: 4.5, 2: -4.5 },
+			total: 263.5,
+			// 8 - 25 home team that lost the head to head is capped as a long shot
+			pointValues: { 1: { win: 56, spread: 100, total: 100 }, 2: { win: 500, spread: 100, total: 100 } },
+		});
+	});
+
+	test('even records pay even money', async function () {
+		await db.query(`UPDATE team_stats SET wins = 15, losses = 15`);
+		await db.query(`DELETE FROM games WHERE id = 1`);
+		const lines = await Team.gameLines(2);
+		expect(lines.pointValues[1].win).toEqual(100);
+		expect(lines.pointValues[2].win).toEqual(100);
+	});
+
+	test('better record pays less', async function () {
+		await db.query(`UPDATE team_stats SET wins = 20, losses = 10 WHERE team_id = 1`);
+		await db.query(`UPDATE team_stats SET wins = 15, losses = 15 WHERE team_id = 2`);
+		await db.query(`DELETE FROM games WHERE id = 1`);
+		const lines = await Team.gameLines(2);
+		expect(lines.pointValues[1].win).toBeLessThan(100);
+		expect(lines.pointValues[2].win).toBeGreaterThan(100);
+	});
+
+	test('not found if bad game', async function () {
+		try {
+			await Team.gameLines(100);
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+
+	test('not found if no season stats', async function () {
+		await db.query('DELETE FROM team_stats WHERE team_id = 1');
+		try {
+			await Team.gameLines(2);
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
+/** Team pick data */
+
+describe('team pick data', function () {
+	test('includes lines', async function () {
+		const data = await Team.teamPickData([{ id: 2 }]);
+		expect(data[1].spread).toEqual(4.5);
+		expect(data[2].spread).toEqual(-4.5);
+		expect(data[2].total).toEqual(263.5);
+	});
+});
+
+/** Update picks */
+
+describe('update picks', function () {
+	test('settles picks for finished games', async function () {
+		await db.query(
+			`INSERT INTO team_picks (username, team_id, game_id, point_value) VALUES ('User', 1, 1, 100), ('Admin', 2, 1, 100)`
+		);
+		const result = await Team.updatePicks();
+		expect(result).toEqual({ updateTeamPicks: 'success' });
+
+		const usersRes = await db.query(`SELECT username, points, wins, losses FROM users ORDER BY username`);
+		expect(usersRes.rows).toEqual([
+			{ username: 'Admin', points: 0, wins: 0, losses: 1 },
+			{ username: 'User', points: 100, wins: 1, losses: 0 },
+		]);
+	});
+
+	test('settles spread and total picks from the final score', async function () {
+		// Game 1 finished BOS 100 - 90 NYK
+		await db.query(
+			`INSERT INTO team_picks (username, team_id, game_id, pick_type, line, over_under)
+			VALUES ('User', 1, 1, 'spread', -10, NULL), ('User', NULL, 1, 'total', 190, 'OVER'),
+			('Admin', 2, 1, 'spread', 10.5, NULL), ('Admin', NULL, 1, 'total', 189.5, 'UNDER')`
+		);
+		await Team.updatePicks();
+
+		const picksRes = await db.query(`SELECT username, pick_type, result FROM team_picks ORDER BY id`);
+		expect(picksRes.rows.map((p) => p.result)).toEqual(['push', 'push', 'win', 'loss']);
+	});
+
+	test('notifies users as their picks settle', async function () {
+		await db.query(
+			`INSERT INTO team_picks (username, team_id, game_id, pick_type, line, over_under)
+			VALUES ('User', 2, 1, 'spread', 10.5, NULL), ('Admin', NULL, 1, 'total', 189.5, 'UNDER')`
+		);
+		await Team.updatePicks();
+
+		const notificationsRes = await db.query(`SELECT username, message FROM notifications ORDER BY username`);
+		expect(notificationsRes.rows).toEqual([
+			{ username: 'Admin', message: 'Your BOS vs NYK UNDER 189.5 total pick lost' },
+			{ username: 'User', message: 'Your NYK +10.5 spread pick won (+100 points)' },
+		]);
+	});
+});
@@ -4,6 +4,13 @@ const { NotFoundError, BadRequestError, UnauthorizedError } = require('../expres
 const Team = require('./team');
 const Player = require('./player');
 const Game = require('./game');
+const Season = require('./season');
+const Ledger = require('./ledger');
+const Parlay = require('./parlay');
+const Challenge = require('./challenge');
+const Analytics = require('./analytics');
+const Achievement = require('./achievement');
+const PropLine = require('./propLine');
 
 const { BCRYPT_WORK_FACTOR } = require('../config.js');
 
@@ -94,28 +101,31 @@ class User {
 	/** Given a username, return data about user.
 	 *
 	 *  Returns { username, wins, losses, followedTeams, followedPlayers,
-	 * 		      picks }
+	 * 		      picks, challengeRecord, achievements }
 	 *   where followedTeams is [ { id, code, nickname, name, city, logo,
 	 *                              wins, losses, conference, division } ]
 	 *   where followedPlayers is [ { id, name, birthday, height,
 	 *                               weight, college, number, position, team } ]
 	 * 	 Where picks is { playerPicks, playerPickRecord, teamPicks, teamPickRecord }
+	 * 	 Where challengeRecord is { record, wins, losses, ties }
+	 * 	 Where achievements is [ { code, name, description, earnedAt }, ... ]
 	 *
 	 * Throws NotFoundError if user not found.
 	 **/
 
 	static async get(username) {
 		const user = await this.checkValid(username);
+		const year = await Season.resolve();
 
 		const userFavTeams = await db.query(
 			`SELECT t.id, t.code, t.nickname, t.name, t.city, t.logo, t.conference, t.division, ts.wins, ts.losses, cs.rank AS "conferenceRank", ds.rank AS "divisionRank"
             FROM followed_teams ft
 			JOIN teams t ON ft.team_id = t.id
-			JOIN team_stats ts ON ft.team_id = ts.id
-			JOIN conference_standings cs ON ft.team_id = cs.team_id
-			JOIN division_standings ds ON ft.team_id = ds.team_id
+			LEFT JOIN team_stats ts ON ft.team_id = ts.team_id AND ts.season = $2
+			LEFT JOIN conference_standings cs ON ft.team_id = cs.team_id AND cs.season = $2
+			LEFT JOIN division_standings ds ON ft.team_id = ds.team_id AND ds.season = $2
             WHERE username = $1`,
-			[username]
+			[username, year]
 		);
 
 		user.followedTeams = userFavTeams.rows;
@@ -124,10 +134,10 @@ class User {
 			`SELECT p.id, p.last_name || ', ' || p.first_name AS name, p.birthday, p.height, p.weight, p.college, p.number, p.position, t.name AS "teamName", t.code AS "teamCode", ss.points / ss.gp AS points, ss.tpm / ss.gp AS tpm, ss.assists / ss.gp AS assists, ss.total_reb / ss.gp AS rebounds, ss.steals / ss.gp AS steals, ss.blocks / ss.gp AS blocks 
             FROM followed_players fp
 			JOIN players p ON fp.player_id = p.id
-			JOIN season_stats ss ON fp.player_id = ss.player_id
+			LEFT JOIN season_stats ss ON fp.player_id = ss.player_id AND ss.season = $2
 			JOIN teams t ON p.team_id = t.id
             WHERE username = $1`,
-			[username]
+			[username, year]
 		);
 
 		user.followedPlayers = userFavPlayers.rows;
@@ -135,6 +145,9 @@ class User {
 		let picks = await this.picks(username);
 		user.picks = picks;
 
+		user.challengeRecord = await Challenge.record(username);
+		user.achievements = await Achievement.forUser(username);
+
 		return user;
 	}
 
@@ -263,23 +276,25 @@ class User {
 	/**	Given a username, player_id, stat, over_under and value
 	 * 	add pick to db
 	 *
+	 * 	The pick's point value is what the offered line pays for its side
+	 *
 	 * 	Returns { pick }
-	 * 		Where pick is { id, playerId, gameId, stat, overUnder, value }
+	 * 		Where pick is { id, playerId, gameId, stat, overUnder, value, pointValue }
 	 *
 	 * 	Throws NotFoundError if user, player or game not found
 	 * 	Throws BadRequestError if stat category invalid
-	 * 	Throws BadRequestError if game has already started
-	 * 	Throws BadRequestError if point_value not included
+	 * 	Throws BadRequestError if value is not the line offered (see PropLine)
+	 * 	Throws BadRequestError if picks on the game are locked
 	 * 	Throws BadRequestError if player has already made a pick for the same
 	 * 	player, game and stat
 	 **/
 
-	static async playerPick(username, playerId, gameId, stat, over_under, value, point_value) {
+	static async playerPick(username, playerId, gameId, stat, over_under, value) {
 		const validMethods = ['points', 'tpm', 'rebounds', 'assists', 'steals', 'blocks'];
 		const isValid = validMethods.indexOf(stat.toLowerCase());
 		await this.checkValid(username);
 		await Player.checkValid(playerId);
-		const game = await Game.checkValid(gameId);
+		await Game.checkUnlocked(gameId);
 
 		const checkDuplicate = await db.query(
 			`SELECT id FROM player_picks WHERE username = $1 AND player_id = $2 AND game_id = $3 AND stat = $4`,
@@ -288,20 +303,18 @@ class User {
 
 		if (checkDuplicate.rows.length) throw new BadRequestError('Only one pick may be placed per player/stat/game!');
 
-		if (!point_value) throw new BadRequestError('Must include point_value for a new pick!');
-
-		if (game.status !== 'scheduled')
-			throw new BadRequestError('Cannot place picks on games that have already started!');
-
 		if (isValid === -1) throw new BadRequestError(`Stat selection is limited to the following: ${validMethods}`);
 
 		if (over_under.toLowerCase() != 'under' && over_under.toLowerCase() != 'over')
 			throw new BadRequestError('Over_Under must be either "over" or "under"');
 
+		const offered = await PropLine.checkOffered({ playerId, gameId, stat, value });
+		const overUnder = over_under.toUpperCase();
+
 		const pickRes = await db.query(
 			`
 		INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, player_id AS "playerId", game_id AS "gameId", stat, over_under AS "overUnder", value, point_value AS "pointValue"`,
-			[username, playerId, gameId, stat, over_under.toUpperCase(), value, point_value]
+			[username, playerId, gameId, stat, overUnder, value, overUnder === 'OVER' ? offered.overPoints : offered.underPoints]
 		);
 
 		const pick = pickRes.rows[0];
@@ -309,56 +322,112 @@ class User {
 		return pick;
 	}
 
-	/**	Given a username and pickId remove pick from DB
+	/**	Given a username, pickId and { over_under, value } change the side or
+	 * 	line of a player pick, re-pricing it at what the offered line pays
 	 *
 	 * 	Returns { pick }
-	 * 		Where pick is { id, playerId, gameId, stat, overUnder, value }
+	 * 		Where pick is { id, playerId, gameId, stat, overUnder, value, pointValue }
 	 *
-	 * 	Throws NotFoundError if user or pick not found
+	 * 	Throws NotFoundError if user or pick not found, or pick belongs to
+	 * 	another user
+	 * 	Throws BadRequestError if over_under invalid, value is not the line
+	 * 	offered or picks on the game are locked
 	 **/
 
-	static async deletePlayerPick(username, pickId) {
-		await this.checkValid(username);
+	static async updatePlayerPick(username, pickId, { over_under, value }) {
+		const pick = await ownPick('player_picks', username, pickId);
+		await Game.checkUnlocked(pick.gameId);
+
+		let overUnder = pick.overUnder;
+		if (over_under !== undefined) {
+			overUnder = over_under.toUpperCase();
+			if (overUnder !== 'OVER' && overUnder !== 'UNDER')
+				throw new BadRequestError('Over_Under must be either "over" or "under"');
+		}
+
+		// Changing sides re-prices the pick, so the line must still be on offer
+		const offered = await PropLine.checkOffered({ ...pick, value: value === undefined ? pick.value : value });
+
 		const pickRes = await db.query(
-			`SELECT id, player_id AS "playerId", game_id AS "gameId", stat, over_under AS "overUnder", value from player_picks WHERE id = $1`,
-			[pickId]
+			`UPDATE player_picks SET over_under = $1, value = $2, point_value = $3
+			WHERE id = $4
+			RETURNING id, player_id AS "playerId", game_id AS "gameId", stat, over_under AS "overUnder", value, point_value AS "pointValue"`,
+			[overUnder, offered.line, overUnder === 'OVER' ? offered.overPoints : offered.underPoints, pickId]
 		);
 
-		const pick = pickRes.rows[0];
+		return pickRes.rows[0];
+	}
 
-		if (!pick) throw new NotFoundError(`Pick ${pickId} not found!`);
+	/**	Given a username and pickId remove pick from DB
+	 *
+	 * 	Returns { pick }
+	 * 		Where pick is { id, playerId, gameId, stat, overUnder, value }
+	 *
+	 * 	Throws NotFoundError if user or pick not found, or pick belongs to
+	 * 	another user
+	 * 	Throws BadRequestError if picks on the game are locked
+	 **/
+
+	static async deletePlayerPick(username, pickId) {
+		const pick = await ownPick('player_picks', username, pickId);
+		await Game.checkUnlocked(pick.gameId);
 
 		await db.query('DELETE FROM player_picks WHERE id = $1', [pickId]);
 
 		return pick;
 	}
 
-	/**	Given a username, team_id, game_id, win_spread and value
-	 * 	add pick to db
+	/**	Given a username, team_id, game_id, type and over_under add pick to db
+	 *
+	 * 	type is "win" (team to win, default), "spread" (team to cover the
+	 * 	spread) or "total" (combined score over_under the total, no team_id)
+	 * 	Spread and total lines and the pick's point value come from Team.gameLines
 	 *
 	 * 	Returns { pick }
-	 * 		Where pick is { id, team_id, game_id, win_spread, value }
+	 * 		Where pick is { id, team_id, game_id, pick_type, line, over_under, point_value }
 	 *
 	 * 	Throws NotFoundError if user, team or game not found
-	 * 	Throws BadRequest error if team pick already exists for given game
+	 * 	Throws BadRequestError if type or over_under invalid or team not in game
+	 * 	Throws BadRequestError if picks on the game are locked
+	 * 	Throws BadRequest error if same type of team pick already exists for given game
 	 **/
 
-	static async teamPick(username, teamId, gameId) {
+	static async teamPick(username, teamId, gameId, type = 'win', over_under) {
+		const validTypes = ['win', 'spread', 'total'];
+		if (!validTypes.includes(type)) throw new BadRequestError(`Team pick type must be one of: ${validTypes}`);
+
 		await this.checkValid(username);
-		await Team.checkValid(teamId);
-		await Game.checkValid(gameId);
+		const game = await Game.checkUnlocked(gameId);
+
+		let overUnder = null;
+		if (type === 'total') {
+			teamId = null;
+			overUnder = (over_under || '').toUpperCase();
+			if (overUnder !== 'OVER' && overUnder !== 'UNDER')
+				throw new BadRequestError('Total picks must include over_under of "over" or "under"');
+		} else {
+			const team = await Team.checkValid(teamId);
+			if (team.id !== game.home_team && team.id !== game.away_team)
+				throw new BadRequestError(`Team ${teamId} is not playing in game ${gameId}`);
+		}
 
-		const checkDuplicate = await db.query('SELECT id FROM team_picks WHERE username = $1 AND game_id = $2', [
-			username,
-			gameId,
-		]);
+		const checkDuplicate = await db.query(
+			'SELECT id FROM team_picks WHERE username = $1 AND game_id = $2 AND pick_type = $3',
+			[username, gameId, type]
+		);
+
+		if (checkDuplicate.rows.length) throw new BadRequestError(`Can only place one ${type} pick per game!`);
 
-		if (checkDuplicate.rows.length) throw new BadRequestError('Can only place one team pick per game!');
+		const lines = await Team.gameLines(gameId);
+		let line = null;
+		if (type !== 'win') line = type === 'spread' ? lines.spreads[teamId] : lines.total;
+		// Totals pay the same whichever team they're priced from
+		const pointValue = lines.pointValues[teamId || game.home_team][type];
 
 		const pickRes = await db.query(
 			`
-		INSERT INTO team_picks (username, team_id, game_id) VALUES ($1, $2, $3) RETURNING id, team_id, game_id`,
-			[username, teamId, gameId]
+		INSERT INTO team_picks (username, team_id, game_id, pick_type, line, over_under, point_value) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, team_id, game_id, pick_type, line, over_under, point_value`,
+			[username, teamId, gameId, type, line, overUnder, pointValue]
 		);
 
 		const pick = pickRes.rows[0];
@@ -369,38 +438,60 @@ class User {
 	/**	Given a username and pickId remove pick from DB
 	 *
 	 * 	Returns { pick }
-	 * 		Where pick is { id, teamId, gameId, winSpread, value }
+	 * 		Where pick is { id, teamId, gameId }
 	 *
-	 * 	Throws NotFoundError if user or pick not found
+	 * 	Throws NotFoundError if user or pick not found, or pick belongs to
+	 * 	another user
+	 * 	Throws BadRequestError if picks on the game are locked
 	 **/
 
 	static async deleteTeamPick(username, pickId) {
-		const user = await this.checkValid(username);
-		const pickRes = await db.query(
-			`SELECT id, team_id AS "teamId", game_id AS "gameId" from team_picks WHERE id = $1`,
-			[pickId]
-		);
-
-		const pick = pickRes.rows[0];
-
-		if (!pick) throw new NotFoundError(`Pick ${pickId} not found!`);
+		const pick = await ownPick('team_picks', username, pickId);
+		await Game.checkUnlocked(pick.gameId);
 
 		await db.query('DELETE FROM team_picks WHERE id = $1', [pickId]);
 
 		return pick;
 	}
 
+	/** Given a username, return the point ledger that their points, wins and
+	 * 	losses are derived from
+	 *
+	 * 	Returns { username, points, wins, losses, entries }
+	 * 		Where entries is [ { id, pickType, pickId, delta, reason, balance, createdAt }, ... ]
+	 *
+	 * 	Throws NotFoundError if user not found
+	 **/
+
+	static async ledger(username) {
+		await this.checkValid(username);
+		return await Ledger.get(username);
+	}
+
+	/** Given a username, return breakdowns of how their settled picks have
+	 * 	done, see Analytics.forUser
+	 *
+	 * 	Returns { overall, byStat, byOverUnder, byTeam, byLocation, byDayOfWeek, streaks, avgLineDistance, pointsOverTime }
+	 *
+	 * 	Throws NotFoundError if user not found
+	 **/
+
+	static async analytics(username) {
+		await this.checkValid(username);
+		return await Analytics.forUser(username);
+	}
+
 	/**	Given a username return all of that users picks
 	 *
 	 * 	Returns { picks }
-	 * 		Where picks is { playerPicks, teamPicks }
+	 * 		Where picks is { playerPicks, playerPickRecord, teamPicks, teamPickRecord, parlays, parlayRecord }
 	 *
 	 * 	Throws NotFoundError if user not found
 	 **/
 
 	static async picks(username) {
 		await this.checkValid(username);
-		let picks = { playerPicks: [], teamPicks: [] };
+		let picks = { playerPicks: [], teamPicks: [], parlays: [] };
 		const playerPicks = await db.query(
 			`SELECT pp.id AS "pickId", p.last_name || ', ' || p.first_name AS player, p.id AS "playerId", t1.code || ' vs ' || t2.code AS game, g.date, pp.stat, pp.over_under AS "overUnder", pp.value, pp.result, pp.point_value AS "pointValue", g.id AS "gameId", g.location, t1.code || ' ' || g.score || ' ' || t2.code AS score, g.clock, g.quarter, g.status
 		FROM player_picks pp
@@ -435,20 +526,21 @@ class User {
 
 		picks.playerPicks = playerPicks.rows;
 
-		const playerWins = await db.query(
-			`SELECT COUNT(*) AS wins FROM player_picks WHERE username = $1 AND result=true`,
-			[username]
-		);
-		const playerLosses = await db.query(
-			`SELECT COUNT(*) AS losses FROM player_picks WHERE username = $1 AND result=false`,
+		// Voided picks are left out of records
+		const playerRecord = await db.query(
+			`SELECT COUNT(*) FILTER (WHERE result = 'win') AS wins,
+				COUNT(*) FILTER (WHERE result = 'loss') AS losses,
+				COUNT(*) FILTER (WHERE result = 'push') AS pushes
+			FROM player_picks
+			WHERE username = $1`,
 			[username]
 		);
-		picks.playerPickRecord = `${playerWins.rows[0].wins} - ${playerLosses.rows[0].losses}`;
+		picks.playerPickRecord = formatRecord(playerRecord.rows[0]);
 
 		const teamPicks = await db.query(
-			`SELECT tp.id AS "pickId", t.name as selected, tp.point_value AS "pointValue", t.code AS "selectedCode", t.id AS "selectedId", t1.code || ' vs ' || t2.code AS game, g.id AS "gameId", g.location, g.date, tp.result, g.score, t1.code || ' ' || g.score || ' ' || t2.code AS "displayScore", g.clock, g.quarter, g.winner, g.status
+			`SELECT tp.id AS "pickId", tp.pick_type AS type, tp.line, tp.over_under AS "overUnder", t.name as selected, tp.point_value AS "pointValue", t.code AS "selectedCode", t.id AS "selectedId", t1.code || ' vs ' || t2.code AS game, g.id AS "gameId", g.location, g.date, tp.result, g.score, t1.code || ' ' || g.score || ' ' || t2.code AS "displayScore", g.clock, g.quarter, g.winner, g.status
 		FROM team_picks tp
-		JOIN teams t ON tp.team_id = t.id
+		LEFT JOIN teams t ON tp.team_id = t.id
 		JOIN games g ON tp.game_id = g.id
 		JOIN teams t1 ON g.home_team = t1.id
 		JOIN teams t2 ON g.away_team = t2.id
@@ -458,7 +550,9 @@ class User {
 		);
 
 		for (let pick of teamPicks.rows) {
-			if (pick.score !== 'TBD') {
+			if (pick.score !== 'TBD' && pick.type === 'total') {
+				pick.currentTotal = pick.score.split('-').reduce((sum, points) => sum + Number(points), 0);
+			} else if (pick.score !== 'TBD') {
 				let score = {};
 				let points = pick.score.split('-');
 				pick.game.split('vs').map((code, idx) => {
@@ -490,17 +584,126 @@ class User {
 
 		picks.teamPicks = teamPicks.rows;
 
-		const teamWins = await db.query(`SELECT COUNT(*) AS wins FROM team_picks WHERE username = $1 AND result=true`, [
-			username,
-		]);
-		const teamLosses = await db.query(
-			`SELECT COUNT(*) AS losses FROM team_picks WHERE username = $1 AND result=false`,
+		const teamRecord = await db.query(
+			`SELECT COUNT(*) FILTER (WHERE result = 'win') AS wins,
+				COUNT(*) FILTER (WHERE result = 'loss') AS losses,
+				COUNT(*) FILTER (WHERE result = 'push') AS pushes
+			FROM team_picks
+			WHERE username = $1`,
+			[username]
+		);
+		picks.teamPickRecord = formatRecord(teamRecord.rows[0]);
+
+		picks.parlays = await Parlay.forUser(username);
+
+		const parlayRecord = await db.query(
+			`SELECT COUNT(*) FILTER (WHERE result = 'win') AS wins,
+				COUNT(*) FILTER (WHERE result = 'loss') AS losses,
+				COUNT(*) FILTER (WHERE result = 'push') AS pushes
+			FROM parlays
+			WHERE username = $1`,
 			[username]
 		);
-		picks.teamPickRecord = `${teamWins.rows[0].wins} - ${teamLosses.rows[0].losses}`;
+		picks.parlayRecord = formatRecord(parlayRecord.rows[0]);
 
 		return picks;
 	}
+
+	/** Given a username and optionally a gameId, return how their open player
+	 * 	and team picks on games in play are doing right now
+	 *
+	 * 	Returns [ { pickType, pickId, gameId, ..., progress }, ... ]
+	 * 		Where player picks have { player, stat, overUnder, value, current }
+	 * 		Where team picks have { teamCode, type, line, overUnder, score }
+	 * 		Where progress is "winning", "losing" or "even" (null before the
+	 * 		game has a score)
+	 **/
+
+	static async livePicks(username, gameId = null) {
+		const playerPicksRes = await db.query(
+			`SELECT 'player' AS "pickType", pp.id AS "pickId", pp.game_id AS "gameId", p.first_name || ' ' || p.last_name AS player,
+				pp.stat, pp.over_under AS "overUnder", pp.value,
+				COALESCE(CASE pp.stat
+					WHEN 'rebounds' THEN gs.off_reb + gs.def_reb
+					WHEN 'points' THEN gs.points
+					WHEN 'assists' THEN gs.assists
+					WHEN 'tpm' THEN gs.tpm
+					WHEN 'steals' THEN gs.steals
+					WHEN 'blocks' THEN gs.blocks
+				END, 0) AS current
+			FROM player_picks pp
+			JOIN players p ON pp.player_id = p.id
+			JOIN games g ON pp.game_id = g.id
+			LEFT JOIN game_stats gs ON gs.game_id = pp.game_id AND gs.player_id = pp.player_id
+			WHERE pp.username = $1 AND pp.result IS NULL AND g.status = 'in play'
+			AND ($2::INTEGER IS NULL OR g.id = $2)
+			ORDER BY g.date, pp.id`,
+			[username, gameId]
+		);
+
+		const teamPicksRes = await db.query(
+			`SELECT 'team' AS "pickType", tp.id AS "pickId", tp.game_id AS "gameId", tp.team_id AS "teamId", t.code AS "teamCode",
+				tp.pick_type AS type, tp.line, tp.over_under AS "overUnder", g.home_team AS "homeId", g.score
+			FROM team_picks tp
+			LEFT JOIN teams t ON tp.team_id = t.id
+			JOIN games g ON tp.game_id = g.id
+			WHERE tp.username = $1 AND tp.result IS NULL AND g.status = 'in play'
+			AND ($2::INTEGER IS NULL OR g.id = $2)
+			ORDER BY g.date, tp.id`,
+			[username, gameId]
+		);
+
+		const playerPicks = playerPicksRes.rows.map((pick) => {
+			let diff = pick.current - pick.value;
+			if (pick.overUnder === 'UNDER') diff = -diff;
+			return { ...pick, progress: diff > 0 ? 'winning' : diff < 0 ? 'losing' : 'even' };
+		});
+		const teamPicks = teamPicksRes.rows.map(({ teamId, homeId, ...pick }) => {
+			const outcome = Team.gradePick({ ...pick, teamId, homeId });
+			return { ...pick, progress: PROGRESS[outcome] || null };
+		});
+
+		return [...playerPicks, ...teamPicks];
+	}
+}
+
+// How a team pick is doing, from how it would grade on the current score
+const PROGRESS = { win: 'winning', loss: 'losing', push: 'even' };
+
+// Columns returned by ownPick for each pick table
+const PICK_COLUMNS = {
+	player_picks: `player_id AS "playerId", stat, over_under AS "overUnder", value`,
+	team_picks: `team_id AS "teamId"`,
+};
+
+/** Given a pick table, username and pickId, return the pick if it belongs
+ * 	to the user. Picks of other users are reported as not found
+ *
+ * 	Throws NotFoundError if user or pick not found
+ **/
+
+async function ownPick(table, username, pickId) {
+	await User.checkValid(username);
+	const pickRes = await db.query(
+		`SELECT id, game_id AS "gameId", ${PICK_COLUMNS[table]}
+		FROM ${table}
+		WHERE id = $1 AND username = $2`,
+		[pickId, username]
+	);
+
+	const pick = pickRes.rows[0];
+
+	if (!pick) throw new NotFoundError(`Pick ${pickId} not found!`);
+
+	return pick;
+}
+
+/** Given { wins, losses, pushes }, return a record like "10 - 4", or
+ * 	"10 - 4 - 1" once there are pushes
+ **/
+
+function formatRecord({ wins, losses, pushes }) {
+	return +pushes ? `${wins} - ${losses} - ${pushes}` : `${wins} - ${losses}`;
 }
 
 module.exports = User;
@@ -1,6 +1,7 @@
 const { NotFoundError, BadRequestError, UnauthorizedError } = require('../expressError.js');
 const db = require('../db.js');
 const User = require('./user.js');
+const Parlay = require('./parlay.js');
 const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
 
 beforeAll(commonBeforeAll);
@@ -102,7 +103,16 @@ describe('get user', function () {
 			losses: 0,
 			followedTeams: [],
 			followedPlayers: [],
-			picks: { playerPicks: [], playerPickRecord: '0 - 0', teamPicks: [], teamPickRecord: '0 - 0' },
+			picks: {
+				playerPicks: [],
+				playerPickRecord: '0 - 0',
+				teamPicks: [],
+				teamPickRecord: '0 - 0',
+				parlays: [],
+				parlayRecord: '0 - 0',
+			},
+			challengeRecord: { record: '0 - 0', wins: 0, losses: 0, ties: 0 },
+			achievements: [],
 			points: 0,
 			isAdmin: false,
 		});
@@ -231,8 +241,9 @@ describe('follow / unfollow a team', function () {
 
 describe('player pick', function () {
 	test('works', async function () {
-		const pick = await User.playerPick('User', 1, 2, 'points', 'over', 19.5, 100);
+		const pick = await User.playerPick('User', 1, 2, 'points', 'over', 19.5);
 		expect(pick instanceof Object).toBeTruthy();
+		expect(pick.pointValue).toEqual(75);
 		expect(pick.playerId).toEqual(1);
 		expect(pick.gameId).toEqual(2);
 		expect(pick.stat).toEqual('points');
@@ -241,7 +252,7 @@ describe('player pick', function () {
 
 	test('bad request if game has happened / started', async function () {
 		try {
-			await User.playerPick('User', 1, 1, 'points', 'over', 19.5, 100);
+			await User.playerPick('User', 1, 1, 'points', 'over', 19.5);
 		} catch (err) {
 			expect(err instanceof BadRequestError).toBeTruthy();
 		}
@@ -249,7 +260,7 @@ describe('player pick', function () {
 
 	test('not found if bad player', async function () {
 		try {
-			await User.playerPick('User', 5, 2, 'points', 'over', 19.5, 100);
+			await User.playerPick('User', 5, 2, 'points', 'over', 19.5);
 		} catch (err) {
 			expect(err instanceof NotFoundError).toBeTruthy();
 		}
@@ -257,7 +268,7 @@ describe('player pick', function () {
 
 	test('not found if bad user', async function () {
 		try {
-			await User.playerPick('nope', 1, 2, 'points', 'over', 19.5, 100);
+			await User.playerPick('nope', 1, 2, 'points', 'over', 19.5);
 		} catch (err) {
 			expect(err instanceof NotFoundError).toBeTruthy();
 		}
@@ -265,7 +276,7 @@ describe('player pick', function () {
 
 	test('not found if bad game', async function () {
 		try {
-			await User.playerPick('User', 1, 5, 'points', 'over', 19.5, 100);
+			await User.playerPick('User', 1, 5, 'points', 'over', 19.5);
 		} catch (err) {
 			expect(err instanceof NotFoundError).toBeTruthy();
 		}
@@ -273,8 +284,26 @@ describe('player pick', function () {
 
 	test('bad request for dup pick', async function () {
 		try {
-			await User.playerPick('User', 1, 2, 'points', 'over', 19.5, 100);
-			await User.playerPick('User', 1, 2, 'points', 'under', 19.5, 100);
+			await User.playerPick('User', 1, 2, 'points', 'over', 19.5);
+			await User.playerPick('User', 1, 2, 'points', 'under', 19.5);
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('bad request if value is not the offered line', async function () {
+		try {
+			await User.playerPick('User', 1, 2, 'points', 'over', 29.5);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('bad request if no line offered for stat', async function () {
+		try {
+			await User.playerPick('User', 1, 2, 'steals', 'over', 0.5);
+			fail();
 		} catch (err) {
 			expect(err instanceof BadRequestError).toBeTruthy();
 		}
@@ -282,7 +311,128 @@ describe('player pick', function () {
 
 	test('bad request for invalid stat category', async function () {
 		try {
-			await User.playerPick('User', 1, 2, 'nope', 'over', 19.5, 100);
+			await User.playerPick('User', 1, 2, 'nope', 'over', 19.5);
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
+
+/** Update player picks */
+
+describe('update player pick', function () {
+	test('works', async function () {
+		const { id } = await User.playerPick('User', 1, 2, 'points', 'over', 19.5);
+		await db.query(`UPDATE prop_lines SET line = 22.5 WHERE game_id = 2 AND player_id = 1 AND stat = 'points'`);
+		const pick = await User.updatePlayerPick('User', id, { over_under: 'under', value: 22.5 });
+		expect(pick).toEqual({
+			id,
+			playerId: 1,
+			gameId: 2,
+			stat: 'points',
+			overUnder: 'UNDER',
+			value: 22.5,
+			pointValue: 150,
+		});
+	});
+
+	test('keeps fields not given', async function () {
+		const { id } = await User.playerPick('User', 1, 2, 'points', 'over', 19.5);
+		const pick = await User.updatePlayerPick('User', id, { over_under: 'under' });
+		expect(pick.overUnder).toEqual('UNDER');
+		expect(pick.value).toEqual(19.5);
+	});
+
+	test('bad request if value is not the offered line', async function () {
+		const { id } = await User.playerPick('User', 1, 2, 'points', 'over', 19.5);
+		try {
+			await User.updatePlayerPick('User', id, { value: 18.5 });
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('not found if pick belongs to another user', async function () {
+		const { id } = await User.playerPick('User', 1, 2, 'points', 'over', 19.5);
+		try {
+			await User.updatePlayerPick('Admin', id, { value: 18.5 });
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+
+	test('bad request once game locks', async function () {
+		const { id } = await User.playerPick('User', 1, 2, 'points', 'over', 19.5);
+		await db.query(`UPDATE games SET date = LOCALTIMESTAMP - INTERVAL '1 minute' WHERE id = 2`);
+		try {
+			await User.updatePlayerPick('User', id, { value: 18.5 });
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
+
+/** Delete picks */
+
+describe('delete player pick', function () {
+	test('works', async function () {
+		const { id } = await User.playerPick('User', 1, 2, 'points', 'over', 19.5);
+		const pick = await User.deletePlayerPick('User', id);
+		expect(pick).toEqual({ id, playerId: 1, gameId: 2, stat: 'points', overUnder: 'OVER', value: 19.5 });
+		const pickRes = await db.query(`SELECT id FROM player_picks WHERE id = $1`, [id]);
+		expect(pickRes.rows.length).toEqual(0);
+	});
+
+	test('not found if pick belongs to another user', async function () {
+		const { id } = await User.playerPick('User', 1, 2, 'points', 'over', 19.5);
+		try {
+			await User.deletePlayerPick('Admin', id);
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+
+	test('bad request for settled picks', async function () {
+		const pickRes = await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value, result)
+			VALUES ('User', 1, 1, 'points', 'UNDER', 10.5, 100, 'loss') RETURNING id`
+		);
+		try {
+			await User.deletePlayerPick('User', pickRes.rows[0].id);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
+
+describe('delete team pick', function () {
+	test('works', async function () {
+		const { id } = await User.teamPick('User', 1, 2);
+		const pick = await User.deleteTeamPick('User', id);
+		expect(pick).toEqual({ id, teamId: 1, gameId: 2 });
+	});
+
+	test('not found if pick belongs to another user', async function () {
+		const { id } = await User.teamPick('User', 1, 2);
+		try {
+			await User.deleteTeamPick('Admin', id);
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+
+	test('bad request once game locks', async function () {
+		const { id } = await User.teamPick('User', 1, 2);
+		await db.query(`UPDATE games SET status = 'in play' WHERE id = 2`);
+		try {
+			await User.deleteTeamPick('User', id);
+			fail();
 		} catch (err) {
 			expect(err instanceof BadRequestError).toBeTruthy();
 		}
@@ -295,10 +445,20 @@ describe('team pick', function () {
 	test('works', async function () {
 		const pick = await User.teamPick('User', 1, 2);
 		expect(pick instanceof Object).toBeTruthy();
+		expect(pick.point_value).toEqual(56);
 		expect(pick.team_id).toEqual(1);
 		expect(pick.game_id).toEqual(2);
 	});
 
+	test('bad request if game has happened / started', async function () {
+		try {
+			await User.teamPick('User', 1, 1);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
 	test('not found if bad team', async function () {
 		try {
 			await await User.teamPick('User', 5, 2);
@@ -323,6 +483,54 @@ describe('team pick', function () {
 		}
 	});
 
+	test('works for spread picks', async function () {
+		const pick = await User.teamPick('User', 1, 2, 'spread');
+		expect(pick.pick_type).toEqual('spread');
+		expect(pick.line).toEqual(4.5);
+	});
+
+	test('works for total picks', async function () {
+		const pick = await User.teamPick('User', undefined, 2, 'total', 'under');
+		expect(pick.team_id).toEqual(null);
+		expect(pick.line).toEqual(263.5);
+		expect(pick.over_under).toEqual('UNDER');
+	});
+
+	test('can make one of each type per game', async function () {
+		await User.teamPick('User', 1, 2);
+		await User.teamPick('User', 2, 2, 'spread');
+		await User.teamPick('User', undefined, 2, 'total', 'over');
+		const picks = await User.picks('User');
+		expect(picks.teamPicks.length).toEqual(3);
+	});
+
+	test('bad request for invalid type', async function () {
+		try {
+			await User.teamPick('User', 1, 2, 'nope');
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('bad request for total pick without over_under', async function () {
+		try {
+			await User.teamPick('User', undefined, 2, 'total');
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('bad request if team not in game', async function () {
+		try {
+			await User.teamPick('User', 3, 2);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
 	test('bad request for dup pick', async function () {
 		try {
 			await User.teamPick('User', 1, 2);
@@ -335,12 +543,80 @@ describe('team pick', function () {
 
 /** Get all user picks */
 
+describe('get user picks record', function () {
+	test('counts pushes and leaves out voids', async function () {
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value, result)
+			VALUES ('User', 1, 1, 'points', 'OVER', 10.5, 100, 'win'), ('User', 1, 1, 'assists', 'OVER', 10.5, 100, 'loss'),
+			('User', 1, 1, 'steals', 'OVER', 10, 100, 'push'), ('User', 1, 1, 'blocks', 'OVER', 10.5, 100, 'void')`
+		);
+		const picks = await User.picks('User');
+		expect(picks.playerPickRecord).toEqual('1 - 1 - 1');
+	});
+});
+
+
 describe('get user picks', function () {
 	test('works', async function () {
 		await User.teamPick('User', 1, 2);
-		await User.playerPick('User', 1, 2, 'points', 'over', 19.5, 100);
+		await User.playerPick('User', 1, 2, 'points', 'over', 19.5);
 		const picks = await User.picks('User');
 		expect(picks.playerPicks.length).toEqual(1);
 		expect(picks.teamPicks.length).toEqual(1);
 	});
-});
\ No newline at end of file
+
+	test('includes parlays', async function () {
+		await Parlay.create('User', [
+			{ type: 'team', teamId: 1, gameId: 2 },
+			{ type: 'player', playerId: 2, gameId: 2, stat: 'points', over_under: 'over', value: 20.5 },
+		]);
+		const picks = await User.picks('User');
+		expect(picks.parlays.length).toEqual(1);
+		expect(picks.parlays[0].legs.length).toEqual(2);
+		expect(picks.parlayRecord).toEqual('0 - 0');
+	});
+});
+/** Live picks */
+
+describe('live picks', function () {
+	beforeEach(async function () {
+		await User.teamPick('User', 1, 2);
+		await User.playerPick('User', 1, 2, 'points', 'under', 19.5);
+		await db.query(`UPDATE games SET status = 'in play', score = '50 - 48' WHERE id = 2`);
+		await db.query(`UPDATE game_stats SET game_id = 2 WHERE player_id = 1`);
+	});
+
+	test('works', async function () {
+		const picks = await User.livePicks('User');
+		expect(picks).toEqual([
+			{
+				pickType: 'player',
+				pickId: expect.any(Number),
+				gameId: 2,
+				player: 'Jayson Tatum',
+				stat: 'points',
+				overUnder: 'UNDER',
+				value: 19.5,
+				current: 76,
+				progress: 'losing',
+			},
+			{
+				pickType: 'team',
+				pickId: expect.any(Number),
+				gameId: 2,
+				teamCode: 'BOS',
+				type: 'win',
+				line: null,
+				overUnder: null,
+				score: '50 - 48',
+				progress: 'losing',
+			},
+		]);
+	});
+
+	test('only games in play', async function () {
+		expect(await User.livePicks('User', 1)).toEqual([]);
+		await db.query(`UPDATE games SET status = 'finished' WHERE id = 2`);
+		expect(await User.livePicks('User')).toEqual([]);
+	});
+});
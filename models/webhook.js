@@ -0,0 +1,322 @@
+const db = require('../db');
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const moment = require('moment');
+const { WEBHOOK_ALLOWED_HOSTS } = require('../config');
+const { NotFoundError, ForbiddenError, BadRequestError } = require('../expressError');
+
+const EVENTS = ['game.started', 'game.final', 'pick.settled', 'standings.updated'];
+
+// A delivery is given up on after this many attempts
+const MAX_ATTEMPTS = 5;
+
+// Wait before retry n is BACKOFF_SECONDS * 2^(n - 1): 1, 2, 4 then 8 minutes
+const BACKOFF_SECONDS = 60;
+
+const TIMEOUT_MS = 5000;
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved
+// ranges a webhook can't be sent to. IPv4-mapped IPv6 addresses are checked
+// against the IPv4 ranges.
+const NON_PUBLIC = new net.BlockList();
+for (let [address, prefix] of [
+	['0.0.0.0', 8],
+	['10.0.0.0', 8],
+	['100.64.0.0', 10],
+	['127.0.0.0', 8],
+	['169.254.0.0', 16],
+	['172.16.0.0', 12],
+	['192.0.0.0', 24],
+	['192.168.0.0', 16],
+	['198.18.0.0', 15],
+	['224.0.0.0', 4],
+	['240.0.0.0', 4],
+]) {
+	NON_PUBLIC.addSubnet(address, prefix, 'ipv4');
+}
+for (let [address, prefix] of [
+	['::', 128],
+	['::1', 128],
+	['fc00::', 7],
+	['fe80::', 10],
+	['ff00::', 8],
+]) {
+	NON_PUBLIC.addSubnet(address, prefix, 'ipv6');
+}
+
+// Deliveries connect through these so the address actually used is checked too
+const HTTP_AGENT = new http.Agent({ lookup: publicLookup });
+const HTTPS_AGENT = new https.Agent({ lookup: publicLookup });
+
+/** Related functions for outbound webhooks
+ *
+ * 	Users register a URL for events. URLs must resolve to public addresses
+ * 	(see NON_PUBLIC), which is checked when a webhook is registered and again
+ * 	on every attempt. Game and standings events go to every
+ * 	webhook subscribed to them, pick.settled only to the pick's owner and
+ * 	admins. Events are only queued in webhook_deliveries when they happen,
+ * 	the update jobs send them (sendDue) and retry with backoff until a
+ * 	delivery gets a 2xx response or runs out of attempts.
+ *
+ * 	Requests are POSTed as JSON with headers:
+ * 		X-OnlyLocks-Event: event name
+ * 		X-OnlyLocks-Delivery: delivery id, the same across retries
+ * 		X-OnlyLocks-Timestamp: unix seconds the attempt was sent
+ * 		X-OnlyLocks-Signature: sha256= hex HMAC of "<timestamp>.<body>" with the webhook's secret
+ **/
+
+class Webhook {
+	/** Given a username and { url, events }, register a webhook
+	 *
+	 * 	Returns { id, url, events, secret, createdAt }
+	 * 		secret is only ever returned here
+	 *
+	 * 	Throws BadRequestError if url doesn't resolve to a public address
+	 **/
+
+	static async create(username, { url, events }) {
+		await checkUrl(url);
+
+		const webhookRes = await db.query(
+			`INSERT INTO webhooks (username, url, events, secret) VALUES ($1, $2, $3, $4)
+			RETURNING id, url, events, secret, created_at AS "createdAt"`,
+			[username, url, events, crypto.randomBytes(32).toString('hex')]
+		);
+
+		return webhookRes.rows[0];
+	}
+
+	/** Given a username, return their webhooks
+	 *
+	 * 	Returns [ { id, url, events, createdAt }, ... ]
+	 **/
+
+	static async forUser(username) {
+		const webhooksRes = await db.query(
+			`SELECT id, url, events, created_at AS "createdAt" FROM webhooks WHERE username = $1 ORDER BY id`,
+			[username]
+		);
+
+		return webhooksRes.rows;
+	}
+
+	/** Given a webhook id and the user asking ({ username, isAdmin }), remove
+	 * 	the webhook
+	 *
+	 * 	Throws NotFoundError if webhook not found
+	 * 	Throws ForbiddenError if user doesn't own it and isn't an admin
+	 **/
+
+	static async remove(id, user) {
+		await checkOwner(id, user);
+		await db.query(`DELETE FROM webhooks WHERE id = $1`, [id]);
+	}
+
+	/** Given a webhook id and the user asking ({ username, isAdmin }), return
+	 * 	its most recent deliveries
+	 *
+	 * 	Returns [ { id, event, payload, status, attempts, responseStatus, error, nextAttemptAt, deliveredAt, createdAt }, ... ]
+	 *
+	 * 	Throws NotFoundError if webhook not found
+	 * 	Throws ForbiddenError if user doesn't own it and isn't an admin
+	 **/
+
+	static async deliveries(id, user) {
+		await checkOwner(id, user);
+
+		const deliveriesRes = await db.query(
+			`SELECT id, event, payload, status, attempts, response_status AS "responseStatus", error,
+			next_attempt_at AS "nextAttemptAt", delivered_at AS "deliveredAt", created_at AS "createdAt"
+			FROM webhook_deliveries
+			WHERE webhook_id = $1
+			ORDER BY id DESC
+			LIMIT 50`,
+			[id]
+		);
+
+		return deliveriesRes.rows;
+	}
+
+	/** Given an event, its data and the user it's about (pick.settled only),
+	 * 	queue a delivery to each subscribed webhook for the next sendDue
+	 *
+	 * 	Returns [ { id, webhookId, status }, ... ] for the deliveries queued
+	 **/
+
+	static async emit(event, data, username = null) {
+		if (!EVENTS.includes(event)) throw new Error(`Unknown webhook event: ${event}`);
+
+		const deliveriesRes = await db.query(
+			`INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+			SELECT w.id, $1, jsonb_build_object('event', $1::TEXT, 'data', $2::JSONB, 'createdAt', NOW()), NOW()
+			FROM webhooks w
+			JOIN users u ON w.username = u.username
+			WHERE $1 = ANY(w.events)
+			AND ($3::TEXT IS NULL OR w.username = $3 OR u.is_admin)
+			RETURNING id, webhook_id AS "webhookId", status`,
+			[event, JSON.stringify(data), username]
+		);
+
+		return deliveriesRes.rows;
+	}
+
+	/** Given the ledger entry a pick settled with, send pick.settled to its
+	 * 	owner's and admins' webhooks
+	 **/
+
+	static async pickSettled({ username, pickType, pickId, reason, delta }) {
+		return await this.emit('pick.settled', { username, pickType, pickId, result: reason, points: delta }, username);
+	}
+
+	/** Send every pending delivery that is new or whose backoff has passed
+	 *
+	 * 	Returns [ { id, webhookId, status }, ... ] for the deliveries sent
+	 **/
+
+	static async sendDue() {
+		const dueRes = await db.query(
+			`SELECT id FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= NOW() ORDER BY id`
+		);
+
+		const deliveries = [];
+		for (let { id } of dueRes.rows) deliveries.push(await attempt(id));
+
+		console.log(`Sent ${deliveries.length} webhook deliveries @ ${moment().subtract(5, 'hours').format('LLL')}`);
+		return deliveries;
+	}
+}
+
+/** Given a delivery id, send it to its webhook once and record the result.
+ * 	Never throws so one bad endpoint can't stop the job sending it.
+ *
+ * 	Returns { id, webhookId, status }
+ **/
+
+async function attempt(id) {
+	const deliveryRes = await db.query(
+		`SELECT d.id, d.webhook_id AS "webhookId", d.event, d.payload, d.attempts, w.url, w.secret
+		FROM webhook_deliveries d
+		JOIN webhooks w ON d.webhook_id = w.id
+		WHERE d.id = $1`,
+		[id]
+	);
+	const delivery = deliveryRes.rows[0];
+
+	const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+	const timestamp = Math.floor(Date.now() / 1000);
+
+	let responseStatus = null;
+	let error = null;
+	try {
+		await checkUrl(delivery.url);
+		const res = await axios.post(delivery.url, body, {
+			headers: {
+				'Content-Type': 'application/json',
+				'X-OnlyLocks-Event': delivery.event,
+				'X-OnlyLocks-Delivery': delivery.id,
+				'X-OnlyLocks-Timestamp': timestamp,
+				'X-OnlyLocks-Signature': `sha256=${sign(delivery.secret, timestamp, body)}`,
+			},
+			timeout: TIMEOUT_MS,
+			maxRedirects: 0,
+			httpAgent: HTTP_AGENT,
+			httpsAgent: HTTPS_AGENT,
+			validateStatus: () => true,
+		});
+		responseStatus = res.status;
+		if (res.status < 200 || res.status >= 300) error = `Responded with ${res.status}`;
+	} catch (err) {
+		error = err.message;
+	}
+
+	const attempts = delivery.attempts + 1;
+	let status = 'pending';
+	if (!error) status = 'delivered';
+	else if (attempts >= MAX_ATTEMPTS) status = 'failed';
+
+	await db.query(
+		`UPDATE webhook_deliveries
+		SET status = $1, attempts = $2, response_status = $3, error = $4,
+		next_attempt_at = CASE WHEN $1 = 'pending' THEN NOW() + make_interval(secs => $5) END,
+		delivered_at = CASE WHEN $1 = 'delivered' THEN NOW() END
+		WHERE id = $6`,
+		[status, attempts, responseStatus, error, BACKOFF_SECONDS * 2 ** (attempts - 1), id]
+	);
+
+	if (error) console.log(`Webhook delivery ${id} attempt ${attempts} failed: ${error}`);
+	return { id, webhookId: delivery.webhookId, status };
+}
+
+/** Given a webhook URL, check it is http(s) and its host resolves only to
+ * 	public addresses, unless the host is in WEBHOOK_ALLOWED_HOSTS
+ *
+ * 	Throws BadRequestError if not
+ **/
+
+async function checkUrl(url) {
+	const { protocol, hostname } = new URL(url);
+	if (protocol !== 'http:' && protocol !== 'https:') throw new BadRequestError('Webhook URL must be http or https');
+
+	const host = hostname.replace(/^\[|\]$/g, '');
+	if (WEBHOOK_ALLOWED_HOSTS.includes(host)) return;
+
+	let addresses;
+	try {
+		addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+	} catch (err) {
+		throw new BadRequestError(`Webhook host ${host} could not be resolved`);
+	}
+	if (addresses.some(({ address }) => !isPublic(address))) {
+		throw new BadRequestError(`Webhook host ${host} is not a public address`);
+	}
+}
+
+/** Given an IP address, return whether it is outside every NON_PUBLIC range */
+
+function isPublic(address) {
+	return !NON_PUBLIC.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/** dns.lookup for the delivery agents that fails on non-public addresses, so
+ * 	a host can't pass checkUrl then resolve somewhere else when it's connected to
+ **/
+
+function publicLookup(hostname, options, callback) {
+	dns.lookup(hostname, options, (err, address, family) => {
+		if (err || WEBHOOK_ALLOWED_HOSTS.includes(hostname)) return callback(err, address, family);
+
+		const addresses = Array.isArray(address) ? address : [{ address }];
+		if (addresses.some((a) => !isPublic(a.address))) {
+			return callback(new Error(`Webhook host ${hostname} is not a public address`));
+		}
+		callback(null, address, family);
+	});
+}
+
+/** Return the hex HMAC-SHA256 of "<timestamp>.<body>" with secret */
+
+function sign(secret, timestamp, body) {
+	return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/** Given a webhook id and { username, isAdmin }, check the user can manage it
+ *
+ * 	Throws NotFoundError if webhook not found
+ * 	Throws ForbiddenError if user doesn't own it and isn't an admin
+ **/
+
+async function checkOwner(id, { username, isAdmin }) {
+	const webhookRes = await db.query(`SELECT id, username FROM webhooks WHERE id = $1`, [id]);
+	const webhook = webhookRes.rows[0];
+
+	if (!webhook) throw new NotFoundError(`No webhook: ${id}`);
+	if (webhook.username !== username && !isAdmin) throw new ForbiddenError(`Webhook ${id} belongs to another user`);
+
+	return webhook;
+}
+
+module.exports = Webhook;
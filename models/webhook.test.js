@@ -0,0 +1,271 @@
+const http = require('http');
+const crypto = require('crypto');
+const dns = require('dns');
+const db = require('../db.js');
+const Webhook = require('./webhook.js');
+const Game = require('./game.js');
+const Team = require('./team.js');
+const { NotFoundError, ForbiddenError, BadRequestError } = require('../expressError');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+// Local receiver that records every request and answers with receiver.status
+let server;
+let url;
+const receiver = { status: 200, requests: [] };
+
+beforeAll(async function () {
+	await commonBeforeAll();
+	server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', (chunk) => (body += chunk));
+		req.on('end', () => {
+			receiver.requests.push({ headers: req.headers, body });
+			res.writeHead(receiver.status);
+			res.end();
+		});
+	});
+	await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+	url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+beforeEach(async function () {
+	receiver.status = 200;
+	receiver.requests = [];
+	await commonBeforeEach();
+});
+afterEach(commonAfterEach);
+afterAll(async function () {
+	await new Promise((resolve) => server.close(resolve));
+	await commonAfterAll();
+});
+
+/** Create */
+
+describe('create', function () {
+	test('works', async function () {
+		const webhook = await Webhook.create('User', { url, events: ['game.final'] });
+		expect(webhook).toEqual({
+			id: expect.any(Number),
+			url,
+			events: ['game.final'],
+			secret: expect.stringMatching(/^[0-9a-f]{64}$/),
+			createdAt: expect.any(Date),
+		});
+		expect(await Webhook.forUser('User')).toEqual([
+			{ id: webhook.id, url, events: ['game.final'], createdAt: expect.any(Date) },
+		]);
+	});
+
+	test('works for a public address', async function () {
+		const webhook = await Webhook.create('User', { url: 'https://93.184.216.34/hook', events: ['game.final'] });
+		expect(webhook.url).toEqual('https://93.184.216.34/hook');
+	});
+
+	test('bad request for private, loopback and metadata addresses', async function () {
+		const spy = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '10.1.2.3', family: 4 }]);
+		for (let badUrl of [
+			'http://internal.example.com/hook',
+			'http://localhost:3001/update/games/all',
+			'http://192.168.1.1/hook',
+			'http://169.254.169.254/latest/meta-data',
+			'http://[::1]/hook',
+			'http://[::ffff:127.0.0.1]/hook',
+			'http://[fd00:ec2::254]/hook',
+		]) {
+			try {
+				await Webhook.create('User', { url: badUrl, events: ['game.final'] });
+				fail();
+			} catch (err) {
+				expect(err instanceof BadRequestError).toBeTruthy();
+			}
+		}
+		spy.mockRestore();
+		expect(await Webhook.forUser('User')).toEqual([]);
+	});
+});
+
+/** Emit */
+
+describe('emit', function () {
+	test('queues without sending', async function () {
+		const { id } = await Webhook.create('User', { url, events: ['game.final'] });
+		const deliveries = await Webhook.emit('game.final', { id: 1 });
+		expect(deliveries).toEqual([{ id: expect.any(Number), webhookId: id, status: 'pending' }]);
+		expect(receiver.requests).toEqual([]);
+	});
+
+	test('sends a signed payload', async function () {
+		const { id, secret } = await Webhook.create('User', { url, events: ['game.final'] });
+		await Webhook.create('User', { url, events: ['game.started'] });
+
+		await Webhook.emit('game.final', { id: 1 });
+		const deliveries = await Webhook.sendDue();
+		expect(deliveries).toEqual([{ id: expect.any(Number), webhookId: id, status: 'delivered' }]);
+		expect(receiver.requests.length).toEqual(1);
+
+		const { headers, body } = receiver.requests[0];
+		expect(headers['x-onlylocks-event']).toEqual('game.final');
+		expect(headers['x-onlylocks-delivery']).toEqual(`${deliveries[0].id}`);
+		const signature = crypto.createHmac('sha256', secret).update(`${headers['x-onlylocks-timestamp']}.${body}`).digest('hex');
+		expect(headers['x-onlylocks-signature']).toEqual(`sha256=${signature}`);
+		expect(JSON.parse(body)).toEqual({ id: deliveries[0].id, event: 'game.final', data: { id: 1 }, createdAt: expect.any(String) });
+	});
+
+	test('pick.settled only goes to the owner and admins', async function () {
+		await Webhook.create('User', { url, events: ['pick.settled'] });
+		await Webhook.create('Admin', { url, events: ['pick.settled'] });
+
+		expect((await Webhook.pickSettled({ username: 'Admin', pickType: 'team', pickId: 1, reason: 'win', delta: 100 })).length).toEqual(1);
+		expect((await Webhook.pickSettled({ username: 'User', pickType: 'team', pickId: 2, reason: 'loss', delta: 0 })).length).toEqual(2);
+		await Webhook.sendDue();
+		expect(JSON.parse(receiver.requests[0].body).data).toEqual({ username: 'Admin', pickType: 'team', pickId: 1, result: 'win', points: 100 });
+	});
+
+	test('retries with backoff until it gives up', async function () {
+		const { id } = await Webhook.create('User', { url, events: ['game.final'] });
+		receiver.status = 500;
+
+		await Webhook.emit('game.final', { id: 1 });
+		const [delivery] = await Webhook.sendDue();
+		expect(delivery.status).toEqual('pending');
+		const backoffRes = await db.query(
+			`SELECT attempts, response_status, EXTRACT(EPOCH FROM next_attempt_at - NOW())::INTEGER AS wait FROM webhook_deliveries WHERE id = $1`,
+			[delivery.id]
+		);
+		expect(backoffRes.rows[0]).toEqual({ attempts: 1, response_status: 500, wait: 60 });
+
+		// Not due yet
+		expect(await Webhook.sendDue()).toEqual([]);
+
+		for (let i = 2; i <= 5; i++) {
+			await db.query(`UPDATE webhook_deliveries SET next_attempt_at = NOW() - INTERVAL '1 second'`);
+			const [retried] = await Webhook.sendDue();
+			expect(retried.status).toEqual(i < 5 ? 'pending' : 'failed');
+		}
+
+		const deliveries = await Webhook.deliveries(id, { username: 'User' });
+		expect(deliveries).toEqual([
+			expect.objectContaining({ id: delivery.id, status: 'failed', attempts: 5, error: 'Responded with 500', nextAttemptAt: null }),
+		]);
+		expect(receiver.requests.length).toEqual(5);
+	});
+
+	test('delivers on retry', async function () {
+		await Webhook.create('User', { url, events: ['game.final'] });
+		receiver.status = 503;
+		await Webhook.emit('game.final', { id: 1 });
+		await Webhook.sendDue();
+
+		receiver.status = 204;
+		await db.query(`UPDATE webhook_deliveries SET next_attempt_at = NOW() - INTERVAL '1 second'`);
+		const [retried] = await Webhook.sendDue();
+		expect(retried.status).toEqual('delivered');
+
+		const deliveryRes = await db.query(`SELECT attempts, delivered_at FROM webhook_deliveries WHERE id = $1`, [retried.id]);
+		expect(deliveryRes.rows[0]).toEqual({ attempts: 2, delivered_at: expect.any(Date) });
+		// The same delivery id is sent on every attempt
+		expect(receiver.requests.map((r) => r.headers['x-onlylocks-delivery'])).toEqual([`${retried.id}`, `${retried.id}`]);
+	});
+
+	test('checks the address again before each send', async function () {
+		await Webhook.create('User', { url, events: ['game.final'] });
+		await db.query(`UPDATE webhooks SET url = 'http://169.254.169.254/latest/meta-data'`);
+
+		await Webhook.emit('game.final', { id: 1 });
+		const [delivery] = await Webhook.sendDue();
+		expect(delivery.status).toEqual('pending');
+		const deliveryRes = await db.query(`SELECT error FROM webhook_deliveries WHERE id = $1`, [delivery.id]);
+		expect(deliveryRes.rows[0].error).toEqual('Webhook host 169.254.169.254 is not a public address');
+	});
+
+	test("won't connect to a host that resolves somewhere private when sent", async function () {
+		const { port } = server.address();
+		await Webhook.create('User', { url: 'https://93.184.216.34/hook', events: ['game.final'] });
+		await db.query(`UPDATE webhooks SET url = $1`, [`http://rebind.example.com:${port}/hook`]);
+		const checkSpy = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+		const connectSpy = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+			if (options.all) callback(null, [{ address: '127.0.0.1', family: 4 }]);
+			else callback(null, '127.0.0.1', 4);
+		});
+
+		await Webhook.emit('game.final', { id: 1 });
+		const [delivery] = await Webhook.sendDue();
+		checkSpy.mockRestore();
+		connectSpy.mockRestore();
+
+		const deliveryRes = await db.query(`SELECT error FROM webhook_deliveries WHERE id = $1`, [delivery.id]);
+		expect(deliveryRes.rows[0].error).toEqual('Webhook host rebind.example.com is not a public address');
+		expect(receiver.requests).toEqual([]);
+	});
+
+	test('records unreachable endpoints', async function () {
+		await Webhook.create('User', { url: 'http://127.0.0.1:1/hook', events: ['game.final'] });
+		await Webhook.emit('game.final', { id: 1 });
+		const [delivery] = await Webhook.sendDue();
+		expect(delivery.status).toEqual('pending');
+
+		const deliveryRes = await db.query(`SELECT response_status, error FROM webhook_deliveries WHERE id = $1`, [delivery.id]);
+		expect(deliveryRes.rows[0]).toEqual({ response_status: null, error: expect.any(String) });
+	});
+});
+
+/** Events from the update jobs */
+
+describe('events', function () {
+	test('game.started and game.final from updateRecent', async function () {
+		await Webhook.create('User', { url, events: ['game.started', 'game.final'] });
+		await db.query(
+			`UPDATE games SET status = 'scheduled', score = NULL, winner = NULL, date = DATE_TRUNC('day', LOCALTIMESTAMP) + INTERVAL '12 hours' WHERE id = 1`
+		);
+
+		await Game.updateRecent();
+		expect(receiver.requests).toEqual([]);
+		await Webhook.sendDue();
+		const sent = receiver.requests.map((r) => JSON.parse(r.body));
+		expect(sent.map((p) => p.event)).toEqual(['game.started', 'game.final']);
+		expect(sent[1].data).toEqual(expect.objectContaining({ id: 1, status: 'finished', score: '100 - 90', winner: 1 }));
+
+		// Nothing new on the next run
+		await Game.updateAll();
+		await Webhook.sendDue();
+		expect(receiver.requests.length).toEqual(2);
+	});
+
+	test('standings.updated from updateStandings', async function () {
+		await Webhook.create('User', { url, events: ['standings.updated'] });
+		await Team.updateStandings();
+		await Webhook.sendDue();
+		expect(JSON.parse(receiver.requests[0].body).data).toEqual({ season: 2023 });
+	});
+});
+
+/** Remove and deliveries */
+
+describe('remove', function () {
+	test('works for the owner or an admin', async function () {
+		const first = await Webhook.create('User', { url, events: ['game.final'] });
+		const second = await Webhook.create('User', { url, events: ['game.final'] });
+
+		await Webhook.remove(first.id, { username: 'User', isAdmin: false });
+		await Webhook.remove(second.id, { username: 'Admin', isAdmin: true });
+		expect(await Webhook.forUser('User')).toEqual([]);
+	});
+
+	test('forbidden for other users', async function () {
+		const { id } = await Webhook.create('Admin', { url, events: ['game.final'] });
+		try {
+			await Webhook.remove(id, { username: 'User', isAdmin: false });
+			fail();
+		} catch (err) {
+			expect(err instanceof ForbiddenError).toBeTruthy();
+		}
+	});
+
+	test('not found if no such webhook', async function () {
+		try {
+			await Webhook.deliveries(0, { username: 'User', isAdmin: false });
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
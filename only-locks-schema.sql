@@ -7,6 +7,16 @@ CREATE TABLE users (
     is_admin BOOLEAN DEFAULT false
 );
 
+CREATE TABLE seasons (
+    year INTEGER PRIMARY KEY,
+    start_date DATE,
+    end_date DATE,
+    is_current BOOLEAN NOT NULL DEFAULT false
+);
+
+-- Only one season can be the current season
+CREATE UNIQUE INDEX seasons_current ON seasons (is_current) WHERE is_current;
+
 CREATE TABLE teams (
     id INTEGER PRIMARY KEY,
     code VARCHAR(3) NOT NULL,
@@ -22,17 +32,47 @@ CREATE TABLE conference_standings (
     id SERIAL PRIMARY KEY,
     team_id INTEGER
         REFERENCES teams ON DELETE CASCADE,
+    season INTEGER NOT NULL
+        REFERENCES seasons ON DELETE CASCADE,
     conference TEXT NOT NULL,
-    rank INTEGER NOT NULL
+    rank INTEGER NOT NULL,
+    UNIQUE (team_id, season)
 );
 
 CREATE TABLE division_standings (
     id SERIAL PRIMARY KEY,
     team_id INTEGER
         REFERENCES teams ON DELETE CASCADE,
+    season INTEGER NOT NULL
+        REFERENCES seasons ON DELETE CASCADE,
     division TEXT NOT NULL,
     rank INTEGER NOT NULL,
-    games_behind REAL NOT NULL
+    games_behind REAL NOT NULL,
+    UNIQUE (team_id, season)
+);
+
+-- Projected playoff picture, recalculated by dailyStats after the standings
+-- Magic numbers count wins plus rival losses still needed to clinch a top 6
+-- (playoffs) or top 10 (play-in) seed, 0 once clinched. Elimination numbers
+-- count losses plus rival wins until it's out of reach, 0 once eliminated and
+-- NULL if the conference is too small for it to happen
+CREATE TABLE playoff_standings (
+    id SERIAL PRIMARY KEY,
+    team_id INTEGER
+        REFERENCES teams ON DELETE CASCADE,
+    season INTEGER NOT NULL
+        REFERENCES seasons ON DELETE CASCADE,
+    conference TEXT NOT NULL,
+    seed INTEGER NOT NULL,
+    wins INTEGER NOT NULL,
+    losses INTEGER NOT NULL,
+    games_behind REAL NOT NULL,
+    games_left INTEGER NOT NULL,
+    playoffs_magic INTEGER NOT NULL,
+    play_in_magic INTEGER NOT NULL,
+    playoffs_elimination INTEGER,
+    play_in_elimination INTEGER,
+    UNIQUE (team_id, season)
 );
 
 CREATE TABLE players (
@@ -51,6 +91,8 @@ CREATE TABLE players (
 
 CREATE TABLE games (
     id INTEGER PRIMARY KEY,
+    season INTEGER NOT NULL
+        REFERENCES seasons ON DELETE CASCADE,
     date TIMESTAMP NOT NULL,
     location TEXT NOT NULL,
     home_team INTEGER
@@ -62,7 +104,8 @@ CREATE TABLE games (
     quarter INTEGER,
     score TEXT,
     winner INTEGER
-        REFERENCES teams ON DELETE CASCADE
+        REFERENCES teams ON DELETE CASCADE,
+    finished_at TIMESTAMP
 );
 
 CREATE TABLE player_picks (
@@ -76,10 +119,29 @@ CREATE TABLE player_picks (
     stat TEXT NOT NULL,
     over_under TEXT NOT NULL,
     value REAL NOT NULL,
-    result BOOLEAN,
+    -- NULL until settled
+    result TEXT CHECK (result IN ('win', 'loss', 'push', 'void')),
     point_value INTEGER DEFAULT 0
 );
 
+-- Lines offered for player props, generated per game by PropLine
+CREATE TABLE prop_lines (
+    id SERIAL PRIMARY KEY,
+    game_id INTEGER NOT NULL
+        REFERENCES games ON DELETE CASCADE,
+    player_id INTEGER NOT NULL
+        REFERENCES players ON DELETE CASCADE,
+    stat TEXT NOT NULL CHECK (stat IN ('points', 'tpm', 'rebounds', 'assists', 'steals', 'blocks')),
+    line REAL NOT NULL,
+    over_points INTEGER NOT NULL,
+    under_points INTEGER NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    UNIQUE (game_id, player_id, stat)
+);
+
+-- win: team_id to win outright
+-- spread: team_id to cover line (ex: -4.5)
+-- total: combined score over_under line, no team_id
 CREATE TABLE team_picks (
     id SERIAL PRIMARY KEY,
     username TEXT   
@@ -88,8 +150,216 @@ CREATE TABLE team_picks (
         REFERENCES teams ON DELETE CASCADE,
     game_id INTEGER
         REFERENCES games ON DELETE CASCADE,
-    result BOOLEAN,
-    point_value INTEGER DEFAULT 100
+    pick_type TEXT NOT NULL DEFAULT 'win' CHECK (pick_type IN ('win', 'spread', 'total')),
+    line REAL,
+    over_under TEXT CHECK (over_under IN ('OVER', 'UNDER')),
+    -- NULL until settled
+    result TEXT CHECK (result IN ('win', 'loss', 'push', 'void')),
+    point_value INTEGER DEFAULT 100,
+    UNIQUE (username, game_id, pick_type)
+);
+
+-- A slip of 2 - 8 legs, wins only if no leg loses
+CREATE TABLE parlays (
+    id SERIAL PRIMARY KEY,
+    username TEXT NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    point_value INTEGER NOT NULL,
+    -- NULL until settled
+    result TEXT CHECK (result IN ('win', 'loss', 'push', 'void')),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- player legs are props (player_id, stat, over_under, value), team legs are winners (team_id)
+-- point_value is what the leg pays as a single pick when the parlay is made
+CREATE TABLE parlay_legs (
+    id SERIAL PRIMARY KEY,
+    parlay_id INTEGER NOT NULL
+        REFERENCES parlays ON DELETE CASCADE,
+    leg_type TEXT NOT NULL CHECK (leg_type IN ('player', 'team')),
+    game_id INTEGER NOT NULL
+        REFERENCES games ON DELETE CASCADE,
+    player_id INTEGER
+        REFERENCES players ON DELETE CASCADE,
+    stat TEXT,
+    over_under TEXT CHECK (over_under IN ('OVER', 'UNDER')),
+    value REAL,
+    team_id INTEGER
+        REFERENCES teams ON DELETE CASCADE,
+    point_value INTEGER NOT NULL,
+    result TEXT CHECK (result IN ('win', 'loss', 'push', 'void')),
+    CHECK ((leg_type = 'player' AND player_id IS NOT NULL AND stat IS NOT NULL AND over_under IS NOT NULL AND value IS NOT NULL)
+        OR (leg_type = 'team' AND team_id IS NOT NULL))
+);
+
+CREATE TABLE point_ledger (
+    id SERIAL PRIMARY KEY,
+    username TEXT NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    pick_type TEXT NOT NULL CHECK (pick_type IN ('player', 'team', 'parlay')),
+    pick_id INTEGER NOT NULL,
+    delta INTEGER NOT NULL,
+    reason TEXT NOT NULL,
+    -- settle is a pick's first grading, regrade entries correct it by the difference
+    kind TEXT NOT NULL DEFAULT 'settle' CHECK (kind IN ('settle', 'regrade')),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX point_ledger_settled ON point_ledger (pick_type, pick_id) WHERE kind = 'settle';
+
+-- Ledger entries are an audit trail, they can be added but never changed
+CREATE FUNCTION point_ledger_immutable() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'point_ledger entries can not be updated';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER point_ledger_no_update
+    BEFORE UPDATE ON point_ledger
+    FOR EACH ROW EXECUTE FUNCTION point_ledger_immutable();
+
+-- Rankings from settled player picks, team picks and parlays, rebuilt by Leaderboard.recompute
+-- pick_type / stat are 'all' when not filtered, stat is only set for player picks
+CREATE TABLE leaderboards (
+    period TEXT NOT NULL CHECK (period IN ('daily', 'weekly', 'monthly', 'season')),
+    pick_type TEXT NOT NULL CHECK (pick_type IN ('all', 'player', 'team', 'parlay')),
+    stat TEXT NOT NULL,
+    username TEXT NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    rank INTEGER NOT NULL,
+    wins INTEGER NOT NULL,
+    losses INTEGER NOT NULL,
+    pushes INTEGER NOT NULL,
+    points INTEGER NOT NULL,
+    computed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (period, pick_type, stat, username)
+);
+
+-- Private pick'em leagues, standings are built from members' player and team picks
+-- allowed_stats limits which player picks count, picks_per_day (NULL for no limit)
+-- counts only each member's first picks on a game day
+CREATE TABLE leagues (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    invite_code TEXT NOT NULL UNIQUE,
+    commissioner TEXT NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    allowed_stats TEXT[] NOT NULL DEFAULT '{points,tpm,rebounds,assists,steals,blocks}',
+    picks_per_day INTEGER CHECK (picks_per_day > 0),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE league_members (
+    league_id INTEGER
+        REFERENCES leagues ON DELETE CASCADE,
+    username TEXT
+        REFERENCES users ON DELETE CASCADE,
+    joined_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (league_id, username)
+);
+
+-- Head to head duels on one date's games, each user's first picks_per_user
+-- picks on the slate count. winner is NULL for a tie
+CREATE TABLE challenges (
+    id SERIAL PRIMARY KEY,
+    challenger TEXT NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    opponent TEXT NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    date DATE NOT NULL,
+    picks_per_user INTEGER NOT NULL DEFAULT 3 CHECK (picks_per_user > 0),
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'declined', 'expired', 'finished')),
+    challenger_points INTEGER,
+    opponent_points INTEGER,
+    winner TEXT
+        REFERENCES users ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CHECK (challenger <> opponent)
+);
+
+-- Badges earned from the rules in Achievement, code is the rule's code
+CREATE TABLE user_achievements (
+    username TEXT
+        REFERENCES users ON DELETE CASCADE,
+    code TEXT NOT NULL,
+    earned_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (username, code)
+);
+
+-- In-app notifications from the scheduled jobs, ref is what the notification is about
+-- (ex: "player:12" for player pick 12) so a job never notifies twice about the same thing
+CREATE TABLE notifications (
+    id SERIAL PRIMARY KEY,
+    username TEXT NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN ('pick_settled', 'game_starting', 'big_performance')),
+    ref TEXT NOT NULL,
+    message TEXT NOT NULL,
+    is_read BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    UNIQUE (username, type, ref)
+);
+
+-- Outbound webhooks, payloads are signed with secret (HMAC-SHA256)
+-- events is any of game.started, game.final, pick.settled, standings.updated
+CREATE TABLE webhooks (
+    id SERIAL PRIMARY KEY,
+    username TEXT NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    events TEXT[] NOT NULL,
+    secret TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- One row per event sent to a webhook, retried with backoff until delivered or failed
+CREATE TABLE webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL
+        REFERENCES webhooks ON DELETE CASCADE,
+    event TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    next_attempt_at TIMESTAMP,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Scheduled update jobs (models/job.js), a row is only added once a job is paused or resumed
+CREATE TABLE jobs (
+    name TEXT PRIMARY KEY,
+    is_paused BOOLEAN NOT NULL DEFAULT false
+);
+
+-- One row per run of a job, counts is what the job reported touching (ex: { "games": 4 })
+CREATE TABLE job_runs (
+    id SERIAL PRIMARY KEY,
+    job TEXT NOT NULL,
+    trigger TEXT NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+    triggered_by TEXT
+        REFERENCES users ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed', 'skipped')),
+    error TEXT,
+    counts JSONB,
+    started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMP
+);
+
+-- The lock: a job can only have one run going at a time
+CREATE UNIQUE INDEX job_runs_running ON job_runs (job) WHERE status = 'running';
+
+-- Items an update skipped because they failed (models/ingestFailure.js), ex: a player whose
+-- box scores couldn't be fetched, so the rest of the run could carry on
+CREATE TABLE ingest_failures (
+    id SERIAL PRIMARY KEY,
+    source TEXT NOT NULL,
+    item_id INTEGER NOT NULL,
+    error TEXT NOT NULL,
+    failed_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
 
 CREATE TABLE followed_teams (
@@ -112,6 +382,8 @@ CREATE TABLE team_stats (
     id SERIAL PRIMARY KEY,
     team_id INTEGER
         REFERENCES teams ON DELETE CASCADE,
+    season INTEGER NOT NULL
+        REFERENCES seasons ON DELETE CASCADE,
     games INTEGER DEFAULT 0,
     wins INTEGER DEFAULT 0,
     losses INTEGER DEFAULT 0,
@@ -137,13 +409,16 @@ CREATE TABLE team_stats (
     steals INTEGER NOT NULL,
     turnovers INTEGER NOT NULL,
     blocks INTEGER NOT NULL,
-    plus_minus INTEGER NOT NULL
+    plus_minus INTEGER NOT NULL,
+    UNIQUE (team_id, season)
 );
 
 CREATE TABLE season_stats (
     id SERIAL PRIMARY KEY,
     player_id INTEGER 
         REFERENCES players ON DELETE CASCADE,
+    season INTEGER NOT NULL
+        REFERENCES seasons ON DELETE CASCADE,
     gp INTEGER DEFAULT 0,
     minutes INTEGER NOT NULL,
     points INTEGER NOT NULL,
@@ -164,15 +439,20 @@ CREATE TABLE season_stats (
     steals INTEGER NOT NULL,
     turnovers INTEGER NOT NULL,
     blocks INTEGER NOT NULL,
-    plus_minus INTEGER NOT NULL
+    plus_minus INTEGER NOT NULL,
+    UNIQUE (player_id, season)
 );
 
+-- team_id is who the player played for in that game, which can differ from
+-- players.team_id once they're traded
 CREATE TABLE game_stats (
     id SERIAL PRIMARY KEY,
     player_id INTEGER 
         REFERENCES players ON DELETE CASCADE,
     game_id INTEGER
         REFERENCES games ON DELETE CASCADE,
+    team_id INTEGER
+        REFERENCES teams ON DELETE SET NULL,
     minutes INTEGER NOT NULL,
     points INTEGER NOT NULL,
     fgm INTEGER NOT NULL,
@@ -192,7 +472,8 @@ CREATE TABLE game_stats (
     steals INTEGER NOT NULL,
     turnovers INTEGER NOT NULL,
     blocks INTEGER NOT NULL,
-    plus_minus INTEGER NOT NULL
+    plus_minus INTEGER NOT NULL,
+    UNIQUE (player_id, game_id)
 );
 
 CREATE TABLE team_game_stats (
@@ -223,5 +504,6 @@ CREATE TABLE team_game_stats (
     steals INTEGER NOT NULL,
     turnovers INTEGER NOT NULL,
     blocks INTEGER NOT NULL,
-    plus_minus INTEGER NOT NULL
+    plus_minus INTEGER NOT NULL,
+    UNIQUE (team_id, game_id)
 );
@@ -0,0 +1,312 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { HttpClient } = require('./httpClient');
+const { API_REQUESTS_PER_MINUTE, API_REQUESTS_PER_DAY, API_MAX_RETRIES } = require('../config');
+
+const BASE_URL = 'https://v2.nba.api-sports.io/';
+const HOST = 'v2.nba.api-sports.io';
+
+/** Load the api-sports key from secrets.js, falling back to API_KEY env var */
+
+function getApiKey() {
+	try {
+		return require('../secrets') || process.env.API_KEY;
+	} catch (err) {
+		return process.env.API_KEY;
+	}
+}
+
+/** Given an endpoint and query params, return the path a recorded response
+ *  is stored at, ex: players/statistics + { game: 1 } =>
+ *  [dir]/players/statistics/game=1.json
+ **/
+
+function fixturePath(dir, endpoint, params = {}) {
+	const query = Object.keys(params)
+		.sort()
+		.map((key) => `${key}=${params[key]}`)
+		.join('&');
+	return path.join(dir, endpoint, `${query || 'index'}.json`);
+}
+
+/** Convert api-sports height object into display string */
+
+function formatHeight(height) {
+	if (!height || height.feets === null || height.feets === undefined) return 'Unknown';
+	if (height.inches === null || height.inches == 0) return height.feets + `'0"`;
+	return height.feets + "'" + height.inches + '"';
+}
+
+/** Convert api-sports weight object into display string */
+
+function formatWeight(weight) {
+	if (!weight || weight.pounds === null || weight.pounds === undefined) return 'Unknown';
+	return weight.pounds + ' lbs.';
+}
+
+/** Stats provider backed by the api-sports NBA v2 API.
+ *
+ * 	Every method returns data already normalized into the shape our DB uses,
+ * 	so models never need to know what the upstream response looks like.
+ *
+ * 	If recordDir is passed, every raw response is also written to disk so it
+ * 	can be replayed later by the FixtureProvider.
+ *
+ * 	Requests go through http (see httpClient.js), which keeps them within the
+ * 	API_REQUESTS_PER_MINUTE / API_REQUESTS_PER_DAY budget and retries rate
+ * 	limited and failed requests.
+ **/
+
+class ApiSportsProvider {
+	constructor({ recordDir = null, http } = {}) {
+		this.name = 'api-sports';
+		this.recordDir = recordDir;
+		this.http =
+			http ||
+			new HttpClient({
+				perMinute: API_REQUESTS_PER_MINUTE,
+				perDay: API_REQUESTS_PER_DAY,
+				maxRetries: API_MAX_RETRIES,
+			});
+	}
+
+	/** Make a request to the api-sports API and return the raw body
+	 *
+	 * 	Returns { results, response: [ ... ] }
+	 **/
+
+	async request(endpoint, params = {}) {
+		const headers = {
+			'x-rapidapi-key': getApiKey(),
+			'x-rapidapi-host': HOST,
+		};
+		const response = await this.http.get(BASE_URL + endpoint, { headers, params });
+
+		if (this.recordDir) {
+			const file = fixturePath(this.recordDir, endpoint, params);
+			fs.mkdirSync(path.dirname(file), { recursive: true });
+			fs.writeFileSync(file, JSON.stringify(response.data, null, '\t'));
+		}
+
+		return response.data;
+	}
+
+	/** Returns all NBA franchises
+	 *
+	 * 	Returns [ { id, code, nickname, name, city, logo, conference, division } ]
+	 **/
+
+	async getTeams() {
+		const data = await this.request('teams', { league: 'standard' });
+
+		// Only NBA franchises, team 37 is an all-star team flagged as one
+		return data.response
+			.filter((team) => team.nbaFranchise === true && team.id != 37)
+			.map((team) => ({
+				id: team.id,
+				code: team.code,
+				nickname: team.nickname,
+				name: team.name,
+				city: team.city,
+				logo: team.logo,
+				conference: team.leagues.standard.conference,
+				division: team.leagues.standard.division,
+			}));
+	}
+
+	/** Returns conference and division standings for a season
+	 *
+	 * 	Returns [ { teamId, name, conference, conferenceRank, division,
+	 * 				divisionRank, gamesBehind } ]
+	 **/
+
+	async getStandings(season) {
+		const data = await this.request('standings', { league: 'standard', season });
+
+		return data.response.map((team) => ({
+			teamId: team.team.id,
+			name: team.team.name,
+			conference: team.conference.name,
+			conferenceRank: team.conference.rank,
+			division: team.division.name,
+			divisionRank: team.division.rank,
+			gamesBehind: +team.division.gamesBehind || 0,
+		}));
+	}
+
+	/** Returns all players on a team's roster for a season
+	 *
+	 * 	Returns [ { id, firstName, lastName, birthday, height, weight, college,
+	 * 				number, position, teamId } ]
+	 **/
+
+	async getPlayers(teamId, season) {
+		const data = await this.request('players', { team: teamId, season });
+
+		return data.response.map((player) => ({
+			id: player.id,
+			firstName: player.firstname,
+			lastName: player.lastname,
+			birthday: player.birth.date,
+			height: formatHeight(player.height),
+			weight: formatWeight(player.weight),
+			college: player.college,
+			number: player.leagues.standard ? player.leagues.standard.jersey : null,
+			position: player.leagues.standard ? player.leagues.standard.pos : null,
+			teamId,
+		}));
+	}
+
+	/** Returns all games for a season */
+
+	async getGames(season) {
+		const data = await this.request('games', { league: 'standard', season });
+
+		return data.response.map((game) => this.normalizeGame(game));
+	}
+
+	/** Returns a single game or undefined if not found
+	 *
+	 * 	Returns { id, date, location, homeId, awayId, status, statusCode, clock,
+	 * 			  quarter, score, winner }
+	 **/
+
+	async getGame(gameId) {
+		const data = await this.request('games', { id: gameId });
+
+		if (!data.response.length) return undefined;
+
+		return this.normalizeGame(data.response[0]);
+	}
+
+	/** Returns team box scores for a game (empty if game hasn't started)
+	 *
+	 * 	Returns [ { teamId, gameId, fastBreakPoints, pointsInPaint,
+	 * 				secondChancePoints, pointsOffTurnovers, points, fgm, fga, fgp,
+	 * 				ftm, fta, ftp, tpm, tpa, tpp, offReb, defReb, totalReb,
+	 * 				assists, fouls, steals, turnovers, blocks, plusMinus } ]
+	 **/
+
+	async getGameTeamStats(gameId) {
+		const data = await this.request('games/statistics', { id: gameId });
+
+		if (!data.results) return [];
+
+		return data.response.map((ts) => {
+			const stats = ts.statistics[0];
+			return {
+				teamId: ts.team.id,
+				gameId: +gameId,
+				fastBreakPoints: stats.fastBreakPoints || 0,
+				pointsInPaint: stats.pointsInPaint || 0,
+				secondChancePoints: stats.secondChancePoints || 0,
+				pointsOffTurnovers: stats.pointsOffTurnovers || 0,
+				points: stats.points || 0,
+				fgm: stats.fgm || 0,
+				fga: stats.fga || 0,
+				fgp: +stats.fgp || 0,
+				ftm: stats.ftm || 0,
+				fta: stats.fta || 0,
+				ftp: +stats.ftp || 0,
+				tpm: stats.tpm || 0,
+				tpa: stats.tpa || 0,
+				tpp: +stats.tpp || 0,
+				offReb: stats.offReb || 0,
+				defReb: stats.defReb || 0,
+				totalReb: stats.offReb + stats.defReb || 0,
+				assists: stats.assists || 0,
+				fouls: stats.pFouls || 0,
+				steals: stats.steals || 0,
+				turnovers: stats.turnovers || 0,
+				blocks: stats.blocks || 0,
+				plusMinus: +stats.plusMinus || 0,
+			};
+		});
+	}
+
+	/** Returns player box scores filtered by any of playerId, gameId and season
+	 *
+	 * 	Returns [ { playerId, gameId, teamId, firstName, lastName, minutes,
+	 * 				points, fgm, fga, fgp, ftm, fta, ftp, tpm, tpa, tpp, offReb,
+	 * 				defReb, totalReb, assists, fouls, steals, turnovers, blocks,
+	 * 				plusMinus } ]
+	 **/
+
+	async getPlayerGameStats({ playerId, gameId, season } = {}) {
+		const params = {};
+		if (playerId) params.id = playerId;
+		if (gameId) params.game = gameId;
+		if (season) params.season = season;
+		const data = await this.request('players/statistics', params);
+
+		return data.response.map((ps) => ({
+			playerId: ps.player.id,
+			gameId: ps.game.id,
+			teamId: ps.team ? ps.team.id : null,
+			firstName: ps.player.firstname,
+			lastName: ps.player.lastname,
+			minutes: +ps.min || 0,
+			points: ps.points || 0,
+			fgm: ps.fgm || 0,
+			fga: ps.fga || 0,
+			fgp: +ps.fgp || 0,
+			ftm: ps.ftm || 0,
+			fta: ps.fta || 0,
+			ftp: +ps.ftp || 0,
+			tpm: ps.tpm || 0,
+			tpa: ps.tpa || 0,
+			tpp: +ps.tpp || 0,
+			offReb: ps.offReb || 0,
+			defReb: ps.defReb || 0,
+			totalReb: ps.offReb + ps.defReb || 0,
+			assists: ps.assists || 0,
+			fouls: ps.pFouls || 0,
+			steals: ps.steals || 0,
+			turnovers: ps.turnovers || 0,
+			blocks: ps.blocks || 0,
+			plusMinus: +ps.plusMinus || 0,
+		}));
+	}
+
+	/** Convert an api-sports game into the shape stored in games table
+	 *
+	 * 	Game Status from API: 1 - Not Started, 2 - Live, 3 - Finished
+	 **/
+
+	normalizeGame(game) {
+		let score;
+		let winner = null;
+
+		if (game.status.short === 1) {
+			score = 'TBD';
+		} else {
+			score = `${game.scores.home.points} - ${game.scores.visitors.points}`;
+		}
+
+		if (game.status.short === 3) {
+			if (game.scores.home.points > game.scores.visitors.points) {
+				winner = game.teams.home.id;
+			} else {
+				winner = game.teams.visitors.id;
+			}
+		}
+
+		return {
+			id: game.id,
+			date: game.date.start,
+			location: game.arena.name + ` (${game.arena.city})`,
+			homeId: game.teams.home.id,
+			awayId: game.teams.visitors.id,
+			status: game.status.long.toLowerCase(),
+			statusCode: game.status.short,
+			clock: game.status.clock,
+			quarter: game.periods.current,
+			score,
+			winner,
+		};
+	}
+}
+
+module.exports = { ApiSportsProvider, fixturePath };
@@ -0,0 +1,32 @@
+'use strict';
+
+const fs = require('fs');
+const { ApiSportsProvider, fixturePath } = require('./apiSports');
+
+/** Stats provider that replays api-sports responses recorded to disk.
+ *
+ * 	Responses are read from [dir]/[endpoint]/[query].json (see fixturePath),
+ * 	so no network access or API quota is needed. A request with no recorded
+ * 	response is treated as an empty result.
+ **/
+
+class FixtureProvider extends ApiSportsProvider {
+	constructor({ dir }) {
+		super();
+		this.name = 'fixture';
+		this.dir = dir;
+	}
+
+	async request(endpoint, params = {}) {
+		const file = fixturePath(this.dir, endpoint, params);
+
+		if (!fs.existsSync(file)) {
+			console.log(`No fixture recorded for ${endpoint} (${file})`);
+			return { results: 0, response: [] };
+		}
+
+		return JSON.parse(fs.readFileSync(file, 'utf8'));
+	}
+}
+
+module.exports = { FixtureProvider };
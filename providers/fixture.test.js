@@ -0,0 +1,125 @@
+const path = require('path');
+const { FixtureProvider } = require('./fixture.js');
+const { fixturePath } = require('./apiSports.js');
+
+const provider = new FixtureProvider({ dir: path.join(__dirname, '..', 'fixtures', 'api-sports') });
+
+/** Fixture paths */
+
+describe('fixture path', function () {
+	test('works', function () {
+		expect(fixturePath('/tmp', 'players/statistics', { season: 2023, game: 1, id: 2 })).toEqual(
+			path.join('/tmp', 'players/statistics', 'game=1&id=2&season=2023.json')
+		);
+	});
+});
+
+/** Teams */
+
+describe('get teams', function () {
+	test('works', async function () {
+		const teams = await provider.getTeams();
+		expect(teams.length).toEqual(3);
+		expect(teams[0]).toEqual({
+			id: 1,
+			code: 'BOS',
+			nickname: 'Celtics',
+			name: 'Boston Celtics',
+			city: 'Boston',
+			logo: 'celtics.jpg',
+			conference: 'East',
+			division: 'Atlantic',
+		});
+	});
+});
+
+/** Standings */
+
+describe('get standings', function () {
+	test('works', async function () {
+		const standings = await provider.getStandings(2023);
+		expect(standings.length).toEqual(3);
+		expect(standings[0].gamesBehind).toEqual(0);
+		expect(standings[1]).toEqual({
+			teamId: 2,
+			name: 'New York Knicks',
+			conference: 'east',
+			conferenceRank: 3,
+			division: 'atlantic',
+			divisionRank: 2,
+			gamesBehind: 17,
+		});
+	});
+});
+
+/** Players */
+
+describe('get players', function () {
+	test('works', async function () {
+		const players = await provider.getPlayers(1, 2023);
+		expect(players).toEqual([
+			{
+				id: 1,
+				firstName: 'Jayson',
+				lastName: 'Tatum',
+				birthday: '1998-03-03',
+				height: `6'8"`,
+				weight: '210 lbs.',
+				college: 'Duke',
+				number: 0,
+				position: 'F-G',
+				teamId: 1,
+			},
+		]);
+	});
+});
+
+/** Games */
+
+describe('get game', function () {
+	test('works for finished game', async function () {
+		const game = await provider.getGame(1);
+		expect(game.status).toEqual('finished');
+		expect(game.score).toEqual('100 - 90');
+		expect(game.winner).toEqual(1);
+		expect(game.location).toEqual('TD Garden (Boston)');
+	});
+
+	test('works for scheduled game', async function () {
+		const game = await provider.getGame(2);
+		expect(game.status).toEqual('scheduled');
+		expect(game.score).toEqual('TBD');
+		expect(game.winner).toEqual(null);
+	});
+
+	test('undefined if nothing recorded', async function () {
+		const game = await provider.getGame(100);
+		expect(game).toBeUndefined();
+	});
+});
+
+/** Box scores */
+
+describe('get box scores', function () {
+	test('team stats work', async function () {
+		const stats = await provider.getGameTeamStats(1);
+		expect(stats.length).toEqual(2);
+		expect(stats[0].teamId).toEqual(1);
+		expect(stats[0].totalReb).toEqual(stats[0].offReb + stats[0].defReb);
+		expect(stats[0].fgp).toEqual(45.6);
+	});
+
+	test('team stats empty if game not started', async function () {
+		const stats = await provider.getGameTeamStats(2);
+		expect(stats).toEqual([]);
+	});
+
+	test('player stats work', async function () {
+		const stats = await provider.getPlayerGameStats({ playerId: 1, season: 2023 });
+		expect(stats.length).toEqual(1);
+		expect(stats[0].playerId).toEqual(1);
+		expect(stats[0].gameId).toEqual(1);
+		expect(stats[0].minutes).toEqual(38);
+		expect(stats[0].totalReb).toEqual(10);
+	});
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+const axios = require('axios');
+const moment = require('moment');
+
+const delay = (ms) => new Promise((res) => setTimeout(res, ms));
+
+const MINUTE_MS = 60 * 1000;
+
+/** Thrown when the day's request budget is spent, retrying can't help until
+ * 	the budget resets at midnight UTC so ingestion runs stop instead of
+ * 	failing every remaining item
+ **/
+
+class BudgetExhaustedError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'BudgetExhaustedError';
+	}
+}
+
+/** Given a failed request, return whether it's worth retrying: rate limited
+ * 	(429), an upstream server error (5xx) or no response at all
+ **/
+
+function isRetryable(err) {
+	if (!err.response) return !!err.request;
+	const { status } = err.response;
+	return status === 429 || status >= 500;
+}
+
+/** Given a failed request, return the milliseconds its Retry-After header
+ * 	asks us to wait or null if it has none
+ **/
+
+function retryAfterMs(err) {
+	const header = err.response && err.response.headers['retry-after'];
+	if (header === undefined) return null;
+
+	const seconds = Number(header);
+	if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+
+	const date = Date.parse(header);
+	return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/** HTTP client shared by every upstream request.
+ *
+ * 	Requests are held to perMinute (a rolling minute, waits for room) and
+ * 	perDay (resets at midnight UTC, throws BudgetExhaustedError once spent).
+ * 	Every attempt counts against the budget, including retries.
+ *
+ * 	429s, 5xxs and network errors are retried up to maxRetries times, waiting
+ * 	backoffMs, then doubling each retry, unless the response sends a
+ * 	Retry-After.
+ *
+ * 	now and sleep can be swapped out so tests don't have to wait.
+ **/
+
+class HttpClient {
+	constructor({ perMinute, perDay, maxRetries = 4, backoffMs = 1000, now = Date.now, sleep = delay }) {
+		this.perMinute = perMinute;
+		this.perDay = perDay;
+		this.maxRetries = maxRetries;
+		this.backoffMs = backoffMs;
+		this.now = now;
+		this.sleep = sleep;
+		this.sent = [];
+		this.day = null;
+		this.usedToday = 0;
+	}
+
+	/** Make a GET request within budget, retrying if it fails with a
+	 * 	retryable error
+	 *
+	 * 	Returns the axios response
+	 *
+	 * 	Throws BudgetExhaustedError if the day's budget is spent, or the last
+	 * 	error once retries run out
+	 **/
+
+	async get(url, config = {}) {
+		for (let attempt = 0; ; attempt++) {
+			await this.take();
+			try {
+				const res = await axios.get(url, config);
+				this.sync(res.headers);
+				return res;
+			} catch (err) {
+				if (err.response) this.sync(err.response.headers);
+				if (!isRetryable(err) || attempt >= this.maxRetries) throw err;
+
+				const wait = retryAfterMs(err) ?? this.backoffMs * 2 ** attempt;
+				const reason = err.response ? err.response.status : err.code;
+				console.log(`Request to ${url} failed (${reason}), retry ${attempt + 1} in ${wait}ms`);
+				await this.sleep(wait);
+			}
+		}
+	}
+
+	/** Returns { minute, day } requests left in the budget right now */
+
+	remaining() {
+		this.rollover();
+		return {
+			minute: Math.max(this.perMinute - this.sent.length, 0),
+			day: Math.max(this.perDay - this.usedToday, 0),
+		};
+	}
+
+	/** Spend one request from the budget, waiting for room in the minute
+	 *
+	 * 	Throws BudgetExhaustedError if the day's budget is spent
+	 **/
+
+	async take() {
+		this.rollover();
+		if (this.usedToday >= this.perDay)
+			throw new BudgetExhaustedError(`Daily budget of ${this.perDay} upstream requests is spent`);
+
+		while (this.sent.length >= this.perMinute) {
+			await this.sleep(this.sent[0] + MINUTE_MS - this.now());
+			this.rollover();
+		}
+
+		this.sent.push(this.now());
+		this.usedToday++;
+	}
+
+	/** Forget requests older than a minute and reset the day's count when the
+	 * 	UTC date changes
+	 **/
+
+	rollover() {
+		const now = this.now();
+		const today = moment.utc(now).format('YYYY-MM-DD');
+		if (today !== this.day) {
+			this.day = today;
+			this.usedToday = 0;
+		}
+		this.sent = this.sent.filter((time) => time > now - MINUTE_MS);
+	}
+
+	/** Given response headers, catch up with what upstream says is left of the
+	 * 	day's quota (ex: after a restart forgot what was already spent)
+	 **/
+
+	sync(headers = {}) {
+		const left = Number(headers['x-ratelimit-requests-remaining']);
+		if (headers['x-ratelimit-requests-remaining'] === undefined || !Number.isFinite(left)) return;
+
+		this.usedToday = Math.max(this.usedToday, this.perDay - left);
+	}
+}
+
+module.exports = { HttpClient, BudgetExhaustedError };
@@ -0,0 +1,135 @@
+const http = require('http');
+const { HttpClient, BudgetExhaustedError } = require('./httpClient.js');
+
+// Upstream stand-in, each request gets the next queued response ({ status, headers })
+let server;
+let url;
+let queue = [];
+let received = 0;
+
+beforeAll(function (done) {
+	server = http.createServer((req, res) => {
+		received++;
+		const { status = 200, headers = {} } = queue.shift() || {};
+		res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+		res.end(JSON.stringify({ status }));
+	});
+	server.listen(0, () => {
+		url = `http://localhost:${server.address().port}/games`;
+		done();
+	});
+});
+
+beforeEach(function () {
+	queue = [];
+	received = 0;
+});
+
+afterAll(function (done) {
+	server.close(done);
+});
+
+/** Given options, return a client on a fake clock, sleeping moves the clock
+ * 	forward and every wait is kept in waits
+ **/
+
+function fakeClient(options) {
+	const clock = { time: Date.parse('2024-01-02T12:00:00Z'), waits: [] };
+	const client = new HttpClient({
+		perMinute: 100,
+		perDay: 1000,
+		backoffMs: 1000,
+		now: () => clock.time,
+		sleep: async (ms) => {
+			clock.waits.push(ms);
+			clock.time += ms;
+		},
+		...options,
+	});
+	return { client, clock };
+}
+
+/** Retries */
+
+describe('get', function () {
+	test('works', async function () {
+		const { client } = fakeClient();
+		const res = await client.get(url);
+		expect(res.data).toEqual({ status: 200 });
+		expect(received).toEqual(1);
+	});
+
+	test('retries 429s and 5xxs with exponential backoff', async function () {
+		const { client, clock } = fakeClient();
+		queue = [{ status: 429 }, { status: 503 }, { status: 500 }];
+		const res = await client.get(url);
+		expect(res.data).toEqual({ status: 200 });
+		expect(received).toEqual(4);
+		expect(clock.waits).toEqual([1000, 2000, 4000]);
+	});
+
+	test('waits as long as Retry-After asks', async function () {
+		const { client, clock } = fakeClient();
+		queue = [{ status: 429, headers: { 'Retry-After': '30' } }];
+		await client.get(url);
+		expect(clock.waits).toEqual([30000]);
+	});
+
+	test('gives up after maxRetries', async function () {
+		const { client } = fakeClient({ maxRetries: 2 });
+		queue = [{ status: 503 }, { status: 503 }, { status: 503 }, { status: 503 }];
+		await expect(client.get(url)).rejects.toThrow('status code 503');
+		expect(received).toEqual(3);
+	});
+
+	test("doesn't retry other errors", async function () {
+		const { client } = fakeClient();
+		queue = [{ status: 404 }];
+		await expect(client.get(url)).rejects.toThrow('status code 404');
+		expect(received).toEqual(1);
+	});
+});
+
+/** Budget */
+
+describe('budget', function () {
+	test('waits for room in the minute', async function () {
+		const { client, clock } = fakeClient({ perMinute: 2 });
+		await client.get(url);
+		clock.time += 10000;
+		await client.get(url);
+		await client.get(url);
+		expect(clock.waits).toEqual([50000]);
+		expect(client.remaining()).toEqual({ minute: 0, day: 997 });
+	});
+
+	test('throws once the day is spent', async function () {
+		const { client } = fakeClient({ perDay: 2 });
+		await client.get(url);
+		await client.get(url);
+		await expect(client.get(url)).rejects.toThrow(BudgetExhaustedError);
+		expect(received).toEqual(2);
+	});
+
+	test('retries count against the budget', async function () {
+		const { client } = fakeClient({ perDay: 2 });
+		queue = [{ status: 503 }, { status: 503 }];
+		await expect(client.get(url)).rejects.toThrow(BudgetExhaustedError);
+		expect(received).toEqual(2);
+	});
+
+	test('resets at midnight UTC', async function () {
+		const { client, clock } = fakeClient({ perDay: 1 });
+		await client.get(url);
+		clock.time = Date.parse('2024-01-03T00:00:01Z');
+		await client.get(url);
+		expect(received).toEqual(2);
+	});
+
+	test('catches up with the quota upstream reports', async function () {
+		const { client } = fakeClient();
+		queue = [{ headers: { 'x-ratelimit-requests-remaining': '10' } }];
+		await client.get(url);
+		expect(client.remaining().day).toEqual(10);
+	});
+});
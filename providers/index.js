@@ -0,0 +1,51 @@
+'use strict';
+
+/** Stats providers supply teams, players, games, box scores and standings.
+ *
+ * 	Which one is used is controlled by STATS_PROVIDER (see config.js):
+ * 		"api-sports" - live data from v2.nba.api-sports.io
+ * 		"fixture"    - recorded api-sports responses replayed from disk
+ **/
+
+const { STATS_PROVIDER, STATS_FIXTURE_DIR, STATS_RECORD_DIR } = require('../config');
+const { ApiSportsProvider } = require('./apiSports');
+const { FixtureProvider } = require('./fixture');
+
+let provider;
+
+/** Create a provider by name
+ *
+ * 	Throws Error if name is not a known provider
+ **/
+
+function createProvider(name) {
+	switch (name) {
+		case 'api-sports':
+			return new ApiSportsProvider({ recordDir: STATS_RECORD_DIR });
+		case 'fixture':
+			return new FixtureProvider({ dir: STATS_FIXTURE_DIR });
+		default:
+			throw new Error(`Unknown stats provider: ${name}`);
+	}
+}
+
+/** Return the configured provider, creating it on first use */
+
+function getProvider() {
+	if (!provider) provider = createProvider(STATS_PROVIDER);
+	return provider;
+}
+
+/** Swap in a different provider (ex: a FixtureProvider in a script) */
+
+function setProvider(newProvider) {
+	provider = newProvider;
+}
+
+module.exports = {
+	getProvider,
+	setProvider,
+	createProvider,
+	ApiSportsProvider,
+	FixtureProvider,
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+/** Routes for achievements. */
+
+const express = require('express');
+const Achievement = require('../models/achievement');
+
+const router = express.Router();
+
+/** GET / => { achievements }
+ *
+ * 	Returns every badge that can be earned
+ * 		[ { code, name, description, earnedBy }, ... ]
+ * 		Where earnedBy is the number of users with the badge
+ *
+ * 	Authorization required: none
+ **/
+
+router.get('/', async function (req, res, next) {
+	try {
+		const achievements = await Achievement.catalog();
+		return res.json({ achievements });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+module.exports = router;
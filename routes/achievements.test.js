@@ -0,0 +1,26 @@
+const request = require('supertest');
+const app = require('../app.js');
+const db = require('../db.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** GET /achievements */
+
+describe('GET /achievements', function () {
+	test('works', async function () {
+		await db.query(`INSERT INTO user_achievements (username, code) VALUES ('User', 'first-parlay')`);
+		const resp = await request(app).get('/achievements');
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.achievements.length).toEqual(4);
+		expect(resp.body.achievements).toContainEqual({
+			code: 'first-parlay',
+			name: 'Cashed Slip',
+			description: 'Hit your first parlay',
+			earnedBy: 1,
+		});
+	});
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+/** Routes for head to head challenges. */
+
+const jsonschema = require('jsonschema');
+const express = require('express');
+const { ensureLoggedIn } = require('../middleware/auth');
+const { BadRequestError } = require('../expressError');
+const challengeNewSchema = require('../schemas/challengeNew.json');
+const Challenge = require('../models/challenge');
+
+const router = express.Router();
+
+/** GET / => { challenges }
+ *
+ * 	Returns the challenges the logged in user is in
+ * 		[ { id, challenger, opponent, date, picksPerUser, status, winner, createdAt, scores }, ... ]
+ *
+ * 	Authorization required: must be logged in
+ **/
+
+router.get('/', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const challenges = await Challenge.forUser(res.locals.user.username);
+		return res.json({ challenges });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST / { opponent, date, picksPerUser } => { challenge }
+ *
+ * 	Challenges the opponent to a duel on the date's games (YYYY-MM-DD),
+ * 	each user's first picksPerUser picks (default 3) on them count
+ *
+ * 	Returns { id, challenger, opponent, date, picksPerUser, status, winner, createdAt, scores, games }
+ *
+ * 	Authorization required: must be logged in
+ **/
+
+router.post('/', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const validator = jsonschema.validate(req.body, challengeNewSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const challenge = await Challenge.create(res.locals.user.username, req.body);
+		return res.status(201).json({ challenge });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /[id] => { challenge }
+ *
+ * 	Returns { id, challenger, opponent, date, picksPerUser, status, winner, createdAt, scores, games }
+ *
+ * 	Authorization required: must be the challenger or opponent
+ **/
+
+router.get('/:id', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const challenge = await Challenge.get(+req.params.id, res.locals.user.username);
+		return res.json({ challenge });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /[id]/accept => { challenge }
+ *
+ * 	Authorization required: must be the opponent
+ **/
+
+router.post('/:id/accept', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const challenge = await Challenge.respond(+req.params.id, res.locals.user.username, true);
+		return res.json({ challenge });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /[id]/decline => { challenge }
+ *
+ * 	Authorization required: must be the opponent
+ **/
+
+router.post('/:id/decline', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const challenge = await Challenge.respond(+req.params.id, res.locals.user.username, false);
+		return res.json({ challenge });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const request = require('supertest');
+const moment = require('moment');
+const app = require('../app.js');
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	adminToken,
+	userToken,
+} = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+// Date of game 2, the only game still open for picks
+const openDate = moment().add(7, 'days').format('YYYY-MM-DD');
+
+async function addChallenge() {
+	const resp = await request(app)
+		.post('/challenges')
+		.send({ opponent: 'Admin', date: openDate })
+		.set('authorization', userToken);
+	return resp.body.challenge;
+}
+
+/** POST /challenges */
+
+describe('POST /challenges', function () {
+	test('works', async function () {
+		const resp = await request(app)
+			.post('/challenges')
+			.send({ opponent: 'Admin', date: openDate, picksPerUser: 2 })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body.challenge).toEqual(
+			expect.objectContaining({ challenger: 'User', opponent: 'Admin', date: openDate, picksPerUser: 2, status: 'pending' })
+		);
+	});
+
+	test('bad request with invalid date', async function () {
+		const resp = await request(app)
+			.post('/challenges')
+			.send({ opponent: 'Admin', date: 'tomorrow' })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for anon', async function () {
+		const resp = await request(app).post('/challenges').send({ opponent: 'Admin', date: openDate });
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/** GET /challenges */
+
+describe('GET /challenges', function () {
+	test('works', async function () {
+		const { id } = await addChallenge();
+		const resp = await request(app).get('/challenges').set('authorization', adminToken);
+		expect(resp.body.challenges).toEqual([expect.objectContaining({ id, scores: { User: 0, Admin: 0 } })]);
+	});
+});
+
+/** GET /challenges/:id */
+
+describe('GET /challenges/:id', function () {
+	test('works', async function () {
+		const { id } = await addChallenge();
+		const resp = await request(app).get(`/challenges/${id}`).set('authorization', adminToken);
+		expect(resp.body.challenge.games.length).toEqual(1);
+	});
+
+	test('not found if no such challenge', async function () {
+		const resp = await request(app).get('/challenges/0').set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/** POST /challenges/:id/accept and decline */
+
+describe('POST /challenges/:id/accept', function () {
+	test('works for opponent', async function () {
+		const { id } = await addChallenge();
+		const resp = await request(app).post(`/challenges/${id}/accept`).set('authorization', adminToken);
+		expect(resp.body.challenge.status).toEqual('accepted');
+	});
+
+	test('forbidden for challenger', async function () {
+		const { id } = await addChallenge();
+		const resp = await request(app).post(`/challenges/${id}/accept`).set('authorization', userToken);
+		expect(resp.statusCode).toEqual(403);
+	});
+});
+
+describe('POST /challenges/:id/decline', function () {
+	test('works for opponent', async function () {
+		const { id } = await addChallenge();
+		const resp = await request(app).post(`/challenges/${id}/decline`).set('authorization', adminToken);
+		expect(resp.body.challenge.status).toEqual('declined');
+	});
+
+	test('bad request once responded', async function () {
+		const { id } = await addChallenge();
+		await request(app).post(`/challenges/${id}/decline`).set('authorization', adminToken);
+		const resp = await request(app).post(`/challenges/${id}/accept`).set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+});
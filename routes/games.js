@@ -4,15 +4,18 @@
 
 const express = require('express');
 const { authenticateJWT, ensureLoggedIn } = require('../middleware/auth');
+const { subscribe, openStream } = require('../helpers/liveFeed');
 const Game = require('../models/game');
 
 const router = express.Router();
 
 /** GET / => { games }
+ *
+ * Optionally include ?season=year, defaults to current season
  *
  * Returns [ {game }, { game }, ...]
  *
- *  Where game is { id, date, location, homeId, homeName,
+ *  Where game is { id, season, date, location, homeId, homeName,
  *                  homeCode, homeLogo, awayId, awayName,
  * 			        awayCode, awayLogo, clock, score }
  *
@@ -21,13 +24,53 @@ const router = express.Router();
 
 router.get('/', authenticateJWT, ensureLoggedIn, async function (req, res, next) {
 	try {
-		const games = await Game.getAll();
+		const games = await Game.getAll(req.query.season);
 		return res.json({ games });
 	} catch (err) {
 		return next(err);
 	}
 });
 
+/** GET /live/stream => Server-Sent Events
+ *
+ * 	Starts with a snapshot event { games } of the games in play, then pushes
+ * 	events with only what changed as the update jobs write them:
+ * 		game: { gameId, status, score, clock, quarter }
+ * 		boxScore: { gameId, playerId, stats }
+ * 		teamBoxScore: { gameId, teamId, stats }
+ *
+ * 	Optionally include ?gameId= to follow a single game
+ *
+ * 	Authorization required: must be logged in
+ **/
+
+router.get('/live/stream', authenticateJWT, ensureLoggedIn, async function (req, res, next) {
+	let closed = false;
+	let unsubscribe = () => {};
+
+	try {
+		const gameId = req.query.gameId ? Number(req.query.gameId) : null;
+		// Listen for the client leaving before anything is awaited so a stream
+		// closed early never subscribes
+		const send = openStream(req, res, () => {
+			closed = true;
+			unsubscribe();
+		});
+
+		const games = (await Game.live()).filter((g) => !gameId || g.id === gameId);
+		if (closed) return;
+
+		send('snapshot', { games });
+		unsubscribe = subscribe(({ event, data }) => {
+			if (!gameId || data.gameId === gameId) send(event, data);
+		});
+	} catch (err) {
+		if (!res.headersSent) return next(err);
+		console.error(err);
+		res.end();
+	}
+});
+
 /** GET /[gameId] => { game }
  *
  *  Returns { id, date, location, homeId, homeName,
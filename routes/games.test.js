@@ -1,18 +1,30 @@
 const request = require('supertest');
 const app = require('../app.js');
+const db = require('../db.js');
+const { publish } = require('../helpers/liveFeed');
 const {
 	commonBeforeAll,
 	commonBeforeEach,
 	commonAfterEach,
 	commonAfterAll,
+	openEventStream,
 	adminToken,
 	userToken,
 } = require('../_testCommon.js');
 
-beforeAll(commonBeforeAll);
+// Event streams need a listening server
+let server;
+
+beforeAll(async function () {
+	await commonBeforeAll();
+	await new Promise((resolve) => (server = app.listen(0, resolve)));
+});
 beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
-afterAll(commonAfterAll);
+afterAll(async function () {
+	await new Promise((resolve) => server.close(resolve));
+	await commonAfterAll();
+});
 
 /** GET /games/ */
 
@@ -23,6 +35,12 @@ describe('GET /games/', function () {
 		expect(resp.body.games.length).toEqual(2);
 	});
 
+	test('works for a past season', async function () {
+		const resp = await request(app).get('/games?season=2022').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.games.length).toEqual(0);
+	});
+
 	test('unauth if not logged in', async function () {
 		const resp = await request(app).get('/games');
 		expect(resp.statusCode).toEqual(401);
@@ -77,3 +95,46 @@ describe('GET /games/[gameId]/top', function () {
 		expect(resp.statusCode).toEqual(401);
 	});
 });
+
+/** GET /games/live/stream */
+
+describe('GET /games/live/stream', function () {
+	test('works', async function () {
+		await db.query(`UPDATE games SET status = 'in play', score = '50 - 48' WHERE id = 2`);
+		const stream = await openEventStream(server, '/games/live/stream', userToken);
+		expect(stream.statusCode).toEqual(200);
+
+		const [snapshot] = await stream.waitFor(1);
+		expect(snapshot.event).toEqual('snapshot');
+		expect(snapshot.data.games.map((g) => [g.id, g.score])).toEqual([[2, '50 - 48']]);
+
+		publish('game', { gameId: 2, score: '52 - 48' });
+		publish('boxScore', { gameId: 2, playerId: 2, stats: { points: 10 } });
+		const events = await stream.waitFor(3);
+		stream.close();
+
+		expect(events.slice(1)).toEqual([
+			{ event: 'game', data: { gameId: 2, score: '52 - 48' } },
+			{ event: 'boxScore', data: { gameId: 2, playerId: 2, stats: { points: 10 } } },
+		]);
+	});
+
+	test('works for a single game', async function () {
+		const stream = await openEventStream(server, '/games/live/stream?gameId=2', userToken);
+		await stream.waitFor(1);
+		publish('game', { gameId: 1, score: '102 - 90' });
+		publish('game', { gameId: 2, score: '2 - 0' });
+		const events = await stream.waitFor(2);
+		stream.close();
+
+		expect(events).toEqual([
+			{ event: 'snapshot', data: { games: [] } },
+			{ event: 'game', data: { gameId: 2, score: '2 - 0' } },
+		]);
+	});
+
+	test('unauth if not logged in', async function () {
+		const resp = await request(app).get('/games/live/stream');
+		expect(resp.statusCode).toEqual(401);
+	});
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+/** Routes for the update job registry. */
+
+const express = require('express');
+const { ensureAdmin } = require('../middleware/auth');
+const { BadRequestError } = require('../expressError');
+const Job = require('../models/job');
+const IngestFailure = require('../models/ingestFailure');
+
+const router = express.Router();
+
+const MAX_LIMIT = 100;
+
+/** GET / => { jobs }
+ *
+ * 	Returns every update job and its last run
+ * 		[ { name, description, isPaused, lastRun }, ... ]
+ *
+ * 	Authorization required: admin
+ **/
+
+router.get('/', ensureAdmin, async function (req, res, next) {
+	try {
+		const jobs = await Job.list();
+		return res.json({ jobs });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /failures => { failures }
+ *
+ * 	Returns the items update jobs most recently failed on and skipped, newest
+ * 	first, optionally include ?limit= (default 20, up to 100)
+ * 		[ { id, source, itemId, error, failedAt }, ... ]
+ *
+ * 	Authorization required: admin
+ **/
+
+router.get('/failures', ensureAdmin, async function (req, res, next) {
+	try {
+		const failures = await IngestFailure.recent(parseLimit(req.query.limit));
+		return res.json({ failures });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /[name]/runs => { runs }
+ *
+ * 	Returns the job's most recent runs, newest first, optionally include
+ * 	?limit= (default 20, up to 100)
+ * 		[ { id, job, trigger, triggeredBy, status, error, counts, startedAt, finishedAt }, ... ]
+ *
+ * 	Authorization required: admin
+ **/
+
+router.get('/:name/runs', ensureAdmin, async function (req, res, next) {
+	try {
+		const runs = await Job.history(req.params.name, parseLimit(req.query.limit));
+		return res.json({ runs });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /[name]/run => { run }
+ *
+ * 	Runs the job now, even if it's paused, and returns the finished run
+ * 		{ id, job, trigger, triggeredBy, status, error, counts, startedAt, finishedAt }
+ * 	status is "skipped" if the job was already running
+ *
+ * 	Authorization required: admin
+ **/
+
+router.post('/:name/run', ensureAdmin, async function (req, res, next) {
+	try {
+		const run = await Job.run(req.params.name, { trigger: 'manual', username: res.locals.user.username });
+		return res.json({ run });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /[name]/pause => { job }
+ *
+ * 	Skips the job's scheduled runs until it's resumed
+ *
+ * 	Returns { name, isPaused }
+ *
+ * 	Authorization required: admin
+ **/
+
+router.post('/:name/pause', ensureAdmin, async function (req, res, next) {
+	try {
+		const job = await Job.setPaused(req.params.name, true);
+		return res.json({ job });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /[name]/resume => { job }
+ *
+ * 	Returns { name, isPaused }
+ *
+ * 	Authorization required: admin
+ **/
+
+router.post('/:name/resume', ensureAdmin, async function (req, res, next) {
+	try {
+		const job = await Job.setPaused(req.params.name, false);
+		return res.json({ job });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** Given the ?limit= query param, return it as a number (default 20)
+ *
+ * 	Throws BadRequestError if it isn't an integer from 1 to MAX_LIMIT
+ **/
+
+function parseLimit(query) {
+	const limit = query === undefined ? 20 : Number(query);
+	if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)
+		throw new BadRequestError(`Limit must be an integer from 1 to ${MAX_LIMIT}`);
+
+	return limit;
+}
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const request = require('supertest');
+const app = require('../app.js');
+const db = require('../db.js');
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	adminToken,
+	userToken,
+} = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** GET /jobs */
+
+describe('GET /jobs', function () {
+	test('works for admin', async function () {
+		const resp = await request(app).get('/jobs').set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.jobs.length).toEqual(5);
+	});
+
+	test('unauth for users', async function () {
+		const resp = await request(app).get('/jobs').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/** POST /jobs/:name/run */
+
+describe('POST /jobs/:name/run', function () {
+	test('works', async function () {
+		const resp = await request(app).post('/jobs/settle/run').set('authorization', adminToken);
+		expect(resp.body.run).toEqual(
+			expect.objectContaining({ job: 'settle', trigger: 'manual', triggeredBy: 'Admin', status: 'succeeded' })
+		);
+
+		const runsResp = await request(app).get('/jobs/settle/runs').set('authorization', adminToken);
+		expect(runsResp.body.runs).toEqual([resp.body.run]);
+	});
+
+	test('not found if no such job', async function () {
+		const resp = await request(app).post('/jobs/nope/run').set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test('unauth for users', async function () {
+		const resp = await request(app).post('/jobs/settle/run').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/** GET /jobs/:name/runs */
+
+describe('GET /jobs/:name/runs', function () {
+	test('bad request with invalid limit', async function () {
+		const resp = await request(app).get('/jobs/settle/runs?limit=0').set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+});
+
+/** POST /jobs/:name/pause and /resume */
+
+describe('POST /jobs/:name/pause', function () {
+	test('works', async function () {
+		const resp = await request(app).post('/jobs/frequent/pause').set('authorization', adminToken);
+		expect(resp.body).toEqual({ job: { name: 'frequent', isPaused: true } });
+
+		const resumeResp = await request(app).post('/jobs/frequent/resume').set('authorization', adminToken);
+		expect(resumeResp.body).toEqual({ job: { name: 'frequent', isPaused: false } });
+	});
+
+	test('unauth for users', async function () {
+		const resp = await request(app).post('/jobs/frequent/pause').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
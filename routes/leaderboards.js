@@ -0,0 +1,33 @@
+'use strict';
+
+/** Routes for leaderboards. */
+
+const express = require('express');
+const { authenticateJWT, ensureLoggedIn } = require('../middleware/auth');
+const Leaderboard = require('../models/leaderboard');
+
+const router = express.Router();
+
+/** GET / => { leaderboard }
+ *
+ * 	Can filter with query params period (daily, weekly, monthly, season),
+ * 	type (all, player, team) and stat (all, points, tpm, rebounds, assists,
+ * 	steals, blocks)
+ *
+ * 	Returns { period, type, stat, computedAt, rankings }
+ * 		Where rankings is [ { rank, username, record, winRate, wins, losses, pushes, points }, ... ]
+ *
+ * 	Authorization required: must be logged in
+ **/
+
+router.get('/', authenticateJWT, ensureLoggedIn, async function (req, res, next) {
+	try {
+		const { period, type, stat } = req.query;
+		const leaderboard = await Leaderboard.get({ period, type, stat });
+		return res.json({ leaderboard });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+module.exports = router;
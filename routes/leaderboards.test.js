@@ -0,0 +1,56 @@
+const request = require('supertest');
+const app = require('../app.js');
+const db = require('../db.js');
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	adminToken,
+	userToken,
+} = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** GET /leaderboards */
+
+describe('GET /leaderboards', function () {
+	test('works', async function () {
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value, result)
+			VALUES ('User', 1, 1, 'points', 'OVER', 30.5, 150, 'win')`
+		);
+		await request(app).patch('/update/leaderboards').set('authorization', adminToken);
+
+		const resp = await request(app)
+			.get('/leaderboards')
+			.query({ period: 'season', type: 'player', stat: 'points' })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.leaderboard.rankings).toEqual([
+			{ rank: 1, username: 'User', record: '1 - 0', winRate: 1, wins: 1, losses: 0, pushes: 0, points: 150 },
+		]);
+	});
+
+	test('bad request with invalid period', async function () {
+		const resp = await request(app).get('/leaderboards').query({ period: 'yearly' }).set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth if not logged in', async function () {
+		const resp = await request(app).get('/leaderboards');
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/** PATCH /update/leaderboards */
+
+describe('PATCH /update/leaderboards', function () {
+	test('unauth for non admin', async function () {
+		const resp = await request(app).patch('/update/leaderboards').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
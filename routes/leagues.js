@@ -0,0 +1,150 @@
+'use strict';
+
+/** Routes for private leagues. */
+
+const jsonschema = require('jsonschema');
+const express = require('express');
+const { ensureLoggedIn } = require('../middleware/auth');
+const { BadRequestError } = require('../expressError');
+const leagueNewSchema = require('../schemas/leagueNew.json');
+const leagueUpdateSchema = require('../schemas/leagueUpdate.json');
+const leagueJoinSchema = require('../schemas/leagueJoin.json');
+const League = require('../models/league');
+
+const router = express.Router();
+
+/** GET / => { leagues }
+ *
+ * 	Returns the leagues the logged in user is in
+ * 		[ { id, name, commissioner, members }, ... ]
+ *
+ * 	Authorization required: must be logged in
+ **/
+
+router.get('/', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const leagues = await League.forUser(res.locals.user.username);
+		return res.json({ leagues });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST / { name, allowedStats, picksPerDay } => { league }
+ *
+ * 	Creates a league with the logged in user as commissioner
+ *
+ * 	Returns { id, name, inviteCode, commissioner, allowedStats, picksPerDay, createdAt, members }
+ *
+ * 	Authorization required: must be logged in
+ **/
+
+router.post('/', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const validator = jsonschema.validate(req.body, leagueNewSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const league = await League.create(res.locals.user.username, req.body);
+		return res.status(201).json({ league });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /join { inviteCode } => { league }
+ *
+ * 	Adds the logged in user to the league with the invite code
+ *
+ * 	Returns { id, name, inviteCode, commissioner, allowedStats, picksPerDay, createdAt, members }
+ *
+ * 	Authorization required: must be logged in
+ **/
+
+router.post('/join', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const validator = jsonschema.validate(req.body, leagueJoinSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const league = await League.join(res.locals.user.username, req.body.inviteCode);
+		return res.json({ league });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /[id] => { league }
+ *
+ * 	Returns { id, name, inviteCode, commissioner, allowedStats, picksPerDay, createdAt, members }
+ * 		Where members is [ { username, joinedAt }, ... ]
+ *
+ * 	Authorization required: must be a member
+ **/
+
+router.get('/:id', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const league = await League.get(+req.params.id, res.locals.user.username);
+		return res.json({ league });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /[id]/leaderboard => { leaderboard }
+ *
+ * 	Returns [ { rank, username, record, winRate, wins, losses, pushes, points }, ... ]
+ *
+ * 	Authorization required: must be a member
+ **/
+
+router.get('/:id/leaderboard', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const leaderboard = await League.leaderboard(+req.params.id, res.locals.user.username);
+		return res.json({ leaderboard });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /[id] { name, allowedStats, picksPerDay } => { league }
+ *
+ * 	Returns { id, name, inviteCode, commissioner, allowedStats, picksPerDay, createdAt, members }
+ *
+ * 	Authorization required: must be the commissioner
+ **/
+
+router.patch('/:id', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const validator = jsonschema.validate(req.body, leagueUpdateSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const league = await League.update(+req.params.id, res.locals.user.username, req.body);
+		return res.json({ league });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** DELETE /[id]/members/[username] => { removed: username }
+ *
+ * 	Authorization required: must be the member leaving or the commissioner
+ **/
+
+router.delete('/:id/members/:username', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const { username } = await League.removeMember(+req.params.id, res.locals.user.username, req.params.username);
+		return res.json({ removed: username });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+module.exports = router;
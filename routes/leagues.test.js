@@ -0,0 +1,136 @@
+const request = require('supertest');
+const app = require('../app.js');
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	adminToken,
+	userToken,
+} = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Create a league run by Admin and have User join it */
+
+async function addLeague() {
+	const resp = await request(app).post('/leagues').send({ name: 'Office' }).set('authorization', adminToken);
+	await request(app).post('/leagues/join').send({ inviteCode: resp.body.league.inviteCode }).set('authorization', userToken);
+	return resp.body.league;
+}
+
+/** POST /leagues */
+
+describe('POST /leagues', function () {
+	test('works', async function () {
+		const resp = await request(app)
+			.post('/leagues')
+			.send({ name: 'Office', allowedStats: ['points'], picksPerDay: 2 })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body.league).toEqual(
+			expect.objectContaining({ name: 'Office', commissioner: 'User', allowedStats: ['points'], picksPerDay: 2 })
+		);
+	});
+
+	test('bad request with invalid settings', async function () {
+		const resp = await request(app)
+			.post('/leagues')
+			.send({ name: 'Office', picksPerDay: 0 })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for anon', async function () {
+		const resp = await request(app).post('/leagues').send({ name: 'Office' });
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/** POST /leagues/join */
+
+describe('POST /leagues/join', function () {
+	test('works', async function () {
+		const { id } = await addLeague();
+		const resp = await request(app).get(`/leagues/${id}`).set('authorization', userToken);
+		expect(resp.body.league.members.map((m) => m.username)).toEqual(['Admin', 'User']);
+	});
+
+	test('not found with bad invite code', async function () {
+		const resp = await request(app).post('/leagues/join').send({ inviteCode: 'NOPE' }).set('authorization', userToken);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/** GET /leagues */
+
+describe('GET /leagues', function () {
+	test('works', async function () {
+		const { id } = await addLeague();
+		const resp = await request(app).get('/leagues').set('authorization', userToken);
+		expect(resp.body).toEqual({ leagues: [{ id, name: 'Office', commissioner: 'Admin', members: 2 }] });
+	});
+});
+
+/** GET /leagues/:id */
+
+describe('GET /leagues/:id', function () {
+	test('forbidden for non members', async function () {
+		const resp = await request(app).post('/leagues').send({ name: 'Office' }).set('authorization', adminToken);
+		const getResp = await request(app).get(`/leagues/${resp.body.league.id}`).set('authorization', userToken);
+		expect(getResp.statusCode).toEqual(403);
+	});
+});
+
+/** GET /leagues/:id/leaderboard */
+
+describe('GET /leagues/:id/leaderboard', function () {
+	test('works', async function () {
+		const { id } = await addLeague();
+		const resp = await request(app).get(`/leagues/${id}/leaderboard`).set('authorization', userToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.leaderboard.map((r) => r.username)).toEqual(['Admin', 'User']);
+	});
+});
+
+/** PATCH /leagues/:id */
+
+describe('PATCH /leagues/:id', function () {
+	test('works for commissioner', async function () {
+		const { id } = await addLeague();
+		const resp = await request(app).patch(`/leagues/${id}`).send({ picksPerDay: null }).set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.league.picksPerDay).toEqual(null);
+	});
+
+	test('forbidden for other members', async function () {
+		const { id } = await addLeague();
+		const resp = await request(app).patch(`/leagues/${id}`).send({ name: 'Mine' }).set('authorization', userToken);
+		expect(resp.statusCode).toEqual(403);
+	});
+
+	test('bad request with no changes', async function () {
+		const { id } = await addLeague();
+		const resp = await request(app).patch(`/leagues/${id}`).send({}).set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+});
+
+/** DELETE /leagues/:id/members/:username */
+
+describe('DELETE /leagues/:id/members/:username', function () {
+	test('works for commissioner', async function () {
+		const { id } = await addLeague();
+		const resp = await request(app).delete(`/leagues/${id}/members/User`).set('authorization', adminToken);
+		expect(resp.body).toEqual({ removed: 'User' });
+	});
+
+	test('forbidden for other members', async function () {
+		const { id } = await addLeague();
+		const resp = await request(app).delete(`/leagues/${id}/members/Admin`).set('authorization', userToken);
+		expect(resp.statusCode).toEqual(403);
+	});
+});
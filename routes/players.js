@@ -46,6 +46,8 @@ router.get('/:playerId', authenticateJWT, ensureLoggedIn, async function (req, r
 });
 
 /** GET /[playerId]/stats/season => { seasonStats }
+ *
+ *  Optionally include ?season=year, defaults to current season
  *
  *	Returns { id, name, points, fgm, fga, fgp, ftm, fta, ftp, tpm,
  *            tpa, tpp, offReb, defReb, totalReb, assists, fouls,
@@ -56,7 +58,7 @@ router.get('/:playerId', authenticateJWT, ensureLoggedIn, async function (req, r
 
 router.get('/:playerId/stats/season', authenticateJWT, ensureLoggedIn, async function (req, res, next) {
 	try {
-		const seasonStats = await Player.seasonStats(req.params.playerId);
+		const seasonStats = await Player.seasonStats(req.params.playerId, req.query.season);
 		return res.json({ seasonStats });
 	} catch (err) {
 		return next(err);
@@ -126,10 +128,11 @@ router.post('/stats/sort', authenticateJWT, ensureLoggedIn, async function (req,
  *
  * 	Must include array of games
  *
- * 	Returns data to be used for populating player pick options
+ * 	Returns data to be used for populating player pick options, stats are
+ * 	the lines offered for each player (only these can be picked)
  *
  * 	Returns { playerId: { pickData } }
- * 		Where pickData is { id, name, gameId, home, away, points, rebounds,
+ * 		Where pickData is { name, gameId, home, away, date, points, rebounds,
  * 						    tpm, steals, assists, blocks }
  *
  *  Authorization required: must be logged in
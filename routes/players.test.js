@@ -51,6 +51,12 @@ describe('GET /players/[playerId]/stats/season', function () {
 		const resp = await request(app).get('/players/1/stats/season').set('authorization', userToken);
 		expect(resp.statusCode).toEqual(200);
 		expect(Object.keys(resp.body)).toContain('seasonStats');
+		expect(resp.body.seasonStats.totals[0].season).toEqual(2023);
+	});
+
+	test('not found if no stats for season', async function () {
+		const resp = await request(app).get('/players/1/stats/season?season=2022').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(404);
 	});
 
 	test('unauth if not logged in', async function () {
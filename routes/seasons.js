@@ -0,0 +1,89 @@
+'use strict';
+
+/** Routes for seasons. */
+
+const jsonschema = require('jsonschema');
+const express = require('express');
+const { authenticateJWT, ensureLoggedIn, ensureAdmin } = require('../middleware/auth');
+const { BadRequestError } = require('../expressError');
+const seasonNewSchema = require('../schemas/seasonNew.json');
+const Season = require('../models/season');
+
+const router = express.Router();
+
+/** GET / => { seasons }
+ *
+ * 	Returns [ { year, startDate, endDate, isCurrent }, ... ]
+ *
+ * 	Authorization required: must be logged in
+ **/
+
+router.get('/', authenticateJWT, ensureLoggedIn, async function (req, res, next) {
+	try {
+		const seasons = await Season.getAll();
+		return res.json({ seasons });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /current => { season }
+ *
+ * 	Returns { year, startDate, endDate, isCurrent }
+ *
+ * 	Authorization required: must be logged in
+ **/
+
+router.get('/current', authenticateJWT, ensureLoggedIn, async function (req, res, next) {
+	try {
+		const season = await Season.getCurrent();
+		return res.json({ season });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST / { year, startDate, endDate } => { season }
+ *
+ * 	Adds a season, use PATCH /[year]/current once its games are loaded
+ *
+ * 	Returns { year, startDate, endDate, isCurrent }
+ *
+ * 	Authorization required: admin
+ **/
+
+router.post('/', ensureAdmin, async function (req, res, next) {
+	try {
+		const validator = jsonschema.validate(req.body, seasonNewSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const season = await Season.create(req.body);
+		return res.status(201).json({ season });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /[year]/current => { season }
+ *
+ * 	Makes year the current season, all stats default to this season
+ *
+ * 	Returns { year, startDate, endDate, isCurrent }
+ *
+ * 	Authorization required: admin
+ **/
+
+router.patch('/:year/current', ensureAdmin, async function (req, res, next) {
+	try {
+		const year = await Season.resolve(req.params.year);
+		const season = await Season.setCurrent(year);
+		return res.json({ season });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const request = require('supertest');
+const app = require('../app.js');
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	adminToken,
+	userToken,
+} = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** GET /seasons */
+
+describe('GET /seasons', function () {
+	test('works', async function () {
+		const resp = await request(app).get('/seasons').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.seasons.length).toEqual(2);
+	});
+
+	test('unauth if not logged in', async function () {
+		const resp = await request(app).get('/seasons');
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/** GET /seasons/current */
+
+describe('GET /seasons/current', function () {
+	test('works', async function () {
+		const resp = await request(app).get('/seasons/current').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.season.year).toEqual(2023);
+	});
+});
+
+/** POST /seasons */
+
+describe('POST /seasons', function () {
+	test('works for admin', async function () {
+		const resp = await request(app)
+			.post('/seasons')
+			.send({ year: 2024, startDate: '2024-10-22' })
+			.set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body.season.year).toEqual(2024);
+	});
+
+	test('bad request with invalid data', async function () {
+		const resp = await request(app).post('/seasons').send({ year: 'nope' }).set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for non-admin', async function () {
+		const resp = await request(app).post('/seasons').send({ year: 2024 }).set('authorization', userToken);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/** PATCH /seasons/[year]/current */
+
+describe('PATCH /seasons/[year]/current', function () {
+	test('works for admin', async function () {
+		const resp = await request(app).patch('/seasons/2022/current').set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.season).toEqual({ year: 2022, startDate: expect.any(String), endDate: expect.any(String), isCurrent: true });
+	});
+
+	test('not found if no such season', async function () {
+		const resp = await request(app).patch('/seasons/1999/current').set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test('unauth for non-admin', async function () {
+		const resp = await request(app).patch('/seasons/2022/current').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
@@ -28,20 +28,45 @@ router.get('/', authenticateJWT, ensureLoggedIn, async function (req, res, next)
 
 /** GET /standings
  * 
- * 	Returns { east: [ { team }, ... ], west: [ { team }, ... ] }
+ * 	Optionally include ?season=year, defaults to current season
+ * 	and ?view=league|conference|division, defaults to conference
+ * 
+ * 	Returns { season, east: [ { team }, ... ], west: [ { team }, ... ] }
+ * 		or { season, league: [ ... ] } or { season, atlantic: [ ... ], ... }
+ * 		where team has its records, games behind and the tiebreaks applied
  * 
  * Authorization required: must be logged in
  **/
 
 router.get('/standings', authenticateJWT, ensureLoggedIn, async function (req, res, next) {
 	try {
-		const standings = await Team.getStandings()
+		const standings = await Team.getStandings(req.query.season, req.query.view)
 		return res.json({standings})
 	} catch(err) {
 		return next(err)
 	}
 })
 
+/** GET /standings/playoffs
+ * 
+ * 	Optionally include ?season=year, defaults to current season
+ * 
+ * 	Returns { season, east: { playoffs, playIn, out }, west: { playoffs, playIn, out } }
+ * 		where each is [ { id, name, code, seed, record, gamesBehind, gamesLeft,
+ * 		magicNumbers, eliminationNumbers, clinched, eliminated }, ... ]
+ * 
+ * Authorization required: must be logged in
+ **/
+
+router.get('/standings/playoffs', authenticateJWT, ensureLoggedIn, async function (req, res, next) {
+	try {
+		const playoffs = await Team.getPlayoffs(req.query.season);
+		return res.json({ playoffs });
+	} catch (err) {
+		return next(err);
+	}
+});
+
 /** GET /stats
  * 
  * 	Returns [ { teamStats } ]
@@ -107,6 +132,8 @@ router.get('/:teamId', authenticateJWT, ensureLoggedIn, async function (req, res
 });
 
 /** GET /[teamId]/stats => { teamStats }
+ *
+ *  Optionally include ?season=year, defaults to current season
  *
  *  Returns { team, games, wins, losses, fastBreakPoints, pointsInPaint,
  *            secondChancePoints, pointsOffTurnovers, points, fgm, fga,
@@ -118,7 +145,7 @@ router.get('/:teamId', authenticateJWT, ensureLoggedIn, async function (req, res
 
 router.get('/:teamId/stats', authenticateJWT, ensureLoggedIn, async function (req, res, next) {
 	try {
-		const teamStats = await Team.stats(req.params.teamId);
+		const teamStats = await Team.stats(req.params.teamId, req.query.season);
 		return res.json({ teamStats });
 	} catch (err) {
 		return next(err);
@@ -143,6 +170,8 @@ router.get('/:teamId/stats/top', authenticateJWT, ensureLoggedIn, async function
 })
 
 /** GET /[teamId]/games => { teamGames }
+ *
+ *  Optionally include ?season=year, defaults to current season
  *
  *  Returns [ { id, date, location, home, away, clock, score } ]
  *
@@ -151,7 +180,7 @@ router.get('/:teamId/stats/top', authenticateJWT, ensureLoggedIn, async function
 
 router.get('/:teamId/games', authenticateJWT, ensureLoggedIn, async function (req, res, next) {
 	try {
-		const teamGames = await Team.games(req.params.teamId);
+		const teamGames = await Team.games(req.params.teamId, req.query.season);
 		return res.json({ teamGames });
 	} catch (err) {
 		return next(err);
@@ -1,5 +1,6 @@
 const request = require('supertest');
 const app = require('../app.js');
+const Team = require('../models/team.js');
 const {
 	commonBeforeAll,
 	commonBeforeEach,
@@ -52,6 +53,35 @@ describe('GET /teams/standings', function () {
 		expect(resp.statusCode).toEqual(200);
 		expect(Object.keys(resp.body.standings)).toContain('east');
 		expect(Object.keys(resp.body.standings)).toContain('west');
+		expect(resp.body.standings.season).toEqual(2023);
+	});
+
+	test('works for a past season', async function () {
+		const resp = await request(app).get('/teams/standings?season=2022').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.standings).toEqual({ season: 2022, east: [], west: [] });
+	});
+
+	test('works for the whole league', async function () {
+		const resp = await request(app).get('/teams/standings?view=league').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.standings.league.map((t) => t.code)).toEqual(['BOS', 'ATL', 'NYK']);
+		expect(resp.body.standings.league[1].tiebreaks[0].explanation).toEqual('Ahead of NYK on point differential (0)');
+	});
+
+	test('bad request if view is invalid', async function () {
+		const resp = await request(app).get('/teams/standings?view=nope').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('not found if no such season', async function () {
+		const resp = await request(app).get('/teams/standings?season=1999').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test('bad request if season is not a year', async function () {
+		const resp = await request(app).get('/teams/standings?season=nope').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
 	});
 
 	test('unauth if not logged in', async function () {
@@ -60,6 +90,29 @@ describe('GET /teams/standings', function () {
 	});
 });
 
+/** GET /teams/standings/playoffs */
+
+describe('GET /teams/standings/playoffs', function () {
+	test('works', async function () {
+		await Team.updatePlayoffs();
+		const resp = await request(app).get('/teams/standings/playoffs').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.playoffs.season).toEqual(2023);
+		expect(resp.body.playoffs.east.playoffs.map((t) => t.seed)).toEqual([1, 2, 3]);
+		expect(resp.body.playoffs.east.playoffs[2].clinched).toEqual({ playoffs: true, playIn: true });
+	});
+
+	test('not found if no such season', async function () {
+		const resp = await request(app).get('/teams/standings/playoffs?season=1999').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test('unauth if not logged in', async function () {
+		const resp = await request(app).get('/teams/standings/playoffs');
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
 /** POST /teams/stats/sort */
 
 describe('POST /teams/stats/sort', function () {
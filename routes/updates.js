@@ -2,11 +2,16 @@
 
 /** Routes for updating database. */
 
+const jsonschema = require('jsonschema');
 const express = require('express');
 const { ensureAdmin } = require('../middleware/auth');
+const { BadRequestError } = require('../expressError');
+const pickRegradeSchema = require('../schemas/pickRegrade.json');
 const Game = require('../models/game');
 const Player = require('../models/player');
 const Team = require('../models/team');
+const Leaderboard = require('../models/leaderboard');
+const Ledger = require('../models/ledger');
 
 const router = express.Router();
 
@@ -62,6 +67,8 @@ router.patch('/players/season', ensureAdmin, async function (req, res, next) {
  *
  * 	Updates all recent player game stats
  *
+ * 	Returns { status, inserted, updated, unchanged }
+ *
  * 	Include { game: gameId } in request body
  *
  * 	Authorization required: special update request
@@ -70,9 +77,10 @@ router.patch('/players/season', ensureAdmin, async function (req, res, next) {
 router.patch('/players/games', ensureAdmin, async function (req, res, next) {
 	try {
 		const { method } = req.body;
-		await Player.adminUpdateGameStats(method);
+		const counts = await Player.adminUpdateGameStats(method);
 		const updatePlayerGameStats = {
 			status: 'success',
+			...counts,
 		};
 		return res.json({ updatePlayerGameStats });
 	} catch (err) {
@@ -82,9 +90,10 @@ router.patch('/players/games', ensureAdmin, async function (req, res, next) {
 
 /** PATCH players/game/[gameId] =>{ updatePlayerGameStats }
  *
- * 	Updates all player game stats for a given game
+ * 	Updates all player game stats for a given game from its box score,
+ * 	adding players we don't have yet
  *
- * 	Include { game: gameId } in request body
+ * 	Returns { status, gameId, players, added, moved, inserted, updated, unchanged }
  *
  * 	Authorization required: special update request
  **/
@@ -92,11 +101,9 @@ router.patch('/players/games', ensureAdmin, async function (req, res, next) {
 router.patch('/players/game/:gameId', ensureAdmin, async function (req, res, next) {
 	try {
 		const { gameId } = req.params;
-		const { players, game } = await Player.updateGameStats(gameId);
 		const updatePlayerGameStats = {
 			status: 'success',
-			gameId,
-			players,
+			...(await Player.updateGameStats(gameId)),
 		};
 		return res.json({ updatePlayerGameStats });
 	} catch (err) {
@@ -171,4 +178,49 @@ router.patch('/picks/teams', ensureAdmin, async function (req, res, next) {
 	}
 });
 
+/** PATCH /picks/[pickType]/[pickId] { result } => { regradePick }
+ *
+ * 	Corrects a settled player pick, team pick or parlay with a ledger entry
+ * 	for the difference, then rebuilds the leaderboards
+ *
+ * 	Returns { id, username, pickType, pickId, delta, reason, createdAt }
+ *
+ * 	Authorization required: authenitcated update request
+ */
+
+router.patch('/picks/:pickType/:pickId', ensureAdmin, async function (req, res, next) {
+	try {
+		const validator = jsonschema.validate(req.body, pickRegradeSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const { pickType, pickId } = req.params;
+		if (!Number.isInteger(+pickId)) throw new BadRequestError('Pick id must be an integer');
+		const regradePick = await Ledger.regrade({ pickType, pickId }, req.body.result);
+		await Leaderboard.recompute();
+		return res.json({ regradePick });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /leaderboards
+ *
+ * 	Rebuilds all leaderboards from current pick results, run after fixing
+ * 	a graded pick
+ *
+ * 	Authorization required: authenitcated update request
+ */
+
+router.patch('/leaderboards', ensureAdmin, async function (req, res, next) {
+	try {
+		const recomputeLeaderboards = await Leaderboard.recompute();
+		return res.json(recomputeLeaderboards);
+	} catch (err) {
+		return next(err);
+	}
+});
+
 module.exports = router;
@@ -0,0 +1,46 @@
+const request = require('supertest');
+const app = require('../app.js');
+const db = require('../db.js');
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	adminToken,
+	userToken,
+} = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** PATCH /update/picks/:pickType/:pickId */
+
+describe('PATCH /update/picks/:pickType/:pickId', function () {
+	test('works', async function () {
+		const pickRes = await db.query(
+			`INSERT INTO team_picks (username, team_id, game_id, result) VALUES ('User', 2, 1, 'loss') RETURNING id`
+		);
+		const pickId = pickRes.rows[0].id;
+		const resp = await request(app)
+			.patch(`/update/picks/team/${pickId}`)
+			.send({ result: 'void' })
+			.set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.regradePick).toEqual(expect.objectContaining({ pickType: 'team', pickId, reason: 'void' }));
+	});
+
+	test('bad request with a pick id that is not an integer', async function () {
+		const resp = await request(app)
+			.patch('/update/picks/team/abc')
+			.send({ result: 'void' })
+			.set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for non-admin', async function () {
+		const resp = await request(app).patch('/update/picks/team/1').send({ result: 'void' }).set('authorization', userToken);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
@@ -5,12 +5,25 @@
 const jsonschema = require('jsonschema');
 const express = require('express');
 const { ensureCorrectUser, ensureLoggedIn, ensureAdmin } = require('../middleware/auth');
+const { subscribe, openStream } = require('../helpers/liveFeed');
+const { BadRequestError } = require('../expressError');
 const userRegisterSchema = require('../schemas/userNew.json');
+const parlayNewSchema = require('../schemas/parlayNew.json');
+const playerPickNewSchema = require('../schemas/playerPickNew.json');
+const teamPickNewSchema = require('../schemas/teamPickNew.json');
+const playerPickUpdateSchema = require('../schemas/playerPickUpdate.json');
+const notificationUpdateSchema = require('../schemas/notificationUpdate.json');
 const { createToken } = require('../helpers/tokens');
 const User = require('../models/user');
+const Parlay = require('../models/parlay');
+const Notification = require('../models/notification');
 
 const router = express.Router();
 
+// Wait after a live change before checking a game's picks, box scores arrive
+// a row at a time
+const PICKS_STREAM_DEBOUNCE_MS = 250;
+
 /** POST / { user }  => { user, token }
  *
  * Adds a new user. This is not the registration endpoint --- instead,
@@ -152,9 +165,158 @@ router.get('/:username/picks', ensureLoggedIn, async function (req, res, next) {
 	}
 });
 
+/** GET /[username]/picks/stream => Server-Sent Events
+ *
+ * 	Starts with a picks event { picks } for every open pick on a game in
+ * 	play, then sends picks { gameId, picks } with that game's picks whenever
+ * 	the update jobs change how they're doing (an empty list once the game
+ * 	is over). Games without the user's picks are never checked, and changes
+ * 	are checked at most every PICKS_STREAM_DEBOUNCE_MS per game
+ * 		Where picks is [ { pickType, pickId, gameId, ..., progress }, ... ]
+ * 		and progress is "winning", "losing" or "even"
+ *
+ * 	Authorization required: same user as username
+ **/
+
+router.get('/:username/picks/stream', ensureCorrectUser, async function (req, res, next) {
+	const { username } = req.params;
+	// Games waiting to be checked, so a burst of box score rows is one query
+	const pending = new Map();
+	let closed = false;
+	let unsubscribe = () => {};
+
+	try {
+		// Listen for the client leaving before anything is awaited so a stream
+		// closed early never subscribes
+		const send = openStream(req, res, () => {
+			closed = true;
+			unsubscribe();
+			for (let timer of pending.values()) clearTimeout(timer);
+		});
+
+		const picks = await User.livePicks(username);
+		if (closed) return;
+
+		// Last picks sent per game, so unchanged progress isn't sent again
+		const sent = {};
+		for (let { gameId } of picks) sent[gameId] = JSON.stringify(picks.filter((p) => p.gameId === gameId));
+		send('picks', { picks });
+
+		async function check(gameId) {
+			pending.delete(gameId);
+			try {
+				const gamePicks = await User.livePicks(username, gameId);
+				const json = JSON.stringify(gamePicks);
+				if (closed || sent[gameId] === json || (!gamePicks.length && !sent[gameId])) return;
+
+				sent[gameId] = json;
+				send('picks', { gameId, picks: gamePicks });
+			} catch (err) {
+				console.error(err);
+			}
+		}
+
+		unsubscribe = subscribe(({ event, data }) => {
+			// Only games the user has live picks on, or one changing status
+			// since that's when its picks go live or finish
+			const statusChange = event === 'game' && data.status;
+			if ((!sent[data.gameId] && !statusChange) || pending.has(data.gameId)) return;
+
+			pending.set(data.gameId, setTimeout(() => check(data.gameId), PICKS_STREAM_DEBOUNCE_MS));
+		});
+	} catch (err) {
+		if (!res.headersSent) return next(err);
+		console.error(err);
+		res.end();
+	}
+});
+
+/** GET /[username]/ledger => { ledger }
+ *
+ * 	Every settled pick and the points it added, used to audit a user's score
+ *
+ * 	Returns { username, points, wins, losses, entries }
+ * 		Where entries is [ { id, pickType, pickId, delta, reason, balance, createdAt }, ... ]
+ *
+ * 	Authorization required: none
+ **/
+
+router.get('/:username/ledger', async function (req, res, next) {
+	try {
+		const ledger = await User.ledger(req.params.username);
+		return res.json({ ledger });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /[username]/analytics => { analytics }
+ *
+ * 	Hit rate and points broken down by stat, over / under, team, home / away
+ * 	and day of week, plus win streaks, average distance from the line and
+ * 	points over time
+ *
+ * 	Returns { overall, byStat, byOverUnder, byTeam, byLocation, byDayOfWeek, streaks, avgLineDistance, pointsOverTime }
+ *
+ * 	Authorization required: must be logged in
+ **/
+
+router.get('/:username/analytics', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const analytics = await User.analytics(req.params.username);
+		return res.json({ analytics });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /[username]/notifications => { notifications, unread, total, page, limit }
+ *
+ * 	Newest first, can page with query params page (default 1) and limit
+ * 	(default 20, up to 100) and only show unread ones with unread=true
+ *
+ * 	Returns { notifications, unread, total, page, limit }
+ * 		Where notifications is [ { id, type, message, isRead, createdAt }, ... ]
+ *
+ * 	Authorization required: same user as username
+ **/
+
+router.get('/:username/notifications', ensureCorrectUser, async function (req, res, next) {
+	try {
+		const { page, limit, unread } = req.query;
+		const notifications = await Notification.forUser(req.params.username, { page, limit, unread: unread === 'true' });
+		return res.json(notifications);
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /[username]/notifications { ids, read } => { updated }
+ *
+ * 	Marks the notifications with ids as read (or unread with read false),
+ * 	without ids marks all of them
+ *
+ * 	Authorization required: same user as username
+ **/
+
+router.patch('/:username/notifications', ensureCorrectUser, async function (req, res, next) {
+	try {
+		const validator = jsonschema.validate(req.body, notificationUpdateSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const { updated } = await Notification.markRead(req.params.username, req.body);
+		return res.json({ updated });
+	} catch (err) {
+		return next(err);
+	}
+});
+
 /** POST /[username]/picks/player  { state } => { application }
  *
- * 	Body must include { playerId, gameId, stat, over_under, value, point_value }
+ * 	Body must include { playerId, gameId, stat, over_under, value }
  * 		Where playerId is an integer
  *
  * 		Where gameId is an integer
@@ -164,7 +326,9 @@ router.get('/:username/picks', ensureLoggedIn, async function (req, res, next) {
  *
  * 		Where over_under can be 'over' or 'under'
  *
- * 		Where value is an integer
+ * 		Where value is the line offered for the player and stat
+ *
+ * 	Point value is set by the server, including point_value is a bad request
  *
  * Returns { pick }
  *
@@ -173,8 +337,39 @@ router.get('/:username/picks', ensureLoggedIn, async function (req, res, next) {
 
 router.post('/:username/picks/players', ensureCorrectUser, async function (req, res, next) {
 	try {
-		const { playerId, gameId, stat, over_under, value, point_value } = req.body;
-		const pick = await User.playerPick(req.params.username, playerId, gameId, stat, over_under, value, point_value);
+		const validator = jsonschema.validate(req.body, playerPickNewSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const { playerId, gameId, stat, over_under, value } = req.body;
+		const pick = await User.playerPick(req.params.username, playerId, gameId, stat, over_under, value);
+		return res.json({ pick });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /[username]/picks/players/[pickId]  { over_under, value } => { pick }
+ *
+ * 	Changes the side (over_under) and / or line (value) of a player pick
+ * 	until its game locks at tip-off
+ *
+ * Returns { pick }
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.patch('/:username/picks/players/:pickId', ensureCorrectUser, async function (req, res, next) {
+	try {
+		const validator = jsonschema.validate(req.body, playerPickUpdateSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const pick = await User.updatePlayerPick(req.params.username, +req.params.pickId, req.body);
 		return res.json({ pick });
 	} catch (err) {
 		return next(err);
@@ -203,14 +398,17 @@ router.delete('/:username/picks/players/:pickId', ensureCorrectUser, async funct
 
 /** POST /[username]/picks/team/  { state } => { application }
  *
- * 	Body must include { teamId, gameId, win_spread, value }
- * 		Where teamId is an integer
+ * 	Body must include { teamId, gameId, type, over_under }
+ * 		Where teamId is an integer (not needed for total picks)
  *
  * 		Where gameId is an integer
  *
- * 		Where win_spread can be 'win' or 'spread'
+ * 		Where type can be 'win' (default), 'spread' or 'total'
+ *
+ * 		Where over_under can be 'over' or 'under' (total picks only)
  *
- * 		Where value is an integer
+ * 	Spread and total lines and point values are set by the server, including
+ * 	point_value is a bad request
  *
  * Returns { pick }
  *
@@ -219,8 +417,14 @@ router.delete('/:username/picks/players/:pickId', ensureCorrectUser, async funct
 
 router.post('/:username/picks/teams', ensureCorrectUser, async function (req, res, next) {
 	try {
-		const { teamId, gameId } = req.body;
-		const pick = await User.teamPick(req.params.username, teamId, gameId);
+		const validator = jsonschema.validate(req.body, teamPickNewSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const { teamId, gameId, type, over_under } = req.body;
+		const pick = await User.teamPick(req.params.username, teamId, gameId, type, over_under);
 		return res.json({ pick });
 	} catch (err) {
 		return next(err);
@@ -247,4 +451,32 @@ router.delete('/:username/picks/teams/:pickId', ensureCorrectUser, async functio
 	}
 });
 
+/** POST /[username]/parlays  { legs } => { parlay }
+ *
+ * 	Body must include { legs } with 2 - 8 legs, each one of
+ * 		{ type: 'player', playerId, gameId, stat, over_under, value }
+ * 		{ type: 'team', teamId, gameId }
+ *
+ * 	A parlay loses if any leg loses and pays out once every leg settles
+ *
+ * Returns { parlay }
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.post('/:username/parlays', ensureCorrectUser, async function (req, res, next) {
+	try {
+		const validator = jsonschema.validate(req.body, parlayNewSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const parlay = await Parlay.create(req.params.username, req.body.legs);
+		return res.status(201).json({ parlay });
+	} catch (err) {
+		return next(err);
+	}
+});
+
 module.exports = router;
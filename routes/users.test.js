@@ -1,18 +1,32 @@
 const request = require('supertest');
 const app = require('../app.js');
+const db = require('../db.js');
+const Team = require('../models/team.js');
+const User = require('../models/user.js');
+const { publish } = require('../helpers/liveFeed');
 const {
 	commonBeforeAll,
 	commonBeforeEach,
 	commonAfterEach,
 	commonAfterAll,
+	openEventStream,
 	adminToken,
 	userToken,
 } = require('../_testCommon.js');
 
-beforeAll(commonBeforeAll);
+// Event streams need a listening server
+let server;
+
+beforeAll(async function () {
+	await commonBeforeAll();
+	await new Promise((resolve) => (server = app.listen(0, resolve)));
+});
 beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
-afterAll(commonAfterAll);
+afterAll(async function () {
+	await new Promise((resolve) => server.close(resolve));
+	await commonAfterAll();
+});
 
 /** POST /users/ */
 
@@ -50,7 +64,7 @@ describe('POST /user/', function () {
 				isAdmin: false,
 			})
 			.set('authorization', adminToken);
-		expect(resp.statusCode).toEqual(500);
+		expect(resp.statusCode).toEqual(400);
 	});
 });
 
@@ -150,6 +164,193 @@ describe('DELETE /users/[username]/teams/[teamId]', function () {
 	});
 });
 
+/** GET /users/[username]/picks/stream */
+
+describe('GET /users/[username]/picks/stream', function () {
+	test('works', async function () {
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value) VALUES ('User', 1, 2, 'points', 'OVER', 19.5)`
+		);
+		await db.query(`UPDATE games SET status = 'in play', score = '50 - 48' WHERE id = 2`);
+		await db.query(`UPDATE game_stats SET game_id = 2, points = 10 WHERE player_id = 1`);
+
+		const stream = await openEventStream(server, '/users/User/picks/stream', userToken);
+		const [first] = await stream.waitFor(1);
+		expect(first.event).toEqual('picks');
+		expect(first.data.picks.map((p) => [p.current, p.progress])).toEqual([[10, 'losing']]);
+
+		// Nothing to send until the pick's progress changes
+		publish('boxScore', { gameId: 2, playerId: 2, stats: { points: 2 } });
+		await db.query(`UPDATE game_stats SET points = 20 WHERE player_id = 1`);
+		publish('boxScore', { gameId: 2, playerId: 1, stats: { points: 20 } });
+		const events = await stream.waitFor(2);
+		stream.close();
+
+		expect(events.length).toEqual(2);
+		expect(events[1].data.gameId).toEqual(2);
+		expect(events[1].data.picks.map((p) => [p.current, p.progress])).toEqual([[20, 'winning']]);
+	});
+
+	test('only checks games with picks, once per burst', async function () {
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value) VALUES ('User', 1, 2, 'points', 'OVER', 19.5)`
+		);
+		await db.query(`UPDATE games SET status = 'in play', score = '50 - 48' WHERE id = 2`);
+
+		const stream = await openEventStream(server, '/users/User/picks/stream', userToken);
+		await stream.waitFor(1);
+		const spy = jest.spyOn(User, 'livePicks');
+		for (let playerId of [1, 2, 3]) {
+			publish('boxScore', { gameId: 1, playerId, stats: { points: 2 } });
+			publish('boxScore', { gameId: 2, playerId, stats: { points: 2 } });
+		}
+		await new Promise((r) => setTimeout(r, 500));
+		stream.close();
+
+		expect(spy.mock.calls).toEqual([['User', 2]]);
+		spy.mockRestore();
+	});
+
+	test('checks a game once it changes status', async function () {
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value) VALUES ('User', 1, 2, 'points', 'OVER', 19.5)`
+		);
+
+		const stream = await openEventStream(server, '/users/User/picks/stream', userToken);
+		await stream.waitFor(1);
+		await db.query(`UPDATE games SET status = 'in play', score = '0 - 0' WHERE id = 2`);
+		publish('game', { gameId: 2, status: 'in play' });
+		const events = await stream.waitFor(2);
+		stream.close();
+
+		expect(events[0].data.picks).toEqual([]);
+		expect(events[1].data.picks.map((p) => [p.gameId, p.current])).toEqual([[2, 0]]);
+	});
+
+	test("doesn't subscribe if the client leaves while it starts", async function () {
+		let started;
+		const spy = jest.spyOn(User, 'livePicks').mockImplementation(
+			() => new Promise((resolve) => (started = () => resolve([])))
+		);
+		const stream = await openEventStream(server, '/users/User/picks/stream', userToken);
+		stream.close();
+		await new Promise((r) => setTimeout(r, 50));
+		started();
+		await new Promise((r) => setTimeout(r, 50));
+
+		publish('game', { gameId: 2, status: 'in play' });
+		await new Promise((r) => setTimeout(r, 500));
+		expect(spy).toHaveBeenCalledTimes(1);
+		spy.mockRestore();
+	});
+
+	test('unauth for other users', async function () {
+		const resp = await request(app).get('/users/User/picks/stream').set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/** GET /users/[username]/ledger */
+
+describe('GET /users/[username]/ledger', function () {
+	test('works', async function () {
+		await db.query(`INSERT INTO team_picks (username, team_id, game_id, point_value) VALUES ('User', 1, 1, 100)`);
+		await Team.updatePicks();
+		const resp = await request(app).get('/users/User/ledger');
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.ledger.points).toEqual(100);
+		expect(resp.body.ledger.entries).toEqual([
+			{
+				id: expect.any(Number),
+				pickType: 'team',
+				pickId: expect.any(Number),
+				delta: 100,
+				reason: 'win',
+				balance: 100,
+				createdAt: expect.any(String),
+			},
+		]);
+	});
+
+	test('not found if no such user', async function () {
+		const resp = await request(app).get('/users/nope/ledger');
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/** GET /users/[username]/analytics */
+
+describe('GET /users/[username]/analytics', function () {
+	test('works', async function () {
+		await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value, result)
+			VALUES ('User', 1, 1, 'points', 'OVER', 30.5, 150, 'win')`
+		);
+		const resp = await request(app).get('/users/User/analytics').set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.analytics.overall).toEqual({ picks: 1, wins: 1, losses: 0, pushes: 0, hitRate: 1, points: 150 });
+		expect(resp.body.analytics.streaks).toEqual({ current: 1, longest: 1 });
+	});
+
+	test('unauth for anon', async function () {
+		const resp = await request(app).get('/users/User/analytics');
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('not found if no such user', async function () {
+		const resp = await request(app).get('/users/nope/analytics').set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/** GET /users/[username]/notifications */
+
+describe('GET /users/[username]/notifications', function () {
+	test('works', async function () {
+		await db.query(`INSERT INTO notifications (username, type, ref, message) VALUES ('User', 'pick_settled', 'team:1', 'Pick 1')`);
+		const resp = await request(app)
+			.get('/users/User/notifications')
+			.query({ unread: 'true', limit: 5 })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body).toEqual({
+			notifications: [{ id: expect.any(Number), type: 'pick_settled', message: 'Pick 1', isRead: false, createdAt: expect.any(String) }],
+			unread: 1,
+			total: 1,
+			page: 1,
+			limit: 5,
+		});
+	});
+
+	test('unauth for other users', async function () {
+		const resp = await request(app).get('/users/User/notifications').set('authorization', adminToken);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('bad request with invalid limit', async function () {
+		const resp = await request(app).get('/users/User/notifications').query({ limit: 500 }).set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+});
+
+/** PATCH /users/[username]/notifications */
+
+describe('PATCH /users/[username]/notifications', function () {
+	test('works', async function () {
+		await db.query(`INSERT INTO notifications (username, type, ref, message) VALUES ('User', 'pick_settled', 'team:1', 'Pick 1')`);
+		const resp = await request(app).patch('/users/User/notifications').send({ read: true }).set('authorization', userToken);
+		expect(resp.body).toEqual({ updated: 1 });
+	});
+
+	test('bad request with invalid ids', async function () {
+		const resp = await request(app)
+			.patch('/users/User/notifications')
+			.send({ ids: ['one'] })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+});
+
 /** POST /users/[username]/picks/players */
 
 describe('POST /users/[username]/picks/players', function () {
@@ -170,6 +371,65 @@ describe('POST /users/[username]/picks/players', function () {
 	});
 });
 
+/** PATCH /users/[username]/picks/players/[pickId] */
+
+describe('PATCH /users/[username]/picks/players/[pickId]', function () {
+	async function addPick() {
+		const pickRes = await db.query(
+			`INSERT INTO player_picks (username, player_id, game_id, stat, over_under, value, point_value)
+			VALUES ('User', 1, 2, 'points', 'OVER', 19.5, 100) RETURNING id`
+		);
+		return pickRes.rows[0].id;
+	}
+
+	test('works', async function () {
+		const id = await addPick();
+		const resp = await request(app)
+			.patch(`/users/User/picks/players/${id}`)
+			.send({ over_under: 'under', value: 19.5 })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.pick).toEqual(expect.objectContaining({ id, overUnder: 'UNDER', value: 19.5 }));
+	});
+
+	test('bad request with invalid data', async function () {
+		const id = await addPick();
+		const resp = await request(app)
+			.patch(`/users/User/picks/players/${id}`)
+			.send({ stat: 'assists' })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for other users', async function () {
+		const id = await addPick();
+		const resp = await request(app)
+			.patch(`/users/Admin/picks/players/${id}`)
+			.send({ value: 21.5 })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+describe('POST /users/[username]/picks/players with offered lines', function () {
+	test('works', async function () {
+		const resp = await request(app)
+			.post('/users/User/picks/players')
+			.send({ playerId: 1, gameId: 2, stat: 'points', over_under: 'under', value: 19.5 })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.pick).toEqual(expect.objectContaining({ overUnder: 'UNDER', value: 19.5, pointValue: 150 }));
+	});
+
+	test('bad request with point_value', async function () {
+		const resp = await request(app)
+			.post('/users/User/picks/players')
+			.send({ playerId: 1, gameId: 2, stat: 'points', over_under: 'under', value: 19.5, point_value: 1000 })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+});
+
 /** POST /users/[username]/picks/teams */
 
 describe('POST /users/[username]/picks/teams', function () {
@@ -186,4 +446,66 @@ describe('POST /users/[username]/picks/teams', function () {
 		const resp = await request(app).post('/users/User/teams/1').send({ teamId: 1, gameId: 2 });
 		expect(resp.statusCode).toEqual(401);
 	});
+
+	test('works for spread picks', async function () {
+		const resp = await request(app)
+			.post('/users/User/picks/teams')
+			.send({ teamId: 2, gameId: 2, type: 'spread' })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.pick).toEqual({
+			id: expect.any(Number),
+			team_id: 2,
+			game_id: 2,
+			pick_type: 'spread',
+			line: -4.5,
+			over_under: null,
+			point_value: 100,
+		});
+	});
+
+	test('bad request with point_value', async function () {
+		const resp = await request(app)
+			.post('/users/User/picks/teams')
+			.send({ teamId: 2, gameId: 2, point_value: 1000 })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request for total pick without over_under', async function () {
+		const resp = await request(app)
+			.post('/users/User/picks/teams')
+			.send({ gameId: 2, type: 'total' })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+});
+
+/** POST /users/[username]/parlays */
+
+describe('POST /users/[username]/parlays', function () {
+	const legs = [
+		{ type: 'team', teamId: 1, gameId: 2 },
+		{ type: 'player', playerId: 2, gameId: 2, stat: 'points', over_under: 'over', value: 20.5 },
+	];
+
+	test('works', async function () {
+		const resp = await request(app).post('/users/User/parlays').send({ legs }).set('authorization', userToken);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body.parlay).toEqual(expect.objectContaining({ username: 'User', pointValue: 212, result: null }));
+		expect(resp.body.parlay.legs.length).toEqual(2);
+	});
+
+	test('bad request with one leg', async function () {
+		const resp = await request(app)
+			.post('/users/User/parlays')
+			.send({ legs: legs.slice(1) })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for other users', async function () {
+		const resp = await request(app).post('/users/Admin/parlays').send({ legs }).set('authorization', userToken);
+		expect(resp.statusCode).toEqual(401);
+	});
 });
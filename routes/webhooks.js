@@ -0,0 +1,88 @@
+'use strict';
+
+/** Routes for outbound webhooks. */
+
+const jsonschema = require('jsonschema');
+const express = require('express');
+const { ensureLoggedIn } = require('../middleware/auth');
+const { BadRequestError } = require('../expressError');
+const webhookNewSchema = require('../schemas/webhookNew.json');
+const Webhook = require('../models/webhook');
+
+const router = express.Router();
+
+/** GET / => { webhooks }
+ *
+ * 	Returns the logged in user's webhooks
+ * 		[ { id, url, events, createdAt }, ... ]
+ *
+ * 	Authorization required: must be logged in
+ **/
+
+router.get('/', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const webhooks = await Webhook.forUser(res.locals.user.username);
+		return res.json({ webhooks });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST / { url, events } => { webhook }
+ *
+ * 	Registers a URL for events (game.started, game.final, pick.settled,
+ * 	standings.updated)
+ *
+ * 	Returns { id, url, events, secret, createdAt }
+ * 		secret signs every delivery and isn't shown again
+ *
+ * 	Authorization required: must be logged in
+ **/
+
+router.post('/', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const validator = jsonschema.validate(req.body, webhookNewSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const webhook = await Webhook.create(res.locals.user.username, req.body);
+		return res.status(201).json({ webhook });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** DELETE /[id] => { deleted: id }
+ *
+ * 	Authorization required: must own the webhook or be an admin
+ **/
+
+router.delete('/:id', ensureLoggedIn, async function (req, res, next) {
+	try {
+		await Webhook.remove(+req.params.id, res.locals.user);
+		return res.json({ deleted: +req.params.id });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /[id]/deliveries => { deliveries }
+ *
+ * 	Returns the webhook's 50 most recent deliveries
+ * 		[ { id, event, payload, status, attempts, responseStatus, error, nextAttemptAt, deliveredAt, createdAt }, ... ]
+ *
+ * 	Authorization required: must own the webhook or be an admin
+ **/
+
+router.get('/:id/deliveries', ensureLoggedIn, async function (req, res, next) {
+	try {
+		const deliveries = await Webhook.deliveries(+req.params.id, res.locals.user);
+		return res.json({ deliveries });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+module.exports = router;
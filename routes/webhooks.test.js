@@ -0,0 +1,130 @@
+const request = require('supertest');
+const dns = require('dns');
+const app = require('../app.js');
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	adminToken,
+	userToken,
+} = require('../_testCommon.js');
+
+beforeAll(commonBeforeAll);
+// Webhook hosts are resolved on registration, answer for example.com without the network
+beforeEach(async function () {
+	jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+	await commonBeforeEach();
+});
+afterEach(async function () {
+	jest.restoreAllMocks();
+	await commonAfterEach();
+});
+afterAll(commonAfterAll);
+
+async function addWebhook(token = userToken) {
+	const resp = await request(app)
+		.post('/webhooks')
+		.send({ url: 'https://example.com/hook', events: ['game.final', 'pick.settled'] })
+		.set('authorization', token);
+	return resp.body.webhook;
+}
+
+/** POST /webhooks */
+
+describe('POST /webhooks', function () {
+	test('works', async function () {
+		const resp = await request(app)
+			.post('/webhooks')
+			.send({ url: 'https://example.com/hook', events: ['game.final'] })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body.webhook).toEqual({
+			id: expect.any(Number),
+			url: 'https://example.com/hook',
+			events: ['game.final'],
+			secret: expect.any(String),
+			createdAt: expect.any(String),
+		});
+	});
+
+	test('bad request with unknown event', async function () {
+		const resp = await request(app)
+			.post('/webhooks')
+			.send({ url: 'https://example.com/hook', events: ['game.halftime'] })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request with invalid url', async function () {
+		const resp = await request(app)
+			.post('/webhooks')
+			.send({ url: 'ftp://example.com/hook', events: ['game.final'] })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request with a private address', async function () {
+		const resp = await request(app)
+			.post('/webhooks')
+			.send({ url: 'http://169.254.169.254/latest/meta-data', events: ['game.final'] })
+			.set('authorization', userToken);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for anon', async function () {
+		const resp = await request(app).post('/webhooks').send({ url: 'https://example.com/hook', events: ['game.final'] });
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/** GET /webhooks */
+
+describe('GET /webhooks', function () {
+	test('works without secrets', async function () {
+		const webhook = await addWebhook();
+		await addWebhook(adminToken);
+
+		const resp = await request(app).get('/webhooks').set('authorization', userToken);
+		expect(resp.body).toEqual({
+			webhooks: [{ id: webhook.id, url: webhook.url, events: webhook.events, createdAt: webhook.createdAt }],
+		});
+	});
+});
+
+/** GET /webhooks/:id/deliveries */
+
+describe('GET /webhooks/:id/deliveries', function () {
+	test('works', async function () {
+		const webhook = await addWebhook();
+		const resp = await request(app).get(`/webhooks/${webhook.id}/deliveries`).set('authorization', userToken);
+		expect(resp.body).toEqual({ deliveries: [] });
+	});
+
+	test('forbidden for other users', async function () {
+		const webhook = await addWebhook(adminToken);
+		const resp = await request(app).get(`/webhooks/${webhook.id}/deliveries`).set('authorization', userToken);
+		expect(resp.statusCode).toEqual(403);
+	});
+});
+
+/** DELETE /webhooks/:id */
+
+describe('DELETE /webhooks/:id', function () {
+	test('works', async function () {
+		const webhook = await addWebhook();
+		const resp = await request(app).delete(`/webhooks/${webhook.id}`).set('authorization', userToken);
+		expect(resp.body).toEqual({ deleted: webhook.id });
+	});
+
+	test('works for admin', async function () {
+		const webhook = await addWebhook();
+		const resp = await request(app).delete(`/webhooks/${webhook.id}`).set('authorization', adminToken);
+		expect(resp.body).toEqual({ deleted: webhook.id });
+	});
+
+	test('not found if no such webhook', async function () {
+		const resp = await request(app).delete('/webhooks/0').set('authorization', userToken);
+		expect(resp.statusCode).toEqual(404);
+	});
+});